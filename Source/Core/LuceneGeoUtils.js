@@ -0,0 +1,131 @@
+/*global define*/
+define([
+        './Cartographic',
+        './defined',
+        './DeveloperError',
+        './Math'
+    ], function(
+        Cartographic,
+        defined,
+        DeveloperError,
+        CesiumMath) {
+    "use strict";
+
+    var LATITUDE_DECODE = 180.0 / 4294967296.0;
+    var LONGITUDE_DECODE = 360.0 / 4294967296.0;
+    var MAXIMUM_ENCODED = 2147483647;
+
+    /**
+     * Functions mirroring how Apache Lucene encodes and measures geo points, so that positions and distances
+     * can be compared with the values Lucene actually indexes and queries.
+     *
+     * @namespace
+     * @alias LuceneGeoUtils
+     */
+    var LuceneGeoUtils = {};
+
+    /**
+     * The radius, in meters, of the sphere Lucene measures distances on, <code>GeoUtils.EARTH_MEAN_RADIUS_METERS</code>.
+     *
+     * @type {Number}
+     * @constant
+     */
+    LuceneGeoUtils.EARTH_MEAN_RADIUS_METERS = 6371008.7714;
+
+    function encode(value, decode, maximum, name) {
+        //>>includeStart('debug', pragmas.debug);
+        if (typeof value !== 'number' || !(value >= -maximum && value <= maximum)) {
+            throw new DeveloperError(name + ' must be in the range [-' + maximum + ', ' + maximum + '].');
+        }
+        //>>includeEnd('debug');
+
+        //the maximum value itself would overflow, Lucene encodes the next smaller double instead
+        return Math.min(Math.floor(value / decode), MAXIMUM_ENCODED);
+    }
+
+    /**
+     * Encodes a latitude into the 32-bit integer Lucene indexes, like <code>GeoEncodingUtils.encodeLatitude</code>.
+     *
+     * @param {Number} latitude The latitude, in degrees, in the range [-90, 90].
+     * @returns {Number} The encoded latitude.
+     */
+    LuceneGeoUtils.encodeLatitude = function(latitude) {
+        return encode(latitude, LATITUDE_DECODE, 90.0, 'latitude');
+    };
+
+    /**
+     * Encodes a longitude into the 32-bit integer Lucene indexes, like <code>GeoEncodingUtils.encodeLongitude</code>.
+     *
+     * @param {Number} longitude The longitude, in degrees, in the range [-180, 180].
+     * @returns {Number} The encoded longitude.
+     */
+    LuceneGeoUtils.encodeLongitude = function(longitude) {
+        return encode(longitude, LONGITUDE_DECODE, 180.0, 'longitude');
+    };
+
+    /**
+     * Decodes a latitude encoded by {@link LuceneGeoUtils.encodeLatitude}, like <code>GeoEncodingUtils.decodeLatitude</code>.
+     *
+     * @param {Number} encoded The encoded latitude.
+     * @returns {Number} The latitude, in degrees.
+     */
+    LuceneGeoUtils.decodeLatitude = function(encoded) {
+        return encoded * LATITUDE_DECODE;
+    };
+
+    /**
+     * Decodes a longitude encoded by {@link LuceneGeoUtils.encodeLongitude}, like <code>GeoEncodingUtils.decodeLongitude</code>.
+     *
+     * @param {Number} encoded The encoded longitude.
+     * @returns {Number} The longitude, in degrees.
+     */
+    LuceneGeoUtils.decodeLongitude = function(encoded) {
+        return encoded * LONGITUDE_DECODE;
+    };
+
+    /**
+     * Rounds a position to the one Lucene stores for it after encoding its latitude and longitude.
+     *
+     * @param {Cartographic} cartographic The position.
+     * @param {Cartographic} [result] The object onto which to store the result.
+     * @returns {Cartographic} The modified result parameter or a new Cartographic instance if one was not provided.
+     * The height is copied unchanged.
+     */
+    LuceneGeoUtils.quantize = function(cartographic, result) {
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(cartographic)) {
+            throw new DeveloperError('cartographic is required.');
+        }
+        //>>includeEnd('debug');
+
+        var latitude = LuceneGeoUtils.decodeLatitude(LuceneGeoUtils.encodeLatitude(CesiumMath.toDegrees(cartographic.latitude)));
+        var longitude = LuceneGeoUtils.decodeLongitude(LuceneGeoUtils.encodeLongitude(CesiumMath.toDegrees(cartographic.longitude)));
+        return Cartographic.fromDegrees(longitude, latitude, cartographic.height, result);
+    };
+
+    /**
+     * Computes the haversine distance between two positions on the sphere Lucene uses, like
+     * <code>SloppyMath.haversinMeters</code> without its approximations.
+     *
+     * @param {Cartographic} start The first position.
+     * @param {Cartographic} end The second position.
+     * @returns {Number} The distance, in meters.
+     */
+    LuceneGeoUtils.haversineDistance = function(start, end) {
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(start)) {
+            throw new DeveloperError('start is required.');
+        }
+        if (!defined(end)) {
+            throw new DeveloperError('end is required.');
+        }
+        //>>includeEnd('debug');
+
+        var sinHalfLatitude = Math.sin((end.latitude - start.latitude) * 0.5);
+        var sinHalfLongitude = Math.sin((end.longitude - start.longitude) * 0.5);
+        var h = sinHalfLatitude * sinHalfLatitude + Math.cos(start.latitude) * Math.cos(end.latitude) * sinHalfLongitude * sinHalfLongitude;
+        return 2.0 * LuceneGeoUtils.EARTH_MEAN_RADIUS_METERS * Math.asin(Math.min(1.0, Math.sqrt(h)));
+    };
+
+    return LuceneGeoUtils;
+});
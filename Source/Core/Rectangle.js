@@ -612,6 +612,98 @@ define([
                latitude <= rectangle.north;
     };
 
+    function normalizeLongitude(longitude) {
+        if (longitude < -Math.PI || longitude > Math.PI) {
+            return CesiumMath.negativePiToPi(longitude);
+        }
+        return longitude;
+    }
+
+    /**
+     * Normalizes the longitudes of a rectangle.  Longitudes outside of [<code>-Pi</code>, <code>Pi</code>] are
+     * wrapped into that interval, and since <code>-Pi</code> and <code>Pi</code> are the same meridian, a rectangle
+     * which merely ends on the antimeridian is given the longitude that keeps <code>west</code> less than or equal
+     * to <code>east</code>.  Afterwards, the rectangle crosses the antimeridian if and only if <code>west</code>
+     * is greater than <code>east</code>.
+     *
+     * @param {Rectangle} rectangle The rectangle to normalize.
+     * @param {Rectangle} [result] The object onto which to store the result.
+     * @returns {Rectangle} The modified result parameter or a new Rectangle instance if none was provided.
+     *
+     * @example
+     * // a box from 170 degrees east to the antimeridian, given as -180 degrees
+     * var rectangle = Cesium.Rectangle.normalize(Cesium.Rectangle.fromDegrees(170.0, 0.0, -180.0, 10.0));
+     * // rectangle.east is now Math.PI, so the box no longer appears to cross the antimeridian
+     */
+    Rectangle.normalize = function(rectangle, result) {
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(rectangle)) {
+            throw new DeveloperError('rectangle is required');
+        }
+        //>>includeEnd('debug');
+
+        var west = normalizeLongitude(rectangle.west);
+        var east = normalizeLongitude(rectangle.east);
+        if (east < west && east === -Math.PI) {
+            east = Math.PI;
+        }
+        if (east < west && west === Math.PI) {
+            west = -Math.PI;
+        }
+
+        if (!defined(result)) {
+            return new Rectangle(west, rectangle.south, east, rectangle.north);
+        }
+        result.west = west;
+        result.south = rectangle.south;
+        result.east = east;
+        result.north = rectangle.north;
+        return result;
+    };
+
+    /**
+     * Splits a rectangle which crosses the antimeridian, that is one whose <code>west</code> is greater than
+     * its <code>east</code>, into the part west of the antimeridian and the part east of it.  Neither part crosses
+     * the antimeridian, so each can be handled by code which assumes <code>west</code> is less than
+     * <code>east</code>.  The rectangle should be normalized with {@link Rectangle.normalize} first.
+     *
+     * @param {Rectangle} rectangle The rectangle to split.
+     * @param {Rectangle[]} [result] The array of Rectangles onto which to store the result.
+     * @returns {Rectangle[]} The modified result parameter or a new Array of Rectangles, holding one copy of the rectangle if it does not cross the antimeridian and two otherwise.
+     *
+     * @see Rectangle.normalize
+     *
+     * @example
+     * var parts = Cesium.Rectangle.splitAtAntimeridian(Cesium.Rectangle.fromDegrees(170.0, -10.0, -170.0, 10.0));
+     * // parts[0] spans 170 to 180 degrees and parts[1] spans -180 to -170 degrees
+     */
+    Rectangle.splitAtAntimeridian = function(rectangle, result) {
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(rectangle)) {
+            throw new DeveloperError('rectangle is required');
+        }
+        //>>includeEnd('debug');
+
+        if (!defined(result)) {
+            result = [];
+        }
+
+        if (rectangle.west <= rectangle.east) {
+            result.length = 1;
+            result[0] = Rectangle.clone(rectangle, result[0]);
+            return result;
+        }
+
+        result.length = 2;
+        var west = Rectangle.clone(rectangle, result[0]);
+        west.east = Math.PI;
+        var east = Rectangle.clone(rectangle, result[1]);
+        east.west = -Math.PI;
+        result[0] = west;
+        result[1] = east;
+        return result;
+    };
+
     var subsampleLlaScratch = new Cartographic();
     /**
      * Samples an rectangle so that it includes a list of Cartesian points suitable for passing to
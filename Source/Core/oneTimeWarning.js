@@ -0,0 +1,39 @@
+/*global define*/
+define([
+        './defaultValue',
+        './defined',
+        './DeveloperError'
+    ], function(
+        defaultValue,
+        defined,
+        DeveloperError) {
+    "use strict";
+
+    var warnings = {};
+
+    /**
+     * Logs a message to the console the first time it is called with an identifier, so that
+     * a warning about something which happens for every entity is not repeated for each of them.
+     *
+     * @exports oneTimeWarning
+     *
+     * @param {String} identifier The unique identifier of the warning.
+     * @param {String} [message=identifier] The message to log.
+     *
+     * @private
+     */
+    var oneTimeWarning = function(identifier, message) {
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(identifier)) {
+            throw new DeveloperError('identifier is required.');
+        }
+        //>>includeEnd('debug');
+
+        if (!warnings.hasOwnProperty(identifier)) {
+            warnings[identifier] = true;
+            window.console.log(defaultValue(message, identifier));
+        }
+    };
+
+    return oneTimeWarning;
+});
@@ -45,6 +45,7 @@ define([
      * @param {Property} [options.pixelOffsetScaleByDistance] A {@link NearFarScalar} Property used to set pixelOffset based on distance from the camera.
      * @param {Property} [options.imageSubRegion] A Property specifying a {@link BoundingRectangle} that defines a sub-region of the image to use for the billboard, rather than the entire image.
      * @param {Property} [options.sizeInMeters] A boolean Property specifying whether this billboard's size should be measured in meters.
+     * @param {Property} [options.heightReference=HeightReference.NONE] A Property specifying what the height is relative to.
      *
      * @demo {@link http://cesiumjs.org/Cesium/Apps/Sandcastle/index.html?src=Billboards.html|Cesium Sandcastle Billboard Demo}
      */
@@ -83,6 +84,8 @@ define([
         this._pixelOffsetScaleByDistanceSubscription = undefined;
         this._sizeInMeters = undefined;
         this._sizeInMetersSubscription = undefined;
+        this._heightReference = undefined;
+        this._heightReferenceSubscription = undefined;
         this._definitionChanged = new Event();
 
         this.merge(defaultValue(options, defaultValue.EMPTY_OBJECT));
@@ -294,7 +297,16 @@ define([
          * @type {Property}
          * @default false
          */
-        sizeInMeters : createPropertyDescriptor('sizeInMeters')
+        sizeInMeters : createPropertyDescriptor('sizeInMeters'),
+
+        /**
+         * Gets or sets the Property specifying what the height of the billboard is relative to, such as
+         * {@link HeightReference.CLAMP_TO_GROUND} to place it on the terrain.
+         * @memberof BillboardGraphics.prototype
+         * @type {Property}
+         * @default HeightReference.NONE
+         */
+        heightReference : createPropertyDescriptor('heightReference')
     });
 
     /**
@@ -324,6 +336,7 @@ define([
         result.translucencyByDistance = this._translucencyByDistance;
         result.pixelOffsetScaleByDistance = this._pixelOffsetScaleByDistance;
         result.sizeInMeters = this._sizeInMeters;
+        result.heightReference = this._heightReference;
         return result;
     };
 
@@ -357,6 +370,7 @@ define([
         this.translucencyByDistance = defaultValue(this._translucencyByDistance, source.translucencyByDistance);
         this.pixelOffsetScaleByDistance = defaultValue(this._pixelOffsetScaleByDistance, source.pixelOffsetScaleByDistance);
         this.sizeInMeters = defaultValue(this._sizeInMeters, source.sizeInMeters);
+        this.heightReference = defaultValue(this._heightReference, source.heightReference);
     };
 
     return BillboardGraphics;
@@ -10,6 +10,7 @@ define([
         '../Core/DeveloperError',
         '../Core/NearFarScalar',
         '../Scene/BillboardCollection',
+        '../Scene/HeightReference',
         '../Scene/HorizontalOrigin',
         '../Scene/VerticalOrigin',
         './BoundingSphereState',
@@ -25,6 +26,7 @@ define([
         DeveloperError,
         NearFarScalar,
         BillboardCollection,
+        HeightReference,
         HorizontalOrigin,
         VerticalOrigin,
         BoundingSphereState,
@@ -40,6 +42,7 @@ define([
     var defaultHorizontalOrigin = HorizontalOrigin.CENTER;
     var defaultVerticalOrigin = VerticalOrigin.CENTER;
     var defaultSizeInMeters = false;
+    var defaultHeightReference = HeightReference.NONE;
 
     var position = new Cartesian3();
     var color = new Color();
@@ -53,6 +56,7 @@ define([
     var EntityData = function(entity) {
         this.entity = entity;
         this.billboard = undefined;
+        this.clamped = false;
         this.textureValue = undefined;
     };
 
@@ -63,8 +67,9 @@ define([
      *
      * @param {Scene} scene The scene the primitives will be rendered in.
      * @param {EntityCollection} entityCollection The entityCollection to visualize.
+     * @param {EntityCluster} [cluster] The clustering which decides whether a billboard is merged into a cluster.
      */
-    var BillboardVisualizer = function(scene, entityCollection) {
+    var BillboardVisualizer = function(scene, entityCollection, cluster) {
         //>>includeStart('debug', pragmas.debug);
         if (!defined(scene)) {
             throw new DeveloperError('scene is required.');
@@ -78,8 +83,11 @@ define([
 
         this._scene = scene;
         this._unusedIndexes = [];
+        this._unusedClampedIndexes = [];
         this._billboardCollection = undefined;
+        this._clampedBillboardCollection = undefined;
         this._entityCollection = entityCollection;
+        this._cluster = cluster;
         this._items = new AssociativeArray();
         this._onCollectionChanged(entityCollection, entityCollection.values, [], []);
     };
@@ -98,8 +106,8 @@ define([
         }
         //>>includeEnd('debug');
 
+        var cluster = this._cluster;
         var items = this._items.values;
-        var unusedIndexes = this._unusedIndexes;
         for (var i = 0, len = items.length; i < len; i++) {
             var item = items[i];
             var entity = item.entity;
@@ -116,36 +124,32 @@ define([
 
             if (!show) {
                 //don't bother creating or updating anything else
-                returnBillboard(item, unusedIndexes);
+                returnBillboard(item, this);
                 continue;
             }
 
-            if (!defined(billboard)) {
-                var billboardCollection = this._billboardCollection;
-                if (!defined(billboardCollection)) {
-                    billboardCollection = new BillboardCollection();
-                    this._billboardCollection = billboardCollection;
-                    this._scene.primitives.add(billboardCollection);
-                }
-
-                var length = unusedIndexes.length;
-                if (length > 0) {
-                    billboard = billboardCollection.get(unusedIndexes.pop());
-                } else {
-                    billboard = billboardCollection.add();
-                }
+            var heightReference = Property.getValueOrDefault(billboardGraphics._heightReference, time, defaultHeightReference);
+            var clamped = heightReference !== HeightReference.NONE;
+            if (defined(billboard) && item.clamped !== clamped) {
+                returnBillboard(item, this);
+                billboard = undefined;
+            }
 
+            if (!defined(billboard)) {
+                billboard = createBillboard(this, clamped);
                 billboard.id = entity;
                 billboard.image = undefined;
                 item.billboard = billboard;
+                item.clamped = clamped;
             }
 
-            billboard.show = show;
+            billboard.show = !defined(cluster) || cluster._collectBillboard(entity, billboard);
             if (item.textureValue !== textureValue) {
                 billboard.image = textureValue;
                 item.textureValue = textureValue;
             }
             billboard.position = position;
+            billboard.heightReference = heightReference;
             billboard.color = Property.getValueOrDefault(billboardGraphics._color, time, defaultColor, color);
             billboard.eyeOffset = Property.getValueOrDefault(billboardGraphics._eyeOffset, time, defaultEyeOffset, eyeOffset);
             billboard.pixelOffset = Property.getValueOrDefault(billboardGraphics._pixelOffset, time, defaultPixelOffset, pixelOffset);
@@ -195,7 +199,9 @@ define([
             return BoundingSphereState.FAILED;
         }
 
-        result.center = Cartesian3.clone(item.billboard.position, result.center);
+        var billboard = item.billboard;
+        var clampedPosition = billboard._clampedPosition;
+        result.center = Cartesian3.clone(defined(clampedPosition) ? clampedPosition : billboard.position, result.center);
         result.radius = 0;
         return BoundingSphereState.DONE;
     };
@@ -217,13 +223,15 @@ define([
         if (defined(this._billboardCollection)) {
             this._scene.primitives.remove(this._billboardCollection);
         }
+        if (defined(this._clampedBillboardCollection)) {
+            this._scene.primitives.remove(this._clampedBillboardCollection);
+        }
         return destroyObject(this);
     };
 
     BillboardVisualizer.prototype._onCollectionChanged = function(entityCollection, added, removed, changed) {
         var i;
         var entity;
-        var unusedIndexes = this._unusedIndexes;
         var items = this._items;
 
         for (i = added.length - 1; i > -1; i--) {
@@ -240,19 +248,43 @@ define([
                     items.set(entity.id, new EntityData(entity));
                 }
             } else {
-                returnBillboard(items.get(entity.id), unusedIndexes);
+                returnBillboard(items.get(entity.id), this);
                 items.remove(entity.id);
             }
         }
 
         for (i = removed.length - 1; i > -1; i--) {
             entity = removed[i];
-            returnBillboard(items.get(entity.id), unusedIndexes);
+            returnBillboard(items.get(entity.id), this);
             items.remove(entity.id);
         }
     };
 
-    function returnBillboard(item, unusedIndexes) {
+    //A collection that clamps billboards to the ground needs the scene, and it draws every billboard with a
+    //bottom vertical origin, so clamped billboards are kept in a collection of their own.
+    function createBillboard(visualizer, clamped) {
+        var billboardCollection = clamped ? visualizer._clampedBillboardCollection : visualizer._billboardCollection;
+        if (!defined(billboardCollection)) {
+            if (clamped) {
+                billboardCollection = new BillboardCollection({
+                    scene : visualizer._scene
+                });
+                visualizer._clampedBillboardCollection = billboardCollection;
+            } else {
+                billboardCollection = new BillboardCollection();
+                visualizer._billboardCollection = billboardCollection;
+            }
+            visualizer._scene.primitives.add(billboardCollection);
+        }
+
+        var unusedIndexes = clamped ? visualizer._unusedClampedIndexes : visualizer._unusedIndexes;
+        if (unusedIndexes.length > 0) {
+            return billboardCollection.get(unusedIndexes.pop());
+        }
+        return billboardCollection.add();
+    }
+
+    function returnBillboard(item, visualizer) {
         if (defined(item)) {
             var billboard = item.billboard;
             if (defined(billboard)) {
@@ -260,7 +292,13 @@ define([
                 item.billboard = undefined;
                 billboard.show = false;
                 billboard.image = undefined;
-                unusedIndexes.push(billboard._index);
+                if (item.clamped) {
+                    //stop following the terrain height
+                    billboard.heightReference = HeightReference.NONE;
+                    visualizer._unusedClampedIndexes.push(billboard._index);
+                } else {
+                    visualizer._unusedIndexes.push(billboard._index);
+                }
             }
         }
     }
@@ -12,7 +12,10 @@ define([
         '../Core/Event',
         '../Core/GeometryInstance',
         '../Core/Iso8601',
+        '../Core/oneTimeWarning',
         '../Core/ShowGeometryInstanceAttribute',
+        '../Scene/GroundPrimitive',
+        '../Scene/HeightReference',
         '../Scene/MaterialAppearance',
         '../Scene/PerInstanceColorAppearance',
         '../Scene/Primitive',
@@ -34,7 +37,10 @@ define([
         Event,
         GeometryInstance,
         Iso8601,
+        oneTimeWarning,
         ShowGeometryInstanceAttribute,
+        GroundPrimitive,
+        HeightReference,
         MaterialAppearance,
         PerInstanceColorAppearance,
         Primitive,
@@ -87,6 +93,7 @@ define([
         this._entitySubscription = entity.definitionChanged.addEventListener(CorridorGeometryUpdater.prototype._onEntityPropertyChanged, this);
         this._fillEnabled = false;
         this._isClosed = false;
+        this._onTerrain = false;
         this._dynamic = false;
         this._outlineEnabled = false;
         this._geometryChanged = new Event();
@@ -250,6 +257,22 @@ define([
                 return this._isClosed;
             }
         },
+        /**
+         * Gets a value indicating if the geometry is draped over the globe, terrain included, with a {@link GroundPrimitive}.
+         * That is the case for a filled geometry with a color material, a heightReference of {@link HeightReference.CLAMP_TO_GROUND}
+         * and no extruded height, when the scene has a globe and supports ground primitives.  Its height is ignored
+         * and its outline is not drawn.
+         * This property is only valid for static geometry.
+         * @memberof CorridorGeometryUpdater.prototype
+         *
+         * @type {Boolean}
+         * @readonly
+         */
+        onTerrain : {
+            get : function() {
+                return this._onTerrain;
+            }
+        },
         /**
          * Gets an event that is raised whenever the public properties
          * of this updater change.
@@ -444,6 +467,7 @@ define([
         this._outlineColorProperty = outlineEnabled ? defaultValue(corridor.outlineColor, defaultOutlineColor) : undefined;
 
         var height = corridor.height;
+        var heightReference = corridor.heightReference;
         var extrudedHeight = corridor.extrudedHeight;
         var granularity = corridor.granularity;
         var width = corridor.width;
@@ -456,11 +480,13 @@ define([
 
         if (!positions.isConstant || //
             !Property.isConstant(height) || //
+            !Property.isConstant(heightReference) || //
             !Property.isConstant(extrudedHeight) || //
             !Property.isConstant(granularity) || //
             !Property.isConstant(width) || //
             !Property.isConstant(outlineWidth) || //
             !Property.isConstant(cornerType)) {
+            this._onTerrain = false;
             if (!this._dynamic) {
                 this._dynamic = true;
                 this._geometryChanged.raiseEvent(this);
@@ -475,6 +501,14 @@ define([
             options.width = defined(width) ? width.getValue(Iso8601.MINIMUM_VALUE) : undefined;
             options.cornerType = defined(cornerType) ? cornerType.getValue(Iso8601.MINIMUM_VALUE) : undefined;
             this._outlineWidth = defined(outlineWidth) ? outlineWidth.getValue(Iso8601.MINIMUM_VALUE) : 1.0;
+            var heightReferenceValue = defined(heightReference) ? heightReference.getValue(Iso8601.MINIMUM_VALUE) : undefined;
+            this._onTerrain = fillEnabled && isColorMaterial && heightReferenceValue === HeightReference.CLAMP_TO_GROUND &&
+                              !defined(options.extrudedHeight) && defined(this._scene.globe) && GroundPrimitive.isSupported(this._scene);
+            //an outline would be buried under or float above the terrain the fill is draped over
+            this._outlineEnabled = outlineEnabled && !this._onTerrain;
+            if (outlineEnabled && this._onTerrain) {
+                oneTimeWarning('corridorOutlineOnTerrain', 'The outlines of corridors clamped to the ground are not drawn.');
+            }
             this._dynamic = false;
             this._geometryChanged.raiseEvent(this);
         }
@@ -30,6 +30,7 @@ define([
      * @param {Property} [options.width] A numeric Property specifying the distance between the edges of the corridor.
      * @param {Property} [options.cornerType=CornerType.ROUNDED] A {@link CornerType} Property specifying the style of the corners.
      * @param {Property} [options.height=0] A numeric Property specifying the altitude of the corridor.
+     * @param {Property} [options.heightReference=HeightReference.NONE] A Property specifying what the height is relative to.
      * @param {Property} [options.extrudedHeight] A numeric Property specifying the altitude of the corridor extrusion.
      * @param {Property} [options.show=true] A boolean Property specifying the visibility of the corridor.
      * @param {Property} [options.fill=true] A boolean Property specifying whether the corridor is filled with the provided material.
@@ -51,6 +52,8 @@ define([
         this._positionsSubscription = undefined;
         this._height = undefined;
         this._heightSubscription = undefined;
+        this._heightReference = undefined;
+        this._heightReferenceSubscription = undefined;
         this._extrudedHeight = undefined;
         this._extrudedHeightSubscription = undefined;
         this._granularity = undefined;
@@ -116,6 +119,16 @@ define([
          */
         height : createPropertyDescriptor('height'),
 
+        /**
+         * Gets or sets the Property specifying what the height of the corridor is relative to.  With
+         * {@link HeightReference.CLAMP_TO_GROUND}, a corridor filled with a single color and without an extruded height
+         * is draped over the terrain; its height is ignored and its outline is not drawn.
+         * @memberof CorridorGraphics.prototype
+         * @type {Property}
+         * @default HeightReference.NONE
+         */
+        heightReference : createPropertyDescriptor('heightReference'),
+
         /**
          * Gets or sets the numeric Property specifying the altitude of the corridor extrusion.
          * Setting this property creates a corridor shaped volume starting at height and ending
@@ -195,6 +208,7 @@ define([
         result.material = this.material;
         result.positions = this.positions;
         result.height = this.height;
+        result.heightReference = this.heightReference;
         result.extrudedHeight = this.extrudedHeight;
         result.granularity = this.granularity;
         result.width = this.width;
@@ -223,6 +237,7 @@ define([
         this.material = defaultValue(this.material, source.material);
         this.positions = defaultValue(this.positions, source.positions);
         this.height = defaultValue(this.height, source.height);
+        this.heightReference = defaultValue(this.heightReference, source.heightReference);
         this.extrudedHeight = defaultValue(this.extrudedHeight, source.extrudedHeight);
         this.granularity = defaultValue(this.granularity, source.granularity);
         this.width = defaultValue(this.width, source.width);
@@ -3,11 +3,13 @@ define([
         '../Core/defineProperties',
         '../Core/Event',
         './DataSource',
+        './EntityCluster',
         './EntityCollection'
     ], function(
         defineProperties,
         Event,
         DataSource,
+        EntityCluster,
         EntityCollection) {
     "use strict";
 
@@ -39,6 +41,7 @@ define([
         this._isLoading = false;
         this._loading = new Event();
         this._entityCollection = new EntityCollection();
+        this._clustering = new EntityCluster();
     };
 
     defineProperties(CustomDataSource.prototype, {
@@ -84,6 +87,16 @@ define([
                 return this._entityCollection;
             }
         },
+        /**
+         * Gets the clustering of the billboards, points and labels of this data source.
+         * @memberof CustomDataSource.prototype
+         * @type {EntityCluster}
+         */
+        clustering : {
+            get : function() {
+                return this._clustering;
+            }
+        },
         /**
          * Gets or sets whether the data source is currently loading data.
          * @memberof CustomDataSource.prototype
@@ -30,6 +30,7 @@ define([
         '../Core/Spherical',
         '../Core/TimeInterval',
         '../Core/TimeIntervalCollection',
+        '../Scene/HeightReference',
         '../Scene/HorizontalOrigin',
         '../Scene/LabelStyle',
         '../Scene/VerticalOrigin',
@@ -47,6 +48,7 @@ define([
         './DataSourceClock',
         './EllipseGraphics',
         './EllipsoidGraphics',
+        './EntityCluster',
         './EntityCollection',
         './GridMaterialProperty',
         './ImageMaterialProperty',
@@ -99,6 +101,7 @@ define([
         Spherical,
         TimeInterval,
         TimeIntervalCollection,
+        HeightReference,
         HorizontalOrigin,
         LabelStyle,
         VerticalOrigin,
@@ -116,6 +119,7 @@ define([
         DataSourceClock,
         EllipseGraphics,
         EllipsoidGraphics,
+        EntityCluster,
         EntityCollection,
         GridMaterialProperty,
         ImageMaterialProperty,
@@ -352,6 +356,8 @@ define([
             return unwrapColorInterval(czmlInterval);
         case StripeOrientation:
             return StripeOrientation[defaultValue(czmlInterval.stripeOrientation, czmlInterval)];
+        case HeightReference:
+            return HeightReference[defaultValue(czmlInterval.heightReference, czmlInterval)];
         case HorizontalOrigin:
             return HorizontalOrigin[defaultValue(czmlInterval.horizontalOrigin, czmlInterval)];
         case Image:
@@ -1016,6 +1022,7 @@ define([
         processPacketData(Boolean, billboard, 'show', billboardData.show, interval, sourceUri, entityCollection);
         processPacketData(VerticalOrigin, billboard, 'verticalOrigin', billboardData.verticalOrigin, interval, sourceUri, entityCollection);
         processPacketData(Boolean, billboard, 'sizeInMeters', billboardData.sizeInMeters, interval, sourceUri, entityCollection);
+        processPacketData(HeightReference, billboard, 'heightReference', billboardData.heightReference, interval, sourceUri, entityCollection);
     }
 
     function processDocument(packet, dataSource) {
@@ -1086,6 +1093,7 @@ define([
         processPacketData(Number, ellipse, 'semiMajorAxis', ellipseData.semiMajorAxis, interval, sourceUri, entityCollection);
         processPacketData(Number, ellipse, 'semiMinorAxis', ellipseData.semiMinorAxis, interval, sourceUri, entityCollection);
         processPacketData(Number, ellipse, 'height', ellipseData.height, interval, sourceUri, entityCollection);
+        processPacketData(HeightReference, ellipse, 'heightReference', ellipseData.heightReference, interval, sourceUri, entityCollection);
         processPacketData(Number, ellipse, 'extrudedHeight', ellipseData.extrudedHeight, interval, sourceUri, entityCollection);
         processPacketData(Number, ellipse, 'granularity', ellipseData.granularity, interval, sourceUri, entityCollection);
         processPacketData(Rotation, ellipse, 'stRotation', ellipseData.stRotation, interval, sourceUri, entityCollection);
@@ -1154,6 +1162,7 @@ define([
         processPacketData(VerticalOrigin, label, 'verticalOrigin', labelData.verticalOrigin, interval, sourceUri, entityCollection);
         processPacketData(String, label, 'font', labelData.font, interval, sourceUri, entityCollection);
         processPacketData(LabelStyle, label, 'style', labelData.style, interval, sourceUri, entityCollection);
+        processPacketData(HeightReference, label, 'heightReference', labelData.heightReference, interval, sourceUri, entityCollection);
     }
 
     function processModel(entity, packet, entityCollection, sourceUri) {
@@ -1229,6 +1238,7 @@ define([
         processPacketData(Color, point, 'outlineColor', pointData.outlineColor, interval, sourceUri, entityCollection);
         processPacketData(Number, point, 'outlineWidth', pointData.outlineWidth, interval, sourceUri, entityCollection);
         processPacketData(Boolean, point, 'show', pointData.show, interval, sourceUri, entityCollection);
+        processPacketData(HeightReference, point, 'heightReference', pointData.heightReference, interval, sourceUri, entityCollection);
     }
 
     function processPolygon(entity, packet, entityCollection, sourceUri) {
@@ -1252,6 +1262,7 @@ define([
         processPacketData(Boolean, polygon, 'show', polygonData.show, interval, sourceUri, entityCollection);
         processMaterialPacketData(polygon, 'material', polygonData.material, interval, sourceUri, entityCollection);
         processPacketData(Number, polygon, 'height', polygonData.height, interval, sourceUri, entityCollection);
+        processPacketData(HeightReference, polygon, 'heightReference', polygonData.heightReference, interval, sourceUri, entityCollection);
         processPacketData(Number, polygon, 'extrudedHeight', polygonData.extrudedHeight, interval, sourceUri, entityCollection);
         processPacketData(Number, polygon, 'granularity', polygonData.granularity, interval, sourceUri, entityCollection);
         processPacketData(Rotation, polygon, 'stRotation', polygonData.stRotation, interval, sourceUri, entityCollection);
@@ -1285,6 +1296,7 @@ define([
         processPacketData(Rectangle, rectangle, 'coordinates', rectangleData.coordinates, interval, sourceUri, entityCollection);
         processMaterialPacketData(rectangle, 'material', rectangleData.material, interval, sourceUri, entityCollection);
         processPacketData(Number, rectangle, 'height', rectangleData.height, interval, sourceUri, entityCollection);
+        processPacketData(HeightReference, rectangle, 'heightReference', rectangleData.heightReference, interval, sourceUri, entityCollection);
         processPacketData(Number, rectangle, 'extrudedHeight', rectangleData.extrudedHeight, interval, sourceUri, entityCollection);
         processPacketData(Number, rectangle, 'granularity', rectangleData.granularity, interval, sourceUri, entityCollection);
         processPacketData(Rotation, rectangle, 'rotation', rectangleData.rotation, interval, sourceUri, entityCollection);
@@ -1350,6 +1362,7 @@ define([
         processMaterialPacketData(polyline, 'material', polylineData.material, interval, sourceUri, entityCollection);
         processPacketData(Boolean, polyline, 'followSurface', polylineData.followSurface, interval, sourceUri, entityCollection);
         processPacketData(Number, polyline, 'granularity', polylineData.granularity, interval, sourceUri, entityCollection);
+        processPacketData(Boolean, polyline, 'clampToGround', polylineData.clampToGround, interval, sourceUri, entityCollection);
         processPositions(polyline, 'positions', polylineData.positions, entityCollection);
     }
 
@@ -1532,6 +1545,7 @@ define([
         this._documentPacket = new DocumentPacket();
         this._version = undefined;
         this._entityCollection = new EntityCollection();
+        this._clustering = new EntityCluster();
     };
 
     /**
@@ -1579,6 +1593,16 @@ define([
                 return this._entityCollection;
             }
         },
+        /**
+         * Gets the clustering of the billboards, points and labels of this data source.
+         * @memberof CzmlDataSource.prototype
+         * @type {EntityCluster}
+         */
+        clustering : {
+            get : function() {
+                return this._clustering;
+            }
+        },
         /**
          * Gets a value indicating if the data source is currently loading data.
          * @memberof CzmlDataSource.prototype
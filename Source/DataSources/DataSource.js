@@ -77,6 +77,15 @@ define([
          */
         loadingEvent : {
             get : DeveloperError.throwInstantiationError
+        },
+        /**
+         * Gets the clustering of the billboards, points and labels of this data source.  This property is
+         * optional; {@link DataSourceDisplay} does not cluster the entities of data sources without it.
+         * @memberof DataSource.prototype
+         * @type {EntityCluster}
+         */
+        clustering : {
+            get : DeveloperError.throwInstantiationError
         }
     });
 
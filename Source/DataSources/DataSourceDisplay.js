@@ -107,7 +107,8 @@ define([
      */
     DataSourceDisplay.defaultVisualizersCallback = function(scene, dataSource) {
         var entities = dataSource.entities;
-        return [new BillboardVisualizer(scene, entities),
+        var cluster = dataSource.clustering;
+        return [new BillboardVisualizer(scene, entities, cluster),
                 new GeometryVisualizer(BoxGeometryUpdater, scene, entities),
                 new GeometryVisualizer(CylinderGeometryUpdater, scene, entities),
                 new GeometryVisualizer(CorridorGeometryUpdater, scene, entities),
@@ -118,9 +119,9 @@ define([
                 new GeometryVisualizer(PolylineVolumeGeometryUpdater, scene, entities),
                 new GeometryVisualizer(RectangleGeometryUpdater, scene, entities),
                 new GeometryVisualizer(WallGeometryUpdater, scene, entities),
-                new LabelVisualizer(scene, entities),
+                new LabelVisualizer(scene, entities, cluster),
                 new ModelVisualizer(scene, entities),
-                new PointVisualizer(scene, entities),
+                new PointVisualizer(scene, entities, cluster),
                 new PathVisualizer(scene, entities)];
     };
 
@@ -203,6 +204,14 @@ define([
         return destroyObject(this);
     };
 
+    //the visualizers have shown this frame's billboards, labels and points, so they can be clustered
+    function updateClustering(dataSource) {
+        var clustering = dataSource.clustering;
+        if (defined(clustering)) {
+            clustering.update();
+        }
+    }
+
     /**
      * Updates the display to the provided time.
      *
@@ -235,6 +244,7 @@ define([
             for (x = 0; x < vLength; x++) {
                 result = visualizers[x].update(time) && result;
             }
+            updateClustering(dataSource);
         }
 
         visualizers = this._defaultDataSource._visualizers;
@@ -242,6 +252,7 @@ define([
         for (x = 0; x < vLength; x++) {
             result = visualizers[x].update(time) && result;
         }
+        updateClustering(this._defaultDataSource);
 
         return result;
     };
@@ -328,6 +339,9 @@ define([
     };
 
     DataSourceDisplay.prototype._onDataSourceAdded = function(dataSourceCollection, dataSource) {
+        if (defined(dataSource.clustering)) {
+            dataSource.clustering._setScene(this._scene);
+        }
         var visualizers = this._visualizersCallback(this._scene, dataSource);
         dataSource._visualizers = visualizers;
     };
@@ -339,6 +353,9 @@ define([
             visualizers[i].destroy();
             dataSource._visualizers = undefined;
         }
+        if (defined(dataSource.clustering)) {
+            dataSource.clustering._setScene(undefined);
+        }
     };
 
     /**
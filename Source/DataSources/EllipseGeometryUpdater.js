@@ -12,7 +12,10 @@ define([
         '../Core/Event',
         '../Core/GeometryInstance',
         '../Core/Iso8601',
+        '../Core/oneTimeWarning',
         '../Core/ShowGeometryInstanceAttribute',
+        '../Scene/GroundPrimitive',
+        '../Scene/HeightReference',
         '../Scene/MaterialAppearance',
         '../Scene/PerInstanceColorAppearance',
         '../Scene/Primitive',
@@ -34,7 +37,10 @@ define([
         Event,
         GeometryInstance,
         Iso8601,
+        oneTimeWarning,
         ShowGeometryInstanceAttribute,
+        GroundPrimitive,
+        HeightReference,
         MaterialAppearance,
         PerInstanceColorAppearance,
         Primitive,
@@ -90,6 +96,7 @@ define([
         this._entitySubscription = entity.definitionChanged.addEventListener(EllipseGeometryUpdater.prototype._onEntityPropertyChanged, this);
         this._fillEnabled = false;
         this._isClosed = false;
+        this._onTerrain = false;
         this._dynamic = false;
         this._outlineEnabled = false;
         this._geometryChanged = new Event();
@@ -253,6 +260,22 @@ define([
                 return this._isClosed;
             }
         },
+        /**
+         * Gets a value indicating if the geometry is draped over the globe, terrain included, with a {@link GroundPrimitive}.
+         * That is the case for a filled geometry with a color material, a heightReference of {@link HeightReference.CLAMP_TO_GROUND}
+         * and no extruded height, when the scene has a globe and supports ground primitives.  Its height is ignored
+         * and its outline is not drawn.
+         * This property is only valid for static geometry.
+         * @memberof EllipseGeometryUpdater.prototype
+         *
+         * @type {Boolean}
+         * @readonly
+         */
+        onTerrain : {
+            get : function() {
+                return this._onTerrain;
+            }
+        },
         /**
          * Gets an event that is raised whenever the public properties
          * of this updater change.
@@ -450,6 +473,7 @@ define([
 
         var rotation = ellipse.rotation;
         var height = ellipse.height;
+        var heightReference = ellipse.heightReference;
         var extrudedHeight = ellipse.extrudedHeight;
         var granularity = ellipse.granularity;
         var stRotation = ellipse.stRotation;
@@ -465,11 +489,13 @@ define([
             !semiMinorAxis.isConstant || //
             !Property.isConstant(rotation) || //
             !Property.isConstant(height) || //
+            !Property.isConstant(heightReference) || //
             !Property.isConstant(extrudedHeight) || //
             !Property.isConstant(granularity) || //
             !Property.isConstant(stRotation) || //
             !Property.isConstant(outlineWidth) || //
             !Property.isConstant(numberOfVerticalLines)) {
+            this._onTerrain = false;
             if (!this._dynamic) {
                 this._dynamic = true;
                 this._geometryChanged.raiseEvent(this);
@@ -487,6 +513,14 @@ define([
             options.stRotation = defined(stRotation) ? stRotation.getValue(Iso8601.MINIMUM_VALUE) : undefined;
             options.numberOfVerticalLines = defined(numberOfVerticalLines) ? numberOfVerticalLines.getValue(Iso8601.MINIMUM_VALUE) : undefined;
             this._outlineWidth = defined(outlineWidth) ? outlineWidth.getValue(Iso8601.MINIMUM_VALUE) : 1.0;
+            var heightReferenceValue = defined(heightReference) ? heightReference.getValue(Iso8601.MINIMUM_VALUE) : undefined;
+            this._onTerrain = fillEnabled && isColorMaterial && heightReferenceValue === HeightReference.CLAMP_TO_GROUND &&
+                              !defined(options.extrudedHeight) && defined(this._scene.globe) && GroundPrimitive.isSupported(this._scene);
+            //an outline would be buried under or float above the terrain the fill is draped over
+            this._outlineEnabled = outlineEnabled && !this._onTerrain;
+            if (outlineEnabled && this._onTerrain) {
+                oneTimeWarning('ellipseOutlineOnTerrain', 'The outlines of ellipses clamped to the ground are not drawn.');
+            }
             this._dynamic = false;
             this._geometryChanged.raiseEvent(this);
         }
@@ -30,6 +30,7 @@ define([
      * @param {Property} [options.semiMajorAxis] The numeric Property specifying the semi-major axis.
      * @param {Property} [options.semiMinorAxis] The numeric Property specifying the semi-minor axis.
      * @param {Property} [options.height=0] A numeric Property specifying the altitude of the ellipse.
+     * @param {Property} [options.heightReference=HeightReference.NONE] A Property specifying what the height is relative to.
      * @param {Property} [options.extrudedHeight] A numeric Property specifying the altitude of the ellipse extrusion.
      * @param {Property} [options.show=true] A boolean Property specifying the visibility of the ellipse.
      * @param {Property} [options.fill=true] A boolean Property specifying whether the ellipse is filled with the provided material.
@@ -57,6 +58,8 @@ define([
         this._materialSubscription = undefined;
         this._height = undefined;
         this._heightSubscription = undefined;
+        this._heightReference = undefined;
+        this._heightReferenceSubscription = undefined;
         this._extrudedHeight = undefined;
         this._extrudedHeightSubscription = undefined;
         this._granularity = undefined;
@@ -138,6 +141,16 @@ define([
          */
         height : createPropertyDescriptor('height'),
 
+        /**
+         * Gets or sets the Property specifying what the height of the ellipse is relative to.  With
+         * {@link HeightReference.CLAMP_TO_GROUND}, a ellipse filled with a single color and without an extruded height
+         * is draped over the terrain; its height is ignored and its outline is not drawn.
+         * @memberof EllipseGraphics.prototype
+         * @type {Property}
+         * @default HeightReference.NONE
+         */
+        heightReference : createPropertyDescriptor('heightReference'),
+
         /**
          * Gets or sets the numeric Property specifying the altitude of the ellipse extrusion.
          * Setting this property creates volume starting at height and ending at this altitude.
@@ -219,6 +232,7 @@ define([
         result.show = this.show;
         result.material = this.material;
         result.height = this.height;
+        result.heightReference = this.heightReference;
         result.extrudedHeight = this.extrudedHeight;
         result.granularity = this.granularity;
         result.stRotation = this.stRotation;
@@ -249,6 +263,7 @@ define([
         this.show = defaultValue(this.show, source.show);
         this.material = defaultValue(this.material, source.material);
         this.height = defaultValue(this.height, source.height);
+        this.heightReference = defaultValue(this.heightReference, source.heightReference);
         this.extrudedHeight = defaultValue(this.extrudedHeight, source.extrudedHeight);
         this.granularity = defaultValue(this.granularity, source.granularity);
         this.stRotation = defaultValue(this.stRotation, source.stRotation);
@@ -0,0 +1,531 @@
+/*global define*/
+define([
+        '../Core/Cartesian2',
+        '../Core/Cartesian3',
+        '../Core/Color',
+        '../Core/defaultValue',
+        '../Core/defined',
+        '../Core/defineProperties',
+        '../Core/EllipsoidalOccluder',
+        '../Core/Event',
+        '../Core/Matrix4',
+        '../Core/PinBuilder',
+        '../Scene/BillboardCollection',
+        '../Scene/HeightReference',
+        '../Scene/LabelCollection',
+        '../Scene/SceneMode',
+        '../Scene/SceneTransforms',
+        '../Scene/VerticalOrigin'
+    ], function(
+        Cartesian2,
+        Cartesian3,
+        Color,
+        defaultValue,
+        defined,
+        defineProperties,
+        EllipsoidalOccluder,
+        Event,
+        Matrix4,
+        PinBuilder,
+        BillboardCollection,
+        HeightReference,
+        LabelCollection,
+        SceneMode,
+        SceneTransforms,
+        VerticalOrigin) {
+    "use strict";
+
+    var defaultPixelRange = 80;
+    var defaultMinimumClusterSize = 2;
+    var defaultPinColor = Color.ROYALBLUE;
+    var defaultPinSize = 48;
+
+    /**
+     * Merges the billboards, points and labels of a {@link DataSource} which overlap on the screen
+     * into a single marker showing how many entities it stands for.  Clusters are recomputed once the
+     * camera stops moving, so they split apart after zooming in.  While the camera moves, the previous
+     * clusters are kept.
+     *
+     * @alias EntityCluster
+     * @constructor
+     *
+     * @param {Object} [options] Object with the following properties:
+     * @param {Boolean} [options.enabled=false] Whether or not clustering is enabled.
+     * @param {Number} [options.pixelRange=80] The distance, in pixels, within which screen space objects are merged.
+     * @param {Number} [options.minimumClusterSize=2] The minimum number of entities a cluster can have.
+     * @param {Boolean} [options.clusterBillboards=true] Whether or not billboards are clustered.
+     * @param {Boolean} [options.clusterLabels=true] Whether or not labels are clustered.
+     * @param {Boolean} [options.clusterPoints=true] Whether or not points are clustered.
+     *
+     * @see DataSource#clustering
+     *
+     * @example
+     * var dataSource = new Cesium.LuceneFeedDataSource('matches');
+     * dataSource.clustering.enabled = true;
+     * dataSource.clustering.pixelRange = 40;
+     * dataSource.clustering.clusterEvent.addEventListener(function(entities, cluster) {
+     *     cluster.billboard.show = false;
+     *     cluster.label.show = true;
+     *     cluster.label.text = entities.length.toLocaleString();
+     * });
+     */
+    var EntityCluster = function(options) {
+        options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+        this._enabled = defaultValue(options.enabled, false);
+        this._pixelRange = defaultValue(options.pixelRange, defaultPixelRange);
+        this._minimumClusterSize = defaultValue(options.minimumClusterSize, defaultMinimumClusterSize);
+        this._clusterBillboards = defaultValue(options.clusterBillboards, true);
+        this._clusterLabels = defaultValue(options.clusterLabels, true);
+        this._clusterPoints = defaultValue(options.clusterPoints, true);
+        this._clusterEvent = new Event();
+
+        this._scene = undefined;
+        this._billboardCollection = undefined;
+        this._labelCollection = undefined;
+        this._pinBuilder = new PinBuilder();
+
+        //the primitives shown by the visualizers this frame, and those the current clusters were computed from
+        this._entities = [];
+        this._primitives = [];
+        this._clusteredEntities = [];
+        this._clusteredPrimitives = [];
+        this._clusteredPositions = [];
+
+        this._clustered = {};
+        this._viewProjection = new Matrix4();
+        this._canvasHeight = undefined;
+        this._dirty = true;
+
+        //projecting every position again on each frame of a flight is too slow, so the view is only checked once the camera stops
+        this._cameraMoving = false;
+        this._removeMoveStartListener = undefined;
+        this._removeMoveEndListener = undefined;
+    };
+
+    defineProperties(EntityCluster.prototype, {
+        /**
+         * Gets or sets whether clustering is enabled.
+         * @memberof EntityCluster.prototype
+         * @type {Boolean}
+         */
+        enabled : {
+            get : function() {
+                return this._enabled;
+            },
+            set : function(value) {
+                this._dirty = this._dirty || value !== this._enabled;
+                this._enabled = value;
+            }
+        },
+        /**
+         * Gets or sets the distance, in pixels, within which screen space objects are merged.
+         * @memberof EntityCluster.prototype
+         * @type {Number}
+         */
+        pixelRange : {
+            get : function() {
+                return this._pixelRange;
+            },
+            set : function(value) {
+                this._dirty = this._dirty || value !== this._pixelRange;
+                this._pixelRange = value;
+            }
+        },
+        /**
+         * Gets or sets the minimum number of entities a cluster can have.
+         * @memberof EntityCluster.prototype
+         * @type {Number}
+         */
+        minimumClusterSize : {
+            get : function() {
+                return this._minimumClusterSize;
+            },
+            set : function(value) {
+                this._dirty = this._dirty || value !== this._minimumClusterSize;
+                this._minimumClusterSize = value;
+            }
+        },
+        /**
+         * Gets or sets whether billboards are clustered.
+         * @memberof EntityCluster.prototype
+         * @type {Boolean}
+         */
+        clusterBillboards : {
+            get : function() {
+                return this._clusterBillboards;
+            },
+            set : function(value) {
+                this._dirty = this._dirty || value !== this._clusterBillboards;
+                this._clusterBillboards = value;
+            }
+        },
+        /**
+         * Gets or sets whether labels are clustered.
+         * @memberof EntityCluster.prototype
+         * @type {Boolean}
+         */
+        clusterLabels : {
+            get : function() {
+                return this._clusterLabels;
+            },
+            set : function(value) {
+                this._dirty = this._dirty || value !== this._clusterLabels;
+                this._clusterLabels = value;
+            }
+        },
+        /**
+         * Gets or sets whether points are clustered.
+         * @memberof EntityCluster.prototype
+         * @type {Boolean}
+         */
+        clusterPoints : {
+            get : function() {
+                return this._clusterPoints;
+            },
+            set : function(value) {
+                this._dirty = this._dirty || value !== this._clusterPoints;
+                this._clusterPoints = value;
+            }
+        },
+        /**
+         * Gets the event raised for every cluster after it is created.  Listeners receive the array of
+         * clustered entities and an object with the <code>billboard</code> and <code>label</code> of the
+         * cluster, which they can restyle.  By default the billboard is a pin showing the number of
+         * entities and the label is hidden.
+         * @memberof EntityCluster.prototype
+         * @type {Event}
+         */
+        clusterEvent : {
+            get : function() {
+                return this._clusterEvent;
+            }
+        }
+    });
+
+    function collect(cluster, entity, primitive, clusterPrimitive) {
+        if (!cluster._enabled || !clusterPrimitive) {
+            return true;
+        }
+        cluster._entities.push(entity);
+        cluster._primitives.push(primitive);
+        return !defined(cluster._clustered[entity.id]);
+    }
+
+    /**
+     * Called by {@link BillboardVisualizer} for every billboard it shows.
+     * @returns {Boolean} false if the billboard is merged into a cluster and must be hidden.
+     * @private
+     */
+    EntityCluster.prototype._collectBillboard = function(entity, billboard) {
+        return collect(this, entity, billboard, this._clusterBillboards);
+    };
+
+    /**
+     * Called by {@link LabelVisualizer} for every label it shows.
+     * @returns {Boolean} false if the label is merged into a cluster and must be hidden.
+     * @private
+     */
+    EntityCluster.prototype._collectLabel = function(entity, label) {
+        return collect(this, entity, label, this._clusterLabels);
+    };
+
+    /**
+     * Called by {@link PointVisualizer} for every point primitive, or billboard drawing a point, it shows.
+     * @returns {Boolean} false if the point is merged into a cluster and must be hidden.
+     * @private
+     */
+    EntityCluster.prototype._collectPoint = function(entity, point) {
+        return collect(this, entity, point, this._clusterPoints);
+    };
+
+    function getPosition(primitive) {
+        var clampedPosition = primitive._clampedPosition;
+        return defined(clampedPosition) ? clampedPosition : primitive.position;
+    }
+
+    var viewProjectionScratch = new Matrix4();
+
+    function viewChanged(cluster) {
+        var scene = cluster._scene;
+        var camera = scene.camera;
+        var viewProjection = Matrix4.multiply(camera.frustum.projectionMatrix, camera.viewMatrix, viewProjectionScratch);
+        var canvasHeight = scene.canvas.clientHeight;
+        if (Matrix4.equals(viewProjection, cluster._viewProjection) && canvasHeight === cluster._canvasHeight) {
+            return false;
+        }
+        Matrix4.clone(viewProjection, cluster._viewProjection);
+        cluster._canvasHeight = canvasHeight;
+        return true;
+    }
+
+    function primitivesChanged(cluster) {
+        var entities = cluster._entities;
+        var primitives = cluster._primitives;
+        var clusteredEntities = cluster._clusteredEntities;
+        var clusteredPrimitives = cluster._clusteredPrimitives;
+        var clusteredPositions = cluster._clusteredPositions;
+        var length = entities.length;
+        if (length !== clusteredEntities.length) {
+            return true;
+        }
+        for (var i = 0; i < length; i++) {
+            if (entities[i] !== clusteredEntities[i] || primitives[i] !== clusteredPrimitives[i] ||
+                !Cartesian3.equals(getPosition(primitives[i]), clusteredPositions[i])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function removeClusters(cluster) {
+        if (defined(cluster._billboardCollection)) {
+            cluster._billboardCollection.removeAll();
+            cluster._labelCollection.removeAll();
+        }
+        cluster._clustered = {};
+    }
+
+    function createCollections(cluster) {
+        if (!defined(cluster._billboardCollection)) {
+            //markers only follow the terrain when there is a globe to follow
+            var scene = cluster._scene;
+            var groundScene = defined(scene.globe) ? scene : undefined;
+            cluster._billboardCollection = scene.primitives.add(new BillboardCollection({
+                scene : groundScene
+            }));
+            cluster._labelCollection = scene.primitives.add(new LabelCollection({
+                scene : groundScene
+            }));
+        }
+    }
+
+    function addCluster(cluster, entities, positions, clamped) {
+        var position = new Cartesian3();
+        var length = positions.length;
+        for (var i = 0; i < length; i++) {
+            Cartesian3.add(position, positions[i], position);
+        }
+        Cartesian3.divideByScalar(position, length, position);
+
+        var groundScene = cluster._billboardCollection._scene;
+        var heightReference = clamped && defined(groundScene) ? HeightReference.CLAMP_TO_GROUND : HeightReference.NONE;
+        var text = entities.length.toLocaleString();
+
+        var billboard = cluster._billboardCollection.add({
+            id : entities,
+            position : position,
+            heightReference : heightReference,
+            verticalOrigin : VerticalOrigin.BOTTOM
+        });
+        billboard.setImage('EntityCluster:' + text, cluster._pinBuilder.fromText(text, defaultPinColor, defaultPinSize));
+
+        var label = cluster._labelCollection.add({
+            id : entities,
+            show : false,
+            position : position,
+            heightReference : heightReference,
+            text : text
+        });
+
+        cluster._clusterEvent.raiseEvent(entities, {
+            billboard : billboard,
+            label : label
+        });
+    }
+
+    function isClamped(primitive) {
+        var heightReference = primitive.heightReference;
+        return defined(heightReference) && heightReference !== HeightReference.NONE;
+    }
+
+    var windowPositionScratch = new Cartesian2();
+
+    function computeClusters(cluster) {
+        var scene = cluster._scene;
+        var entities = cluster._entities;
+        var primitives = cluster._primitives;
+        var length = entities.length;
+        var pixelRange = cluster._pixelRange;
+        var i;
+
+        var occluder;
+        if (scene.mode === SceneMode.SCENE3D) {
+            occluder = new EllipsoidalOccluder(scene.mapProjection.ellipsoid, scene.camera.positionWC);
+        }
+
+        //one screen position per entity, taken from the first of its primitives which is on screen
+        var items = [];
+        var itemIndexById = {};
+        for (i = 0; i < length; i++) {
+            var entity = entities[i];
+            var position = getPosition(primitives[i]);
+            var item = items[itemIndexById[entity.id]];
+            if (defined(item)) {
+                item.clamped = item.clamped || isClamped(primitives[i]);
+                continue;
+            }
+            if (defined(occluder) && !occluder.isPointVisible(position)) {
+                continue;
+            }
+            var windowPosition = SceneTransforms.wgs84ToWindowCoordinates(scene, position, windowPositionScratch);
+            if (!defined(windowPosition)) {
+                continue;
+            }
+            itemIndexById[entity.id] = items.length;
+            items.push({
+                entity : entity,
+                position : position,
+                x : windowPosition.x,
+                y : windowPosition.y,
+                clamped : isClamped(primitives[i]),
+                clustered : false
+            });
+        }
+
+        //bucket the positions in a grid of pixelRange sized cells, so only the 9 cells around
+        //a position need to be searched for its neighbors
+        var cells = {};
+        var itemsLength = items.length;
+        for (i = 0; i < itemsLength; i++) {
+            var key = Math.floor(items[i].x / pixelRange) + ',' + Math.floor(items[i].y / pixelRange);
+            var cell = cells[key];
+            if (!defined(cell)) {
+                cell = cells[key] = [];
+            }
+            cell.push(items[i]);
+        }
+
+        var clustered = {};
+        var minimumClusterSize = cluster._minimumClusterSize;
+        for (i = 0; i < itemsLength; i++) {
+            var center = items[i];
+            if (center.clustered) {
+                continue;
+            }
+
+            var neighbors = [];
+            var column = Math.floor(center.x / pixelRange);
+            var row = Math.floor(center.y / pixelRange);
+            for (var x = column - 1; x <= column + 1; x++) {
+                for (var y = row - 1; y <= row + 1; y++) {
+                    var candidates = cells[x + ',' + y];
+                    if (!defined(candidates)) {
+                        continue;
+                    }
+                    for (var j = 0, candidatesLength = candidates.length; j < candidatesLength; j++) {
+                        var candidate = candidates[j];
+                        if (!candidate.clustered && Math.abs(candidate.x - center.x) <= pixelRange && Math.abs(candidate.y - center.y) <= pixelRange) {
+                            neighbors.push(candidate);
+                        }
+                    }
+                }
+            }
+
+            if (neighbors.length < minimumClusterSize) {
+                continue;
+            }
+
+            var clusterEntities = new Array(neighbors.length);
+            var clusterPositions = new Array(neighbors.length);
+            var clamped = false;
+            for (var k = 0, neighborsLength = neighbors.length; k < neighborsLength; k++) {
+                var neighbor = neighbors[k];
+                neighbor.clustered = true;
+                clustered[neighbor.entity.id] = true;
+                clusterEntities[k] = neighbor.entity;
+                clusterPositions[k] = neighbor.position;
+                clamped = clamped || neighbor.clamped;
+            }
+            addCluster(cluster, clusterEntities, clusterPositions, clamped);
+        }
+
+        //the visualizers showed or hid the primitives this frame by the previous clusters
+        for (i = 0; i < length; i++) {
+            primitives[i].show = !defined(clustered[entities[i].id]);
+        }
+        cluster._clustered = clustered;
+    }
+
+    /**
+     * Sets the scene the clusters are drawn in, removing them from the previous one.
+     * Called by {@link DataSourceDisplay} when the data source is added or removed.
+     * @private
+     */
+    EntityCluster.prototype._setScene = function(scene) {
+        if (defined(this._billboardCollection)) {
+            this._scene.primitives.remove(this._billboardCollection);
+            this._scene.primitives.remove(this._labelCollection);
+            this._billboardCollection = undefined;
+            this._labelCollection = undefined;
+        }
+        if (defined(this._removeMoveStartListener)) {
+            this._removeMoveStartListener();
+            this._removeMoveEndListener();
+            this._removeMoveStartListener = undefined;
+            this._removeMoveEndListener = undefined;
+        }
+        this._cameraMoving = false;
+        if (defined(scene)) {
+            var that = this;
+            this._removeMoveStartListener = scene.camera.moveStart.addEventListener(function() {
+                that._cameraMoving = true;
+            });
+            this._removeMoveEndListener = scene.camera.moveEnd.addEventListener(function() {
+                that._cameraMoving = false;
+            });
+        }
+        this._scene = scene;
+        this._clustered = {};
+        this._clusteredEntities.length = 0;
+        this._dirty = true;
+    };
+
+    /**
+     * Recomputes the clusters from the primitives collected by the visualizers this frame,
+     * if they changed, or if the view changed and the camera is not moving.  Called by
+     * {@link DataSourceDisplay} after the visualizers are updated.
+     * @private
+     */
+    EntityCluster.prototype.update = function() {
+        var entities = this._entities;
+        var primitives = this._primitives;
+
+        if (!defined(this._scene) || !this._enabled) {
+            if (this._dirty) {
+                removeClusters(this);
+                this._clusteredEntities.length = 0;
+                this._dirty = false;
+            }
+            entities.length = 0;
+            primitives.length = 0;
+            return;
+        }
+
+        var changed = !this._cameraMoving && viewChanged(this);
+        changed = primitivesChanged(this) || changed || this._dirty;
+        if (changed) {
+            createCollections(this);
+            removeClusters(this);
+            computeClusters(this);
+            this._dirty = false;
+
+            var length = entities.length;
+            var clusteredPositions = this._clusteredPositions;
+            clusteredPositions.length = length;
+            for (var i = 0; i < length; i++) {
+                clusteredPositions[i] = Cartesian3.clone(getPosition(primitives[i]), clusteredPositions[i]);
+            }
+        }
+
+        //swap the arrays so the ones collected this frame are kept to compare against
+        this._entities = this._clusteredEntities;
+        this._primitives = this._clusteredPrimitives;
+        this._clusteredEntities = entities;
+        this._clusteredPrimitives = primitives;
+        this._entities.length = 0;
+        this._primitives.length = 0;
+    };
+
+    return EntityCluster;
+});
@@ -14,6 +14,7 @@ define([
         '../Core/PinBuilder',
         '../Core/PolygonHierarchy',
         '../Core/RuntimeError',
+        '../Scene/HeightReference',
         '../Scene/VerticalOrigin',
         '../ThirdParty/topojson',
         '../ThirdParty/when',
@@ -23,6 +24,7 @@ define([
         './ConstantPositionProperty',
         './ConstantProperty',
         './DataSource',
+        './EntityCluster',
         './EntityCollection',
         './PolygonGraphics',
         './PolylineGraphics'
@@ -41,6 +43,7 @@ define([
         PinBuilder,
         PolygonHierarchy,
         RuntimeError,
+        HeightReference,
         VerticalOrigin,
         topojson,
         when,
@@ -50,6 +53,7 @@ define([
         ConstantPositionProperty,
         ConstantProperty,
         DataSource,
+        EntityCluster,
         EntityCollection,
         PolygonGraphics,
         PolylineGraphics) {
@@ -72,6 +76,7 @@ define([
     var defaultStroke = Color.YELLOW;
     var defaultStrokeWidth = 2;
     var defaultFill = Color.fromBytes(255, 255, 0, 100);
+    var defaultClampToGround = false;
 
     var defaultStrokeWidthProperty = new ConstantProperty(defaultStrokeWidth);
     var defaultStrokeMaterialProperty = new ColorMaterialProperty(defaultStroke);
@@ -283,6 +288,9 @@ define([
             var billboard = new BillboardGraphics();
             billboard.verticalOrigin = new ConstantProperty(VerticalOrigin.BOTTOM);
             billboard.image = new ConstantProperty(dataUrl);
+            if (options.clampToGround) {
+                billboard.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
+            }
 
             var entity = createObject(geoJson, dataSource._entityCollection);
             entity.billboard = billboard;
@@ -333,6 +341,9 @@ define([
         polyline.material = material;
         polyline.width = widthProperty;
         polyline.positions = new ConstantProperty(coordinatesArrayToCartesianArray(coordinates, crsFunction));
+        if (options.clampToGround && coordinates[0].length < 3) {
+            polyline.clampToGround = new ConstantProperty(true);
+        }
 
         var entity = createObject(geoJson, dataSource._entityCollection);
         entity.polyline = polyline;
@@ -415,6 +426,8 @@ define([
         polygon.hierarchy = new ConstantProperty(new PolygonHierarchy(coordinatesArrayToCartesianArray(positions, crsFunction), holes));
         if (positions[0].length > 2) {
             polygon.perPositionHeight = new ConstantProperty(true);
+        } else if (options.clampToGround) {
+            polygon.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
         }
 
         var entity = createObject(geoJson, dataSource._entityCollection);
@@ -497,6 +510,7 @@ define([
         this._isLoading = false;
         this._loading = new Event();
         this._entityCollection = new EntityCollection();
+        this._clustering = new EntityCluster();
         this._promises = [];
         this._pinBuilder = new PinBuilder();
     };
@@ -513,6 +527,7 @@ define([
      * @param {Color} [options.stroke=GeoJsonDataSource.stroke] The default color of polylines and polygon outlines.
      * @param {Number} [options.strokeWidth=GeoJsonDataSource.strokeWidth] The default width of polylines and polygon outlines.
      * @param {Color} [options.fill=GeoJsonDataSource.fill] The default color for polygon interiors.
+     * @param {Boolean} [options.clampToGround=GeoJsonDataSource.clampToGround] true if points, lines and polygons without heights are draped over the terrain.
      *
      * @returns {Promise.<GeoJsonDataSource>} A promise that will resolve when the data is loaded.
      */
@@ -609,6 +624,21 @@ define([
                 defaultFillMaterialProperty = new ColorMaterialProperty(defaultFill);
             }
         },
+        /**
+         * Gets or sets whether points, lines and polygons without heights are draped over the terrain by default.
+         * Lines and polygons with heights in their coordinates are not.
+         * @memberof GeoJsonDataSource
+         * @type {Boolean}
+         * @default false
+         */
+        clampToGround : {
+            get : function() {
+                return defaultClampToGround;
+            },
+            set : function(value) {
+                defaultClampToGround = value;
+            }
+        },
 
         /**
          * Gets an object that maps the name of a crs to a callback function which takes a GeoJSON coordinate
@@ -684,6 +714,16 @@ define([
                 return this._entityCollection;
             }
         },
+        /**
+         * Gets the clustering of the billboards, points and labels of this data source.
+         * @memberof GeoJsonDataSource.prototype
+         * @type {EntityCluster}
+         */
+        clustering : {
+            get : function() {
+                return this._clustering;
+            }
+        },
         /**
          * Gets a value indicating if the data source is currently loading data.
          * @memberof GeoJsonDataSource.prototype
@@ -738,6 +778,7 @@ define([
      * @param {Color} [options.stroke=GeoJsonDataSource.stroke] The default color of polylines and polygon outlines.
      * @param {Number} [options.strokeWidth=GeoJsonDataSource.strokeWidth] The default width of polylines and polygon outlines.
      * @param {Color} [options.fill=GeoJsonDataSource.fill] The default color for polygon interiors.
+     * @param {Boolean} [options.clampToGround=GeoJsonDataSource.clampToGround] true if points, lines and polygons without heights are draped over the terrain.
      *
      * @returns {Promise.<GeoJsonDataSource>} a promise that will resolve when the GeoJSON is loaded.
      */
@@ -766,7 +807,8 @@ define([
             markerColor : defaultValue(options.markerColor, defaultMarkerColor),
             strokeWidthProperty : new ConstantProperty(defaultValue(options.strokeWidth, defaultStrokeWidth)),
             strokeMaterialProperty : new ColorMaterialProperty(defaultValue(options.stroke, defaultStroke)),
-            fillMaterialProperty : new ColorMaterialProperty(defaultValue(options.fill, defaultFill))
+            fillMaterialProperty : new ColorMaterialProperty(defaultValue(options.fill, defaultFill)),
+            clampToGround : defaultValue(options.clampToGround, defaultClampToGround)
         };
 
         var that = this;
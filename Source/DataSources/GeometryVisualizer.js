@@ -9,6 +9,7 @@ define([
         './ColorMaterialProperty',
         './StaticGeometryColorBatch',
         './StaticGeometryPerMaterialBatch',
+        './StaticGroundGeometryColorBatch',
         './StaticOutlineGeometryBatch'
     ], function(
         AssociativeArray,
@@ -20,6 +21,7 @@ define([
         ColorMaterialProperty,
         StaticGeometryColorBatch,
         StaticGeometryPerMaterialBatch,
+        StaticGroundGeometryColorBatch,
         StaticOutlineGeometryBatch) {
     "use strict";
 
@@ -87,7 +89,9 @@ define([
         }
 
         if (updater.fillEnabled) {
-            if (updater.isClosed) {
+            if (updater.onTerrain) {
+                that._groundColorBatch.add(time, updater);
+            } else if (updater.isClosed) {
                 if (updater.fillMaterialProperty instanceof ColorMaterialProperty) {
                     that._closedColorBatch.add(time, updater);
                 } else {
@@ -140,8 +144,9 @@ define([
         this._closedMaterialBatch = new StaticGeometryPerMaterialBatch(primitives, type.materialAppearanceType, true);
         this._openColorBatch = new StaticGeometryColorBatch(primitives, type.perInstanceColorAppearanceType, false);
         this._openMaterialBatch = new StaticGeometryPerMaterialBatch(primitives, type.materialAppearanceType, false);
+        this._groundColorBatch = new StaticGroundGeometryColorBatch(scene.groundPrimitives);
         this._dynamicBatch = new DynamicGeometryBatch(primitives);
-        this._batches = [this._closedColorBatch, this._closedMaterialBatch, this._openColorBatch, this._openMaterialBatch, this._dynamicBatch, this._outlineBatch];
+        this._batches = [this._closedColorBatch, this._closedMaterialBatch, this._openColorBatch, this._openMaterialBatch, this._groundColorBatch, this._dynamicBatch, this._outlineBatch];
 
         this._subscriptions = new AssociativeArray();
         this._updaters = new AssociativeArray();
@@ -38,6 +38,7 @@ define([
         './DataSource',
         './DataSourceClock',
         './Entity',
+        './EntityCluster',
         './EntityCollection',
         './LabelGraphics',
         './PathGraphics',
@@ -89,6 +90,7 @@ define([
         DataSource,
         DataSourceClock,
         Entity,
+        EntityCluster,
         EntityCollection,
         LabelGraphics,
         PathGraphics,
@@ -971,6 +973,9 @@ define([
             polyline.positions = createPositionPropertyArrayFromAltitudeMode(coordinates, altitudeMode, gxAltitudeMode);
             if (!tessellate || canExtrude) {
                 polyline.followSurface = false;
+            } else {
+                //tessellated lines follow the terrain in Google Earth
+                polyline.clampToGround = true;
             }
         }
     }
@@ -1683,6 +1688,7 @@ define([
         this._loading = new Event();
         this._clock = undefined;
         this._entityCollection = new EntityCollection();
+        this._clustering = new EntityCluster();
         this._name = undefined;
         this._isLoading = false;
         this._proxy = proxy;
@@ -1739,6 +1745,16 @@ define([
                 return this._entityCollection;
             }
         },
+        /**
+         * Gets the clustering of the billboards, points and labels of this data source.
+         * @memberof KmlDataSource.prototype
+         * @type {EntityCluster}
+         */
+        clustering : {
+            get : function() {
+                return this._clustering;
+            }
+        },
         /**
          * Gets a value indicating if the data source is currently loading data.
          * @memberof KmlDataSource.prototype
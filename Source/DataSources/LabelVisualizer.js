@@ -8,6 +8,7 @@ define([
         '../Core/destroyObject',
         '../Core/DeveloperError',
         '../Core/NearFarScalar',
+        '../Scene/HeightReference',
         '../Scene/HorizontalOrigin',
         '../Scene/LabelCollection',
         '../Scene/LabelStyle',
@@ -23,6 +24,7 @@ define([
         destroyObject,
         DeveloperError,
         NearFarScalar,
+        HeightReference,
         HorizontalOrigin,
         LabelCollection,
         LabelStyle,
@@ -41,6 +43,7 @@ define([
     var defaultEyeOffset = Cartesian3.ZERO;
     var defaultHorizontalOrigin = HorizontalOrigin.CENTER;
     var defaultVerticalOrigin = VerticalOrigin.CENTER;
+    var defaultHeightReference = HeightReference.NONE;
 
     var position = new Cartesian3();
     var fillColor = new Color();
@@ -54,6 +57,7 @@ define([
         this.entity = entity;
         this.label = undefined;
         this.index = undefined;
+        this.clamped = false;
     };
 
     /**
@@ -64,8 +68,9 @@ define([
      *
      * @param {Scene} scene The scene the primitives will be rendered in.
      * @param {EntityCollection} entityCollection The entityCollection to visualize.
+     * @param {EntityCluster} [cluster] The clustering which decides whether a label is merged into a cluster.
      */
-    var LabelVisualizer = function(scene, entityCollection) {
+    var LabelVisualizer = function(scene, entityCollection, cluster) {
         //>>includeStart('debug', pragmas.debug);
         if (!defined(scene)) {
             throw new DeveloperError('scene is required.');
@@ -79,8 +84,11 @@ define([
 
         this._scene = scene;
         this._unusedIndexes = [];
+        this._unusedClampedIndexes = [];
         this._labelCollection = undefined;
+        this._clampedLabelCollection = undefined;
         this._entityCollection = entityCollection;
+        this._cluster = cluster;
         this._items = new AssociativeArray();
 
         this._onCollectionChanged(entityCollection, entityCollection.values, [], []);
@@ -100,8 +108,8 @@ define([
         }
         //>>includeEnd('debug');
 
+        var cluster = this._cluster;
         var items = this._items.values;
-        var unusedIndexes = this._unusedIndexes;
         for (var i = 0, len = items.length; i < len; i++) {
             var item = items[i];
             var entity = item.entity;
@@ -118,33 +126,27 @@ define([
 
             if (!show) {
                 //don't bother creating or updating anything else
-                returnLabel(item, unusedIndexes);
+                returnLabel(item, this);
                 continue;
             }
 
-            if (!defined(label)) {
-                var labelCollection = this._labelCollection;
-                if (!defined(labelCollection)) {
-                    labelCollection = new LabelCollection();
-                    this._labelCollection = labelCollection;
-                    this._scene.primitives.add(labelCollection);
-                }
+            var heightReference = Property.getValueOrDefault(labelGraphics._heightReference, time, defaultHeightReference);
+            var clamped = heightReference !== HeightReference.NONE;
+            if (defined(label) && item.clamped !== clamped) {
+                returnLabel(item, this);
+                label = undefined;
+            }
 
-                var length = unusedIndexes.length;
-                if (length > 0) {
-                    var index = unusedIndexes.pop();
-                    item.index = index;
-                    label = labelCollection.get(index);
-                } else {
-                    label = labelCollection.add();
-                    item.index = labelCollection.length - 1;
-                }
+            if (!defined(label)) {
+                label = createLabel(this, item, clamped);
                 label.id = entity;
                 item.label = label;
+                item.clamped = clamped;
             }
 
-            label.show = true;
+            label.show = !defined(cluster) || cluster._collectLabel(entity, label);
             label.position = position;
+            label.heightReference = heightReference;
             label.text = text;
             label.scale = Property.getValueOrDefault(labelGraphics._scale, time, defaultScale);
             label.font = Property.getValueOrDefault(labelGraphics._font, time, defaultFont);
@@ -188,7 +190,9 @@ define([
             return BoundingSphereState.FAILED;
         }
 
-        result.center = Cartesian3.clone(item.label.position, result.center);
+        var label = item.label;
+        var clampedPosition = label._clampedPosition;
+        result.center = Cartesian3.clone(defined(clampedPosition) ? clampedPosition : label.position, result.center);
         result.radius = 0;
         return BoundingSphereState.DONE;
     };
@@ -210,13 +214,15 @@ define([
         if (defined(this._labelCollection)) {
             this._scene.primitives.remove(this._labelCollection);
         }
+        if (defined(this._clampedLabelCollection)) {
+            this._scene.primitives.remove(this._clampedLabelCollection);
+        }
         return destroyObject(this);
     };
 
     LabelVisualizer.prototype._onCollectionChanged = function(entityCollection, added, removed, changed) {
         var i;
         var entity;
-        var unusedIndexes = this._unusedIndexes;
         var items = this._items;
 
         for (i = added.length - 1; i > -1; i--) {
@@ -233,23 +239,55 @@ define([
                     items.set(entity.id, new EntityData(entity));
                 }
             } else {
-                returnLabel(items.get(entity.id), unusedIndexes);
+                returnLabel(items.get(entity.id), this);
                 items.remove(entity.id);
             }
         }
 
         for (i = removed.length - 1; i > -1; i--) {
             entity = removed[i];
-            returnLabel(items.get(entity.id), unusedIndexes);
+            returnLabel(items.get(entity.id), this);
             items.remove(entity.id);
         }
     };
 
-    function returnLabel(item, unusedIndexes) {
+    //A collection that clamps labels to the ground needs the scene, and it draws every label with a bottom
+    //vertical origin, so clamped labels are kept in a collection of their own.
+    function createLabel(visualizer, item, clamped) {
+        var labelCollection = clamped ? visualizer._clampedLabelCollection : visualizer._labelCollection;
+        if (!defined(labelCollection)) {
+            if (clamped) {
+                labelCollection = new LabelCollection({
+                    scene : visualizer._scene
+                });
+                visualizer._clampedLabelCollection = labelCollection;
+            } else {
+                labelCollection = new LabelCollection();
+                visualizer._labelCollection = labelCollection;
+            }
+            visualizer._scene.primitives.add(labelCollection);
+        }
+
+        var unusedIndexes = clamped ? visualizer._unusedClampedIndexes : visualizer._unusedIndexes;
+        if (unusedIndexes.length > 0) {
+            item.index = unusedIndexes.pop();
+            return labelCollection.get(item.index);
+        }
+        item.index = labelCollection.length;
+        return labelCollection.add();
+    }
+
+    function returnLabel(item, visualizer) {
         if (defined(item)) {
             var label = item.label;
             if (defined(label)) {
-                unusedIndexes.push(item.index);
+                if (item.clamped) {
+                    //stop following the terrain height
+                    label.heightReference = HeightReference.NONE;
+                    visualizer._unusedClampedIndexes.push(item.index);
+                } else {
+                    visualizer._unusedIndexes.push(item.index);
+                }
                 label.show = false;
                 item.label = undefined;
                 item.index = -1;
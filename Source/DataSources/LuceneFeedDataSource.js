@@ -0,0 +1,1225 @@
+/*global define*/
+define([
+        '../Core/Cartesian3',
+        '../Core/Color',
+        '../Core/defaultValue',
+        '../Core/defined',
+        '../Core/defineProperties',
+        '../Core/destroyObject',
+        '../Core/DeveloperError',
+        '../Core/Event',
+        '../Core/loadJson',
+        '../Core/LuceneGeoUtils',
+        '../Core/Math',
+        '../Core/objectToQuery',
+        '../Core/PolygonHierarchy',
+        '../Core/Rectangle',
+        '../Core/RuntimeError',
+        '../Scene/HeightReference',
+        '../ThirdParty/when',
+        './CzmlDataSource',
+        './DataSource',
+        './Entity',
+        './EntityCluster',
+        './EntityCollection',
+        './GeoJsonDataSource'
+    ], function(
+        Cartesian3,
+        Color,
+        defaultValue,
+        defined,
+        defineProperties,
+        destroyObject,
+        DeveloperError,
+        Event,
+        loadJson,
+        LuceneGeoUtils,
+        CesiumMath,
+        objectToQuery,
+        PolygonHierarchy,
+        Rectangle,
+        RuntimeError,
+        HeightReference,
+        when,
+        CzmlDataSource,
+        DataSource,
+        Entity,
+        EntityCluster,
+        EntityCollection,
+        GeoJsonDataSource) {
+    "use strict";
+
+    function loadGeoJsonItem(dataSource, item) {
+        var geoJsonDataSource = new GeoJsonDataSource();
+        return geoJsonDataSource.load(item.data, dataSource._geoJsonOptions).then(function() {
+            return geoJsonDataSource.entities;
+        });
+    }
+
+    function loadCzmlItem(dataSource, item) {
+        var czmlDataSource = new CzmlDataSource();
+        return czmlDataSource.load(item.data).then(function() {
+            return czmlDataSource.entities;
+        });
+    }
+
+    var defaultQueryFill = Color.YELLOW.withAlpha(0.25);
+    var defaultQueryOutline = Color.YELLOW;
+    var defaultHitColor = Color.LIME;
+    var defaultMissColor = Color.RED;
+    var defaultTruePositiveColor = Color.LIME;
+    var defaultFalsePositiveColor = Color.ORANGE;
+    var defaultFalseNegativeColor = Color.MAGENTA;
+    var defaultInsideColor = Color.LIME.withAlpha(0.3);
+    var defaultCrossesColor = Color.YELLOW.withAlpha(0.3);
+    var defaultOutsideColor = Color.RED.withAlpha(0.3);
+
+    var luceneQueryNames = {
+        bbox : 'GeoPointInBBoxQuery',
+        distance : 'GeoPointDistanceQuery',
+        polygon : 'GeoPointInPolygonQuery',
+        points : 'Documents',
+        cells : 'Cell traversal'
+    };
+
+    var documentKeys = ['hits', 'misses', 'expected', 'actual'];
+
+    //Posted values are shown as text in the InfoBox, never as markup.  Quotes are escaped too, for attribute values.
+    function escapeHtml(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function describeQuery(query) {
+        var html = '';
+        for ( var key in query) {
+            if (query.hasOwnProperty(key)) {
+                var value = query[key];
+                if (Array.isArray(value)) {
+                    value = value.length + (documentKeys.indexOf(key) !== -1 ? ' documents' : ' values');
+                } else if (typeof value === 'object') {
+                    value = JSON.stringify(value);
+                }
+                html += '<tr><th>' + escapeHtml(key) + '</th><td>' + escapeHtml(value) + '</td></tr>';
+            }
+        }
+        return '<table class="cesium-infoBox-defaultTable"><tbody>' + html + '</tbody></table>';
+    }
+
+    function polygonHierarchy(polygon) {
+        var lats = polygon.polyLats;
+        var lons = polygon.polyLons;
+        var length = lats.length;
+        var positions = new Array(length);
+        for (var i = 0; i < length; i++) {
+            positions[i] = Cartesian3.fromDegrees(lons[i], lats[i]);
+        }
+
+        var holes = [];
+        var polygonHoles = defaultValue(polygon.holes, []);
+        for (var j = 0; j < polygonHoles.length; j++) {
+            holes.push(polygonHierarchy(polygonHoles[j]));
+        }
+        return new PolygonHierarchy(positions, holes);
+    }
+
+    //Samples a parallel from a longitude across a signed longitude span, so an outline follows
+    //the parallel rather than the great circle between its ends.
+    function sampleParallel(longitude, span, latitude, positions) {
+        var count = Math.max(Math.ceil(Math.abs(span) / CesiumMath.RADIANS_PER_DEGREE - CesiumMath.EPSILON7), 1);
+        for (var i = 0; i <= count; i++) {
+            positions.push(Cartesian3.fromRadians(longitude + span * i / count, latitude));
+        }
+        return positions;
+    }
+
+    //Draws a Lucene bounding box.  Like Lucene, a box with minLon > maxLon crosses the antimeridian,
+    //and its interior is drawn as the two rectangles on either side of it.  The outline is drawn
+    //separately so it has no seam at the antimeridian: a box around the whole globe, such as a
+    //polar cap, is bounded only by its parallels, and a parallel at a pole is left out.
+    function createBoundingBox(dataSource, query, addEntity) {
+        var style = dataSource._luceneStyle;
+        var rectangle = Rectangle.normalize(Rectangle.fromDegrees(query.minLon, query.minLat, query.maxLon, query.maxLat));
+        var west = rectangle.west;
+        var south = rectangle.south;
+        var north = rectangle.north;
+        var width = Rectangle.computeWidth(rectangle);
+
+        //Lucene accepts degenerate boxes, which only have an outline.
+        var i;
+        if (width > 0.0 && north > south) {
+            var parts = Rectangle.splitAtAntimeridian(rectangle);
+            for (i = 0; i < parts.length; i++) {
+                addEntity().rectangle = {
+                    coordinates : parts[i],
+                    heightReference : style.heightReference,
+                    material : style.queryFill
+                };
+            }
+        }
+
+        var outlines = [];
+        if (width < CesiumMath.TWO_PI) {
+            var ring = sampleParallel(west, width, south, []);
+            sampleParallel(west + width, -width, north, ring);
+            ring.push(ring[0]);
+            outlines.push(ring);
+        } else {
+            if (south > -CesiumMath.PI_OVER_TWO) {
+                outlines.push(sampleParallel(west, width, south, []));
+            }
+            if (north < CesiumMath.PI_OVER_TWO) {
+                outlines.push(sampleParallel(west, width, north, []));
+            }
+        }
+        for (i = 0; i < outlines.length; i++) {
+            addEntity().polyline = {
+                positions : outlines[i],
+                width : style.outlineWidth,
+                material : style.queryOutline,
+                clampToGround : style.clampToGround
+            };
+        }
+    }
+
+    //Adds the entities showing the query shape, by query type.
+    var luceneShapeGraphics = {
+        bbox : createBoundingBox,
+        distance : function(dataSource, query, addEntity) {
+            var style = dataSource._luceneStyle;
+            var entity = addEntity();
+            var center = Cartesian3.fromDegrees(query.center.lon, query.center.lat);
+            //An ellipse is an arc of its semi-axis length about the geocentric radius of its center.
+            //Scale the radius so the arc spans the angle Lucene's haversine distance does.
+            var radius = query.radiusMeters * Cartesian3.magnitude(center) / LuceneGeoUtils.EARTH_MEAN_RADIUS_METERS;
+            entity.position = center;
+            entity.ellipse = {
+                semiMajorAxis : radius,
+                semiMinorAxis : radius,
+                heightReference : style.heightReference,
+                material : style.queryFill,
+                outline : true,
+                outlineColor : style.queryOutline
+            };
+        },
+        polygon : function(dataSource, query, addEntity) {
+            var style = dataSource._luceneStyle;
+            addEntity().polygon = {
+                hierarchy : polygonHierarchy(query),
+                heightReference : style.heightReference,
+                material : style.queryFill,
+                outline : true,
+                outlineColor : style.queryOutline
+            };
+        }
+    };
+
+    function addDocumentPoint(dataSource, entities, point, id, name, color, description) {
+        return entities.add({
+            id : id,
+            name : name,
+            description : description,
+            position : Cartesian3.fromDegrees(point.lon, point.lat),
+            point : {
+                color : color,
+                pixelSize : dataSource._luceneStyle.pointSize,
+                outlineColor : Color.BLACK,
+                outlineWidth : 1,
+                heightReference : dataSource._luceneStyle.heightReference
+            }
+        });
+    }
+
+    function addDocumentPoints(dataSource, entities, points, id, name, color) {
+        if (!defined(points)) {
+            return;
+        }
+        for (var i = 0; i < points.length; i++) {
+            addDocumentPoint(dataSource, entities, points[i], id + '/' + i, name, color, describeQuery(points[i]));
+        }
+    }
+
+    var resultClasses = ['truePositive', 'falsePositive', 'falseNegative'];
+    var resultClassNames = {
+        truePositive : 'True positive',
+        falsePositive : 'False positive',
+        falseNegative : 'False negative'
+    };
+    var MAXIMUM_LISTED_RESULTS = 100;
+
+    //Documents are the same if they have the same id or, without ids, the same location.
+    function resultKey(point) {
+        return defined(point.id) ? 'id:' + point.id : point.lat + ',' + point.lon;
+    }
+
+    //Compares the documents a query should have matched with the documents it did match.
+    function classifyResults(expected, actual) {
+        var results = {
+            truePositive : [],
+            falsePositive : [],
+            falseNegative : []
+        };
+        var expectedKeys = {};
+        var actualKeys = {};
+        var i;
+        var key;
+        for (i = 0; i < expected.length; i++) {
+            expectedKeys[resultKey(expected[i])] = true;
+        }
+        for (i = 0; i < actual.length; i++) {
+            key = resultKey(actual[i]);
+            actualKeys[key] = true;
+            results[expectedKeys[key] ? 'truePositive' : 'falsePositive'].push(actual[i]);
+        }
+        for (i = 0; i < expected.length; i++) {
+            if (!actualKeys[resultKey(expected[i])]) {
+                results.falseNegative.push(expected[i]);
+            }
+        }
+        return results;
+    }
+
+    //Counts the documents of each class and lists them as links carrying the ids of their entities,
+    //which a page can follow by handling clicks in the InfoBox.
+    function describeResults(results, id) {
+        var counts = '';
+        var lists = '';
+        for (var i = 0; i < resultClasses.length; i++) {
+            var resultClass = resultClasses[i];
+            var points = results[resultClass];
+            counts += '<tr><th>' + resultClassNames[resultClass] + 's</th><td>' + points.length + '</td></tr>';
+            if (points.length === 0) {
+                continue;
+            }
+
+            lists += '<p>' + resultClassNames[resultClass] + 's</p><ul>';
+            var length = Math.min(points.length, MAXIMUM_LISTED_RESULTS);
+            for (var j = 0; j < length; j++) {
+                var point = points[j];
+                var label = (defined(point.id) ? 'doc ' + point.id + ' ' : '') + '(' + point.lat + ', ' + point.lon + ')';
+                lists += '<li><a href="#" data-entity-id="' + escapeHtml(id + '/' + resultClass + '/' + j) + '">' + escapeHtml(label) + '</a></li>';
+            }
+            if (points.length > length) {
+                lists += '<li>and ' + (points.length - length) + ' more</li>';
+            }
+            lists += '</ul>';
+        }
+        return '<table class="cesium-infoBox-defaultTable"><tbody>' + counts + '</tbody></table>' + lists;
+    }
+
+    function addResultPoints(dataSource, entities, results, id, name, summary) {
+        var style = dataSource._luceneStyle;
+        for (var i = 0; i < resultClasses.length; i++) {
+            var resultClass = resultClasses[i];
+            var points = results[resultClass];
+            var className = resultClassNames[resultClass];
+            for (var j = 0; j < points.length; j++) {
+                var point = points[j];
+                var entity = addDocumentPoint(dataSource, entities, point, id + '/' + resultClass + '/' + j, name + ' ' + className.toLowerCase(),
+                                              style.resultColors[resultClass], '<p>' + className + '</p>' + describeQuery(point) + summary);
+                entity.show = dataSource._resultClassShown[resultClass];
+                entity.addProperty('resultClass');
+                entity.resultClass = resultClass;
+            }
+        }
+    }
+
+    function isCellShown(dataSource, depth) {
+        var traversalDepth = dataSource._traversalDepth;
+        return !defined(traversalDepth) || depth <= traversalDepth;
+    }
+
+    //Shows or hides the cells and result documents after the traversal depth or a result class filter changed.
+    function updateShow(dataSource) {
+        var entities = dataSource._entityCollection.values;
+        for (var i = 0; i < entities.length; i++) {
+            var entity = entities[i];
+            if (defined(entity.traversalDepth)) {
+                entity.show = isCellShown(dataSource, entity.traversalDepth);
+            } else if (defined(entity.resultClass)) {
+                entity.show = dataSource._resultClassShown[entity.resultClass];
+            }
+        }
+    }
+
+    //Every cell is a static rectangle of a constant color, which the geometry visualizer batches
+    //into a few primitives, so showing or hiding cells by depth does not rebuild any geometry.
+    //Cells are not draped over the terrain, which would take a ground primitive for each of them.
+    function addTraversalCells(dataSource, entities, cells, id) {
+        if (!defined(cells)) {
+            return;
+        }
+        var colors = dataSource._luceneStyle.cellColors;
+        for (var i = 0; i < cells.length; i++) {
+            var cell = cells[i];
+            //A leaf cell around a single point has no area to fill.
+            if (cell.minLat === cell.maxLat || cell.minLon === cell.maxLon) {
+                continue;
+            }
+            var entity = entities.add({
+                id : id + '/cells/' + i,
+                name : cell.relation + ' at depth ' + cell.depth,
+                description : describeQuery(cell),
+                show : isCellShown(dataSource, cell.depth),
+                rectangle : {
+                    coordinates : Rectangle.fromDegrees(cell.minLon, cell.minLat, cell.maxLon, cell.maxLat),
+                    material : colors[cell.relation]
+                }
+            });
+            entity.addProperty('traversalDepth');
+            entity.traversalDepth = cell.depth;
+        }
+    }
+
+    //Returns a function which adds an entity for each part of a query shape.  The first part has
+    //the id of the item and is the parent of the others, which share its name and description.
+    function createShapeEntityFactory(entities, id, name, description) {
+        var parent;
+        return function() {
+            var entity = entities.add({
+                id : defined(parent) ? id + '/' + entities.values.length : id,
+                name : name,
+                description : description,
+                parent : parent
+            });
+            parent = defaultValue(parent, entity);
+            return entity;
+        };
+    }
+
+    function loadLuceneItem(dataSource, item) {
+        var query = item.data;
+        var style = dataSource._luceneStyle;
+        var entities = new EntityCollection();
+        var name = defaultValue(query.name, luceneQueryNames[query.type]);
+
+        var results;
+        var summary = '';
+        if (defined(query.expected) || defined(query.actual)) {
+            results = classifyResults(defaultValue(query.expected, []), defaultValue(query.actual, []));
+            summary = describeResults(results, item.id);
+        }
+
+        var createShape = luceneShapeGraphics[query.type];
+        if (defined(createShape)) {
+            createShape(dataSource, query, createShapeEntityFactory(entities, item.id, name, describeQuery(query) + summary));
+        }
+
+        addTraversalCells(dataSource, entities, query.cells, item.id);
+        if (defined(results)) {
+            addResultPoints(dataSource, entities, results, item.id, name, summary);
+        }
+        addDocumentPoints(dataSource, entities, query.hits, item.id + '/hits', name + ' hit', style.hitColor);
+        addDocumentPoints(dataSource, entities, query.misses, item.id + '/misses', name + ' miss', style.missColor);
+        return entities;
+    }
+
+    //Returns the command Lucene's test runner prints to reproduce a failure.  The test is either
+    //'TestClass.testMethod', as the server is sent, or 'testMethod(org.apache.lucene.TestClass)',
+    //as JUnit reports it, or the test class alone.
+    function getReproduceLine(test, seed) {
+        var line = 'ant test';
+        if (defined(test)) {
+            var testcase = test;
+            var method;
+            var match = /^([^(]+)\(([^)]+)\)$/.exec(test);
+            if (match !== null) {
+                method = match[1];
+                testcase = match[2];
+            } else {
+                var dot = test.lastIndexOf('.');
+                if (dot !== -1 && /^[a-z]/.test(test.substring(dot + 1))) {
+                    method = test.substring(dot + 1);
+                    testcase = test.substring(0, dot);
+                }
+            }
+            line += ' -Dtestcase=' + testcase.substring(testcase.lastIndexOf('.') + 1);
+            if (defined(method)) {
+                line += ' -Dtests.method=' + method;
+            }
+        }
+        if (defined(seed)) {
+            line += ' -Dtests.seed=' + seed;
+        }
+        return line;
+    }
+
+    function addItemToRun(dataSource, item) {
+        if (!defined(item.test) && !defined(item.seed)) {
+            return;
+        }
+        var runs = dataSource._runs;
+        var run;
+        for (var i = 0; i < runs.length; i++) {
+            if (runs[i].test === item.test && runs[i].seed === item.seed) {
+                run = runs[i];
+                break;
+            }
+        }
+        if (!defined(run)) {
+            run = {
+                test : item.test,
+                seed : item.seed,
+                reproduceLine : getReproduceLine(item.test, item.seed),
+                itemIds : []
+            };
+            runs.push(run);
+        }
+        run.itemIds.push(item.id);
+        dataSource._itemRuns[item.id] = run;
+    }
+
+    function removeItemFromRun(dataSource, itemId) {
+        var run = dataSource._itemRuns[itemId];
+        if (!defined(run)) {
+            return;
+        }
+        delete dataSource._itemRuns[itemId];
+        run.itemIds.splice(run.itemIds.indexOf(itemId), 1);
+        if (run.itemIds.length === 0) {
+            dataSource._runs.splice(dataSource._runs.indexOf(run), 1);
+            if (dataSource._selectedRun === run) {
+                dataSource._selectedRun = undefined;
+                dataSource._runStep = undefined;
+            }
+        }
+    }
+
+    //An updated item keeps its place in its run unless it was tagged with a different run.
+    function setItemRun(dataSource, item) {
+        var run = dataSource._itemRuns[item.id];
+        if (defined(run) && run.test === item.test && run.seed === item.seed) {
+            return;
+        }
+        removeItemFromRun(dataSource, item.id);
+        addItemToRun(dataSource, item);
+    }
+
+    function isItemShown(dataSource, itemId) {
+        var run = dataSource._selectedRun;
+        if (!defined(run)) {
+            return true;
+        }
+        var runStep = dataSource._runStep;
+        return dataSource._itemRuns[itemId] === run && (!defined(runStep) || run.itemIds[runStep] === itemId);
+    }
+
+    //Every entity of an item, whatever its format, is a descendant of an entity that is not in the
+    //collection, so showing or hiding that parent shows or hides the item without touching the show
+    //flags of the entities themselves.
+    function updateItemShow(dataSource) {
+        var itemParents = dataSource._itemParents;
+        for (var itemId in itemParents) {
+            if (itemParents.hasOwnProperty(itemId)) {
+                itemParents[itemId].show = isItemShown(dataSource, itemId);
+            }
+        }
+    }
+
+    //Converts the payload of a feed item, by the format the server detected,
+    //into an EntityCollection or a promise to one.
+    var itemLoaders = {
+        geojson : loadGeoJsonItem,
+        czml : loadCzmlItem,
+        lucene : loadLuceneItem
+    };
+
+    /**
+     * A {@link DataSource} which follows a channel of a Lucene GeoView feed server, the
+     * <code>/real_time_feed</code> endpoints of <code>server.js</code>.  Every feed item is
+     * converted to entities and merged into a single {@link EntityCollection}: entities are
+     * keyed by their feature id, an item posted again with the same item id replaces the
+     * entities of the earlier one, and deleted or cleared items are removed.
+     * <p>
+     * Besides GeoJSON and CZML, an item can carry the shape of a Lucene geo query, which is shown
+     * together with the documents the query matched and missed:
+     * <ul>
+     * <li><code>{ type : 'bbox', minLat, maxLat, minLon, maxLon }</code> as a rectangle, which crosses the antimeridian if minLon &gt; maxLon,</li>
+     * <li><code>{ type : 'distance', center : { lat, lon }, radiusMeters }</code> as a circle of Lucene's haversine radius,</li>
+     * <li><code>{ type : 'polygon', polyLats, polyLons, holes }</code> as a polygon,</li>
+     * <li><code>{ type : 'points' }</code> for the documents alone, and</li>
+     * <li><code>{ type : 'cells', cells }</code> for the index cells an intersect visitor compared with a query, each
+     * <code>{ minLat, maxLat, minLon, maxLon, relation, depth }</code> where relation is <code>'CELL_INSIDE_QUERY'</code>,
+     * <code>'CELL_CROSSES_QUERY'</code> or <code>'CELL_OUTSIDE_QUERY'</code>, as color-coded rectangles.</li>
+     * </ul>
+     * Each may have a <code>name</code> and <code>hits</code> and <code>misses</code> arrays of
+     * <code>{ lat, lon }</code> documents.  To diff the results of a query, post the documents it was
+     * <code>expected</code> to match and the documents it <code>actual</code>ly matched instead, identified by
+     * an optional <code>id</code> or else by location: every document is then shown as a true positive,
+     * false positive or false negative, and the InfoBox counts and lists the documents of each class.
+     * </p>
+     * <p>
+     * Items the server tagged with the <code>test</code> name and <code>seed</code> of the randomized test that
+     * produced them are grouped into {@link LuceneFeedDataSource#runs}, which can be shown one at a time and stepped
+     * through query by query.
+     * </p>
+     * <p>
+     * Items are received over Server-Sent Events when the browser supports them and by long
+     * polling otherwise.  Whenever the connection fails the data source raises its
+     * <code>errorEvent</code> and reconnects with an exponential backoff, resuming after the
+     * last item it received.
+     * </p>
+     * <p>
+     * Setting {@link LuceneFeedDataSource#viewRectangle}, for example to the rectangle the camera views, asks the
+     * server for only the items intersecting it.  Items already received outside of it are kept until the server
+     * sends an update of them, which it sends as a delete.
+     * </p>
+     *
+     * @alias LuceneFeedDataSource
+     * @constructor
+     *
+     * @param {String} url The url of the feed, for example <code>'/real_time_feed'</code>.
+     * @param {Object} [options] An object with the following properties:
+     * @param {String} [options.channel] The feed channel to follow.  The server's default channel is used if undefined.
+     * @param {String} [options.name] A human-readable name for this instance.  Defaults to the channel name or the url.
+     * @param {Number} [options.since=0] Only items with a greater sequence number are loaded.
+     * @param {Rectangle} [options.viewRectangle] Only items intersecting this rectangle are loaded, see {@link LuceneFeedDataSource#viewRectangle}.
+     * @param {String} [options.accessToken] The access key to read the channel with, when the server requires one.
+     * @param {Boolean} [options.useEventSource] Whether to use Server-Sent Events.  Defaults to true if the browser supports <code>EventSource</code>.
+     * @param {Number} [options.initialRetryDelay=1000] The delay, in milliseconds, before the first attempt to reconnect.
+     * @param {Number} [options.maximumRetryDelay=30000] The maximum delay, in milliseconds, between attempts to reconnect.
+     * @param {Number} [options.markerSize=GeoJsonDataSource.markerSize] The default size of the map pin created for each point, in pixels.
+     * @param {String} [options.markerSymbol=GeoJsonDataSource.markerSymbol] The default symbol of the map pin created for each point.
+     * @param {Color} [options.markerColor=GeoJsonDataSource.markerColor] The default color of the map pin created for each point.
+     * @param {Color} [options.stroke=GeoJsonDataSource.stroke] The default color of polylines and polygon outlines.
+     * @param {Number} [options.strokeWidth=GeoJsonDataSource.strokeWidth] The default width of polylines and polygon outlines.
+     * @param {Color} [options.fill=GeoJsonDataSource.fill] The default color for polygon interiors.
+     * @param {Boolean} [options.clampToGround=false] true if query shapes, documents, and GeoJSON points, lines and polygons are draped over the terrain.
+     * @param {Color} [options.queryFill=Color.YELLOW.withAlpha(0.25)] The interior color of Lucene query shapes.
+     * @param {Color} [options.queryOutline=Color.YELLOW] The outline color of Lucene query shapes.
+     * @param {Number} [options.queryOutlineWidth=2.0] The width of the outline of Lucene bounding boxes, in pixels.
+     * @param {Color} [options.hitColor=Color.LIME] The color of the documents a Lucene query matched.
+     * @param {Color} [options.missColor=Color.RED] The color of the documents a Lucene query did not match.
+     * @param {Number} [options.pointSize=8] The size of matched and unmatched documents, in pixels.
+     * @param {Color} [options.truePositiveColor=Color.LIME] The color of documents a query matched and was expected to match.
+     * @param {Color} [options.falsePositiveColor=Color.ORANGE] The color of documents a query matched but was not expected to match.
+     * @param {Color} [options.falseNegativeColor=Color.MAGENTA] The color of documents a query was expected to match but did not match.
+     * @param {Color} [options.insideColor=Color.LIME.withAlpha(0.3)] The color of index cells inside the query.
+     * @param {Color} [options.crossesColor=Color.YELLOW.withAlpha(0.3)] The color of index cells crossing the query.
+     * @param {Color} [options.outsideColor=Color.RED.withAlpha(0.3)] The color of index cells outside the query.
+     * @param {Number} [options.traversalDepth] The deepest index cells to show, see {@link LuceneFeedDataSource#traversalDepth}.
+     *
+     * @see GeoJsonDataSource
+     * @see CzmlDataSource
+     *
+     * @example
+     * var viewer = new Cesium.Viewer('cesiumContainer');
+     * viewer.dataSources.add(new Cesium.LuceneFeedDataSource('/real_time_feed', {
+     *   channel : 'geo-poly-tests',
+     *   stroke : Cesium.Color.HOTPINK,
+     *   fill : Cesium.Color.PINK.withAlpha(0.5),
+     *   strokeWidth : 3
+     * }));
+     */
+    var LuceneFeedDataSource = function(url, options) {
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(url)) {
+            throw new DeveloperError('url is required.');
+        }
+        //>>includeEnd('debug');
+
+        options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+        this._url = url;
+        this._channel = options.channel;
+        this._accessToken = options.accessToken;
+        this._name = defaultValue(options.name, defaultValue(options.channel, url));
+        this._changed = new Event();
+        this._error = new Event();
+        this._isLoading = false;
+        this._loading = new Event();
+        this._entityCollection = new EntityCollection();
+        this._clustering = new EntityCluster();
+
+        var clampToGround = defaultValue(options.clampToGround, false);
+        this._geoJsonOptions = {
+            markerSize : options.markerSize,
+            markerSymbol : options.markerSymbol,
+            markerColor : options.markerColor,
+            stroke : options.stroke,
+            strokeWidth : options.strokeWidth,
+            fill : options.fill,
+            clampToGround : clampToGround
+        };
+
+        this._luceneStyle = {
+            queryFill : defaultValue(options.queryFill, defaultQueryFill),
+            queryOutline : defaultValue(options.queryOutline, defaultQueryOutline),
+            hitColor : defaultValue(options.hitColor, defaultHitColor),
+            missColor : defaultValue(options.missColor, defaultMissColor),
+            outlineWidth : defaultValue(options.queryOutlineWidth, 2.0),
+            pointSize : defaultValue(options.pointSize, 8),
+            clampToGround : clampToGround,
+            heightReference : clampToGround ? HeightReference.CLAMP_TO_GROUND : HeightReference.NONE,
+            resultColors : {
+                truePositive : defaultValue(options.truePositiveColor, defaultTruePositiveColor),
+                falsePositive : defaultValue(options.falsePositiveColor, defaultFalsePositiveColor),
+                falseNegative : defaultValue(options.falseNegativeColor, defaultFalseNegativeColor)
+            },
+            cellColors : {
+                CELL_INSIDE_QUERY : defaultValue(options.insideColor, defaultInsideColor),
+                CELL_CROSSES_QUERY : defaultValue(options.crossesColor, defaultCrossesColor),
+                CELL_OUTSIDE_QUERY : defaultValue(options.outsideColor, defaultOutsideColor)
+            }
+        };
+        this._traversalDepth = options.traversalDepth;
+        this._resultClassShown = {
+            truePositive : true,
+            falsePositive : true,
+            falseNegative : true
+        };
+
+        this._useEventSource = defaultValue(options.useEventSource, typeof window.EventSource !== 'undefined');
+        this._initialRetryDelay = defaultValue(options.initialRetryDelay, 1000);
+        this._maximumRetryDelay = defaultValue(options.maximumRetryDelay, 30000);
+        this._retryDelay = this._initialRetryDelay;
+        this._retryTimeout = undefined;
+        this._eventSource = undefined;
+        this._connected = false;
+        //Incremented whenever the data source disconnects, so that responses to earlier requests are ignored.
+        this._connectionId = 0;
+        this._viewRectangle = defined(options.viewRectangle) ? Rectangle.clone(options.viewRectangle) : undefined;
+
+        this._since = defaultValue(options.since, 0);
+        this._lastSequence = this._since;
+        //The epoch of the sequence numbers received, which the server changes when it numbers its items again.
+        this._epoch = undefined;
+        //Items are applied one at a time, in sequence order, even though loading them is asynchronous.
+        this._pending = when.resolve();
+        this._pendingCount = 0;
+        //The ids of the entities created for each item id, and the item id that owns each entity.
+        this._itemEntityIds = {};
+        this._entityItemIds = {};
+        //The hidden parent of the entities of each item id, and the test run of each tagged item id.
+        this._itemParents = {};
+        this._itemRuns = {};
+        this._runs = [];
+        this._selectedRun = undefined;
+        this._runStep = undefined;
+
+        connect(this);
+    };
+
+    function createResultClassFilter(resultClass) {
+        return {
+            get : function() {
+                return this._resultClassShown[resultClass];
+            },
+            set : function(value) {
+                this._resultClassShown[resultClass] = value;
+                updateShow(this);
+            }
+        };
+    }
+
+    defineProperties(LuceneFeedDataSource.prototype, {
+        /**
+         * Gets a human-readable name for this instance.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {String}
+         */
+        name : {
+            get : function() {
+                return this._name;
+            }
+        },
+        /**
+         * This DataSource does not define a clock, therefore this property is always undefined.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {DataSourceClock}
+         */
+        clock : {
+            value : undefined,
+            writable : false
+        },
+        /**
+         * Gets the collection of {@link Entity} instances.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {EntityCollection}
+         */
+        entities : {
+            get : function() {
+                return this._entityCollection;
+            }
+        },
+        /**
+         * Gets the clustering of the billboards, points and labels of this data source.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {EntityCluster}
+         */
+        clustering : {
+            get : function() {
+                return this._clustering;
+            }
+        },
+        /**
+         * Gets a value indicating if the data source is currently loading data.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {Boolean}
+         */
+        isLoading : {
+            get : function() {
+                return this._isLoading;
+            }
+        },
+        /**
+         * Gets an event that will be raised when the underlying data changes.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {Event}
+         */
+        changedEvent : {
+            get : function() {
+                return this._changed;
+            }
+        },
+        /**
+         * Gets an event that will be raised if an error is encountered during processing,
+         * including every failure to connect to the feed.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {Event}
+         */
+        errorEvent : {
+            get : function() {
+                return this._error;
+            }
+        },
+        /**
+         * Gets an event that will be raised when the data source either starts or stops loading.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {Event}
+         */
+        loadingEvent : {
+            get : function() {
+                return this._loading;
+            }
+        },
+        /**
+         * Gets the url of the feed.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {String}
+         */
+        url : {
+            get : function() {
+                return this._url;
+            }
+        },
+        /**
+         * Gets the feed channel this instance follows, or undefined for the default channel.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {String}
+         */
+        channel : {
+            get : function() {
+                return this._channel;
+            }
+        },
+        /**
+         * Gets the sequence number of the last item received from the feed.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {Number}
+         */
+        lastSequence : {
+            get : function() {
+                return this._lastSequence;
+            }
+        },
+        /**
+         * Gets or sets the rectangle, in radians, that items have to intersect to be loaded, or undefined to load
+         * every item.  The rectangle crosses the antimeridian when <code>west</code> is greater than <code>east</code>,
+         * the same as the rectangles returned by {@link Camera#computeViewRectangle}.  Setting it reconnects to the
+         * feed and loads the items intersecting the new rectangle from the start.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {Rectangle}
+         *
+         * @example
+         * viewer.camera.moveEnd.addEventListener(function() {
+         *     dataSource.viewRectangle = viewer.camera.computeViewRectangle(viewer.scene.globe.ellipsoid);
+         * });
+         */
+        viewRectangle : {
+            get : function() {
+                return this._viewRectangle;
+            },
+            set : function(value) {
+                if (Rectangle.equals(this._viewRectangle, value)) {
+                    return;
+                }
+                this._viewRectangle = defined(value) ? Rectangle.clone(value) : undefined;
+                disconnect(this);
+                this._lastSequence = this._since;
+                this._retryDelay = this._initialRetryDelay;
+                connect(this);
+            }
+        },
+        /**
+         * Gets a value indicating if the data source is currently connected to the feed.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {Boolean}
+         */
+        isConnected : {
+            get : function() {
+                return this._connected;
+            }
+        },
+        /**
+         * Gets or sets the deepest index cells of a cell traversal to show, so the traversal can be revealed
+         * level by level.  Cells at a greater depth are hidden.  If undefined, all cells are shown.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {Number}
+         */
+        traversalDepth : {
+            get : function() {
+                return this._traversalDepth;
+            },
+            set : function(value) {
+                this._traversalDepth = value;
+                updateShow(this);
+            }
+        },
+        /**
+         * Gets or sets whether documents a query matched and was expected to match are shown.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {Boolean}
+         * @default true
+         */
+        showTruePositives : createResultClassFilter('truePositive'),
+        /**
+         * Gets or sets whether documents a query matched but was not expected to match are shown.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {Boolean}
+         * @default true
+         */
+        showFalsePositives : createResultClassFilter('falsePositive'),
+        /**
+         * Gets or sets whether documents a query was expected to match but did not match are shown.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {Boolean}
+         * @default true
+         */
+        showFalseNegatives : createResultClassFilter('falseNegative'),
+        /**
+         * Gets the test runs the received items were tagged with, in the order they were first received.  Each run is an
+         * object with the <code>test</code> name and <code>seed</code> of the run, the <code>reproduceLine</code> that
+         * reruns it, and the <code>itemIds</code> of its items in the order they were received.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {Object[]}
+         */
+        runs : {
+            get : function() {
+                return this._runs;
+            }
+        },
+        /**
+         * Gets or sets the test run, one of {@link LuceneFeedDataSource#runs}, whose items are shown.  The items of other
+         * runs and untagged items are hidden.  If undefined, all items are shown.  Setting it shows every item of the run.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {Object}
+         */
+        selectedRun : {
+            get : function() {
+                return this._selectedRun;
+            },
+            set : function(value) {
+                this._selectedRun = value;
+                this._runStep = undefined;
+                updateItemShow(this);
+            }
+        },
+        /**
+         * Gets or sets the index, within the <code>itemIds</code> of the selected run, of its only item to show, so a
+         * run can be stepped through one query at a time.  If undefined, every item of the selected run is shown.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {Number}
+         */
+        runStep : {
+            get : function() {
+                return this._runStep;
+            },
+            set : function(value) {
+                this._runStep = value;
+                updateItemShow(this);
+            }
+        },
+        /**
+         * Gets the depth of the deepest index cell of the cell traversals received, or undefined if there are none.
+         * @memberof LuceneFeedDataSource.prototype
+         * @type {Number}
+         */
+        maximumTraversalDepth : {
+            get : function() {
+                var maximum;
+                var entities = this._entityCollection.values;
+                for (var i = 0; i < entities.length; i++) {
+                    var depth = entities[i].traversalDepth;
+                    if (defined(depth) && (!defined(maximum) || depth > maximum)) {
+                        maximum = depth;
+                    }
+                }
+                return maximum;
+            }
+        }
+    });
+
+    function buildUrl(dataSource, path) {
+        var query = {
+            since : dataSource._lastSequence
+        };
+        if (defined(dataSource._channel)) {
+            query.channel = dataSource._channel;
+        }
+        //The server sends every item again to a client whose epoch is not its own.
+        if (defined(dataSource._epoch)) {
+            query.epoch = dataSource._epoch;
+        }
+        //EventSource cannot set an Authorization header, so the key is always sent in the query.
+        if (defined(dataSource._accessToken)) {
+            query.access_token = dataSource._accessToken;
+        }
+        var rectangle = dataSource._viewRectangle;
+        if (defined(rectangle)) {
+            query.bbox = [rectangle.west, rectangle.south, rectangle.east, rectangle.north].map(CesiumMath.toDegrees).join(',');
+        }
+        var url = dataSource._url + path;
+        return url + (url.indexOf('?') === -1 ? '?' : '&') + objectToQuery(query);
+    }
+
+    function connect(dataSource) {
+        if (dataSource._useEventSource) {
+            stream(dataSource);
+        } else {
+            poll(dataSource);
+        }
+    }
+
+    function connectionSucceeded(dataSource) {
+        dataSource._connected = true;
+        dataSource._retryDelay = dataSource._initialRetryDelay;
+    }
+
+    function connectionFailed(dataSource, error) {
+        dataSource._connected = false;
+        dataSource._error.raiseEvent(dataSource, error);
+
+        var delay = dataSource._retryDelay;
+        dataSource._retryDelay = Math.min(delay * 2, dataSource._maximumRetryDelay);
+        dataSource._retryTimeout = setTimeout(function() {
+            dataSource._retryTimeout = undefined;
+            connect(dataSource);
+        }, delay);
+    }
+
+    function poll(dataSource) {
+        var connectionId = dataSource._connectionId;
+        loadJson(buildUrl(dataSource, '')).then(function(items) {
+            if (dataSource.isDestroyed() || dataSource._connectionId !== connectionId) {
+                return;
+            }
+            connectionSucceeded(dataSource);
+            receiveItems(dataSource, items);
+            poll(dataSource);
+        }).otherwise(function(error) {
+            if (!dataSource.isDestroyed() && dataSource._connectionId === connectionId) {
+                connectionFailed(dataSource, error);
+            }
+        });
+    }
+
+    function stream(dataSource) {
+        var eventSource = new window.EventSource(buildUrl(dataSource, '/stream'));
+        dataSource._eventSource = eventSource;
+
+        eventSource.onopen = function() {
+            connectionSucceeded(dataSource);
+        };
+        eventSource.onmessage = function(event) {
+            receiveItems(dataSource, [JSON.parse(event.data)]);
+        };
+        //EventSource reconnects on its own, but without a backoff, so reconnect explicitly instead.
+        eventSource.onerror = function(error) {
+            eventSource.close();
+            dataSource._eventSource = undefined;
+            connectionFailed(dataSource, error);
+        };
+    }
+
+    function disconnect(dataSource) {
+        if (defined(dataSource._eventSource)) {
+            dataSource._eventSource.close();
+            dataSource._eventSource = undefined;
+        }
+        if (defined(dataSource._retryTimeout)) {
+            clearTimeout(dataSource._retryTimeout);
+            dataSource._retryTimeout = undefined;
+        }
+        dataSource._connected = false;
+        dataSource._connectionId++;
+    }
+
+    function receiveItems(dataSource, items) {
+        var length = items.length;
+        for (var i = 0; i < length; i++) {
+            var item = items[i];
+            //A server which restarted without its log numbers its items from 1 again, so the items received
+            //before are gone and every item is received again from the start.
+            if (defined(item.epoch) && item.epoch !== dataSource._epoch) {
+                if (defined(dataSource._epoch)) {
+                    dataSource._lastSequence = 0;
+                    enqueueItem(dataSource, {
+                        action : 'clear'
+                    });
+                }
+                dataSource._epoch = item.epoch;
+            }
+            //A reconnect can deliver items that were already received.
+            if (item.sequence <= dataSource._lastSequence) {
+                continue;
+            }
+            dataSource._lastSequence = item.sequence;
+            enqueueItem(dataSource, item);
+        }
+    }
+
+    function enqueueItem(dataSource, item) {
+        if (dataSource._pendingCount++ === 0) {
+            DataSource.setLoading(dataSource, true);
+        }
+        dataSource._pending = dataSource._pending.then(function() {
+            if (!dataSource.isDestroyed()) {
+                return applyItem(dataSource, item);
+            }
+        }).otherwise(function(error) {
+            if (!dataSource.isDestroyed()) {
+                dataSource._error.raiseEvent(dataSource, error);
+            }
+        }).always(function() {
+            if (--dataSource._pendingCount === 0 && !dataSource.isDestroyed()) {
+                DataSource.setLoading(dataSource, false);
+            }
+        });
+    }
+
+    function removeItemEntities(dataSource, itemId) {
+        delete dataSource._itemParents[itemId];
+
+        var entityIds = dataSource._itemEntityIds[itemId];
+        if (!defined(entityIds)) {
+            return;
+        }
+        var entities = dataSource._entityCollection;
+        var entityItemIds = dataSource._entityItemIds;
+        var length = entityIds.length;
+        for (var i = 0; i < length; i++) {
+            var entityId = entityIds[i];
+            //A later item may have taken over the entity by reusing its feature id.
+            if (entityItemIds[entityId] === itemId) {
+                entities.removeById(entityId);
+                delete entityItemIds[entityId];
+            }
+        }
+        delete dataSource._itemEntityIds[itemId];
+    }
+
+    function applyItem(dataSource, item) {
+        var entities = dataSource._entityCollection;
+        var action = item.action;
+
+        if (action === 'clear') {
+            entities.removeAll();
+            dataSource._itemEntityIds = {};
+            dataSource._entityItemIds = {};
+            dataSource._itemParents = {};
+            dataSource._itemRuns = {};
+            dataSource._runs.length = 0;
+            dataSource._selectedRun = undefined;
+            dataSource._runStep = undefined;
+            dataSource._changed.raiseEvent(dataSource);
+            return;
+        }
+
+        if (action === 'delete') {
+            entities.suspendEvents();
+            removeItemEntities(dataSource, item.id);
+            removeItemFromRun(dataSource, item.id);
+            entities.resumeEvents();
+            dataSource._changed.raiseEvent(dataSource);
+            return;
+        }
+
+        var loader = itemLoaders[item.format];
+        if (!defined(loader)) {
+            throw new RuntimeError('Unsupported feed item format: ' + item.format);
+        }
+
+        return when(loader(dataSource, item), function(itemEntities) {
+            if (dataSource.isDestroyed()) {
+                return;
+            }
+
+            var loaded = itemEntities.values.slice();
+            itemEntities.removeAll();
+
+            entities.suspendEvents();
+            removeItemEntities(dataSource, item.id);
+            setItemRun(dataSource, item);
+
+            var itemParent = new Entity();
+            itemParent.show = isItemShown(dataSource, item.id);
+            dataSource._itemParents[item.id] = itemParent;
+
+            var entityItemIds = dataSource._entityItemIds;
+            var entityIds = new Array(loaded.length);
+            for (var i = 0; i < loaded.length; i++) {
+                var entity = loaded[i];
+                var id = entity.id;
+                if (!defined(entity.parent)) {
+                    entity.parent = itemParent;
+                }
+                entities.removeById(id);
+                entities.add(entity);
+                entityItemIds[id] = item.id;
+                entityIds[i] = id;
+            }
+            dataSource._itemEntityIds[item.id] = entityIds;
+
+            entities.resumeEvents();
+            dataSource._changed.raiseEvent(dataSource);
+        });
+    }
+
+    /**
+     * Returns true if this object was destroyed; otherwise, false.
+     * <br /><br />
+     * If this object was destroyed, it should not be used; calling any function other than
+     * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.
+     *
+     * @returns {Boolean} True if this object was destroyed; otherwise, false.
+     *
+     * @see LuceneFeedDataSource#destroy
+     */
+    LuceneFeedDataSource.prototype.isDestroyed = function() {
+        return false;
+    };
+
+    /**
+     * Disconnects from the feed and stops reconnecting.  This is done automatically when
+     * the data source is removed from a {@link DataSourceCollection} with <code>destroy</code> set to true.
+     * <br /><br />
+     * Once an object is destroyed, it should not be used; calling any function other than
+     * <code>isDestroyed</code> will result in a {@link DeveloperError} exception.  Therefore,
+     * assign the return value (<code>undefined</code>) to the object as done in the example.
+     *
+     * @returns {undefined}
+     *
+     * @exception {DeveloperError} This object was destroyed, i.e., destroy() was called.
+     *
+     * @see LuceneFeedDataSource#isDestroyed
+     *
+     * @example
+     * dataSource = dataSource.destroy();
+     */
+    LuceneFeedDataSource.prototype.destroy = function() {
+        disconnect(this);
+        return destroyObject(this);
+    };
+
+    return LuceneFeedDataSource;
+});
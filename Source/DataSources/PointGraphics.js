@@ -29,6 +29,7 @@ define([
      * @param {Property} [options.show=true] A boolean Property specifying the visibility of the point.
      * @param {Property} [options.scaleByDistance] A {@link NearFarScalar} Property used to scale the point based on distance.
      * @param {Property} [options.translucencyByDistance] A {@link NearFarScalar} Property used to set translucency based on distance from the camera.
+     * @param {Property} [options.heightReference=HeightReference.NONE] A Property specifying what the height is relative to.
      */
     var PointGraphics = function(options) {
         this._color = undefined;
@@ -45,6 +46,8 @@ define([
         this._scaleByDistanceSubscription = undefined;
         this._translucencyByDistance = undefined;
         this._translucencyByDistanceSubscription = undefined;
+        this._heightReference = undefined;
+        this._heightReferenceSubscription = undefined;
         this._definitionChanged = new Event();
 
         this.merge(defaultValue(options, defaultValue.EMPTY_OBJECT));
@@ -121,7 +124,16 @@ define([
          * @memberof PointGraphics.prototype
          * @type {Property}
          */
-        translucencyByDistance : createPropertyDescriptor('translucencyByDistance')
+        translucencyByDistance : createPropertyDescriptor('translucencyByDistance'),
+
+        /**
+         * Gets or sets the Property specifying what the height of the point is relative to, such as
+         * {@link HeightReference.CLAMP_TO_GROUND} to place it on the terrain.
+         * @memberof PointGraphics.prototype
+         * @type {Property}
+         * @default HeightReference.NONE
+         */
+        heightReference : createPropertyDescriptor('heightReference')
     });
 
     /**
@@ -141,6 +153,7 @@ define([
         result.show = this.show;
         result.scaleByDistance = this.scaleByDistance;
         result.translucencyByDistance = this._translucencyByDistance;
+        result.heightReference = this._heightReference;
         return result;
     };
 
@@ -164,6 +177,7 @@ define([
         this.show = defaultValue(this.show, source.show);
         this.scaleByDistance = defaultValue(this.scaleByDistance, source.scaleByDistance);
         this.translucencyByDistance = defaultValue(this._translucencyByDistance, source.translucencyByDistance);
+        this.heightReference = defaultValue(this._heightReference, source.heightReference);
     };
 
     return PointGraphics;
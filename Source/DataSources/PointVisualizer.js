@@ -7,6 +7,8 @@ define([
         '../Core/destroyObject',
         '../Core/DeveloperError',
         '../Core/NearFarScalar',
+        '../Scene/BillboardCollection',
+        '../Scene/HeightReference',
         '../Scene/PointPrimitiveCollection',
         './BoundingSphereState',
         './Property'
@@ -18,6 +20,8 @@ define([
         destroyObject,
         DeveloperError,
         NearFarScalar,
+        BillboardCollection,
+        HeightReference,
         PointPrimitiveCollection,
         BoundingSphereState,
         Property) {
@@ -27,6 +31,7 @@ define([
     var defaultOutlineColor = Color.BLACK;
     var defaultOutlineWidth = 0.0;
     var defaultPixelSize = 1.0;
+    var defaultHeightReference = HeightReference.NONE;
 
     var color = new Color();
     var position = new Cartesian3();
@@ -37,6 +42,7 @@ define([
     var EntityData = function(entity) {
         this.entity = entity;
         this.pointPrimitive = undefined;
+        this.billboard = undefined;
         this.color = undefined;
         this.outlineColor = undefined;
         this.pixelSize = undefined;
@@ -44,14 +50,16 @@ define([
     };
 
     /**
-     * A {@link Visualizer} which maps {@link Entity#point} to a {@link PointPrimitive}.
+     * A {@link Visualizer} which maps {@link Entity#point} to a {@link PointPrimitive}, or to a {@link Billboard}
+     * showing the point when its height is relative to the ground.
      * @alias PointVisualizer
      * @constructor
      *
      * @param {Scene} scene The scene the primitives will be rendered in.
      * @param {EntityCollection} entityCollection The entityCollection to visualize.
+     * @param {EntityCluster} [cluster] The clustering which decides whether a point is merged into a cluster.
      */
-    var PointVisualizer = function(scene, entityCollection) {
+    var PointVisualizer = function(scene, entityCollection, cluster) {
         //>>includeStart('debug', pragmas.debug);
         if (!defined(scene)) {
             throw new DeveloperError('scene is required.');
@@ -65,8 +73,11 @@ define([
 
         this._scene = scene;
         this._unusedIndexes = [];
+        this._unusedBillboardIndexes = [];
         this._entityCollection = entityCollection;
+        this._cluster = cluster;
         this._pointPrimitiveCollection = undefined;
+        this._billboardCollection = undefined;
         this._items = new AssociativeArray();
         this._onCollectionChanged(entityCollection, entityCollection.values, [], []);
     };
@@ -85,6 +96,7 @@ define([
         }
         //>>includeEnd('debug');
 
+        var cluster = this._cluster;
         var items = this._items.values;
         var unusedIndexes = this._unusedIndexes;
         for (var i = 0, len = items.length; i < len; i++) {
@@ -98,10 +110,22 @@ define([
                 show = defined(position);
             }
             if (!show) {
-                returnPointPrimitive(item, unusedIndexes);
+                returnPointPrimitive(item, this);
                 continue;
             }
 
+            var heightReference = Property.getValueOrDefault(pointGraphics._heightReference, time, defaultHeightReference);
+            if (heightReference !== HeightReference.NONE) {
+                if (defined(pointPrimitive)) {
+                    returnPointPrimitive(item, this);
+                }
+                updateBillboard(this, item, time, heightReference);
+                continue;
+            }
+            if (defined(item.billboard)) {
+                returnPointPrimitive(item, this);
+            }
+
             if (!defined(pointPrimitive)) {
                 var pointPrimitiveCollection = this._pointPrimitiveCollection;
                 if (!defined(pointPrimitiveCollection)) {
@@ -121,7 +145,7 @@ define([
                 item.pointPrimitive = pointPrimitive;
             }
 
-            pointPrimitive.show = true;
+            pointPrimitive.show = !defined(cluster) || cluster._collectPoint(entity, pointPrimitive);
             pointPrimitive.position = position;
             pointPrimitive.scaleByDistance = Property.getValueOrUndefined(pointGraphics._scaleByDistance, time, scaleByDistance);
             pointPrimitive.translucencyByDistance = Property.getValueOrUndefined(pointGraphics._translucencyByDistance, time, translucencyByDistance);
@@ -155,11 +179,18 @@ define([
         //>>includeEnd('debug');
 
         var item = this._items.get(entity.id);
-        if (!defined(item) || !defined(item.pointPrimitive)) {
+        if (!defined(item)) {
             return BoundingSphereState.FAILED;
         }
 
-        result.center = Cartesian3.clone(item.pointPrimitive.position, result.center);
+        if (defined(item.billboard)) {
+            var clampedPosition = item.billboard._clampedPosition;
+            result.center = Cartesian3.clone(defined(clampedPosition) ? clampedPosition : item.billboard.position, result.center);
+        } else if (defined(item.pointPrimitive)) {
+            result.center = Cartesian3.clone(item.pointPrimitive.position, result.center);
+        } else {
+            return BoundingSphereState.FAILED;
+        }
         result.radius = 0;
         return BoundingSphereState.DONE;
     };
@@ -181,13 +212,15 @@ define([
         if (defined(this._pointPrimitiveCollection)) {
             this._scene.primitives.remove(this._pointPrimitiveCollection);
         }
+        if (defined(this._billboardCollection)) {
+            this._scene.primitives.remove(this._billboardCollection);
+        }
         return destroyObject(this);
     };
 
     PointVisualizer.prototype._onCollectionChanged = function(entityCollection, added, removed, changed) {
         var i;
         var entity;
-        var unusedIndexes = this._unusedIndexes;
         var items = this._items;
 
         for (i = added.length - 1; i > -1; i--) {
@@ -204,25 +237,107 @@ define([
                     items.set(entity.id, new EntityData(entity));
                 }
             } else {
-                returnPointPrimitive(items.get(entity.id), unusedIndexes);
+                returnPointPrimitive(items.get(entity.id), this);
                 items.remove(entity.id);
             }
         }
 
         for (i = removed.length - 1; i > -1; i--) {
             entity = removed[i];
-            returnPointPrimitive(items.get(entity.id), unusedIndexes);
+            returnPointPrimitive(items.get(entity.id), this);
             items.remove(entity.id);
         }
     };
 
-    function returnPointPrimitive(item, unusedIndexes) {
+    function fillCircle(context2D, center, radius, cssColor) {
+        context2D.beginPath();
+        context2D.arc(center, center, radius, 0, 2 * Math.PI, true);
+        context2D.fillStyle = cssColor;
+        context2D.fill();
+    }
+
+    function createPointImage(cssColor, cssOutlineColor, outlineWidth, pixelSize) {
+        return function() {
+            var length = pixelSize + 2 * outlineWidth;
+            var center = length / 2;
+            var canvas = document.createElement('canvas');
+            canvas.width = canvas.height = length;
+
+            var context2D = canvas.getContext('2d');
+            if (outlineWidth > 0) {
+                fillCircle(context2D, center, center, cssOutlineColor);
+                //like a PointPrimitive, a translucent point does not show the outline through it
+                context2D.globalCompositeOperation = 'destination-out';
+                fillCircle(context2D, center, pixelSize / 2, 'black');
+                context2D.globalCompositeOperation = 'source-over';
+            }
+            fillCircle(context2D, center, pixelSize / 2, cssColor);
+            return canvas;
+        };
+    }
+
+    //PointPrimitives cannot follow the terrain, so a point relative to the ground is drawn as a billboard
+    //of the same size and colors, in a collection that knows the scene.
+    function updateBillboard(visualizer, item, time, heightReference) {
+        var pointGraphics = item.entity._point;
+        var billboard = item.billboard;
+        if (!defined(billboard)) {
+            var billboardCollection = visualizer._billboardCollection;
+            if (!defined(billboardCollection)) {
+                billboardCollection = new BillboardCollection({
+                    scene : visualizer._scene
+                });
+                visualizer._billboardCollection = billboardCollection;
+                visualizer._scene.primitives.add(billboardCollection);
+            }
+
+            var unusedIndexes = visualizer._unusedBillboardIndexes;
+            billboard = unusedIndexes.length > 0 ? billboardCollection.get(unusedIndexes.pop()) : billboardCollection.add();
+            billboard.id = item.entity;
+            item.billboard = billboard;
+            item.color = undefined;
+        }
+
+        var pointColor = Property.getValueOrDefault(pointGraphics._color, time, defaultColor, color);
+        var pointOutlineColor = Property.getValueOrDefault(pointGraphics._outlineColor, time, defaultOutlineColor, outlineColor);
+        var outlineWidth = Math.round(Property.getValueOrDefault(pointGraphics._outlineWidth, time, defaultOutlineWidth));
+        var pixelSize = Math.max(1, Math.round(Property.getValueOrDefault(pointGraphics._pixelSize, time, defaultPixelSize)));
+
+        var cssColor = pointColor.toCssColorString();
+        var cssOutlineColor = pointOutlineColor.toCssColorString();
+        if (item.color !== cssColor || item.outlineColor !== cssOutlineColor || item.outlineWidth !== outlineWidth || item.pixelSize !== pixelSize) {
+            item.color = cssColor;
+            item.outlineColor = cssOutlineColor;
+            item.outlineWidth = outlineWidth;
+            item.pixelSize = pixelSize;
+            billboard.setImage(JSON.stringify([cssColor, cssOutlineColor, outlineWidth, pixelSize]),
+                               createPointImage(cssColor, cssOutlineColor, outlineWidth, pixelSize));
+        }
+
+        var cluster = visualizer._cluster;
+        billboard.show = !defined(cluster) || cluster._collectPoint(item.entity, billboard);
+        billboard.position = position;
+        billboard.heightReference = heightReference;
+        billboard.scaleByDistance = Property.getValueOrUndefined(pointGraphics._scaleByDistance, time, scaleByDistance);
+        billboard.translucencyByDistance = Property.getValueOrUndefined(pointGraphics._translucencyByDistance, time, translucencyByDistance);
+    }
+
+    function returnPointPrimitive(item, visualizer) {
         if (defined(item)) {
             var pointPrimitive = item.pointPrimitive;
             if (defined(pointPrimitive)) {
                 item.pointPrimitive = undefined;
                 pointPrimitive.show = false;
-                unusedIndexes.push(pointPrimitive._index);
+                visualizer._unusedIndexes.push(pointPrimitive._index);
+            }
+            var billboard = item.billboard;
+            if (defined(billboard)) {
+                item.billboard = undefined;
+                item.color = undefined;
+                billboard.show = false;
+                //stop following the terrain height
+                billboard.heightReference = HeightReference.NONE;
+                visualizer._unusedBillboardIndexes.push(billboard._index);
             }
         }
     }
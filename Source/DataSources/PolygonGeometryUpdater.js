@@ -11,10 +11,13 @@ define([
         '../Core/GeometryInstance',
         '../Core/isArray',
         '../Core/Iso8601',
+        '../Core/oneTimeWarning',
         '../Core/PolygonGeometry',
         '../Core/PolygonHierarchy',
         '../Core/PolygonOutlineGeometry',
         '../Core/ShowGeometryInstanceAttribute',
+        '../Scene/GroundPrimitive',
+        '../Scene/HeightReference',
         '../Scene/MaterialAppearance',
         '../Scene/PerInstanceColorAppearance',
         '../Scene/Primitive',
@@ -35,10 +38,13 @@ define([
         GeometryInstance,
         isArray,
         Iso8601,
+        oneTimeWarning,
         PolygonGeometry,
         PolygonHierarchy,
         PolygonOutlineGeometry,
         ShowGeometryInstanceAttribute,
+        GroundPrimitive,
+        HeightReference,
         MaterialAppearance,
         PerInstanceColorAppearance,
         Primitive,
@@ -91,6 +97,7 @@ define([
         this._entitySubscription = entity.definitionChanged.addEventListener(PolygonGeometryUpdater.prototype._onEntityPropertyChanged, this);
         this._fillEnabled = false;
         this._isClosed = false;
+        this._onTerrain = false;
         this._dynamic = false;
         this._outlineEnabled = false;
         this._geometryChanged = new Event();
@@ -254,6 +261,22 @@ define([
                 return this._isClosed;
             }
         },
+        /**
+         * Gets a value indicating if the geometry is draped over the globe, terrain included, with a {@link GroundPrimitive}.
+         * That is the case for a filled geometry with a color material, a heightReference of {@link HeightReference.CLAMP_TO_GROUND}
+         * and no extruded height or per-position heights, when the scene has a globe and supports ground primitives.  Its height is ignored
+         * and its outline is not drawn.
+         * This property is only valid for static geometry.
+         * @memberof PolygonGeometryUpdater.prototype
+         *
+         * @type {Boolean}
+         * @readonly
+         */
+        onTerrain : {
+            get : function() {
+                return this._onTerrain;
+            }
+        },
         /**
          * Gets an event that is raised whenever the public properties
          * of this updater change.
@@ -448,6 +471,7 @@ define([
         this._outlineColorProperty = outlineEnabled ? defaultValue(polygon.outlineColor, defaultOutlineColor) : undefined;
 
         var height = polygon.height;
+        var heightReference = polygon.heightReference;
         var extrudedHeight = polygon.extrudedHeight;
         var granularity = polygon.granularity;
         var stRotation = polygon.stRotation;
@@ -459,11 +483,13 @@ define([
 
         if (!hierarchy.isConstant || //
             !Property.isConstant(height) || //
+            !Property.isConstant(heightReference) || //
             !Property.isConstant(extrudedHeight) || //
             !Property.isConstant(granularity) || //
             !Property.isConstant(stRotation) || //
             !Property.isConstant(outlineWidth) || //
             !Property.isConstant(perPositionHeight)) {
+            this._onTerrain = false;
             if (!this._dynamic) {
                 this._dynamic = true;
                 this._geometryChanged.raiseEvent(this);
@@ -488,6 +514,14 @@ define([
             options.perPositionHeight = defined(perPositionHeight) ? perPositionHeight.getValue(Iso8601.MINIMUM_VALUE) : undefined;
             this._outlineWidth = defined(outlineWidth) ? outlineWidth.getValue(Iso8601.MINIMUM_VALUE) : 1.0;
             this._isClosed = defined(extrudedHeightValue) && extrudedHeightValue !== heightValue;
+            var heightReferenceValue = defined(heightReference) ? heightReference.getValue(Iso8601.MINIMUM_VALUE) : undefined;
+            this._onTerrain = fillEnabled && isColorMaterial && heightReferenceValue === HeightReference.CLAMP_TO_GROUND &&
+                              !defined(options.extrudedHeight) && !options.perPositionHeight && defined(this._scene.globe) && GroundPrimitive.isSupported(this._scene);
+            //an outline would be buried under or float above the terrain the fill is draped over
+            this._outlineEnabled = outlineEnabled && !this._onTerrain;
+            if (outlineEnabled && this._onTerrain) {
+                oneTimeWarning('polygonOutlineOnTerrain', 'The outlines of polygons clamped to the ground are not drawn.');
+            }
             this._dynamic = false;
             this._geometryChanged.raiseEvent(this);
         }
@@ -28,6 +28,7 @@ define([
      * @param {Object} [options] Object with the following properties:
      * @param {Property} [options.hierarchy] A Property specifying the {@link PolygonHierarchy}.
      * @param {Property} [options.height=0] A numeric Property specifying the altitude of the polygon.
+     * @param {Property} [options.heightReference=HeightReference.NONE] A Property specifying what the height is relative to.
      * @param {Property} [options.extrudedHeight] A numeric Property specifying the altitude of the polygon extrusion.
      * @param {Property} [options.show=true] A boolean Property specifying the visibility of the polygon.
      * @param {Property} [options.fill=true] A boolean Property specifying whether the polygon is filled with the provided material.
@@ -51,6 +52,8 @@ define([
         this._hierarchySubscription = undefined;
         this._height = undefined;
         this._heightSubscription = undefined;
+        this._heightReference = undefined;
+        this._heightReferenceSubscription = undefined;
         this._extrudedHeight = undefined;
         this._extrudedHeightSubscription = undefined;
         this._granularity = undefined;
@@ -117,6 +120,16 @@ define([
          */
         height : createPropertyDescriptor('height'),
 
+        /**
+         * Gets or sets the Property specifying what the height of the polygon is relative to.  With
+         * {@link HeightReference.CLAMP_TO_GROUND}, a polygon filled with a single color and without an extruded height or per-position heights
+         * is draped over the terrain; its height is ignored and its outline is not drawn.
+         * @memberof PolygonGraphics.prototype
+         * @type {Property}
+         * @default HeightReference.NONE
+         */
+        heightReference : createPropertyDescriptor('heightReference'),
+
         /**
          * Gets or sets the numeric Property specifying the altitude of the polygon extrusion.
          * If {@link PolygonGraphics#perPositionHeight} is false, the volume starts at {@link PolygonGraphics#height} and ends at this altitude.
@@ -198,6 +211,7 @@ define([
         result.material = this.material;
         result.hierarchy = this.hierarchy;
         result.height = this.height;
+        result.heightReference = this.heightReference;
         result.extrudedHeight = this.extrudedHeight;
         result.granularity = this.granularity;
         result.stRotation = this.stRotation;
@@ -226,6 +240,7 @@ define([
         this.material = defaultValue(this.material, source.material);
         this.hierarchy = defaultValue(this.hierarchy, source.hierarchy);
         this.height = defaultValue(this.height, source.height);
+        this.heightReference = defaultValue(this.heightReference, source.heightReference);
         this.extrudedHeight = defaultValue(this.extrudedHeight, source.extrudedHeight);
         this.granularity = defaultValue(this.granularity, source.granularity);
         this.stRotation = defaultValue(this.stRotation, source.stRotation);
@@ -1,6 +1,7 @@
 /*global define*/
 define([
         '../Core/BoundingSphere',
+        '../Core/Cartesian3',
         '../Core/Color',
         '../Core/ColorGeometryInstanceAttribute',
         '../Core/defaultValue',
@@ -25,6 +26,7 @@ define([
         './Property'
     ], function(
         BoundingSphere,
+        Cartesian3,
         Color,
         ColorGeometryInstanceAttribute,
         defaultValue,
@@ -49,8 +51,9 @@ define([
         Property) {
     "use strict";
 
-    //We use this object to create one polyline collection per-scene.
+    //We use these objects to create one polyline collection per-scene, and another for the polylines clamped to the ground.
     var polylineCollections = {};
+    var groundPolylineCollections = {};
 
     var defaultMaterial = new ColorMaterialProperty(Color.WHITE);
     var defaultShow = new ConstantProperty(true);
@@ -371,9 +374,12 @@ define([
         var width = polyline.width;
         var followSurface = polyline.followSurface;
         var granularity = polyline.granularity;
+        var clampToGround = polyline.clampToGround;
 
+        //Polylines clamped to the ground are drawn by a polyline collection that follows the terrain as it loads.
         if (!positionsProperty.isConstant || !Property.isConstant(width) ||
-            !Property.isConstant(followSurface) || !Property.isConstant(granularity)) {
+            !Property.isConstant(followSurface) || !Property.isConstant(granularity) ||
+            !Property.isConstant(clampToGround) || (defined(clampToGround) && clampToGround.getValue(Iso8601.MINIMUM_VALUE))) {
             if (!this._dynamic) {
                 this._dynamic = true;
                 this._geometryChanged.raiseEvent(this);
@@ -424,16 +430,16 @@ define([
         return new DynamicGeometryUpdater(primitives, this);
     };
 
-    /**
-     * @private
-     */
-    var DynamicGeometryUpdater = function(primitives, geometryUpdater) {
-        var sceneId = geometryUpdater._scene.id;
+    function addLine(primitives, geometryUpdater, clampToGround) {
+        var scene = geometryUpdater._scene;
+        var collections = clampToGround ? groundPolylineCollections : polylineCollections;
 
-        var polylineCollection = polylineCollections[sceneId];
+        var polylineCollection = collections[scene.id];
         if (!defined(polylineCollection) || polylineCollection.isDestroyed()) {
-            polylineCollection = new PolylineCollection();
-            polylineCollections[sceneId] = polylineCollection;
+            polylineCollection = clampToGround ? new PolylineCollection({
+                scene : scene
+            }) : new PolylineCollection();
+            collections[scene.id] = polylineCollection;
             primitives.add(polylineCollection);
         } else if (!primitives.contains(polylineCollection)) {
             primitives.add(polylineCollection);
@@ -441,11 +447,34 @@ define([
 
         var line = polylineCollection.add();
         line.id = geometryUpdater._entity;
+        line.clampToGround = clampToGround;
+        return line;
+    }
+
+    function removeLine(primitives, geometryUpdater, clampToGround, line) {
+        var sceneId = geometryUpdater._scene.id;
+        var collections = clampToGround ? groundPolylineCollections : polylineCollections;
+
+        var polylineCollection = collections[sceneId];
+        polylineCollection.remove(line);
+        if (polylineCollection.length === 0) {
+            primitives.removeAndDestroy(polylineCollection);
+            delete collections[sceneId];
+        }
+    }
 
-        this._line = line;
+    /**
+     * @private
+     */
+    var DynamicGeometryUpdater = function(primitives, geometryUpdater) {
+        var clampToGround = Property.getValueOrDefault(geometryUpdater._entity.polyline._clampToGround, Iso8601.MINIMUM_VALUE, false);
+
+        this._line = addLine(primitives, geometryUpdater, clampToGround);
+        this._clampToGround = clampToGround;
         this._primitives = primitives;
         this._geometryUpdater = geometryUpdater;
         this._positions = [];
+        this._clampedPositions = [];
     };
 
     var generateCartesianArcOptions = {
@@ -458,6 +487,15 @@ define([
         var geometryUpdater = this._geometryUpdater;
         var entity = geometryUpdater._entity;
         var polyline = entity.polyline;
+
+        var clampToGround = Property.getValueOrDefault(polyline._clampToGround, time, false);
+        if (clampToGround !== this._clampToGround) {
+            removeLine(this._primitives, geometryUpdater, this._clampToGround, this._line);
+            this._line = addLine(this._primitives, geometryUpdater, clampToGround);
+            this._clampToGround = clampToGround;
+            this._clampedPositions.length = 0;
+        }
+
         var line = this._line;
 
         if (!entity.isShowing || !entity.isAvailable(time) || !Property.getValueOrDefault(polyline._show, time, true)) {
@@ -472,6 +510,24 @@ define([
             return;
         }
 
+        line.show = true;
+        line.material = MaterialProperty.getValue(time, geometryUpdater.fillMaterialProperty, line.material);
+        line.width = Property.getValueOrDefault(polyline._width, time, 1);
+
+        if (clampToGround) {
+            //Clamping samples the terrain under the whole line again, so only do it when the positions change.
+            var clampedPositions = this._clampedPositions;
+            if (!positionsEqual(positions, clampedPositions)) {
+                var length = positions.length;
+                clampedPositions.length = length;
+                for (var i = 0; i < length; i++) {
+                    clampedPositions[i] = Cartesian3.clone(positions[i], clampedPositions[i]);
+                }
+                line.positions = clampedPositions;
+            }
+            return;
+        }
+
         var followSurface = Property.getValueOrDefault(polyline._followSurface, time, true);
         if (followSurface) {
             generateCartesianArcOptions.positions = positions;
@@ -480,12 +536,22 @@ define([
             positions = PolylinePipeline.generateCartesianArc(generateCartesianArcOptions);
         }
 
-        line.show = true;
         line.positions = positions;
-        line.material = MaterialProperty.getValue(time, geometryUpdater.fillMaterialProperty, line.material);
-        line.width = Property.getValueOrDefault(polyline._width, time, 1);
     };
 
+    function positionsEqual(left, right) {
+        var length = left.length;
+        if (length !== right.length) {
+            return false;
+        }
+        for (var i = 0; i < length; i++) {
+            if (!Cartesian3.equals(left[i], right[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
     DynamicGeometryUpdater.prototype.getBoundingSphere = function(entity, result) {
         //>>includeStart('debug', pragmas.debug);
         if (!defined(entity)) {
@@ -498,7 +564,8 @@ define([
 
         var line = this._line;
         if (line.show && line.positions.length > 0) {
-            BoundingSphere.fromPoints(line.positions, result);
+            //A line clamped to the ground is drawn at the heights of the terrain under it.
+            BoundingSphere.fromPoints(this._clampToGround ? line._actualPositions : line.positions, result);
             return BoundingSphereState.DONE;
         }
         return BoundingSphereState.FAILED;
@@ -509,14 +576,7 @@ define([
     };
 
     DynamicGeometryUpdater.prototype.destroy = function() {
-        var geometryUpdater = this._geometryUpdater;
-        var sceneId = geometryUpdater._scene.id;
-        var polylineCollection = polylineCollections[sceneId];
-        polylineCollection.remove(this._line);
-        if (polylineCollection.length === 0) {
-            this._primitives.removeAndDestroy(polylineCollection);
-            delete polylineCollections[sceneId];
-        }
+        removeLine(this._primitives, this._geometryUpdater, this._clampToGround, this._line);
         destroyObject(this);
     };
 
@@ -32,6 +32,7 @@ define([
      * @param {Property} [options.show=true] A boolean Property specifying the visibility of the polyline.
      * @param {MaterialProperty} [options.material=Color.WHITE] A Property specifying the material used to draw the polyline.
      * @param {Property} [options.granularity=Cesium.Math.RADIANS_PER_DEGREE] A numeric Property specifying the angular distance between each latitude and longitude if followSurface is true.
+     * @param {Property} [options.clampToGround=false] A boolean Property specifying whether the polyline is draped over the terrain.
      *
      * @see Entity
      * @demo {@link http://cesiumjs.org/Cesium/Apps/Sandcastle/index.html?src=Polyline.html|Cesium Sandcastle Polyline Demo}
@@ -47,6 +48,8 @@ define([
         this._followSurfaceSubscription = undefined;
         this._granularity = undefined;
         this._granularitySubscription = undefined;
+        this._clampToGround = undefined;
+        this._clampToGroundSubscription = undefined;
         this._widthSubscription = undefined;
         this._width = undefined;
         this._widthSubscription = undefined;
@@ -116,7 +119,17 @@ define([
          * @type {Property}
          * @default Cesium.Math.RADIANS_PER_DEGREE
          */
-        granularity : createPropertyDescriptor('granularity')
+        granularity : createPropertyDescriptor('granularity'),
+
+        /**
+         * Gets or sets the boolean Property specifying whether the polyline is draped over the terrain.
+         * A polyline clamped to the ground follows the surface between its positions, whatever followSurface is,
+         * sampling the terrain about every kilometer, as described for {@link Polyline#clampToGround}.
+         * @memberof PolylineGraphics.prototype
+         * @type {Property}
+         * @default false
+         */
+        clampToGround : createPropertyDescriptor('clampToGround')
     });
 
     /**
@@ -135,6 +148,7 @@ define([
         result.width = this.width;
         result.followSurface = this.followSurface;
         result.granularity = this.granularity;
+        result.clampToGround = this.clampToGround;
         return result;
     };
 
@@ -157,6 +171,7 @@ define([
         this.width = defaultValue(this.width, source.width);
         this.followSurface = defaultValue(this.followSurface, source.followSurface);
         this.granularity = defaultValue(this.granularity, source.granularity);
+        this.clampToGround = defaultValue(this.clampToGround, source.clampToGround);
     };
 
     return PolylineGraphics;
@@ -10,9 +10,12 @@ define([
         '../Core/Event',
         '../Core/GeometryInstance',
         '../Core/Iso8601',
+        '../Core/oneTimeWarning',
         '../Core/RectangleGeometry',
         '../Core/RectangleOutlineGeometry',
         '../Core/ShowGeometryInstanceAttribute',
+        '../Scene/GroundPrimitive',
+        '../Scene/HeightReference',
         '../Scene/MaterialAppearance',
         '../Scene/PerInstanceColorAppearance',
         '../Scene/Primitive',
@@ -32,9 +35,12 @@ define([
         Event,
         GeometryInstance,
         Iso8601,
+        oneTimeWarning,
         RectangleGeometry,
         RectangleOutlineGeometry,
         ShowGeometryInstanceAttribute,
+        GroundPrimitive,
+        HeightReference,
         MaterialAppearance,
         PerInstanceColorAppearance,
         Primitive,
@@ -89,6 +95,7 @@ define([
         this._entitySubscription = entity.definitionChanged.addEventListener(RectangleGeometryUpdater.prototype._onEntityPropertyChanged, this);
         this._fillEnabled = false;
         this._isClosed = false;
+        this._onTerrain = false;
         this._dynamic = false;
         this._outlineEnabled = false;
         this._geometryChanged = new Event();
@@ -252,6 +259,22 @@ define([
                 return this._isClosed;
             }
         },
+        /**
+         * Gets a value indicating if the geometry is draped over the globe, terrain included, with a {@link GroundPrimitive}.
+         * That is the case for a filled geometry with a color material, a heightReference of {@link HeightReference.CLAMP_TO_GROUND}
+         * and no extruded height, when the scene has a globe and supports ground primitives.  Its height is ignored
+         * and its outline is not drawn.
+         * This property is only valid for static geometry.
+         * @memberof RectangleGeometryUpdater.prototype
+         *
+         * @type {Boolean}
+         * @readonly
+         */
+        onTerrain : {
+            get : function() {
+                return this._onTerrain;
+            }
+        },
         /**
          * Gets an event that is raised whenever the public properties
          * of this updater change.
@@ -446,6 +469,7 @@ define([
         this._outlineColorProperty = outlineEnabled ? defaultValue(rectangle.outlineColor, defaultOutlineColor) : undefined;
 
         var height = rectangle.height;
+        var heightReference = rectangle.heightReference;
         var extrudedHeight = rectangle.extrudedHeight;
         var granularity = rectangle.granularity;
         var stRotation = rectangle.stRotation;
@@ -459,6 +483,7 @@ define([
 
         if (!coordinates.isConstant || //
             !Property.isConstant(height) || //
+            !Property.isConstant(heightReference) || //
             !Property.isConstant(extrudedHeight) || //
             !Property.isConstant(granularity) || //
             !Property.isConstant(stRotation) || //
@@ -466,6 +491,7 @@ define([
             !Property.isConstant(outlineWidth) || //
             !Property.isConstant(closeBottom) || //
             !Property.isConstant(closeTop)) {
+            this._onTerrain = false;
             if (!this._dynamic) {
                 this._dynamic = true;
                 this._geometryChanged.raiseEvent(this);
@@ -483,6 +509,14 @@ define([
             options.closeTop = defined(closeTop) ? closeTop.getValue(Iso8601.MINIMUM_VALUE) : undefined;
             this._isClosed = defined(extrudedHeight) && defined(options.closeTop) && defined(options.closeBottom) && options.closeTop && options.closeBottom;
             this._outlineWidth = defined(outlineWidth) ? outlineWidth.getValue(Iso8601.MINIMUM_VALUE) : 1.0;
+            var heightReferenceValue = defined(heightReference) ? heightReference.getValue(Iso8601.MINIMUM_VALUE) : undefined;
+            this._onTerrain = fillEnabled && isColorMaterial && heightReferenceValue === HeightReference.CLAMP_TO_GROUND &&
+                              !defined(options.extrudedHeight) && defined(this._scene.globe) && GroundPrimitive.isSupported(this._scene);
+            //an outline would be buried under or float above the terrain the fill is draped over
+            this._outlineEnabled = outlineEnabled && !this._onTerrain;
+            if (outlineEnabled && this._onTerrain) {
+                oneTimeWarning('rectangleOutlineOnTerrain', 'The outlines of rectangles clamped to the ground are not drawn.');
+            }
             this._dynamic = false;
             this._geometryChanged.raiseEvent(this);
         }
@@ -28,6 +28,7 @@ define([
      * @param {Object} [options] Object with the following properties:
      * @param {Property} [options.coordinates] The Property specifying the {@link Rectangle}.
      * @param {Property} [options.height=0] A numeric Property specifying the altitude of the rectangle.
+     * @param {Property} [options.heightReference=HeightReference.NONE] A Property specifying what the height is relative to.
      * @param {Property} [options.extrudedHeight] A numeric Property specifying the altitude of the rectangle extrusion.
      * @param {Property} [options.closeTop=true] A boolean Property specifying whether the rectangle has a top cover when extruded
      * @param {Property} [options.closeBottom=true] A boolean Property specifying whether the rectangle has a bottom cover when extruded.
@@ -53,6 +54,8 @@ define([
         this._coordinatesSubscription = undefined;
         this._height = undefined;
         this._heightSubscription = undefined;
+        this._heightReference = undefined;
+        this._heightReferenceSubscription = undefined;
         this._extrudedHeight = undefined;
         this._extrudedHeightSubscription = undefined;
         this._granularity = undefined;
@@ -123,6 +126,16 @@ define([
          */
         height : createPropertyDescriptor('height'),
 
+        /**
+         * Gets or sets the Property specifying what the height of the rectangle is relative to.  With
+         * {@link HeightReference.CLAMP_TO_GROUND}, a rectangle filled with a single color and without an extruded height
+         * is draped over the terrain; its height is ignored and its outline is not drawn.
+         * @memberof RectangleGraphics.prototype
+         * @type {Property}
+         * @default HeightReference.NONE
+         */
+        heightReference : createPropertyDescriptor('heightReference'),
+
         /**
          * Gets or sets the numeric Property specifying the altitude of the rectangle extrusion.
          * Setting this property creates volume starting at height and ending at this altitude.
@@ -218,6 +231,7 @@ define([
         result.coordinates = this.coordinates;
         result.material = this.material;
         result.height = this.height;
+        result.heightReference = this.heightReference;
         result.extrudedHeight = this.extrudedHeight;
         result.granularity = this.granularity;
         result.stRotation = this.stRotation;
@@ -248,6 +262,7 @@ define([
         this.coordinates = defaultValue(this.coordinates, source.coordinates);
         this.material = defaultValue(this.material, source.material);
         this.height = defaultValue(this.height, source.height);
+        this.heightReference = defaultValue(this.heightReference, source.heightReference);
         this.extrudedHeight = defaultValue(this.extrudedHeight, source.extrudedHeight);
         this.granularity = defaultValue(this.granularity, source.granularity);
         this.stRotation = defaultValue(this.stRotation, source.stRotation);
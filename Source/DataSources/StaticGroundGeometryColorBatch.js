@@ -0,0 +1,123 @@
+/*global define*/
+define([
+        '../Core/AssociativeArray',
+        '../Core/Color',
+        '../Core/ColorGeometryInstanceAttribute',
+        '../Core/defined',
+        '../Core/ShowGeometryInstanceAttribute',
+        '../Scene/GroundPrimitive',
+        './BoundingSphereState'
+    ], function(
+        AssociativeArray,
+        Color,
+        ColorGeometryInstanceAttribute,
+        defined,
+        ShowGeometryInstanceAttribute,
+        GroundPrimitive,
+        BoundingSphereState) {
+    "use strict";
+
+    var colorScratch = new Color();
+
+    var Item = function(updater, primitive) {
+        this.updater = updater;
+        this.primitive = primitive;
+        this.attributes = undefined;
+    };
+
+    /**
+     * A GroundPrimitive draws a single geometry instance, so unlike {@link StaticGeometryColorBatch}
+     * this keeps one primitive per updater.
+     *
+     * @private
+     */
+    var StaticGroundGeometryColorBatch = function(primitives) {
+        this._primitives = primitives;
+        this._items = new AssociativeArray();
+    };
+
+    StaticGroundGeometryColorBatch.prototype.add = function(time, updater) {
+        var primitive = new GroundPrimitive({
+            geometryInstance : updater.createFillGeometryInstance(time),
+            asynchronous : true
+        });
+        this._primitives.add(primitive);
+        this._items.set(updater.entity.id, new Item(updater, primitive));
+    };
+
+    StaticGroundGeometryColorBatch.prototype.remove = function(updater) {
+        var id = updater.entity.id;
+        var item = this._items.get(id);
+        if (defined(item)) {
+            this._primitives.remove(item.primitive);
+            this._items.remove(id);
+            return true;
+        }
+        return false;
+    };
+
+    StaticGroundGeometryColorBatch.prototype.update = function(time) {
+        var isUpdated = true;
+        var items = this._items.values;
+        for (var i = 0, len = items.length; i < len; i++) {
+            var item = items[i];
+            var primitive = item.primitive;
+            if (!primitive.ready) {
+                isUpdated = false;
+                continue;
+            }
+
+            var updater = item.updater;
+            var attributes = item.attributes;
+            if (!defined(attributes)) {
+                attributes = primitive.getGeometryInstanceAttributes(updater.entity);
+                item.attributes = attributes;
+            }
+
+            if (!updater.fillMaterialProperty.isConstant) {
+                var colorProperty = updater.fillMaterialProperty.color;
+                colorProperty.getValue(time, colorScratch);
+                if (!Color.equals(attributes._lastColor, colorScratch)) {
+                    attributes._lastColor = Color.clone(colorScratch, attributes._lastColor);
+                    attributes.color = ColorGeometryInstanceAttribute.toValue(colorScratch, attributes.color);
+                }
+            }
+
+            var show = updater.entity.isShowing && (updater.hasConstantFill || updater.isFilled(time));
+            var currentShow = attributes.show[0] === 1;
+            if (show !== currentShow) {
+                attributes.show = ShowGeometryInstanceAttribute.toValue(show, attributes.show);
+            }
+        }
+        return isUpdated;
+    };
+
+    StaticGroundGeometryColorBatch.prototype.getBoundingSphere = function(entity, result) {
+        var item = this._items.get(entity.id);
+        if (!defined(item)) {
+            return BoundingSphereState.FAILED;
+        }
+        var primitive = item.primitive;
+        if (!primitive.ready) {
+            return BoundingSphereState.PENDING;
+        }
+        var attributes = primitive.getGeometryInstanceAttributes(entity);
+        if (!defined(attributes) || !defined(attributes.boundingSphere) ||//
+            (defined(attributes.show) && attributes.show[0] === 0)) {
+            return BoundingSphereState.FAILED;
+        }
+        attributes.boundingSphere.clone(result);
+        return BoundingSphereState.DONE;
+    };
+
+    StaticGroundGeometryColorBatch.prototype.removeAllPrimitives = function() {
+        var primitives = this._primitives;
+        var items = this._items.values;
+        for (var i = 0, len = items.length; i < len; i++) {
+            primitives.remove(items[i].primitive);
+        }
+        this._items.removeAll();
+    };
+
+    return StaticGroundGeometryColorBatch;
+});
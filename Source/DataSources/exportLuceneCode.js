@@ -0,0 +1,185 @@
+/*global define*/
+define([
+        '../Core/Cartesian3',
+        '../Core/Cartographic',
+        '../Core/defaultValue',
+        '../Core/defined',
+        '../Core/DeveloperError',
+        '../Core/Ellipsoid',
+        '../Core/isArray',
+        '../Core/JulianDate',
+        '../Core/LuceneGeoUtils',
+        '../Core/Math',
+        '../Core/PolygonHierarchy',
+        '../Core/RuntimeError'
+    ], function(
+        Cartesian3,
+        Cartographic,
+        defaultValue,
+        defined,
+        DeveloperError,
+        Ellipsoid,
+        isArray,
+        JulianDate,
+        LuceneGeoUtils,
+        CesiumMath,
+        PolygonHierarchy,
+        RuntimeError) {
+    "use strict";
+
+    var INDENTATION = '    ';
+
+    //Rounds away the error of converting degrees to Cartesians and back, far below what Lucene encodes,
+    //and writes the value as a Java double literal.
+    function formatNumber(value) {
+        var text = String(Math.round(value * 1e10) / 1e10);
+        return (/[.e]/).test(text) ? text : text + '.0';
+    }
+
+    function formatDegrees(radians) {
+        return formatNumber(CesiumMath.toDegrees(radians));
+    }
+
+    var scratchCartographic = new Cartographic();
+
+    //Returns the ring as closed latitude and longitude arrays, counter-clockwise for a polygon and
+    //clockwise for a hole, which is what Lucene's Polygon and GeoJSON parsing expect.
+    function toRing(positions, ellipsoid, clockwise) {
+        var lats = [];
+        var lons = [];
+        var length = positions.length;
+        for (var i = 0; i < length; i++) {
+            var cartographic = ellipsoid.cartesianToCartographic(positions[i], scratchCartographic);
+            var lat = formatDegrees(cartographic.latitude);
+            var lon = formatDegrees(cartographic.longitude);
+            //skip repeated positions, including the closing one, which is added back below
+            var last = lats.length - 1;
+            if (last >= 0 && lats[last] === lat && lons[last] === lon) {
+                continue;
+            }
+            if (i === length - 1 && last >= 0 && lats[0] === lat && lons[0] === lon) {
+                continue;
+            }
+            lats.push(lat);
+            lons.push(lon);
+        }
+
+        if (lats.length < 3) {
+            throw new RuntimeError('A polygon needs at least 3 distinct positions.');
+        }
+
+        var area = 0.0;
+        for (var j = 0; j < lats.length; j++) {
+            var k = (j + 1) % lats.length;
+            area += parseFloat(lons[j]) * parseFloat(lats[k]) - parseFloat(lons[k]) * parseFloat(lats[j]);
+        }
+        //reverse the ring without changing where it starts
+        if ((area < 0.0) !== clockwise) {
+            lats = [lats[0]].concat(lats.slice(1).reverse());
+            lons = [lons[0]].concat(lons.slice(1).reverse());
+        }
+
+        lats.push(lats[0]);
+        lons.push(lons[0]);
+        return {
+            lats : lats,
+            lons : lons
+        };
+    }
+
+    function formatPolygon(hierarchy, ellipsoid, indentation, isHole) {
+        var ring = toRing(hierarchy.positions, ellipsoid, isHole);
+        var inner = indentation + INDENTATION;
+        var text = 'new Polygon(\n' +
+                   inner + 'new double[] {' + ring.lats.join(', ') + '},\n' +
+                   inner + 'new double[] {' + ring.lons.join(', ') + '}';
+        var holes = defaultValue(hierarchy.holes, []);
+        if (isHole && holes.length > 0) {
+            throw new RuntimeError('A Lucene polygon hole cannot have holes of its own.');
+        }
+        for (var i = 0; i < holes.length; i++) {
+            text += ',\n' + inner + formatPolygon(holes[i], ellipsoid, inner, true);
+        }
+        return text + ')';
+    }
+
+    function exportPolygon(polygon, time, ellipsoid) {
+        var hierarchy = polygon.hierarchy.getValue(time);
+        if (isArray(hierarchy)) {
+            hierarchy = new PolygonHierarchy(hierarchy);
+        }
+        return formatPolygon(hierarchy, ellipsoid, '', false);
+    }
+
+    function exportRectangle(rectangle) {
+        //Lucene's Rectangle crosses the antimeridian when minLon > maxLon, the same as west > east.
+        return 'new Rectangle(' + formatDegrees(rectangle.south) + ', ' + formatDegrees(rectangle.north) + ', ' +
+               formatDegrees(rectangle.west) + ', ' + formatDegrees(rectangle.east) + ')';
+    }
+
+    function exportCircle(entity, time, ellipsoid, field) {
+        var ellipse = entity.ellipse;
+        var center = entity.position.getValue(time);
+        var semiMajorAxis = ellipse.semiMajorAxis.getValue(time);
+        var semiMinorAxis = ellipse.semiMinorAxis.getValue(time);
+        if (!CesiumMath.equalsEpsilon(semiMajorAxis, semiMinorAxis, CesiumMath.EPSILON10)) {
+            throw new RuntimeError('Only a circular ellipse can be exported as a distance query.');
+        }
+
+        //The inverse of the radius LuceneFeedDataSource draws a distance query with: the same
+        //angle on Lucene's sphere as the ellipse's radius on the ellipsoid.
+        var radiusMeters = semiMajorAxis * LuceneGeoUtils.EARTH_MEAN_RADIUS_METERS / Cartesian3.magnitude(center);
+        var cartographic = ellipsoid.cartesianToCartographic(center, scratchCartographic);
+        return 'new GeoPointDistanceQuery("' + field + '", ' + formatDegrees(cartographic.latitude) + ', ' +
+               formatDegrees(cartographic.longitude) + ', ' + formatNumber(radiusMeters) + ')';
+    }
+
+    /**
+     * Writes the shape of an entity as the Java code that constructs the same shape in a Lucene test, ready to
+     * paste: a {@link PolygonGraphics} as <code>new Polygon(lats, lons, holes...)</code>, with closed rings wound
+     * counter-clockwise and holes wound clockwise, a {@link RectangleGraphics} as
+     * <code>new Rectangle(minLat, maxLat, minLon, maxLon)</code>, and a circular {@link EllipseGraphics} as
+     * <code>new GeoPointDistanceQuery(field, centerLat, centerLon, radiusMeters)</code>, where the radius is the
+     * haversine distance Lucene measures along the same angle.  Coordinates are in degrees.
+     *
+     * @exports exportLuceneCode
+     *
+     * @param {Entity} entity The entity to export.
+     * @param {Object} [options] Object with the following properties:
+     * @param {JulianDate} [options.time=JulianDate.now()] The time at which to evaluate the entity's properties.
+     * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid the entity's positions are on.
+     * @param {String} [options.field='location'] The field name of a distance query.
+     * @returns {String} The Java code, or undefined if the entity has no polygon, rectangle or ellipse.
+     *
+     * @exception {RuntimeError} A polygon needs at least 3 distinct positions.
+     * @exception {RuntimeError} A Lucene polygon hole cannot have holes of its own.
+     * @exception {RuntimeError} Only a circular ellipse can be exported as a distance query.
+     *
+     * @example
+     * var code = Cesium.exportLuceneCode(viewer.selectedEntity);
+     */
+    var exportLuceneCode = function(entity, options) {
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(entity)) {
+            throw new DeveloperError('entity is required.');
+        }
+        //>>includeEnd('debug');
+
+        options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+        var time = defaultValue(options.time, JulianDate.now());
+        var ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+
+        if (defined(entity.polygon) && defined(entity.polygon.hierarchy)) {
+            return exportPolygon(entity.polygon, time, ellipsoid);
+        }
+        if (defined(entity.rectangle) && defined(entity.rectangle.coordinates)) {
+            return exportRectangle(entity.rectangle.coordinates.getValue(time));
+        }
+        if (defined(entity.ellipse) && defined(entity.position) && defined(entity.ellipse.semiMajorAxis) && defined(entity.ellipse.semiMinorAxis)) {
+            return exportCircle(entity, time, ellipsoid, defaultValue(options.field, 'location'));
+        }
+        return undefined;
+    };
+
+    return exportLuceneCode;
+});
@@ -11,6 +11,7 @@ define([
         '../Core/EasingFunction',
         '../Core/Ellipsoid',
         '../Core/EllipsoidGeodesic',
+        '../Core/EllipsoidalOccluder',
         '../Core/Event',
         '../Core/IntersectionTests',
         '../Core/Math',
@@ -36,6 +37,7 @@ define([
         EasingFunction,
         Ellipsoid,
         EllipsoidGeodesic,
+        EllipsoidalOccluder,
         Event,
         IntersectionTests,
         CesiumMath,
@@ -194,10 +196,25 @@ define([
          * @default 2.5
          */
         this.maximumZoomFactor = 2.5;
+        /**
+         * The fraction of the width or height of the visible rectangle by which one of its sides has to move
+         * before {@link Camera#viewRectangleChanged} is raised.
+         * @type {Number}
+         * @default 0.1
+         */
+        this.viewRectangleChangeThreshold = 0.1;
 
         this._moveStart = new Event();
         this._moveEnd = new Event();
 
+        this._viewRectangleChanged = new Event();
+        // The rectangle last passed to viewRectangleChanged, and the view it was computed for.
+        this._viewRectangle = undefined;
+        this._viewRectangleRaised = false;
+        this._viewRectangleMode = undefined;
+        this._viewRectangleViewMatrix = new Matrix4();
+        this._viewRectangleProjectionMatrix = new Matrix4();
+
         this._viewMatrix = new Matrix4();
         this._invViewMatrix = new Matrix4();
         updateViewMatrix(this);
@@ -788,6 +805,32 @@ define([
             get : function() {
                 return this._moveEnd;
             }
+        },
+
+        /**
+         * Gets the event that will be raised when the rectangle visible through the camera, as computed by
+         * {@link Camera#computeViewRectangle}, changes by more than {@link Camera#viewRectangleChangeThreshold}.
+         * Event listeners are passed the new rectangle, or undefined when the ellipsoid or map goes out of view.
+         * The rectangle is only computed while the event has listeners, and is first raised on the frame after
+         * a listener is added.  It is raised as often as every frame while the camera flies or is dragged, so
+         * listeners doing expensive work, such as requesting data for the rectangle, should wait for
+         * {@link Camera#moveEnd}.
+         * @memberof Camera.prototype
+         * @type {Event}
+         * @readonly
+         *
+         * @example
+         * viewer.camera.viewRectangleChanged.addEventListener(function(rectangle) {
+         *     if (Cesium.defined(rectangle)) {
+         *         console.log('Viewing ' + Cesium.Math.toDegrees(rectangle.west) + ', ' + Cesium.Math.toDegrees(rectangle.south) + ', ' +
+         *                     Cesium.Math.toDegrees(rectangle.east) + ', ' + Cesium.Math.toDegrees(rectangle.north));
+         *     }
+         * });
+         */
+        viewRectangleChanged : {
+            get : function() {
+                return this._viewRectangleChanged;
+            }
         }
     });
 
@@ -2189,6 +2232,243 @@ define([
         return getPickRayOrthographic(this, windowPosition, result);
     };
 
+    //The number of intervals the canvas is divided into, along each side, to sample the visible surface.
+    var VIEW_RECTANGLE_SUBDIVISIONS = 8;
+
+    var viewRectangleRay = new Ray();
+    var viewRectangleWindowPosition = new Cartesian2();
+    var viewRectanglePosition = new Cartesian3();
+    var viewRectangleOffset = new Cartesian3();
+    var viewRectangleMaximum = new Cartesian3();
+    var viewRectanglePole = new Cartesian3();
+
+    //Picks the ellipsoid, or, where the ray passes over the horizon, the point of the horizon below the ray:
+    //the point of the ray closest to the center of the ellipsoid, scaled to its surface.
+    function sampleView3D(camera, windowPosition, ellipsoid, result) {
+        var position = pickEllipsoid3D(camera, windowPosition, ellipsoid, viewRectanglePosition);
+        if (!defined(position)) {
+            var ray = camera.getPickRay(windowPosition, viewRectangleRay);
+            var t = -Cartesian3.dot(ray.origin, ray.direction);
+            if (t <= 0.0) {
+                return undefined;
+            }
+            position = ellipsoid.scaleToGeodeticSurface(Ray.getPoint(ray, t, viewRectanglePosition), viewRectanglePosition);
+            if (!defined(position)) {
+                return undefined;
+            }
+        }
+        return ellipsoid.cartesianToCartographic(position, result);
+    }
+
+    function unprojectClamped(projection, x, y, result) {
+        var maximum = projection.project(new Cartographic(Math.PI, CesiumMath.PI_OVER_TWO), viewRectangleMaximum);
+        var position = viewRectanglePosition;
+        position.x = CesiumMath.clamp(x, -maximum.x, maximum.x);
+        position.y = CesiumMath.clamp(y, -maximum.y, maximum.y);
+        position.z = 0.0;
+        return projection.unproject(position, result);
+    }
+
+    //The same map position pickMap2D picks, but clamped to the edge of the map.
+    function sampleView2D(camera, windowPosition, projection, result) {
+        var origin = camera.getPickRay(windowPosition, viewRectangleRay).origin;
+        return unprojectClamped(projection, origin.x, origin.y, result);
+    }
+
+    //The same map position pickMapColumbusView picks, but clamped to the edge of the map.  Where the ray
+    //passes over the horizon, the map is visible up to its edge in the direction the ray points.
+    function sampleViewColumbusView(camera, windowPosition, projection, result) {
+        var ray = camera.getPickRay(windowPosition, viewRectangleRay);
+        var position;
+        if (ray.direction.x < 0.0 && ray.origin.x > 0.0) {
+            position = Ray.getPoint(ray, -ray.origin.x / ray.direction.x, viewRectangleOffset);
+        } else {
+            var direction = Cartesian3.fromElements(0.0, ray.direction.y, ray.direction.z, viewRectangleOffset);
+            if (Cartesian3.equals(direction, Cartesian3.ZERO)) {
+                return undefined;
+            }
+            var distance = 4.0 * projection.ellipsoid.maximumRadius * Math.PI;
+            Cartesian3.multiplyByScalar(Cartesian3.normalize(direction, direction), distance, direction);
+            position = Cartesian3.add(ray.origin, direction, direction);
+        }
+        return unprojectClamped(projection, position.y, position.z, result);
+    }
+
+    function isPointInView3D(camera, point) {
+        var offset = Cartesian3.subtract(point, camera.positionWC, viewRectangleOffset);
+        var z = Cartesian3.dot(offset, camera.directionWC);
+        if (z <= 0.0) {
+            return false;
+        }
+        var tanPhi = Math.tan(camera.frustum.fovy * 0.5);
+        var tanTheta = camera.frustum.aspectRatio * tanPhi;
+        return Math.abs(Cartesian3.dot(offset, camera.rightWC)) <= z * tanTheta &&
+               Math.abs(Cartesian3.dot(offset, camera.upWC)) <= z * tanPhi;
+    }
+
+    function isPoleVisible(camera, ellipsoid, occluder, sign) {
+        var pole = Cartesian3.fromElements(0.0, 0.0, sign * ellipsoid.radii.z, viewRectanglePole);
+        return isPointInView3D(camera, pole) && occluder.isPointVisible(pole);
+    }
+
+    //The longitudes of positions around the globe span everything but the largest gap between them.
+    function setLongitudes(longitudes, result) {
+        longitudes.sort(function(a, b) {
+            return a - b;
+        });
+        var length = longitudes.length;
+        var west = longitudes[0];
+        var east = longitudes[length - 1];
+        var largestGap = west + CesiumMath.TWO_PI - east;
+        for (var i = 1; i < length; i++) {
+            var gap = longitudes[i] - longitudes[i - 1];
+            if (gap > largestGap) {
+                largestGap = gap;
+                west = longitudes[i];
+                east = longitudes[i - 1];
+            }
+        }
+        result.west = west;
+        result.east = east;
+    }
+
+    /**
+     * Computes the approximate rectangle of the ellipsoid or map that is visible, in any scene mode.  In 3D, the
+     * rectangle includes the surface up to the horizon when the camera is tilted, crosses the antimeridian when the
+     * view does, with <code>west</code> greater than <code>east</code>, and spans every longitude when a pole is
+     * visible.  The rectangle is computed from a grid of positions picked across the canvas, so it may be slightly
+     * smaller than the visible surface.
+     *
+     * @param {Ellipsoid} [ellipsoid=Ellipsoid.WGS84] The ellipsoid to view in 3D.  2D and Columbus view use the ellipsoid of the map projection.
+     * @param {Rectangle} [result] The object onto which to store the result.
+     * @returns {Rectangle} The visible rectangle, in radians, or undefined if the ellipsoid or map is not visible.
+     *
+     * @example
+     * var rectangle = viewer.camera.computeViewRectangle();
+     * if (Cesium.defined(rectangle)) {
+     *     console.log(Cesium.Math.toDegrees(rectangle.west) + ', ' + Cesium.Math.toDegrees(rectangle.south) + ', ' +
+     *                 Cesium.Math.toDegrees(rectangle.east) + ', ' + Cesium.Math.toDegrees(rectangle.north));
+     * }
+     */
+    Camera.prototype.computeViewRectangle = function(ellipsoid, result) {
+        var mode = this._mode;
+        if (mode !== SceneMode.SCENE3D && mode !== SceneMode.SCENE2D && mode !== SceneMode.COLUMBUS_VIEW) {
+            return undefined;
+        }
+
+        ellipsoid = defaultValue(ellipsoid, Ellipsoid.WGS84);
+        var projection = this._projection;
+        var canvas = this._scene.canvas;
+        var width = canvas.clientWidth;
+        var height = canvas.clientHeight;
+
+        var longitudes = [];
+        var south = Number.MAX_VALUE;
+        var north = -Number.MAX_VALUE;
+        var windowPosition = viewRectangleWindowPosition;
+        var cartographic = new Cartographic();
+        for (var i = 0; i <= VIEW_RECTANGLE_SUBDIVISIONS; i++) {
+            for (var j = 0; j <= VIEW_RECTANGLE_SUBDIVISIONS; j++) {
+                windowPosition.x = width * i / VIEW_RECTANGLE_SUBDIVISIONS;
+                windowPosition.y = height * j / VIEW_RECTANGLE_SUBDIVISIONS;
+                var sample;
+                if (mode === SceneMode.SCENE3D) {
+                    sample = sampleView3D(this, windowPosition, ellipsoid, cartographic);
+                } else if (mode === SceneMode.SCENE2D) {
+                    sample = sampleView2D(this, windowPosition, projection, cartographic);
+                } else {
+                    sample = sampleViewColumbusView(this, windowPosition, projection, cartographic);
+                }
+                if (defined(sample)) {
+                    longitudes.push(sample.longitude);
+                    south = Math.min(south, sample.latitude);
+                    north = Math.max(north, sample.latitude);
+                }
+            }
+        }
+
+        if (longitudes.length === 0) {
+            return undefined;
+        }
+
+        if (!defined(result)) {
+            result = new Rectangle();
+        }
+        result.south = south;
+        result.north = north;
+
+        if (mode !== SceneMode.SCENE3D) {
+            //the map does not wrap around the antimeridian
+            result.west = Math.min.apply(Math, longitudes);
+            result.east = Math.max.apply(Math, longitudes);
+            return result;
+        }
+
+        setLongitudes(longitudes, result);
+
+        var occluder = new EllipsoidalOccluder(ellipsoid, this.positionWC);
+        var northPoleVisible = isPoleVisible(this, ellipsoid, occluder, 1.0);
+        var southPoleVisible = isPoleVisible(this, ellipsoid, occluder, -1.0);
+        if (northPoleVisible) {
+            result.north = CesiumMath.PI_OVER_TWO;
+        }
+        if (southPoleVisible) {
+            result.south = -CesiumMath.PI_OVER_TWO;
+        }
+        if (northPoleVisible || southPoleVisible) {
+            result.west = -Math.PI;
+            result.east = Math.PI;
+        }
+        return result;
+    };
+
+    //Whether a side of the rectangle moved by more than the threshold, as a fraction of the previous width or height.
+    function hasViewRectangleChanged(previous, rectangle, threshold) {
+        var maximumLongitudeChange = threshold * Math.max(previous.width, CesiumMath.EPSILON7);
+        var maximumLatitudeChange = threshold * Math.max(previous.height, CesiumMath.EPSILON7);
+        return Math.abs(CesiumMath.negativePiToPi(rectangle.west - previous.west)) > maximumLongitudeChange ||
+               Math.abs(CesiumMath.negativePiToPi(rectangle.east - previous.east)) > maximumLongitudeChange ||
+               Math.abs(rectangle.south - previous.south) > maximumLatitudeChange ||
+               Math.abs(rectangle.north - previous.north) > maximumLatitudeChange;
+    }
+
+    var viewRectangleScratch = new Rectangle();
+
+    /**
+     * Raises {@link Camera#viewRectangleChanged} if the visible rectangle changed enough since it was last raised.
+     * The rectangle is computed again only when the view or projection matrix or the scene mode changed.
+     *
+     * @private
+     */
+    Camera.prototype._updateViewRectangle = function() {
+        if (this._viewRectangleChanged.numberOfListeners === 0) {
+            this._viewRectangleRaised = false;
+            return;
+        }
+
+        var viewMatrix = this.viewMatrix;
+        var projectionMatrix = this.frustum.projectionMatrix;
+        if (this._viewRectangleRaised && this._mode === this._viewRectangleMode &&
+            Matrix4.equals(viewMatrix, this._viewRectangleViewMatrix) &&
+            Matrix4.equals(projectionMatrix, this._viewRectangleProjectionMatrix)) {
+            return;
+        }
+        this._viewRectangleMode = this._mode;
+        Matrix4.clone(viewMatrix, this._viewRectangleViewMatrix);
+        Matrix4.clone(projectionMatrix, this._viewRectangleProjectionMatrix);
+
+        var rectangle = this.computeViewRectangle(this._projection.ellipsoid, viewRectangleScratch);
+        var previous = this._viewRectangle;
+        if (this._viewRectangleRaised && defined(rectangle) === defined(previous) &&
+            (!defined(rectangle) || !hasViewRectangleChanged(previous, rectangle, this.viewRectangleChangeThreshold))) {
+            return;
+        }
+
+        this._viewRectangle = Rectangle.clone(rectangle, this._viewRectangle);
+        this._viewRectangleRaised = true;
+        this._viewRectangleChanged.raiseEvent(Rectangle.clone(rectangle));
+    };
+
     function createAnimation2D(camera, duration) {
         var position = camera.position;
         var translateX = position.x < -camera._maxCoord.x || position.x > camera._maxCoord.x;
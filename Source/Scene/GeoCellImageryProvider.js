@@ -0,0 +1,559 @@
+/*global define*/
+define([
+        '../Core/Color',
+        '../Core/defaultValue',
+        '../Core/defined',
+        '../Core/defineProperties',
+        '../Core/DeveloperError',
+        '../Core/Event',
+        '../Core/GeographicTilingScheme',
+        '../Core/Math',
+        '../Core/Rectangle',
+        '../ThirdParty/when',
+        './ImageryLayerFeatureInfo'
+    ], function(
+        Color,
+        defaultValue,
+        defined,
+        defineProperties,
+        DeveloperError,
+        Event,
+        GeographicTilingScheme,
+        CesiumMath,
+        Rectangle,
+        when,
+        ImageryLayerFeatureInfo) {
+    "use strict";
+
+    var BASE_32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+    var HEX = '0123456789abcdef';
+
+    //Lines closer than this many pixels are not drawn, and cells need to be at least this
+    //many pixels high to be labeled.
+    var MINIMUM_CELL_SIZE = 4;
+    var LABEL_HEIGHT = 16;
+
+    function bitAt(index, bit) {
+        //Indices can have 32 bits, too many for the bitwise operators.
+        return Math.floor(index / Math.pow(2, bit)) % 2;
+    }
+
+    //Interleaves the bits of the cell indices, most significant first, starting with the longitude
+    //or the latitude.  Either index has the same number of bits as the other or one more.
+    function interleave(lonIndex, lonBits, latIndex, latBits, longitudeFirst) {
+        var firstIndex = longitudeFirst ? lonIndex : latIndex;
+        var firstBits = longitudeFirst ? lonBits : latBits;
+        var secondIndex = longitudeFirst ? latIndex : lonIndex;
+        var secondBits = longitudeFirst ? latBits : lonBits;
+
+        var bits = [];
+        for (var i = 0; i < firstBits; i++) {
+            bits.push(bitAt(firstIndex, firstBits - 1 - i));
+            if (i < secondBits) {
+                bits.push(bitAt(secondIndex, secondBits - 1 - i));
+            }
+        }
+        return bits;
+    }
+
+    //Geohashes start with a longitude bit and use five bits per character.
+    var geohashCells = {
+        defaultPrecision : 4,
+        maximumPrecision : 12,
+        computeBits : function(precision) {
+            var bits = precision * 5;
+            return {
+                lonBits : Math.ceil(bits / 2),
+                latBits : Math.floor(bits / 2)
+            };
+        },
+        label : function(lonIndex, lonBits, latIndex, latBits) {
+            var bits = interleave(lonIndex, lonBits, latIndex, latBits, true);
+            var label = '';
+            for (var i = 0; i < bits.length; i += 5) {
+                var value = 0;
+                for (var j = 0; j < 5; j++) {
+                    value = value * 2 + bits[i + j];
+                }
+                label += BASE_32[value];
+            }
+            return label;
+        }
+    };
+
+    //Lucene's Morton hash interleaves longitude into the even bits and latitude into the odd
+    //bits, so its most significant bit is a latitude bit.  A cell is a prefix of the hash.
+    var mortonCells = {
+        defaultPrecision : 16,
+        maximumPrecision : 64,
+        computeBits : function(precision) {
+            return {
+                lonBits : Math.floor(precision / 2),
+                latBits : Math.ceil(precision / 2)
+            };
+        },
+        label : function(lonIndex, lonBits, latIndex, latBits) {
+            var bits = interleave(lonIndex, lonBits, latIndex, latBits, false);
+            var label = '';
+            for (var i = bits.length; i > 0; i -= 4) {
+                var value = 0;
+                for (var j = Math.max(i - 4, 0); j < i; j++) {
+                    value = value * 2 + bits[j];
+                }
+                label = HEX[value] + label;
+            }
+            return '0x' + label;
+        }
+    };
+
+    var cellTypes = {
+        geohash : geohashCells,
+        morton : mortonCells
+    };
+
+    /**
+     * An {@link ImageryProvider} that draws the boundaries of the geohash or Morton cells of a given precision,
+     * and labels every cell large enough to hold its label with the geohash or the Morton code prefix identifying it.
+     * This is mostly useful for debugging spatial indexing, for instance to see which cell a point was quantized
+     * into.
+     * <p>
+     * Geohash cells are those of a geohash with <code>precision</code> characters, as used by geohash prefix trees.
+     * Morton cells are those of the first <code>precision</code> bits of a Morton code which, like Lucene's
+     * <code>GeoPointField</code>, interleaves longitude into the even bits and latitude into the odd bits.
+     * </p>
+     *
+     * @alias GeoCellImageryProvider
+     * @constructor
+     *
+     * @param {Object} [options] Object with the following properties:
+     * @param {String} [options.cellType='geohash'] The kind of cells to draw, either <code>'geohash'</code> or <code>'morton'</code>.
+     * @param {Number} [options.precision] The number of geohash characters, between 1 and 12 with a default of 4,
+     *                 or the number of Morton code bits, between 1 and 64 with a default of 16.
+     * @param {Ellipsoid} [options.ellipsoid] The ellipsoid.  If not specified, the WGS84 ellipsoid is used.
+     * @param {Color} [options.color=Color.YELLOW] The color to draw the cell boundaries and labels.
+     * @param {Number} [options.tileWidth=256] The width of the tile for level-of-detail selection purposes.
+     * @param {Number} [options.tileHeight=256] The height of the tile for level-of-detail selection purposes.
+     *
+     * @exception {DeveloperError} cellType must be 'geohash' or 'morton'.
+     * @exception {DeveloperError} precision is out of range for the cell type.
+     *
+     * @example
+     * viewer.imageryLayers.addImageryProvider(new Cesium.GeoCellImageryProvider({
+     *     cellType : 'morton',
+     *     precision : 20
+     * }));
+     */
+    var GeoCellImageryProvider = function GeoCellImageryProvider(options) {
+        options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+        var cellType = defaultValue(options.cellType, 'geohash');
+        var cells = cellTypes[cellType];
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(cells)) {
+            throw new DeveloperError('cellType must be \'geohash\' or \'morton\'.');
+        }
+        //>>includeEnd('debug');
+
+        var precision = defaultValue(options.precision, cells.defaultPrecision);
+        //>>includeStart('debug', pragmas.debug);
+        if (precision < 1 || precision > cells.maximumPrecision || Math.floor(precision) !== precision) {
+            throw new DeveloperError('precision must be an integer between 1 and ' + cells.maximumPrecision + '.');
+        }
+        //>>includeEnd('debug');
+
+        var bits = cells.computeBits(precision);
+
+        this._tilingScheme = new GeographicTilingScheme({ ellipsoid : options.ellipsoid });
+        this._cellType = cellType;
+        this._cells = cells;
+        this._precision = precision;
+        this._lonBits = bits.lonBits;
+        this._latBits = bits.latBits;
+        this._cellWidth = CesiumMath.TWO_PI / Math.pow(2, bits.lonBits);
+        this._cellHeight = Math.PI / Math.pow(2, bits.latBits);
+        this._color = defaultValue(options.color, Color.YELLOW);
+        this._errorEvent = new Event();
+        this._tileWidth = defaultValue(options.tileWidth, 256);
+        this._tileHeight = defaultValue(options.tileHeight, 256);
+    };
+
+    defineProperties(GeoCellImageryProvider.prototype, {
+        /**
+         * Gets the proxy used by this provider.
+         * @memberof GeoCellImageryProvider.prototype
+         * @type {Proxy}
+         * @readonly
+         */
+        proxy : {
+            get : function() {
+                return undefined;
+            }
+        },
+
+        /**
+         * Gets the width of each tile, in pixels. This function should
+         * not be called before {@link GeoCellImageryProvider#ready} returns true.
+         * @memberof GeoCellImageryProvider.prototype
+         * @type {Number}
+         * @readonly
+         */
+        tileWidth : {
+            get : function() {
+                return this._tileWidth;
+            }
+        },
+
+        /**
+         * Gets the height of each tile, in pixels.  This function should
+         * not be called before {@link GeoCellImageryProvider#ready} returns true.
+         * @memberof GeoCellImageryProvider.prototype
+         * @type {Number}
+         * @readonly
+         */
+        tileHeight: {
+            get : function() {
+                return this._tileHeight;
+            }
+        },
+
+        /**
+         * Gets the maximum level-of-detail that can be requested.  This function should
+         * not be called before {@link GeoCellImageryProvider#ready} returns true.
+         * @memberof GeoCellImageryProvider.prototype
+         * @type {Number}
+         * @readonly
+         */
+        maximumLevel : {
+            get : function() {
+                return undefined;
+            }
+        },
+
+        /**
+         * Gets the minimum level-of-detail that can be requested.  This function should
+         * not be called before {@link GeoCellImageryProvider#ready} returns true.
+         * @memberof GeoCellImageryProvider.prototype
+         * @type {Number}
+         * @readonly
+         */
+        minimumLevel : {
+            get : function() {
+                return undefined;
+            }
+        },
+
+        /**
+         * Gets the tiling scheme used by this provider.  This function should
+         * not be called before {@link GeoCellImageryProvider#ready} returns true.
+         * @memberof GeoCellImageryProvider.prototype
+         * @type {TilingScheme}
+         * @readonly
+         */
+        tilingScheme : {
+            get : function() {
+                return this._tilingScheme;
+            }
+        },
+
+        /**
+         * Gets the rectangle, in radians, of the imagery provided by this instance.  This function should
+         * not be called before {@link GeoCellImageryProvider#ready} returns true.
+         * @memberof GeoCellImageryProvider.prototype
+         * @type {Rectangle}
+         * @readonly
+         */
+        rectangle : {
+            get : function() {
+                return this._tilingScheme.rectangle;
+            }
+        },
+
+        /**
+         * Gets the tile discard policy.  If not undefined, the discard policy is responsible
+         * for filtering out "missing" tiles via its shouldDiscardImage function.  If this function
+         * returns undefined, no tiles are filtered.  This function should
+         * not be called before {@link GeoCellImageryProvider#ready} returns true.
+         * @memberof GeoCellImageryProvider.prototype
+         * @type {TileDiscardPolicy}
+         * @readonly
+         */
+        tileDiscardPolicy : {
+            get : function() {
+                return undefined;
+            }
+        },
+
+        /**
+         * Gets an event that is raised when the imagery provider encounters an asynchronous error.  By subscribing
+         * to the event, you will be notified of the error and can potentially recover from it.  Event listeners
+         * are passed an instance of {@link TileProviderError}.
+         * @memberof GeoCellImageryProvider.prototype
+         * @type {Event}
+         * @readonly
+         */
+        errorEvent : {
+            get : function() {
+                return this._errorEvent;
+            }
+        },
+
+        /**
+         * Gets a value indicating whether or not the provider is ready for use.
+         * @memberof GeoCellImageryProvider.prototype
+         * @type {Boolean}
+         * @readonly
+         */
+        ready : {
+            get : function() {
+                return true;
+            }
+        },
+
+        /**
+         * Gets the credit to display when this imagery provider is active.  Typically this is used to credit
+         * the source of the imagery.  This function should not be called before {@link GeoCellImageryProvider#ready} returns true.
+         * @memberof GeoCellImageryProvider.prototype
+         * @type {Credit}
+         * @readonly
+         */
+        credit : {
+            get : function() {
+                return undefined;
+            }
+        },
+
+        /**
+         * Gets a value indicating whether or not the images provided by this imagery provider
+         * include an alpha channel.  If this property is false, an alpha channel, if present, will
+         * be ignored.  If this property is true, any images without an alpha channel will be treated
+         * as if their alpha is 1.0 everywhere.  Setting this property to false reduces memory usage
+         * and texture upload time.
+         * @memberof GeoCellImageryProvider.prototype
+         * @type {Boolean}
+         * @readonly
+         */
+        hasAlphaChannel : {
+            get : function() {
+                return true;
+            }
+        },
+
+        /**
+         * Gets the kind of cells drawn, either <code>'geohash'</code> or <code>'morton'</code>.
+         * @memberof GeoCellImageryProvider.prototype
+         * @type {String}
+         * @readonly
+         */
+        cellType : {
+            get : function() {
+                return this._cellType;
+            }
+        },
+
+        /**
+         * Gets the precision of the cells drawn, in geohash characters or Morton code bits.
+         * @memberof GeoCellImageryProvider.prototype
+         * @type {Number}
+         * @readonly
+         */
+        precision : {
+            get : function() {
+                return this._precision;
+            }
+        }
+    });
+
+    function computeCell(provider, longitude, latitude) {
+        var lonIndex = Math.min(Math.floor((longitude + Math.PI) / provider._cellWidth), Math.pow(2, provider._lonBits) - 1);
+        var latIndex = Math.min(Math.floor((latitude + CesiumMath.PI_OVER_TWO) / provider._cellHeight), Math.pow(2, provider._latBits) - 1);
+        return {
+            lonIndex : lonIndex,
+            latIndex : latIndex
+        };
+    }
+
+    function cellLabel(provider, lonIndex, latIndex) {
+        return provider._cells.label(lonIndex, provider._lonBits, latIndex, provider._latBits);
+    }
+
+    function cellRectangle(provider, lonIndex, latIndex, result) {
+        var west = -Math.PI + lonIndex * provider._cellWidth;
+        var south = -CesiumMath.PI_OVER_TWO + latIndex * provider._cellHeight;
+        var east = Math.min(west + provider._cellWidth, Math.PI);
+        var north = Math.min(south + provider._cellHeight, CesiumMath.PI_OVER_TWO);
+        if (!defined(result)) {
+            return new Rectangle(west, south, east, north);
+        }
+        result.west = west;
+        result.south = south;
+        result.east = east;
+        result.north = north;
+        return result;
+    }
+
+    /**
+     * Gets the cell containing a location.
+     *
+     * @param {Number} longitude The longitude of the location, in radians.
+     * @param {Number} latitude The latitude of the location, in radians.
+     * @returns {Object} An object with the <code>label</code> identifying the cell, the geohash or the Morton code prefix,
+     *          and the <code>rectangle</code> of the cell.
+     *
+     * @example
+     * var cell = provider.getCell(Cesium.Math.toRadians(10.40744), Cesium.Math.toRadians(57.64911));
+     * // with a geohash precision of 5, cell.label is 'u4pru'
+     */
+    GeoCellImageryProvider.prototype.getCell = function(longitude, latitude) {
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(longitude)) {
+            throw new DeveloperError('longitude is required.');
+        }
+        if (!defined(latitude)) {
+            throw new DeveloperError('latitude is required.');
+        }
+        //>>includeEnd('debug');
+
+        var cell = computeCell(this, longitude, latitude);
+        return {
+            label : cellLabel(this, cell.lonIndex, cell.latIndex),
+            rectangle : cellRectangle(this, cell.lonIndex, cell.latIndex)
+        };
+    };
+
+    /**
+     * Gets the credits to be displayed when a given tile is displayed.
+     *
+     * @param {Number} x The tile X coordinate.
+     * @param {Number} y The tile Y coordinate.
+     * @param {Number} level The tile level;
+     * @returns {Credit[]} The credits to be displayed when the tile is displayed.
+     *
+     * @exception {DeveloperError} <code>getTileCredits</code> must not be called before the imagery provider is ready.
+     */
+    GeoCellImageryProvider.prototype.getTileCredits = function(x, y, level) {
+        return undefined;
+    };
+
+    var tileRectangleScratch = new Rectangle();
+    var cellRectangleScratch = new Rectangle();
+
+    /**
+     * Requests the image for a given tile.  This function should
+     * not be called before {@link GeoCellImageryProvider#ready} returns true.
+     *
+     * @param {Number} x The tile X coordinate.
+     * @param {Number} y The tile Y coordinate.
+     * @param {Number} level The tile level.
+     * @returns {Promise.<Image|Canvas>|undefined} A promise for the image that will resolve when the image is available, or
+     *          undefined if there are too many active requests to the server, and the request
+     *          should be retried later.  The resolved image may be either an
+     *          Image or a Canvas DOM object.
+     */
+    GeoCellImageryProvider.prototype.requestImage = function(x, y, level) {
+        var canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 256;
+        var context = canvas.getContext('2d');
+
+        var tile = this._tilingScheme.tileXYToRectangle(x, y, level, tileRectangleScratch);
+        var scaleX = canvas.width / tile.width;
+        var scaleY = canvas.height / tile.height;
+        var cellWidth = this._cellWidth;
+        var cellHeight = this._cellHeight;
+        var cellPixelWidth = cellWidth * scaleX;
+        var cellPixelHeight = cellHeight * scaleY;
+
+        //The cells are too small to tell apart at this level.
+        if (cellPixelWidth < MINIMUM_CELL_SIZE || cellPixelHeight < MINIMUM_CELL_SIZE) {
+            return canvas;
+        }
+
+        var cssColor = this._color.toCssColorString();
+        context.strokeStyle = cssColor;
+        context.lineWidth = 1;
+
+        var firstColumn = Math.floor((tile.west + Math.PI) / cellWidth);
+        var lastColumn = Math.ceil((tile.east + Math.PI) / cellWidth);
+        var firstRow = Math.floor((tile.south + CesiumMath.PI_OVER_TWO) / cellHeight);
+        var lastRow = Math.ceil((tile.north + CesiumMath.PI_OVER_TWO) / cellHeight);
+
+        var column;
+        var row;
+        var pixel;
+        context.beginPath();
+        for (column = firstColumn; column <= lastColumn; column++) {
+            pixel = (-Math.PI + column * cellWidth - tile.west) * scaleX;
+            context.moveTo(pixel, 0);
+            context.lineTo(pixel, canvas.height);
+        }
+        for (row = firstRow; row <= lastRow; row++) {
+            pixel = (tile.north - (-CesiumMath.PI_OVER_TWO + row * cellHeight)) * scaleY;
+            context.moveTo(0, pixel);
+            context.lineTo(canvas.width, pixel);
+        }
+        context.stroke();
+
+        //All labels of a precision have the same length.
+        context.font = 'bold 12px sans-serif';
+        var labelWidth = context.measureText(cellLabel(this, firstColumn, firstRow)).width;
+        if (cellPixelHeight < LABEL_HEIGHT || cellPixelWidth < labelWidth + MINIMUM_CELL_SIZE) {
+            return canvas;
+        }
+
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        for (column = firstColumn; column < lastColumn; column++) {
+            for (row = firstRow; row < lastRow; row++) {
+                var label = cellLabel(this, column, row);
+                //Label the part of the cell inside this tile, so every tile a cell spans gets a label.
+                var cell = Rectangle.intersection(cellRectangle(this, column, row, cellRectangleScratch), tile, cellRectangleScratch);
+                if (!defined(cell)) {
+                    continue;
+                }
+                var labelX = ((cell.west + cell.east) * 0.5 - tile.west) * scaleX;
+                var labelY = (tile.north - (cell.south + cell.north) * 0.5) * scaleY;
+                context.fillStyle = 'black';
+                context.fillText(label, labelX + 1, labelY + 1);
+                context.fillStyle = cssColor;
+                context.fillText(label, labelX, labelY);
+            }
+        }
+
+        return canvas;
+    };
+
+    /**
+     * Picks the cell at a given location.  The resolved array holds a single {@link ImageryLayerFeatureInfo}
+     * named after the geohash or Morton code prefix of the cell.
+     *
+     * @param {Number} x The tile X coordinate.
+     * @param {Number} y The tile Y coordinate.
+     * @param {Number} level The tile level.
+     * @param {Number} longitude The longitude at which to pick features.
+     * @param {Number} latitude  The latitude at which to pick features.
+     * @return {Promise.<ImageryLayerFeatureInfo[]>|undefined} A promise for the picked features that will resolve when the asynchronous
+     *                   picking completes.  The resolved value is an array of {@link ImageryLayerFeatureInfo}
+     *                   instances.  The array may be empty if no features are found at the given location.
+     *                   It may also be undefined if picking is not supported.
+     */
+    GeoCellImageryProvider.prototype.pickFeatures = function(x, y, level, longitude, latitude) {
+        var cell = this.getCell(longitude, latitude);
+        var rectangle = cell.rectangle;
+
+        var featureInfo = new ImageryLayerFeatureInfo();
+        featureInfo.name = cell.label;
+        featureInfo.position = Rectangle.center(rectangle);
+        featureInfo.data = cell;
+        featureInfo.description = '<table class="cesium-infoBox-defaultTable"><tbody>' +
+                                  '<tr><th>' + this._cellType + '</th><td>' + cell.label + '</td></tr>' +
+                                  '<tr><th>precision</th><td>' + this._precision + '</td></tr>' +
+                                  '<tr><th>west</th><td>' + CesiumMath.toDegrees(rectangle.west) + '</td></tr>' +
+                                  '<tr><th>south</th><td>' + CesiumMath.toDegrees(rectangle.south) + '</td></tr>' +
+                                  '<tr><th>east</th><td>' + CesiumMath.toDegrees(rectangle.east) + '</td></tr>' +
+                                  '<tr><th>north</th><td>' + CesiumMath.toDegrees(rectangle.north) + '</td></tr>' +
+                                  '</tbody></table>';
+        return when.resolve([featureInfo]);
+    };
+
+    return GeoCellImageryProvider;
+});
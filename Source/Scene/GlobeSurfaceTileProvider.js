@@ -288,7 +288,13 @@ define([
      *        commands into this array.
      */
     GlobeSurfaceTileProvider.prototype.beginUpdate = function(context, frameState, commandList) {
-        this._imageryLayers._update();
+        var imageryLayers = this._imageryLayers;
+        imageryLayers._update();
+
+        // Load the imagery that changed again, for imagery providers that raise a changedEvent.
+        for (var layerIndex = 0, layerCount = imageryLayers.length; layerIndex < layerCount; ++layerIndex) {
+            imageryLayers.get(layerIndex)._reloadChangedImagery(context, commandList);
+        }
 
         if (this._layerOrderChanged) {
             this._layerOrderChanged = false;
@@ -319,7 +325,6 @@ define([
             creditDisplay.addCredit(this._terrainProvider.credit);
         }
 
-        var imageryLayers = this._imageryLayers;
         for (i = 0, len = imageryLayers.length; i < len; ++i) {
             var imageryProvider = imageryLayers.get(i).imageryProvider;
             if (imageryProvider.ready && defined(imageryProvider.credit)) {
@@ -0,0 +1,803 @@
+/*global define*/
+define([
+        '../Core/AssociativeArray',
+        '../Core/Cartographic',
+        '../Core/Color',
+        '../Core/defaultValue',
+        '../Core/defined',
+        '../Core/defineProperties',
+        '../Core/DeveloperError',
+        '../Core/Event',
+        '../Core/GeographicTilingScheme',
+        '../Core/JulianDate',
+        '../Core/Rectangle'
+    ], function(
+        AssociativeArray,
+        Cartographic,
+        Color,
+        defaultValue,
+        defined,
+        defineProperties,
+        DeveloperError,
+        Event,
+        GeographicTilingScheme,
+        JulianDate,
+        Rectangle) {
+    "use strict";
+
+    var defaultRadius = 25;
+    var defaultMaximumIntensity = 10.0;
+
+    /**
+     * The default gradient of {@link HeatmapImageryProvider}, from blue for sparse points to red for dense ones.
+     * @private
+     */
+    var defaultGradient = {
+        0.4 : Color.BLUE,
+        0.6 : Color.CYAN,
+        0.7 : Color.LIME,
+        0.8 : Color.YELLOW,
+        1.0 : Color.RED
+    };
+
+    //Intensities below this fraction of the maximum are left transparent.
+    var MINIMUM_INTENSITY = 1.0 / 256.0;
+
+    /**
+     * An {@link ImageryProvider} that draws the density of weighted points as a heatmap.  Each point spreads its
+     * weight over the pixels within <code>radius</code> of it, the weights of nearby points add up, and the sums
+     * are colored with <code>gradient</code>, reaching its last color at <code>maximumIntensity</code>.  Since the
+     * radius is in pixels, the heatmap shows the density at the scale of the view, like a map of clusters when
+     * zoomed out and of individual points when zoomed in.
+     * <p>
+     * The points are the positions of the entities of an {@link EntityCollection}, which are followed as entities
+     * are added, moved or removed, for instance by a {@link LuceneFeedDataSource}, and those passed to
+     * {@link HeatmapImageryProvider#addPoints}.  Whenever they change, the provider raises its
+     * <code>changedEvent</code> and the {@link ImageryLayer} showing it requests only the tiles around the changed
+     * points again.
+     * </p>
+     *
+     * @alias HeatmapImageryProvider
+     * @constructor
+     *
+     * @param {Object} [options] Object with the following properties:
+     * @param {EntityCollection} [options.entities] The entities whose positions are accumulated.
+     * @param {HeatmapImageryProvider~WeightCallback} [options.weight] A function which returns the weight of an entity.  If undefined, every entity weighs 1.0.
+     * @param {Clock} [options.clock] The clock at whose current time the positions of the entities are read when they change.  If undefined, they are read at the current system time.
+     * @param {Object[]} [options.points] Points to accumulate, as for {@link HeatmapImageryProvider#addPoints}.
+     * @param {Number} [options.radius=25] The radius, in pixels, over which each point spreads its weight.
+     * @param {Object} [options.gradient] The colors of the heatmap, as an object mapping intensities between 0.0 and 1.0,
+     *                 as fractions of <code>maximumIntensity</code>, to colors.  Intensities below the first one fade out to transparent.
+     *                 The default goes from blue at 0.4 through cyan, lime and yellow to red at 1.0.
+     * @param {Number} [options.maximumIntensity=10.0] The accumulated weight drawn with the last color of the gradient.
+     * @param {Ellipsoid} [options.ellipsoid] The ellipsoid.  If not specified, the WGS84 ellipsoid is used.
+     * @param {Number} [options.tileWidth=256] The width of the tiles, in pixels.
+     * @param {Number} [options.tileHeight=256] The height of the tiles, in pixels.
+     *
+     * @exception {DeveloperError} radius must be greater than zero.
+     * @exception {DeveloperError} maximumIntensity must be greater than zero.
+     *
+     * @example
+     * var feed = new Cesium.LuceneFeedDataSource('/real_time_feed');
+     * viewer.dataSources.add(feed);
+     * viewer.imageryLayers.addImageryProvider(new Cesium.HeatmapImageryProvider({
+     *     entities : feed.entities,
+     *     clock : viewer.clock,
+     *     radius : 15,
+     *     maximumIntensity : 50
+     * }));
+     *
+     * @example
+     * var heatmap = new Cesium.HeatmapImageryProvider({
+     *     gradient : {
+     *         0.0 : Cesium.Color.WHITE,
+     *         1.0 : Cesium.Color.PURPLE
+     *     }
+     * });
+     * heatmap.addPoints([{
+     *     longitude : Cesium.Math.toRadians(-75.59777),
+     *     latitude : Cesium.Math.toRadians(40.03883),
+     *     weight : 3.0
+     * }]);
+     * viewer.imageryLayers.addImageryProvider(heatmap);
+     */
+    var HeatmapImageryProvider = function HeatmapImageryProvider(options) {
+        options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+        var radius = defaultValue(options.radius, defaultRadius);
+        var maximumIntensity = defaultValue(options.maximumIntensity, defaultMaximumIntensity);
+        //>>includeStart('debug', pragmas.debug);
+        if (radius <= 0) {
+            throw new DeveloperError('radius must be greater than zero.');
+        }
+        if (maximumIntensity <= 0) {
+            throw new DeveloperError('maximumIntensity must be greater than zero.');
+        }
+        //>>includeEnd('debug');
+
+        this._tilingScheme = new GeographicTilingScheme({ ellipsoid : options.ellipsoid });
+        this._tileWidth = defaultValue(options.tileWidth, 256);
+        this._tileHeight = defaultValue(options.tileHeight, 256);
+        this._errorEvent = new Event();
+        this._changedEvent = new Event();
+
+        this._radius = radius;
+        this._kernel = createKernel(radius);
+        this._gradient = defaultValue(options.gradient, defaultGradient);
+        this._colors = createColors(this._gradient);
+        this._maximumIntensity = maximumIntensity;
+
+        //The points of the entities by entity id, and the points added with addPoints.
+        this._entityPoints = new AssociativeArray();
+        this._addedPoints = [];
+
+        this._weight = options.weight;
+        this._clock = options.clock;
+        this._entities = options.entities;
+        this._removeEntitiesListener = undefined;
+        if (defined(this._entities)) {
+            this._removeEntitiesListener = this._entities.collectionChanged.addEventListener(HeatmapImageryProvider.prototype._onCollectionChanged, this);
+            this._onCollectionChanged(this._entities, this._entities.values, [], []);
+        }
+
+        if (defined(options.points)) {
+            this.addPoints(options.points);
+        }
+    };
+
+    defineProperties(HeatmapImageryProvider.prototype, {
+        /**
+         * Gets the proxy used by this provider.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {Proxy}
+         * @readonly
+         */
+        proxy : {
+            get : function() {
+                return undefined;
+            }
+        },
+
+        /**
+         * Gets the width of each tile, in pixels. This function should
+         * not be called before {@link HeatmapImageryProvider#ready} returns true.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {Number}
+         * @readonly
+         */
+        tileWidth : {
+            get : function() {
+                return this._tileWidth;
+            }
+        },
+
+        /**
+         * Gets the height of each tile, in pixels.  This function should
+         * not be called before {@link HeatmapImageryProvider#ready} returns true.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {Number}
+         * @readonly
+         */
+        tileHeight: {
+            get : function() {
+                return this._tileHeight;
+            }
+        },
+
+        /**
+         * Gets the maximum level-of-detail that can be requested.  This function should
+         * not be called before {@link HeatmapImageryProvider#ready} returns true.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {Number}
+         * @readonly
+         */
+        maximumLevel : {
+            get : function() {
+                return undefined;
+            }
+        },
+
+        /**
+         * Gets the minimum level-of-detail that can be requested.  This function should
+         * not be called before {@link HeatmapImageryProvider#ready} returns true.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {Number}
+         * @readonly
+         */
+        minimumLevel : {
+            get : function() {
+                return undefined;
+            }
+        },
+
+        /**
+         * Gets the tiling scheme used by this provider.  This function should
+         * not be called before {@link HeatmapImageryProvider#ready} returns true.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {TilingScheme}
+         * @readonly
+         */
+        tilingScheme : {
+            get : function() {
+                return this._tilingScheme;
+            }
+        },
+
+        /**
+         * Gets the rectangle, in radians, of the imagery provided by this instance.  This function should
+         * not be called before {@link HeatmapImageryProvider#ready} returns true.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {Rectangle}
+         * @readonly
+         */
+        rectangle : {
+            get : function() {
+                return this._tilingScheme.rectangle;
+            }
+        },
+
+        /**
+         * Gets the tile discard policy.  If not undefined, the discard policy is responsible
+         * for filtering out "missing" tiles via its shouldDiscardImage function.  If this function
+         * returns undefined, no tiles are filtered.  This function should
+         * not be called before {@link HeatmapImageryProvider#ready} returns true.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {TileDiscardPolicy}
+         * @readonly
+         */
+        tileDiscardPolicy : {
+            get : function() {
+                return undefined;
+            }
+        },
+
+        /**
+         * Gets an event that is raised when the imagery provider encounters an asynchronous error.  By subscribing
+         * to the event, you will be notified of the error and can potentially recover from it.  Event listeners
+         * are passed an instance of {@link TileProviderError}.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {Event}
+         * @readonly
+         */
+        errorEvent : {
+            get : function() {
+                return this._errorEvent;
+            }
+        },
+
+        /**
+         * Gets an event that is raised when points are added, moved or removed, or the look of the heatmap
+         * changes.  Event listeners are passed the {@link Rectangle} around the changed points and the radius,
+         * in pixels, they spread their weight over.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {Event}
+         * @readonly
+         */
+        changedEvent : {
+            get : function() {
+                return this._changedEvent;
+            }
+        },
+
+        /**
+         * Gets a value indicating whether or not the provider is ready for use.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {Boolean}
+         * @readonly
+         */
+        ready : {
+            get : function() {
+                return true;
+            }
+        },
+
+        /**
+         * Gets the credit to display when this imagery provider is active.  Typically this is used to credit
+         * the source of the imagery.  This function should not be called before {@link HeatmapImageryProvider#ready} returns true.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {Credit}
+         * @readonly
+         */
+        credit : {
+            get : function() {
+                return undefined;
+            }
+        },
+
+        /**
+         * Gets a value indicating whether or not the images provided by this imagery provider
+         * include an alpha channel.  If this property is false, an alpha channel, if present, will
+         * be ignored.  If this property is true, any images without an alpha channel will be treated
+         * as if their alpha is 1.0 everywhere.  Setting this property to false reduces memory usage
+         * and texture upload time.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {Boolean}
+         * @readonly
+         */
+        hasAlphaChannel : {
+            get : function() {
+                return true;
+            }
+        },
+
+        /**
+         * Gets or sets the radius, in pixels, over which each point spreads its weight.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {Number}
+         */
+        radius : {
+            get : function() {
+                return this._radius;
+            },
+            set : function(value) {
+                //>>includeStart('debug', pragmas.debug);
+                if (value <= 0) {
+                    throw new DeveloperError('radius must be greater than zero.');
+                }
+                //>>includeEnd('debug');
+
+                if (this._radius !== value) {
+                    this._radius = value;
+                    this._kernel = createKernel(value);
+                    raiseChanged(this, this._tilingScheme.rectangle);
+                }
+            }
+        },
+
+        /**
+         * Gets or sets the colors of the heatmap, as an object mapping intensities between 0.0 and 1.0,
+         * as fractions of <code>maximumIntensity</code>, to colors.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {Object}
+         */
+        gradient : {
+            get : function() {
+                return this._gradient;
+            },
+            set : function(value) {
+                //>>includeStart('debug', pragmas.debug);
+                if (!defined(value)) {
+                    throw new DeveloperError('gradient is required.');
+                }
+                //>>includeEnd('debug');
+
+                this._gradient = value;
+                this._colors = createColors(value);
+                raiseChanged(this, this._tilingScheme.rectangle);
+            }
+        },
+
+        /**
+         * Gets or sets the accumulated weight drawn with the last color of the gradient.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {Number}
+         */
+        maximumIntensity : {
+            get : function() {
+                return this._maximumIntensity;
+            },
+            set : function(value) {
+                //>>includeStart('debug', pragmas.debug);
+                if (value <= 0) {
+                    throw new DeveloperError('maximumIntensity must be greater than zero.');
+                }
+                //>>includeEnd('debug');
+
+                if (this._maximumIntensity !== value) {
+                    this._maximumIntensity = value;
+                    raiseChanged(this, this._tilingScheme.rectangle);
+                }
+            }
+        },
+
+        /**
+         * Gets the entities whose positions are accumulated.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {EntityCollection}
+         * @readonly
+         */
+        entities : {
+            get : function() {
+                return this._entities;
+            }
+        },
+
+        /**
+         * Gets the number of points accumulated.
+         * @memberof HeatmapImageryProvider.prototype
+         * @type {Number}
+         * @readonly
+         */
+        length : {
+            get : function() {
+                return this._entityPoints.length + this._addedPoints.length;
+            }
+        }
+    });
+
+    //A gaussian falling to about 1% at the radius, sampled at every pixel from -radius to radius.
+    //It is separable, so the heatmap is blurred along rows then along columns.
+    function createKernel(radius) {
+        var pixels = Math.ceil(radius);
+        var sigma = radius / 3.0;
+        var kernel = new Float32Array(2 * pixels + 1);
+        for (var i = -pixels; i <= pixels; i++) {
+            kernel[i + pixels] = Math.exp(-(i * i) / (2.0 * sigma * sigma));
+        }
+        return kernel;
+    }
+
+    var colorScratch = new Color();
+
+    //Looks up the RGBA color of 256 intensities, so the pixels are colored without interpolating.
+    function createColors(gradient) {
+        var stops = [];
+        for (var key in gradient) {
+            if (gradient.hasOwnProperty(key)) {
+                stops.push({
+                    intensity : parseFloat(key),
+                    color : gradient[key]
+                });
+            }
+        }
+        //>>includeStart('debug', pragmas.debug);
+        if (stops.length === 0) {
+            throw new DeveloperError('gradient must have at least one color.');
+        }
+        //>>includeEnd('debug');
+
+        stops.sort(function(a, b) {
+            return a.intensity - b.intensity;
+        });
+
+        var colors = new Uint8ClampedArray(256 * 4);
+        var first = stops[0];
+        var last = stops[stops.length - 1];
+        var stop = 0;
+        for (var i = 0; i < 256; i++) {
+            var intensity = i / 255.0;
+            var color;
+            if (intensity <= first.intensity) {
+                color = Color.clone(first.color, colorScratch);
+                color.alpha *= first.intensity > 0.0 ? intensity / first.intensity : 1.0;
+            } else if (intensity >= last.intensity) {
+                color = last.color;
+            } else {
+                while (stops[stop + 1].intensity < intensity) {
+                    stop++;
+                }
+                var from = stops[stop];
+                var to = stops[stop + 1];
+                var t = (intensity - from.intensity) / (to.intensity - from.intensity);
+                color = colorScratch;
+                color.red = from.color.red + t * (to.color.red - from.color.red);
+                color.green = from.color.green + t * (to.color.green - from.color.green);
+                color.blue = from.color.blue + t * (to.color.blue - from.color.blue);
+                color.alpha = from.color.alpha + t * (to.color.alpha - from.color.alpha);
+            }
+            colors[i * 4] = Color.floatToByte(color.red);
+            colors[i * 4 + 1] = Color.floatToByte(color.green);
+            colors[i * 4 + 2] = Color.floatToByte(color.blue);
+            colors[i * 4 + 3] = Color.floatToByte(color.alpha);
+        }
+        return colors;
+    }
+
+    var changedRectangleScratch = new Rectangle();
+
+    function raiseChanged(provider, rectangle) {
+        provider._changedEvent.raiseEvent(rectangle, provider._radius);
+    }
+
+    //Raises the changed event once with the rectangle around the points that changed.
+    function ChangedBounds() {
+        this.west = Number.POSITIVE_INFINITY;
+        this.south = Number.POSITIVE_INFINITY;
+        this.east = Number.NEGATIVE_INFINITY;
+        this.north = Number.NEGATIVE_INFINITY;
+    }
+
+    ChangedBounds.prototype.add = function(point) {
+        if (defined(point)) {
+            this.west = Math.min(this.west, point.longitude);
+            this.south = Math.min(this.south, point.latitude);
+            this.east = Math.max(this.east, point.longitude);
+            this.north = Math.max(this.north, point.latitude);
+        }
+    };
+
+    ChangedBounds.prototype.raise = function(provider) {
+        if (this.west <= this.east) {
+            var rectangle = changedRectangleScratch;
+            rectangle.west = this.west;
+            rectangle.south = this.south;
+            rectangle.east = this.east;
+            rectangle.north = this.north;
+            raiseChanged(provider, rectangle);
+        }
+    };
+
+    var cartographicScratch = new Cartographic();
+
+    function getEntityPoint(provider, entity, time) {
+        var position = entity.position;
+        if (!defined(position)) {
+            return undefined;
+        }
+        var cartesian = position.getValue(time);
+        if (!defined(cartesian)) {
+            return undefined;
+        }
+        var cartographic = provider._tilingScheme.ellipsoid.cartesianToCartographic(cartesian, cartographicScratch);
+        if (!defined(cartographic)) {
+            return undefined;
+        }
+        return {
+            longitude : cartographic.longitude,
+            latitude : cartographic.latitude,
+            weight : defined(provider._weight) ? provider._weight(entity) : 1.0
+        };
+    }
+
+    /**
+     * @private
+     */
+    HeatmapImageryProvider.prototype._onCollectionChanged = function(collection, added, removed, changed) {
+        var points = this._entityPoints;
+        var bounds = new ChangedBounds();
+        var time = defined(this._clock) ? this._clock.currentTime : JulianDate.now();
+        var i;
+        var entity;
+        var point;
+
+        for (i = removed.length - 1; i > -1; i--) {
+            entity = removed[i];
+            bounds.add(points.get(entity.id));
+            points.remove(entity.id);
+        }
+
+        for (i = changed.length - 1; i > -1; i--) {
+            entity = changed[i];
+            bounds.add(points.get(entity.id));
+            point = getEntityPoint(this, entity, time);
+            if (defined(point)) {
+                points.set(entity.id, point);
+                bounds.add(point);
+            } else {
+                points.remove(entity.id);
+            }
+        }
+
+        for (i = added.length - 1; i > -1; i--) {
+            entity = added[i];
+            point = getEntityPoint(this, entity, time);
+            if (defined(point)) {
+                points.set(entity.id, point);
+                bounds.add(point);
+            }
+        }
+
+        bounds.raise(this);
+    };
+
+    /**
+     * Adds points to the heatmap.
+     *
+     * @param {Object[]} points The points, each with a <code>longitude</code> and a <code>latitude</code>, in radians,
+     *                   like a {@link Cartographic}, and an optional <code>weight</code> which defaults to 1.0.
+     */
+    HeatmapImageryProvider.prototype.addPoints = function(points) {
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(points)) {
+            throw new DeveloperError('points is required.');
+        }
+        //>>includeEnd('debug');
+
+        var bounds = new ChangedBounds();
+        for (var i = 0, length = points.length; i < length; i++) {
+            var point = {
+                longitude : points[i].longitude,
+                latitude : points[i].latitude,
+                weight : defaultValue(points[i].weight, 1.0)
+            };
+            this._addedPoints.push(point);
+            bounds.add(point);
+        }
+        bounds.raise(this);
+    };
+
+    /**
+     * Removes the points added with {@link HeatmapImageryProvider#addPoints}.  The positions of the entities
+     * are kept.
+     */
+    HeatmapImageryProvider.prototype.removeAddedPoints = function() {
+        var points = this._addedPoints;
+        var bounds = new ChangedBounds();
+        for (var i = 0, length = points.length; i < length; i++) {
+            bounds.add(points[i]);
+        }
+        this._addedPoints = [];
+        bounds.raise(this);
+    };
+
+    /**
+     * Gets the credits to be displayed when a given tile is displayed.
+     *
+     * @param {Number} x The tile X coordinate.
+     * @param {Number} y The tile Y coordinate.
+     * @param {Number} level The tile level;
+     * @returns {Credit[]} The credits to be displayed when the tile is displayed.
+     *
+     * @exception {DeveloperError} <code>getTileCredits</code> must not be called before the imagery provider is ready.
+     */
+    HeatmapImageryProvider.prototype.getTileCredits = function(x, y, level) {
+        return undefined;
+    };
+
+    var tileRectangleScratch = new Rectangle();
+
+    //Sums the weights of the points falling in every pixel of the tile, and of its margin as wide as the
+    //kernel, then blurs the sums with the kernel.
+    function addWeights(points, tile, scaleX, scaleY, margin, paddedWidth, paddedHeight, weights, rowHasWeight) {
+        var added = false;
+        for (var i = 0, length = points.length; i < length; i++) {
+            var point = points[i];
+            var column = Math.floor((point.longitude - tile.west) * scaleX) + margin;
+            var row = Math.floor((tile.north - point.latitude) * scaleY) + margin;
+            if (column >= 0 && column < paddedWidth && row >= 0 && row < paddedHeight) {
+                weights[row * paddedWidth + column] += point.weight;
+                rowHasWeight[row] = 1;
+                added = true;
+            }
+        }
+        return added;
+    }
+
+    function computeIntensities(provider, tile, width, height) {
+        var kernel = provider._kernel;
+        var margin = (kernel.length - 1) / 2;
+        var paddedWidth = width + 2 * margin;
+        var paddedHeight = height + 2 * margin;
+        var scaleX = width / tile.width;
+        var scaleY = height / tile.height;
+
+        var weights = new Float32Array(paddedWidth * paddedHeight);
+        var rowHasWeight = new Uint8Array(paddedHeight);
+        var addedEntityWeights = addWeights(provider._entityPoints.values, tile, scaleX, scaleY, margin, paddedWidth, paddedHeight, weights, rowHasWeight);
+        var addedPointWeights = addWeights(provider._addedPoints, tile, scaleX, scaleY, margin, paddedWidth, paddedHeight, weights, rowHasWeight);
+
+        if (!addedEntityWeights && !addedPointWeights) {
+            return undefined;
+        }
+
+        var x;
+        var y;
+        var k;
+        var sum;
+
+        var rows = new Float32Array(width * paddedHeight);
+        for (y = 0; y < paddedHeight; y++) {
+            if (!rowHasWeight[y]) {
+                continue;
+            }
+            var rowStart = y * paddedWidth;
+            for (x = 0; x < width; x++) {
+                sum = 0.0;
+                for (k = 0; k < kernel.length; k++) {
+                    sum += weights[rowStart + x + k] * kernel[k];
+                }
+                rows[y * width + x] = sum;
+            }
+        }
+
+        var intensities = new Float32Array(width * height);
+        for (y = 0; y < height; y++) {
+            for (x = 0; x < width; x++) {
+                sum = 0.0;
+                for (k = 0; k < kernel.length; k++) {
+                    sum += rows[(y + k) * width + x] * kernel[k];
+                }
+                intensities[y * width + x] = sum;
+            }
+        }
+        return intensities;
+    }
+
+    /**
+     * Requests the image for a given tile.  This function should
+     * not be called before {@link HeatmapImageryProvider#ready} returns true.
+     *
+     * @param {Number} x The tile X coordinate.
+     * @param {Number} y The tile Y coordinate.
+     * @param {Number} level The tile level.
+     * @returns {Promise.<Image|Canvas>|undefined} A promise for the image that will resolve when the image is available, or
+     *          undefined if there are too many active requests to the server, and the request
+     *          should be retried later.  The resolved image may be either an
+     *          Image or a Canvas DOM object.
+     */
+    HeatmapImageryProvider.prototype.requestImage = function(x, y, level) {
+        var width = this._tileWidth;
+        var height = this._tileHeight;
+        var canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        var tile = this._tilingScheme.tileXYToRectangle(x, y, level, tileRectangleScratch);
+        var intensities = computeIntensities(this, tile, width, height);
+        if (!defined(intensities)) {
+            return canvas;
+        }
+
+        var context = canvas.getContext('2d');
+        var imageData = context.createImageData(width, height);
+        var pixels = imageData.data;
+        var colors = this._colors;
+        var maximumIntensity = this._maximumIntensity;
+        for (var i = 0, length = intensities.length; i < length; i++) {
+            var intensity = Math.min(intensities[i] / maximumIntensity, 1.0);
+            if (intensity < MINIMUM_INTENSITY) {
+                continue;
+            }
+            var color = Math.round(intensity * 255) * 4;
+            pixels[i * 4] = colors[color];
+            pixels[i * 4 + 1] = colors[color + 1];
+            pixels[i * 4 + 2] = colors[color + 2];
+            pixels[i * 4 + 3] = colors[color + 3];
+        }
+        context.putImageData(imageData, 0, 0);
+
+        return canvas;
+    };
+
+    /**
+     * Picking features is not currently supported by this imagery provider, so this function simply returns
+     * undefined.
+     *
+     * @param {Number} x The tile X coordinate.
+     * @param {Number} y The tile Y coordinate.
+     * @param {Number} level The tile level.
+     * @param {Number} longitude The longitude at which to pick features.
+     * @param {Number} latitude  The latitude at which to pick features.
+     * @return {Promise.<ImageryLayerFeatureInfo[]>|undefined} A promise for the picked features that will resolve when the asynchronous
+     *                   picking completes.  The resolved value is an array of {@link ImageryLayerFeatureInfo}
+     *                   instances.  The array may be empty if no features are found at the given location.
+     *                   It may also be undefined if picking is not supported.
+     */
+    HeatmapImageryProvider.prototype.pickFeatures = function(x, y, level, longitude, latitude) {
+        return undefined;
+    };
+
+    /**
+     * Returns true if this object was destroyed; otherwise, false.
+     *
+     * @returns {Boolean} True if this object was destroyed; otherwise, false.
+     */
+    HeatmapImageryProvider.prototype.isDestroyed = function() {
+        return false;
+    };
+
+    /**
+     * Stops following the entities.
+     */
+    HeatmapImageryProvider.prototype.destroy = function() {
+        if (defined(this._removeEntitiesListener)) {
+            this._removeEntitiesListener();
+            this._removeEntitiesListener = undefined;
+        }
+    };
+
+    /**
+     * A function which returns the weight of an entity in the heatmap.
+     * @callback HeatmapImageryProvider~WeightCallback
+     *
+     * @param {Entity} entity The entity.
+     * @returns {Number} The weight of the entity.
+     *
+     * @example
+     * function weight(entity) {
+     *     return entity.name === 'false positive' ? 5.0 : 1.0;
+     * }
+     */
+
+    return HeatmapImageryProvider;
+});
@@ -235,6 +235,15 @@ define([
         this._isBaseLayer = false;
 
         this._requestImageError = undefined;
+
+        // Imagery the provider reported as changed, by cache key, and the replacements being loaded for it.
+        this._changedImagery = {};
+        this._reloadingImagery = [];
+
+        this._removeChangedListener = undefined;
+        if (defined(imageryProvider.changedEvent)) {
+            this._removeChangedListener = imageryProvider.changedEvent.addEventListener(ImageryLayer.prototype._onImageryChanged, this);
+        }
     };
 
     defineProperties(ImageryLayer.prototype, {
@@ -347,6 +356,15 @@ define([
      * imageryLayer = imageryLayer && imageryLayer.destroy();
      */
     ImageryLayer.prototype.destroy = function() {
+        if (defined(this._removeChangedListener)) {
+            this._removeChangedListener();
+        }
+
+        var reloading = this._reloadingImagery;
+        for (var i = 0, len = reloading.length; i < len; ++i) {
+            releaseReplacement(reloading[i].replacement);
+        }
+
         return destroyObject(this);
     };
 
@@ -755,6 +773,149 @@ define([
         }
     };
 
+    function overlaps(imageryRectangle, west, south, east, north, marginX, marginY) {
+        return imageryRectangle.west - marginX <= east && imageryRectangle.east + marginX >= west &&
+               imageryRectangle.south - marginY <= north && imageryRectangle.north + marginY >= south;
+    }
+
+    /**
+     * Marks the cached imagery within reach of a change of the imagery provider to be loaded again.
+     *
+     * @private
+     *
+     * @param {Rectangle} rectangle The rectangle of the change.
+     * @param {Number} [pixelMargin=0] The number of pixels of a tile the change reaches beyond the rectangle.
+     */
+    ImageryLayer.prototype._onImageryChanged = function(rectangle, pixelMargin) {
+        pixelMargin = defaultValue(pixelMargin, 0);
+        var imageryProvider = this._imageryProvider;
+        var cache = this._imageryCache;
+        for (var cacheKey in cache) {
+            if (cache.hasOwnProperty(cacheKey)) {
+                var imagery = cache[cacheKey];
+                var imageryRectangle = imagery.rectangle;
+                if (!defined(imageryRectangle)) {
+                    continue;
+                }
+
+                var marginX = pixelMargin * imageryRectangle.width / imageryProvider.tileWidth;
+                var marginY = pixelMargin * imageryRectangle.height / imageryProvider.tileHeight;
+                var changed;
+                if (rectangle.west > rectangle.east) {
+                    // The change crosses the anti-meridian.
+                    changed = overlaps(imageryRectangle, rectangle.west, rectangle.south, CesiumMath.PI, rectangle.north, marginX, marginY) ||
+                              overlaps(imageryRectangle, -CesiumMath.PI, rectangle.south, rectangle.east, rectangle.north, marginX, marginY);
+                } else {
+                    changed = overlaps(imageryRectangle, rectangle.west, rectangle.south, rectangle.east, rectangle.north, marginX, marginY);
+                }
+
+                if (changed) {
+                    this._changedImagery[cacheKey] = imagery;
+                }
+            }
+        }
+    };
+
+    function releaseReplacement(replacement) {
+        // The replacement is not in the cache, so only its reference to its parent is released.
+        if (defined(replacement.parent)) {
+            replacement.parent.releaseReference();
+        }
+        if (defined(replacement.texture)) {
+            replacement.texture.destroy();
+        }
+    }
+
+    function isReloading(reloading, cacheKey) {
+        for (var i = 0, len = reloading.length; i < len; ++i) {
+            if (reloading[i].cacheKey === cacheKey) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    var maximumReloadsPerFrame = 4;
+
+    /**
+     * Loads the imagery which changed again, a few tiles per frame.  The old texture of each tile is
+     * shown until its replacement is ready, so the layer does not flicker.
+     *
+     * @private
+     *
+     * @param {Context} context The rendered context to use.
+     * @param {DrawCommand[]} commandList An array of rendering commands.
+     */
+    ImageryLayer.prototype._reloadChangedImagery = function(context, commandList) {
+        var cache = this._imageryCache;
+        var reloading = this._reloadingImagery;
+        var i;
+        var imagery;
+        var replacement;
+
+        for (i = reloading.length - 1; i >= 0; --i) {
+            var reload = reloading[i];
+            replacement = reload.replacement;
+            replacement.processStateMachine(context, commandList);
+
+            var state = replacement.state;
+            if (state !== ImageryState.READY && state !== ImageryState.FAILED && state !== ImageryState.INVALID) {
+                continue;
+            }
+
+            imagery = reload.imagery;
+            if (state === ImageryState.READY && cache[reload.cacheKey] === imagery && imagery.state === ImageryState.READY) {
+                imagery.texture.destroy();
+                imagery.texture = replacement.texture;
+                imagery.credits = replacement.credits;
+                replacement.texture = undefined;
+            }
+            releaseReplacement(replacement);
+            reloading.splice(i, 1);
+        }
+
+        var changed = this._changedImagery;
+        var started = 0;
+        for (var cacheKey in changed) {
+            if (changed.hasOwnProperty(cacheKey)) {
+                if (started >= maximumReloadsPerFrame) {
+                    break;
+                }
+
+                imagery = changed[cacheKey];
+                if (cache[cacheKey] !== imagery) {
+                    // Released since it changed.
+                    delete changed[cacheKey];
+                    continue;
+                }
+
+                if (imagery.state !== ImageryState.READY) {
+                    // Imagery being loaded already is loaded again once it is ready, since it may have been
+                    // requested before the change.  Other imagery will load the change when it is needed.
+                    if (imagery.state === ImageryState.UNLOADED || imagery.state === ImageryState.FAILED ||
+                        imagery.state === ImageryState.INVALID || imagery.state === ImageryState.PLACEHOLDER) {
+                        delete changed[cacheKey];
+                    }
+                    continue;
+                }
+
+                if (isReloading(reloading, cacheKey)) {
+                    continue;
+                }
+
+                delete changed[cacheKey];
+                replacement = new Imagery(this, imagery.x, imagery.y, imagery.level, imagery.rectangle);
+                reloading.push({
+                    cacheKey : cacheKey,
+                    imagery : imagery,
+                    replacement : replacement
+                });
+                replacement.processStateMachine(context, commandList);
+                ++started;
+            }
+        }
+    };
+
     ImageryLayer.prototype.getImageryFromCache = function(x, y, level, imageryRectangle) {
         var cacheKey = getImageryCacheKey(x, y, level);
         var imagery = this._imageryCache[cacheKey];
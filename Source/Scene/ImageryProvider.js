@@ -196,6 +196,19 @@ define([
             get : DeveloperError.throwInstantiationError
         },
 
+        /**
+         * Gets an event that is raised when part of the imagery changes, so the tiles showing it have to be
+         * requested again.  Event listeners are passed the {@link Rectangle} that changed and the number of
+         * pixels of a tile the change reaches beyond it.  This property is optional; providers whose imagery
+         * never changes do not define it.
+         * @memberof ImageryProvider.prototype
+         * @type {Event}
+         * @readonly
+         */
+        changedEvent : {
+            get : DeveloperError.throwInstantiationError
+        },
+
         /**
          * Gets the credit to display when this imagery provider is active.  Typically this is used to credit
          * the source of the imagery. This function should
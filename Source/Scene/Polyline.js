@@ -2,25 +2,33 @@
 define([
         '../Core/BoundingSphere',
         '../Core/Cartesian3',
+        '../Core/Cartographic',
         '../Core/Color',
         '../Core/defaultValue',
         '../Core/defined',
         '../Core/defineProperties',
         '../Core/DeveloperError',
+        '../Core/Ellipsoid',
+        '../Core/Math',
         '../Core/Matrix4',
         '../Core/PolylinePipeline',
-        './Material'
+        './Material',
+        './SceneMode'
     ], function(
         BoundingSphere,
         Cartesian3,
+        Cartographic,
         Color,
         defaultValue,
         defined,
         defineProperties,
         DeveloperError,
+        Ellipsoid,
+        CesiumMath,
         Matrix4,
         PolylinePipeline,
-        Material) {
+        Material,
+        SceneMode) {
     "use strict";
 
     /**
@@ -35,6 +43,7 @@ define([
      * @param {Boolean} [options.loop=false] Whether a line segment will be added between the last and first line positions to make this line a loop.
      * @param {Material} [options.material=Material.ColorType] The material.
      * @param {Cartesian3[]} [options.positions] The positions.
+     * @param {Boolean} [options.clampToGround=false] Whether the polyline is draped over the terrain.
      * @param {Object} [options.id] The user-defined object to be returned when this polyline is picked.
      *
      * @see PolylineCollection
@@ -90,6 +99,13 @@ define([
         this._boundingVolume = BoundingSphere.fromPoints(this._actualPositions);
         this._boundingVolumeWC = BoundingSphere.transform(this._boundingVolume, this._modelMatrix);
         this._boundingVolume2D = new BoundingSphere(); // modified in PolylineCollection
+
+        this._clampToGround = defaultValue(options.clampToGround, false);
+        this._clamped = false;
+        this._clampedPositionsChanged = false;
+        this._removeCallbackFuncs = [];
+
+        this._updateClamping();
     };
 
     var SHOW_INDEX = Polyline.SHOW_INDEX = 0;
@@ -156,6 +172,12 @@ define([
                 }
                 //>>includeEnd('debug');
 
+                if (this._clampToGround) {
+                    this._positions = value;
+                    this._updateClamping();
+                    return;
+                }
+
                 var positions = PolylinePipeline.removeDuplicates(value);
 
                 if (this._loop && positions.length > 2) {
@@ -244,7 +266,10 @@ define([
                 }
                 //>>includeEnd('debug');
 
-                if (value !== this._loop) {
+                if (value !== this._loop && this._clampToGround) {
+                    this._loop = value;
+                    this._updateClamping();
+                } else if (value !== this._loop) {
                     var positions = this._actualPositions;
                     if (value) {
                         if (positions.length > 2 && !Cartesian3.equals(positions[0], positions[positions.length - 1])) {
@@ -269,6 +294,37 @@ define([
             }
         },
 
+        /**
+         * Gets or sets whether the polyline is draped over the terrain.  Its positions are joined by
+         * geodesics sampled about every kilometer, and each sample is clamped to the height of the terrain
+         * as more detailed terrain is loaded.  The spacing of the samples does not depend on the zoom, so
+         * seen up close the polyline cuts through or floats over terrain which changes within a kilometer,
+         * like ridges and valleys.  Only a {@link PolylineCollection} created with a scene
+         * can clamp polylines to the ground.
+         * @memberof Polyline.prototype
+         * @type {Boolean}
+         * @default false
+         */
+        clampToGround : {
+            get : function() {
+                return this._clampToGround;
+            },
+            set : function(value) {
+                //>>includeStart('debug', pragmas.debug)
+                if (!defined(value)) {
+                    throw new DeveloperError('value is required.');
+                }
+                //>>includeEnd('debug');
+
+                if (value !== this._clampToGround) {
+                    this._clampToGround = value;
+                    this._updateClamping();
+                    //polylines clamped to the ground are batched apart from the others
+                    makeDirty(this, POSITION_SIZE_INDEX);
+                }
+            }
+        },
+
         /**
          * Gets or sets the user-defined object returned when the polyline is picked.
          * @memberof Polyline.prototype
@@ -299,6 +355,11 @@ define([
         var segmentPositionsLength = this._segments.positions.length;
         var segmentLengths = this._segments.lengths;
 
+        if (this._clampedPositionsChanged) {
+            this._clampedPositionsChanged = false;
+            this._boundingVolume = BoundingSphere.fromPoints(this._actualPositions, this._boundingVolume);
+        }
+
         var positionsChanged = this._propertiesChanged[POSITION_INDEX] > 0 || this._propertiesChanged[POSITION_SIZE_INDEX] > 0;
         if (!Matrix4.equals(modelMatrix, this._modelMatrix) || positionsChanged) {
             this._segments = PolylinePipeline.wrapLongitude(this._actualPositions, modelMatrix);
@@ -344,7 +405,115 @@ define([
         }
     };
 
+    // The distance, in radians, between the positions a polyline clamped to the ground is sampled at.
+    var CLAMPED_GRANULARITY = CesiumMath.RADIANS_PER_DEGREE / 100.0;
+
+    var scratchCartographic = new Cartographic();
+    var generateCartesianArcOptions = {
+        positions : undefined,
+        granularity : CLAMPED_GRANULARITY,
+        ellipsoid : undefined
+    };
+
+    function removeHeightCallbacks(polyline) {
+        var removeCallbackFuncs = polyline._removeCallbackFuncs;
+        for (var i = 0; i < removeCallbackFuncs.length; ++i) {
+            removeCallbackFuncs[i]();
+        }
+        removeCallbackFuncs.length = 0;
+    }
+
+    function createUpdateFunction(polyline, scene, ellipsoid, cartographic, position) {
+        return function(clampedPosition) {
+            var height;
+            if (scene.frameState.mode === SceneMode.SCENE3D) {
+                height = ellipsoid.cartesianToCartographic(clampedPosition, scratchCartographic).height;
+            } else {
+                height = clampedPosition.x;
+            }
+
+            //The positions are kept in world coordinates, which the collection projects in 2D and Columbus view.
+            Cartographic.clone(cartographic, scratchCartographic);
+            scratchCartographic.height = height;
+            ellipsoid.cartographicToCartesian(scratchCartographic, position);
+
+            if (!polyline._clampedPositionsChanged) {
+                polyline._clampedPositionsChanged = true;
+                makeDirty(polyline, POSITION_INDEX);
+            }
+        };
+    }
+
+    Polyline.prototype._updateClamping = function() {
+        removeHeightCallbacks(this);
+
+        if (!this._clampToGround) {
+            if (this._clamped) {
+                this._clamped = false;
+                this.positions = this._positions;
+            }
+            return;
+        }
+
+        var collection = this._polylineCollection;
+        var scene = defined(collection) ? collection._scene : undefined;
+        if (!defined(scene)) {
+            throw new DeveloperError('Clamping to the ground is not supported.');
+        }
+
+        var globe = scene.globe;
+        var ellipsoid = defined(globe) ? globe.ellipsoid : Ellipsoid.WGS84;
+
+        var positions = PolylinePipeline.removeDuplicates(this._positions);
+        if (this._loop && positions.length > 2) {
+            if (positions === this._positions) {
+                positions = positions.slice();
+            }
+            positions.push(Cartesian3.clone(positions[0]));
+        }
+
+        generateCartesianArcOptions.positions = positions;
+        generateCartesianArcOptions.ellipsoid = ellipsoid;
+        positions = PolylinePipeline.generateCartesianArc(generateCartesianArcOptions);
+        generateCartesianArcOptions.positions = undefined;
+
+        var length = positions.length;
+        if (defined(globe)) {
+            var removeCallbackFuncs = this._removeCallbackFuncs;
+            for (var i = 0; i < length; ++i) {
+                var position = positions[i];
+                var cartographic = ellipsoid.cartesianToCartographic(position);
+                if (!defined(cartographic)) {
+                    continue;
+                }
+
+                var height = globe.getHeight(cartographic);
+                if (defined(height)) {
+                    Cartographic.clone(cartographic, scratchCartographic);
+                    scratchCartographic.height = height;
+                    ellipsoid.cartographicToCartesian(scratchCartographic, position);
+                }
+
+                removeCallbackFuncs.push(globe._surface.updateHeight(cartographic, createUpdateFunction(this, scene, ellipsoid, cartographic, position)));
+            }
+        }
+
+        if (this._actualPositions.length !== length || this._actualPositions.length !== this._length) {
+            makeDirty(this, POSITION_SIZE_INDEX);
+        }
+
+        this._clamped = true;
+        this._actualPositions = positions;
+        this._length = length;
+        this._boundingVolume = BoundingSphere.fromPoints(positions, this._boundingVolume);
+        this._boundingVolumeWC = BoundingSphere.transform(this._boundingVolume, this._modelMatrix, this._boundingVolumeWC);
+        makeDirty(this, POSITION_INDEX);
+
+        this.update();
+    };
+
     Polyline.prototype._destroy = function() {
+        removeHeightCallbacks(this);
         this._pickId = this._pickId && this._pickId.destroy();
         this._material = this._material && this._material.destroy();
         this._polylineCollection = undefined;
@@ -110,6 +110,7 @@ define([
      * @param {Object} [options] Object with the following properties:
      * @param {Matrix4} [options.modelMatrix=Matrix4.IDENTITY] The 4x4 transformation matrix that transforms each polyline from model to world coordinates.
      * @param {Boolean} [options.debugShowBoundingVolume=false] For debugging only. Determines if this primitive's commands' bounding spheres are shown.
+     * @param {Scene} [options.scene] Must be passed in for polylines that are clamped to the ground.
      *
      * @performance For best performance, prefer a few collections, each with many polylines, to
      * many collections with only a few polylines each.  Organize collections so that polylines
@@ -171,6 +172,8 @@ define([
          */
         this.debugShowBoundingVolume = defaultValue(options.debugShowBoundingVolume, false);
 
+        this._scene = options.scene;
+
         this._opaqueRS = undefined;
         this._translucentRS = undefined;
 
@@ -394,6 +397,15 @@ define([
                     polyline = polylinesToUpdate[i];
                     polyline.update();
                 }
+            } else {
+                // the positions of polylines clamped to the ground change in place as the terrain is refined
+                var clampedLength = polylinesToUpdate.length;
+                for ( var j = 0; j < clampedLength; ++j) {
+                    polyline = polylinesToUpdate[j];
+                    if (polyline._clampedPositionsChanged) {
+                        polyline.update();
+                    }
+                }
             }
 
             // if a polyline's positions size changes, we need to recreate the vertex arrays and vertex buffers because the indices will be different.
@@ -961,9 +973,12 @@ define([
             if (p._actualPositions.length > 1) {
                 p.update();
                 var material = p.material;
-                var value = polylineBuckets[material.type];
+                //only the polylines clamped to the ground are drawn closer to the camera
+                var clampedToGround = p._clamped;
+                var key = clampedToGround ? material.type + ':clampedToGround' : material.type;
+                var value = polylineBuckets[key];
                 if (!defined(value)) {
-                    value = polylineBuckets[material.type] = new PolylineBucket(material, mode, modelMatrix);
+                    value = polylineBuckets[key] = new PolylineBucket(material, mode, modelMatrix, clampedToGround);
                 }
                 value.addPolyline(p);
             }
@@ -1042,7 +1057,7 @@ define([
         this.bucket = bucket;
     }
 
-    var PolylineBucket = function(material, mode, modelMatrix) {
+    var PolylineBucket = function(material, mode, modelMatrix, clampedToGround) {
         this.polylines = [];
         this.lengthOfPositions = 0;
         this.material = material;
@@ -1050,6 +1065,7 @@ define([
         this.pickShaderProgram = undefined;
         this.mode = mode;
         this.modelMatrix = modelMatrix;
+        this.clampedToGround = clampedToGround;
     };
 
     PolylineBucket.prototype.addPolyline = function(p) {
@@ -1068,6 +1084,9 @@ define([
         var vs = new ShaderSource({
             sources : [PolylineCommon, PolylineVS]
         });
+        if (this.clampedToGround) {
+            vs.defines.push('CLAMPED_TO_GROUND');
+        }
         var fs = new ShaderSource({
             sources : [this.material.shaderSource, PolylineFS]
         });
@@ -1701,6 +1701,7 @@ define([
             camera.moveEnd.raiseEvent();
             scene._cameraStartFired = false;
         }
+        camera._updateViewRectangle();
 
         scene._preRender.raiseEvent(scene, time);
 
@@ -54,6 +54,13 @@ void main()
                 czm_morphTime);
     }
     
+#ifdef CLAMPED_TO_GROUND
+    // move slightly closer to camera to avoid depth issues.
+    p.xyz *= 0.995;
+    prev.xyz *= 0.995;
+    next.xyz *= 0.995;
+#endif
+    
     vec4 positionWC = getPolylineWindowCoordinates(p, prev, next, expandDir, width, usePrev);
     gl_Position = czm_viewportOrthographic * positionWC * show;
     
@@ -58,6 +58,13 @@ void main() \n\
                 czm_morphTime);\n\
     }\n\
     \n\
+#ifdef CLAMPED_TO_GROUND\n\
+    // move slightly closer to camera to avoid depth issues.\n\
+    p.xyz *= 0.995;\n\
+    prev.xyz *= 0.995;\n\
+    next.xyz *= 0.995;\n\
+#endif\n\
+    \n\
     vec4 positionWC = getPolylineWindowCoordinates(p, prev, next, expandDir, width, usePrev);\n\
     gl_Position = czm_viewportOrthographic * positionWC * show;\n\
     \n\
@@ -0,0 +1,134 @@
+/*global define*/
+define([
+        '../../Core/defined',
+        '../../Core/defineProperties',
+        '../../Core/destroyObject',
+        '../../Core/DeveloperError',
+        '../../ThirdParty/knockout',
+        '../getElement',
+        './GeodesicRulerViewModel'
+    ], function(
+        defined,
+        defineProperties,
+        destroyObject,
+        DeveloperError,
+        knockout,
+        getElement,
+        GeodesicRulerViewModel) {
+    "use strict";
+
+    /**
+     * A widget for measuring the distance between two clicked positions, comparing the geodesic distance on the
+     * ellipsoid with the haversine distance Lucene computes, before and after encoding the positions like Lucene indexes them.
+     *
+     * @alias GeodesicRuler
+     * @constructor
+     *
+     * @param {Object} options Object with the following properties:
+     * @param {Element|String} options.container The DOM element or ID that will contain the widget.
+     * @param {Scene} options.scene The scene to measure in.
+     * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid the geodesic distance is measured on.
+     * @param {Color} [options.color=Color.YELLOW] The color of the measured line and its end points.
+     * @param {Number} [options.width=2.0] The width, in pixels, of the measured line.
+     * @param {Number} [options.granularity=CesiumMath.RADIANS_PER_DEGREE] The angular distance between samples of the measured line.
+     *
+     * @see GeodesicRulerViewModel
+     */
+    var GeodesicRuler = function(options) {
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(options) || !defined(options.container)) {
+            throw new DeveloperError('options.container is required.');
+        }
+        if (!defined(options.scene)) {
+            throw new DeveloperError('options.scene is required.');
+        }
+        //>>includeEnd('debug');
+
+        var container = getElement(options.container);
+
+        var viewModel = new GeodesicRulerViewModel(options);
+
+        var element = document.createElement('div');
+        element.className = 'cesium-geodesicRuler';
+
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'cesium-button cesium-geodesicRuler-button';
+        button.setAttribute('data-bind', '\
+css: { "cesium-geodesicRuler-active" : isActive },\
+click: toggleActive,\
+text: isActive ? "Stop measuring" : "Measure"');
+        element.appendChild(button);
+
+        var clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.className = 'cesium-button cesium-geodesicRuler-button';
+        clearButton.textContent = 'Clear';
+        clearButton.setAttribute('data-bind', 'click: clear, visible: start');
+        element.appendChild(clearButton);
+
+        var table = document.createElement('table');
+        table.className = 'cesium-geodesicRuler-results';
+        table.setAttribute('data-bind', 'visible: end');
+        table.innerHTML = '\
+<tr><th>Geodesic</th><td data-bind="text: geodesicLabel"></td></tr>\
+<tr><th>Haversine</th><td data-bind="text: haversineLabel"></td></tr>\
+<tr><th>Lucene encoded</th><td data-bind="text: quantizedLabel"></td></tr>';
+        element.appendChild(table);
+
+        container.appendChild(element);
+
+        knockout.applyBindings(viewModel, element);
+
+        this._container = container;
+        this._viewModel = viewModel;
+        this._element = element;
+    };
+
+    defineProperties(GeodesicRuler.prototype, {
+        /**
+         * Gets the parent container.
+         * @memberof GeodesicRuler.prototype
+         *
+         * @type {Element}
+         */
+        container : {
+            get : function() {
+                return this._container;
+            }
+        },
+
+        /**
+         * Gets the view model.
+         * @memberof GeodesicRuler.prototype
+         *
+         * @type {GeodesicRulerViewModel}
+         */
+        viewModel : {
+            get : function() {
+                return this._viewModel;
+            }
+        }
+    });
+
+    /**
+     * @returns {Boolean} true if the object has been destroyed, false otherwise.
+     */
+    GeodesicRuler.prototype.isDestroyed = function() {
+        return false;
+    };
+
+    /**
+     * Destroys the widget.  Should be called if permanently
+     * removing the widget from layout.
+     */
+    GeodesicRuler.prototype.destroy = function() {
+        this._viewModel.destroy();
+        knockout.cleanNode(this._element);
+        this._container.removeChild(this._element);
+
+        return destroyObject(this);
+    };
+
+    return GeodesicRuler;
+});
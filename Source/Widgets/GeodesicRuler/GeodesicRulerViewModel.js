@@ -0,0 +1,365 @@
+/*global define*/
+define([
+        '../../Core/Cartesian3',
+        '../../Core/Cartographic',
+        '../../Core/Color',
+        '../../Core/defaultValue',
+        '../../Core/defined',
+        '../../Core/defineProperties',
+        '../../Core/destroyObject',
+        '../../Core/DeveloperError',
+        '../../Core/Ellipsoid',
+        '../../Core/EllipsoidGeodesic',
+        '../../Core/LuceneGeoUtils',
+        '../../Core/Math',
+        '../../Core/ScreenSpaceEventHandler',
+        '../../Core/ScreenSpaceEventType',
+        '../../Scene/Material',
+        '../../Scene/PointPrimitiveCollection',
+        '../../Scene/PolylineCollection',
+        '../../ThirdParty/knockout',
+        '../createCommand'
+    ], function(
+        Cartesian3,
+        Cartographic,
+        Color,
+        defaultValue,
+        defined,
+        defineProperties,
+        destroyObject,
+        DeveloperError,
+        Ellipsoid,
+        EllipsoidGeodesic,
+        LuceneGeoUtils,
+        CesiumMath,
+        ScreenSpaceEventHandler,
+        ScreenSpaceEventType,
+        Material,
+        PointPrimitiveCollection,
+        PolylineCollection,
+        knockout,
+        createCommand) {
+    "use strict";
+
+    function formatDistance(distance) {
+        return defined(distance) ? distance.toFixed(3) + ' m' : '';
+    }
+
+    function formatDifference(difference) {
+        return defined(difference) ? (difference < 0.0 ? '' : '+') + difference.toFixed(4) + ' m' : '';
+    }
+
+    var scratchStart = new Cartesian3();
+    var scratchEnd = new Cartesian3();
+
+    //EllipsoidGeodesic has no unique solution for nearly antipodal points, see computeProperties.
+    function isAntipodal(ellipsoid, start, end) {
+        var startNormal = Cartesian3.normalize(ellipsoid.cartographicToCartesian(start, scratchStart), scratchStart);
+        var endNormal = Cartesian3.normalize(ellipsoid.cartographicToCartesian(end, scratchEnd), scratchEnd);
+        return Math.abs(Cartesian3.angleBetween(startNormal, endNormal) - Math.PI) < 0.0125;
+    }
+
+    var scratchCartographic = new Cartographic();
+
+    function drawMeasurement(viewModel) {
+        var points = viewModel._points;
+        var polylines = viewModel._polylines;
+        var ellipsoid = viewModel._ellipsoid;
+        points.removeAll();
+        polylines.removeAll();
+
+        var start = viewModel.start;
+        var end = viewModel.end;
+        if (defined(start)) {
+            points.add({
+                position : ellipsoid.cartographicToCartesian(start),
+                color : viewModel._color,
+                pixelSize : viewModel._width * 3.0
+            });
+        }
+        if (!defined(end)) {
+            return;
+        }
+        points.add({
+            position : ellipsoid.cartographicToCartesian(end),
+            color : viewModel._color,
+            pixelSize : viewModel._width * 3.0
+        });
+
+        var geodesic = viewModel._geodesic;
+        if (!defined(viewModel.geodesicDistance) || viewModel.geodesicDistance === 0.0) {
+            return;
+        }
+
+        var count = Math.max(1, Math.ceil(viewModel.geodesicDistance / (viewModel._granularity * ellipsoid.maximumRadius)));
+        var positions = new Array(count + 1);
+        for (var i = 0; i <= count; ++i) {
+            var cartographic = geodesic.interpolateUsingFraction(i / count, scratchCartographic);
+            positions[i] = ellipsoid.cartographicToCartesian(cartographic);
+        }
+
+        polylines.add({
+            positions : positions,
+            width : viewModel._width,
+            material : Material.fromType(Material.ColorType, {
+                color : viewModel._color
+            })
+        });
+    }
+
+    /**
+     * The view model for {@link GeodesicRuler}.
+     *
+     * @alias GeodesicRulerViewModel
+     * @constructor
+     *
+     * @param {Object} options Object with the following properties:
+     * @param {Scene} options.scene The scene to measure in.
+     * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid the geodesic distance is measured on.
+     * @param {Color} [options.color=Color.YELLOW] The color of the measured line and its end points.
+     * @param {Number} [options.width=2.0] The width, in pixels, of the measured line.
+     * @param {Number} [options.granularity=CesiumMath.RADIANS_PER_DEGREE] The angular distance between samples of the measured line.
+     */
+    var GeodesicRulerViewModel = function(options) {
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(options) || !defined(options.scene)) {
+            throw new DeveloperError('options.scene is required.');
+        }
+        //>>includeEnd('debug');
+
+        var scene = options.scene;
+        this._scene = scene;
+        this._ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+        this._color = defaultValue(options.color, Color.YELLOW);
+        this._width = defaultValue(options.width, 2.0);
+        this._granularity = defaultValue(options.granularity, CesiumMath.RADIANS_PER_DEGREE);
+        this._geodesic = new EllipsoidGeodesic(undefined, undefined, this._ellipsoid);
+        this._points = scene.primitives.add(new PointPrimitiveCollection());
+        this._polylines = scene.primitives.add(new PolylineCollection());
+
+        /**
+         * Gets or sets whether clicking in the scene picks the end points of a measurement.  This property is observable.
+         * @type {Boolean}
+         * @default false
+         */
+        this.isActive = false;
+
+        /**
+         * Gets the first end point of the measurement.  This property is observable.
+         * @type {Cartographic}
+         */
+        this.start = undefined;
+
+        /**
+         * Gets the second end point of the measurement.  This property is observable.
+         * @type {Cartographic}
+         */
+        this.end = undefined;
+
+        /**
+         * Gets the distance, in meters, along the geodesic on the ellipsoid between the end points, or undefined
+         * when the end points are nearly antipodal and the geodesic is not unique.  This property is observable.
+         * @type {Number}
+         */
+        this.geodesicDistance = undefined;
+
+        /**
+         * Gets the haversine distance, in meters, between the end points on the sphere Lucene measures distances on.  This property is observable.
+         * @type {Number}
+         */
+        this.haversineDistance = undefined;
+
+        /**
+         * Gets the haversine distance, in meters, between the end points after encoding both like Lucene indexes them.  This property is observable.
+         * @type {Number}
+         */
+        this.quantizedHaversineDistance = undefined;
+
+        knockout.track(this, ['isActive', 'start', 'end', 'geodesicDistance', 'haversineDistance', 'quantizedHaversineDistance']);
+
+        var that = this;
+
+        /**
+         * Gets the change, in meters, of the haversine distance caused by encoding the end points.  This property is observable.
+         * @type {Number}
+         */
+        this.quantizationDifference = undefined;
+        knockout.defineProperty(this, 'quantizationDifference', function() {
+            if (defined(that.quantizedHaversineDistance)) {
+                return that.quantizedHaversineDistance - that.haversineDistance;
+            }
+            return undefined;
+        });
+
+        /**
+         * Gets the formatted geodesic distance.  This property is observable.
+         * @type {String}
+         */
+        this.geodesicLabel = undefined;
+        knockout.defineProperty(this, 'geodesicLabel', function() {
+            if (defined(that.end) && !defined(that.geodesicDistance)) {
+                return 'not unique';
+            }
+            return formatDistance(that.geodesicDistance);
+        });
+
+        /**
+         * Gets the formatted haversine distance and its difference from the geodesic distance.  This property is observable.
+         * @type {String}
+         */
+        this.haversineLabel = undefined;
+        knockout.defineProperty(this, 'haversineLabel', function() {
+            var label = formatDistance(that.haversineDistance);
+            if (defined(that.geodesicDistance)) {
+                label += ' (' + formatDifference(that.haversineDistance - that.geodesicDistance) + ')';
+            }
+            return label;
+        });
+
+        /**
+         * Gets the formatted haversine distance between the encoded end points and its difference from the haversine distance.  This property is observable.
+         * @type {String}
+         */
+        this.quantizedLabel = undefined;
+        knockout.defineProperty(this, 'quantizedLabel', function() {
+            var label = formatDistance(that.quantizedHaversineDistance);
+            if (defined(that.quantizationDifference)) {
+                label += ' (' + formatDifference(that.quantizationDifference) + ')';
+            }
+            return label;
+        });
+
+        this._toggleActive = createCommand(function() {
+            that.isActive = !that.isActive;
+        });
+        this._clear = createCommand(function() {
+            that.start = undefined;
+            that.end = undefined;
+            that.geodesicDistance = undefined;
+            that.haversineDistance = undefined;
+            that.quantizedHaversineDistance = undefined;
+            drawMeasurement(that);
+        });
+
+        var eventHandler = new ScreenSpaceEventHandler(scene.canvas);
+        eventHandler.setInputAction(function(e) {
+            if (!that.isActive) {
+                return;
+            }
+            var cartesian = scene.camera.pickEllipsoid(e.position, that._ellipsoid);
+            if (!defined(cartesian)) {
+                return;
+            }
+            var cartographic = that._ellipsoid.cartesianToCartographic(cartesian);
+            if (!defined(that.start) || defined(that.end)) {
+                that._clear();
+                that.start = cartographic;
+                drawMeasurement(that);
+            } else {
+                that.measure(that.start, cartographic);
+            }
+        }, ScreenSpaceEventType.LEFT_CLICK);
+        this._eventHandler = eventHandler;
+    };
+
+    defineProperties(GeodesicRulerViewModel.prototype, {
+        /**
+         * Gets the scene to measure in.
+         * @memberof GeodesicRulerViewModel.prototype
+         * @type {Scene}
+         */
+        scene : {
+            get : function() {
+                return this._scene;
+            }
+        },
+
+        /**
+         * Gets the ellipsoid the geodesic distance is measured on.
+         * @memberof GeodesicRulerViewModel.prototype
+         * @type {Ellipsoid}
+         */
+        ellipsoid : {
+            get : function() {
+                return this._ellipsoid;
+            }
+        },
+
+        /**
+         * Gets the command that starts or stops picking end points.
+         * @memberof GeodesicRulerViewModel.prototype
+         * @type {Command}
+         */
+        toggleActive : {
+            get : function() {
+                return this._toggleActive;
+            }
+        },
+
+        /**
+         * Gets the command that removes the measurement.
+         * @memberof GeodesicRulerViewModel.prototype
+         * @type {Command}
+         */
+        clear : {
+            get : function() {
+                return this._clear;
+            }
+        }
+    });
+
+    /**
+     * Measures the distances between two positions and draws the geodesic connecting them.
+     *
+     * @param {Cartographic} start The first end point.
+     * @param {Cartographic} end The second end point.
+     */
+    GeodesicRulerViewModel.prototype.measure = function(start, end) {
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(start)) {
+            throw new DeveloperError('start is required.');
+        }
+        if (!defined(end)) {
+            throw new DeveloperError('end is required.');
+        }
+        //>>includeEnd('debug');
+
+        start = Cartographic.clone(start);
+        end = Cartographic.clone(end);
+        this.start = start;
+        this.end = end;
+
+        var geodesicDistance;
+        if (Cartographic.equalsEpsilon(start, end, CesiumMath.EPSILON12)) {
+            geodesicDistance = 0.0;
+        } else if (!isAntipodal(this._ellipsoid, start, end)) {
+            this._geodesic.setEndPoints(start, end);
+            geodesicDistance = this._geodesic.surfaceDistance;
+        }
+        this.geodesicDistance = geodesicDistance;
+        this.haversineDistance = LuceneGeoUtils.haversineDistance(start, end);
+        this.quantizedHaversineDistance = LuceneGeoUtils.haversineDistance(LuceneGeoUtils.quantize(start), LuceneGeoUtils.quantize(end));
+
+        drawMeasurement(this);
+    };
+
+    /**
+     * @returns {Boolean} true if the object has been destroyed, false otherwise.
+     */
+    GeodesicRulerViewModel.prototype.isDestroyed = function() {
+        return false;
+    };
+
+    /**
+     * Destroys the view model and removes the measurement from the scene.
+     */
+    GeodesicRulerViewModel.prototype.destroy = function() {
+        this._eventHandler.destroy();
+        this._scene.primitives.remove(this._points);
+        this._scene.primitives.remove(this._polylines);
+
+        return destroyObject(this);
+    };
+
+    return GeodesicRulerViewModel;
+});
@@ -0,0 +1,135 @@
+/*global define*/
+define([
+        '../../Core/defined',
+        '../../Core/defineProperties',
+        '../../Core/destroyObject',
+        '../../Core/DeveloperError',
+        '../../ThirdParty/knockout',
+        '../getElement',
+        './ShapeEditorViewModel'
+    ], function(
+        defined,
+        defineProperties,
+        destroyObject,
+        DeveloperError,
+        knockout,
+        getElement,
+        ShapeEditorViewModel) {
+    "use strict";
+
+    function createButton(element, text, bindings) {
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'cesium-button cesium-shapeEditor-button';
+        button.textContent = text;
+        button.setAttribute('data-bind', bindings);
+        element.appendChild(button);
+    }
+
+    function createDrawButton(element, text, mode, command) {
+        createButton(element, text, '\
+css: { "cesium-shapeEditor-active" : mode === "' + mode + '" },\
+enable: ' + command + '.canExecute,\
+click: ' + command);
+    }
+
+    /**
+     * A widget for drawing polygons with holes, rectangles, circles and polylines, and for reshaping them by dragging
+     * the handles of the selected shape.  Positions snap to the terrain, and every change can be undone and redone.
+     *
+     * @alias ShapeEditor
+     * @constructor
+     *
+     * @param {Object} options Object with the following properties:
+     * @param {Element|String} options.container The DOM element or ID that will contain the widget.
+     * @param {Scene} options.scene The scene to draw in.
+     * @param {EntityCollection} options.entities The collection shapes are drawn into.  Only its entities can be edited.
+     * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid positions are picked on where there is no terrain.
+     * @param {Color} [options.fill=Color.YELLOW.withAlpha(0.3)] The color of the interior of drawn polygons, rectangles and circles.
+     * @param {Color} [options.outline=Color.YELLOW] The color of drawn polylines and outlines.
+     * @param {Number} [options.outlineWidth=2.0] The width of drawn polylines, in pixels.
+     * @param {Color} [options.handleColor=Color.WHITE] The color of the handles of the selected shape.
+     *
+     * @see ShapeEditorViewModel
+     */
+    var ShapeEditor = function(options) {
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(options) || !defined(options.container)) {
+            throw new DeveloperError('options.container is required.');
+        }
+        //>>includeEnd('debug');
+
+        var container = getElement(options.container);
+
+        var viewModel = new ShapeEditorViewModel(options);
+
+        var element = document.createElement('div');
+        element.className = 'cesium-shapeEditor';
+
+        createDrawButton(element, 'Polygon', 'polygon', 'drawPolygon');
+        createDrawButton(element, 'Hole', 'hole', 'drawHole');
+        createDrawButton(element, 'Rectangle', 'rectangle', 'drawRectangle');
+        createDrawButton(element, 'Circle', 'circle', 'drawCircle');
+        createDrawButton(element, 'Polyline', 'polyline', 'drawPolyline');
+        createButton(element, 'Finish', 'visible: mode, enable: canFinishDrawing, click: finishDrawing');
+        createButton(element, 'Cancel', 'visible: mode, click: cancelDrawing');
+        createButton(element, 'Undo', 'enable: canUndo, click: undo');
+        createButton(element, 'Redo', 'enable: canRedo, click: redo');
+        createButton(element, 'Delete', 'enable: selectedEntity, click: deleteSelected');
+
+        container.appendChild(element);
+
+        knockout.applyBindings(viewModel, element);
+
+        this._container = container;
+        this._viewModel = viewModel;
+        this._element = element;
+    };
+
+    defineProperties(ShapeEditor.prototype, {
+        /**
+         * Gets the parent container.
+         * @memberof ShapeEditor.prototype
+         *
+         * @type {Element}
+         */
+        container : {
+            get : function() {
+                return this._container;
+            }
+        },
+
+        /**
+         * Gets the view model.
+         * @memberof ShapeEditor.prototype
+         *
+         * @type {ShapeEditorViewModel}
+         */
+        viewModel : {
+            get : function() {
+                return this._viewModel;
+            }
+        }
+    });
+
+    /**
+     * @returns {Boolean} true if the object has been destroyed, false otherwise.
+     */
+    ShapeEditor.prototype.isDestroyed = function() {
+        return false;
+    };
+
+    /**
+     * Destroys the widget.  Should be called if permanently
+     * removing the widget from layout.
+     */
+    ShapeEditor.prototype.destroy = function() {
+        this._viewModel.destroy();
+        knockout.cleanNode(this._element);
+        this._container.removeChild(this._element);
+
+        return destroyObject(this);
+    };
+
+    return ShapeEditor;
+});
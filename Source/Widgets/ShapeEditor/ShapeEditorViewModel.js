@@ -0,0 +1,872 @@
+/*global define*/
+define([
+        '../../Core/Cartesian3',
+        '../../Core/Color',
+        '../../Core/defaultValue',
+        '../../Core/defined',
+        '../../Core/defineProperties',
+        '../../Core/destroyObject',
+        '../../Core/DeveloperError',
+        '../../Core/Ellipsoid',
+        '../../Core/Event',
+        '../../Core/isArray',
+        '../../Core/JulianDate',
+        '../../Core/Math',
+        '../../Core/Matrix3',
+        '../../Core/PolygonHierarchy',
+        '../../Core/Quaternion',
+        '../../Core/Ray',
+        '../../Core/Rectangle',
+        '../../Core/ScreenSpaceEventHandler',
+        '../../Core/ScreenSpaceEventType',
+        '../../DataSources/Entity',
+        '../../Scene/PointPrimitiveCollection',
+        '../../ThirdParty/knockout',
+        '../createCommand'
+    ], function(
+        Cartesian3,
+        Color,
+        defaultValue,
+        defined,
+        defineProperties,
+        destroyObject,
+        DeveloperError,
+        Ellipsoid,
+        Event,
+        isArray,
+        JulianDate,
+        CesiumMath,
+        Matrix3,
+        PolygonHierarchy,
+        Quaternion,
+        Ray,
+        Rectangle,
+        ScreenSpaceEventHandler,
+        ScreenSpaceEventType,
+        Entity,
+        PointPrimitiveCollection,
+        knockout,
+        createCommand) {
+    "use strict";
+
+    //The number of positions each shape needs before it can be finished.
+    var minimumPositions = {
+        polygon : 3,
+        hole : 3,
+        polyline : 2,
+        rectangle : 2,
+        circle : 2
+    };
+
+    function clonePositions(positions) {
+        var length = positions.length;
+        var result = new Array(length);
+        for (var i = 0; i < length; i++) {
+            result[i] = Cartesian3.clone(positions[i]);
+        }
+        return result;
+    }
+
+    function cloneHierarchy(hierarchy) {
+        var holes = defaultValue(hierarchy.holes, []);
+        var clonedHoles = new Array(holes.length);
+        for (var i = 0; i < holes.length; i++) {
+            clonedHoles[i] = cloneHierarchy(holes[i]);
+        }
+        return new PolygonHierarchy(clonePositions(hierarchy.positions), clonedHoles);
+    }
+
+    //The shape of an entity as plain values, which undo and redo restore.
+    function getShape(entity) {
+        var time = JulianDate.now();
+        if (defined(entity.polygon)) {
+            var hierarchy = entity.polygon.hierarchy.getValue(time);
+            return cloneHierarchy(isArray(hierarchy) ? new PolygonHierarchy(hierarchy) : hierarchy);
+        }
+        if (defined(entity.polyline)) {
+            return clonePositions(entity.polyline.positions.getValue(time));
+        }
+        if (defined(entity.rectangle)) {
+            return Rectangle.clone(entity.rectangle.coordinates.getValue(time));
+        }
+        return {
+            center : Cartesian3.clone(entity.position.getValue(time)),
+            radius : entity.ellipse.semiMajorAxis.getValue(time)
+        };
+    }
+
+    function setShape(entity, shape) {
+        if (defined(entity.polygon)) {
+            entity.polygon.hierarchy = cloneHierarchy(shape);
+        } else if (defined(entity.polyline)) {
+            entity.polyline.positions = clonePositions(shape);
+        } else if (defined(entity.rectangle)) {
+            entity.rectangle.coordinates = Rectangle.clone(shape);
+        } else {
+            entity.position = Cartesian3.clone(shape.center);
+            entity.ellipse.semiMajorAxis = shape.radius;
+            entity.ellipse.semiMinorAxis = shape.radius;
+        }
+    }
+
+    function positionsEqual(left, right) {
+        if (left.length !== right.length) {
+            return false;
+        }
+        for (var i = 0; i < left.length; i++) {
+            if (!Cartesian3.equals(left[i], right[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    //Whether two shapes, as returned by getShape, are the same.
+    function shapesEqual(left, right) {
+        if (left instanceof PolygonHierarchy) {
+            if (!positionsEqual(left.positions, right.positions) || left.holes.length !== right.holes.length) {
+                return false;
+            }
+            for (var i = 0; i < left.holes.length; i++) {
+                if (!shapesEqual(left.holes[i], right.holes[i])) {
+                    return false;
+                }
+            }
+            return true;
+        }
+        if (isArray(left)) {
+            return positionsEqual(left, right);
+        }
+        if (left instanceof Rectangle) {
+            return Rectangle.equals(left, right);
+        }
+        return Cartesian3.equals(left.center, right.center) && left.radius === right.radius;
+    }
+
+    function isEditable(entity) {
+        return defined(entity.polygon) || defined(entity.polyline) || defined(entity.rectangle) || (defined(entity.ellipse) && defined(entity.position));
+    }
+
+    //The same radius EllipseGeometry draws with: the angle between the center and the point, on a sphere through the center.
+    function computeRadius(center, position) {
+        return Cartesian3.angleBetween(center, position) * Cartesian3.magnitude(center);
+    }
+
+    function rectangleFromCorners(ellipsoid, first, second) {
+        return Rectangle.fromCartographicArray([ellipsoid.cartesianToCartographic(first), ellipsoid.cartesianToCartographic(second)]);
+    }
+
+    var scratchAxis = new Cartesian3();
+    var scratchQuaternion = new Quaternion();
+    var scratchRotation = new Matrix3();
+
+    //The positions of the handles of a shape.  A polygon has one per vertex of its outer ring and then
+    //of each hole, a polyline one per vertex, a rectangle one per corner, counter-clockwise from the
+    //south west, and a circle one at its center and one on its circumference, north of the center at the same height.
+    function getHandlePositions(ellipsoid, entity, shape) {
+        if (defined(entity.polygon)) {
+            var positions = shape.positions.slice();
+            for (var i = 0; i < shape.holes.length; i++) {
+                positions = positions.concat(shape.holes[i].positions);
+            }
+            return positions;
+        }
+        if (defined(entity.polyline)) {
+            return shape;
+        }
+        if (defined(entity.rectangle)) {
+            return [Rectangle.southwest(shape), Rectangle.southeast(shape), Rectangle.northeast(shape), Rectangle.northwest(shape)].map(function(corner) {
+                return ellipsoid.cartographicToCartesian(corner);
+            });
+        }
+        //rotate the center northward by the angle of the radius, so that computeRadius gives the radius back
+        var axis = Cartesian3.cross(shape.center, Cartesian3.UNIT_Z, scratchAxis);
+        if (Cartesian3.equalsEpsilon(axis, Cartesian3.ZERO, CesiumMath.EPSILON7)) {
+            axis = Cartesian3.clone(Cartesian3.UNIT_X, scratchAxis);
+        }
+        var rotation = Matrix3.fromQuaternion(Quaternion.fromAxisAngle(axis, shape.radius / Cartesian3.magnitude(shape.center), scratchQuaternion), scratchRotation);
+        return [shape.center, Matrix3.multiplyByVector(rotation, shape.center, new Cartesian3())];
+    }
+
+    //Returns the shape with the handle at the index moved to the position.  A rectangle is spanned by the position
+    //and oppositeCorner, which defaults to the corner opposite the handle.
+    function moveHandle(ellipsoid, entity, shape, index, position, oppositeCorner) {
+        if (defined(entity.polygon)) {
+            var ring = shape;
+            var vertex = index;
+            var holeIndex = 0;
+            while (vertex >= ring.positions.length) {
+                vertex -= ring.positions.length;
+                ring = shape.holes[holeIndex++];
+            }
+            ring.positions[vertex] = Cartesian3.clone(position);
+            return shape;
+        }
+        if (defined(entity.polyline)) {
+            shape[index] = Cartesian3.clone(position);
+            return shape;
+        }
+        if (defined(entity.rectangle)) {
+            if (!defined(oppositeCorner)) {
+                oppositeCorner = getHandlePositions(ellipsoid, entity, shape)[(index + 2) % 4];
+            }
+            return rectangleFromCorners(ellipsoid, position, oppositeCorner);
+        }
+        if (index === 0) {
+            shape.center = Cartesian3.clone(position);
+        } else {
+            shape.radius = computeRadius(shape.center, position);
+        }
+        return shape;
+    }
+
+    function updateHandles(viewModel) {
+        var handles = viewModel._handles;
+        handles.removeAll();
+        var entity = viewModel.selectedEntity;
+        if (!defined(entity) || defined(viewModel.mode)) {
+            return;
+        }
+        var positions = getHandlePositions(viewModel._ellipsoid, entity, getShape(entity));
+        for (var i = 0; i < positions.length; i++) {
+            handles.add({
+                position : positions[i],
+                color : viewModel._handleColor,
+                pixelSize : 10.0,
+                outlineColor : Color.BLACK,
+                outlineWidth : 1.0,
+                id : {
+                    shapeEditorHandle : i
+                }
+            });
+        }
+    }
+
+    function pushChange(viewModel, entity, before, after) {
+        viewModel._undoStack.push({
+            entity : entity,
+            before : before,
+            after : after
+        });
+        viewModel._redoStack.length = 0;
+        updateHistory(viewModel);
+        viewModel._changedEvent.raiseEvent(viewModel, entity);
+    }
+
+    function updateHistory(viewModel) {
+        viewModel.canUndo = viewModel._undoStack.length > 0;
+        viewModel.canRedo = viewModel._redoStack.length > 0;
+    }
+
+    //Restores a shape, where an undefined shape is one that was not created yet or was deleted.
+    function restore(viewModel, entity, shape) {
+        var entities = viewModel._entities;
+        if (!defined(shape)) {
+            entities.remove(entity);
+            if (viewModel.selectedEntity === entity) {
+                viewModel.selectedEntity = undefined;
+            }
+        } else {
+            if (!entities.contains(entity)) {
+                entities.add(entity);
+            }
+            setShape(entity, shape);
+        }
+        updateHandles(viewModel);
+        viewModel._changedEvent.raiseEvent(viewModel, entity);
+    }
+
+    function createEntity(viewModel, mode) {
+        var style = viewModel._style;
+        var options = {};
+        if (mode === 'polyline' || mode === 'polygon' || mode === 'hole') {
+            //polygons and holes are drawn as polylines until they have enough positions to be filled
+            options.polyline = {
+                material : style.outline,
+                width : style.outlineWidth
+            };
+        } else if (mode === 'rectangle') {
+            options.rectangle = {
+                material : style.fill,
+                outline : true,
+                outlineColor : style.outline
+            };
+        } else {
+            options.ellipse = {
+                material : style.fill,
+                outline : true,
+                outlineColor : style.outline
+            };
+        }
+        return viewModel._entities.add(new Entity(options));
+    }
+
+    //Updates the shape being drawn with its positions so far, and the position under the cursor, if any.
+    function updateDrawing(viewModel, cursor) {
+        var drawing = viewModel._drawing;
+        var positions = drawing.positions;
+        if (defined(cursor)) {
+            positions = positions.concat([cursor]);
+        }
+        var entity = drawing.entity;
+        var mode = viewModel.mode;
+        if (mode === 'polyline') {
+            entity.polyline.positions = clonePositions(positions);
+        } else if (mode === 'polygon' || mode === 'hole') {
+            entity.polyline.positions = clonePositions(positions.length > 2 ? positions.concat([positions[0]]) : positions);
+        } else if (positions.length > 1 && !Cartesian3.equals(positions[0], positions[1])) {
+            if (mode === 'rectangle') {
+                entity.rectangle.coordinates = rectangleFromCorners(viewModel._ellipsoid, positions[0], positions[1]);
+            } else {
+                entity.position = Cartesian3.clone(positions[0]);
+                var radius = computeRadius(positions[0], positions[1]);
+                entity.ellipse.semiMajorAxis = radius;
+                entity.ellipse.semiMinorAxis = radius;
+            }
+        }
+    }
+
+    function stopDrawing(viewModel) {
+        var drawing = viewModel._drawing;
+        viewModel._drawing = undefined;
+        viewModel.mode = undefined;
+        if (defined(drawing)) {
+            viewModel._entities.remove(drawing.entity);
+        }
+        updateHandles(viewModel);
+    }
+
+    function startDrawing(viewModel, mode) {
+        stopDrawing(viewModel);
+        viewModel.mode = mode;
+        viewModel._drawing = {
+            positions : [],
+            entity : undefined
+        };
+        updateHandles(viewModel);
+    }
+
+    var scratchRay = new Ray();
+
+    //Picks the terrain, or the ellipsoid if there is no globe or the terrain under the position is not loaded yet.
+    function pickPosition(viewModel, windowPosition) {
+        var scene = viewModel._scene;
+        var globe = scene.globe;
+        var position;
+        if (defined(globe)) {
+            position = globe.pick(scene.camera.getPickRay(windowPosition, scratchRay), scene);
+        }
+        if (!defined(position)) {
+            position = scene.camera.pickEllipsoid(windowPosition, viewModel._ellipsoid);
+        }
+        return position;
+    }
+
+    function pickHandle(viewModel, windowPosition) {
+        var picked = viewModel._scene.pick(windowPosition);
+        if (defined(picked) && picked.collection === viewModel._handles) {
+            return picked.id.shapeEditorHandle;
+        }
+        return undefined;
+    }
+
+    function addInputActions(viewModel, eventHandler) {
+        var scene = viewModel._scene;
+
+        eventHandler.setInputAction(function(e) {
+            if (defined(viewModel.mode)) {
+                var position = pickPosition(viewModel, e.position);
+                if (defined(position)) {
+                    viewModel.addPosition(position);
+                }
+                return;
+            }
+            if (defined(pickHandle(viewModel, e.position))) {
+                return;
+            }
+            var picked = scene.pick(e.position);
+            var entity = defined(picked) ? picked.id : undefined;
+            viewModel.selectedEntity = entity instanceof Entity && viewModel._entities.contains(entity) && isEditable(entity) ? entity : undefined;
+        }, ScreenSpaceEventType.LEFT_CLICK);
+
+        eventHandler.setInputAction(function() {
+            if (defined(viewModel.mode) && viewModel.finishDrawing.canExecute) {
+                viewModel.finishDrawing();
+            }
+        }, ScreenSpaceEventType.RIGHT_CLICK);
+
+        eventHandler.setInputAction(function(e) {
+            if (defined(viewModel.mode)) {
+                return;
+            }
+            var index = pickHandle(viewModel, e.position);
+            if (!defined(index)) {
+                return;
+            }
+            var entity = viewModel.selectedEntity;
+            var before = getShape(entity);
+            viewModel._dragging = {
+                index : index,
+                before : before,
+                //the corners of a rectangle are sorted again as it is dragged, so once the dragged corner
+                //crosses the opposite one the corner opposite its handle is no longer the one to keep
+                oppositeCorner : defined(entity.rectangle) ? getHandlePositions(viewModel._ellipsoid, entity, before)[(index + 2) % 4] : undefined
+            };
+            scene.screenSpaceCameraController.enableInputs = false;
+        }, ScreenSpaceEventType.LEFT_DOWN);
+
+        eventHandler.setInputAction(function(e) {
+            var dragging = viewModel._dragging;
+            if (!defined(dragging) && !defined(viewModel.mode)) {
+                return;
+            }
+            var position = pickPosition(viewModel, e.endPosition);
+            if (!defined(position)) {
+                return;
+            }
+            if (defined(dragging)) {
+                var entity = viewModel.selectedEntity;
+                setShape(entity, moveHandle(viewModel._ellipsoid, entity, getShape(entity), dragging.index, position, dragging.oppositeCorner));
+                updateHandles(viewModel);
+            } else if (defined(viewModel._drawing.entity)) {
+                updateDrawing(viewModel, position);
+            }
+        }, ScreenSpaceEventType.MOUSE_MOVE);
+
+        eventHandler.setInputAction(function() {
+            var dragging = viewModel._dragging;
+            if (!defined(dragging)) {
+                return;
+            }
+            viewModel._dragging = undefined;
+            scene.screenSpaceCameraController.enableInputs = true;
+            var entity = viewModel.selectedEntity;
+            var after = getShape(entity);
+            //a handle clicked without moving it leaves nothing to undo
+            if (!shapesEqual(dragging.before, after)) {
+                pushChange(viewModel, entity, dragging.before, after);
+            }
+        }, ScreenSpaceEventType.LEFT_UP);
+    }
+
+    /**
+     * The view model for {@link ShapeEditor}.
+     *
+     * @alias ShapeEditorViewModel
+     * @constructor
+     *
+     * @param {Object} options Object with the following properties:
+     * @param {Scene} options.scene The scene to draw in.
+     * @param {EntityCollection} options.entities The collection shapes are drawn into.  Only its entities can be edited.
+     * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.WGS84] The ellipsoid positions are picked on where there is no terrain.
+     * @param {Color} [options.fill=Color.YELLOW.withAlpha(0.3)] The color of the interior of drawn polygons, rectangles and circles.
+     * @param {Color} [options.outline=Color.YELLOW] The color of drawn polylines and outlines.
+     * @param {Number} [options.outlineWidth=2.0] The width of drawn polylines, in pixels.
+     * @param {Color} [options.handleColor=Color.WHITE] The color of the handles of the selected shape.
+     */
+    var ShapeEditorViewModel = function(options) {
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(options) || !defined(options.scene)) {
+            throw new DeveloperError('options.scene is required.');
+        }
+        if (!defined(options.entities)) {
+            throw new DeveloperError('options.entities is required.');
+        }
+        //>>includeEnd('debug');
+
+        var scene = options.scene;
+        this._scene = scene;
+        this._entities = options.entities;
+        this._ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.WGS84);
+        this._style = {
+            fill : defaultValue(options.fill, Color.YELLOW.withAlpha(0.3)),
+            outline : defaultValue(options.outline, Color.YELLOW),
+            outlineWidth : defaultValue(options.outlineWidth, 2.0)
+        };
+        this._handleColor = defaultValue(options.handleColor, Color.WHITE);
+        this._handles = scene.primitives.add(new PointPrimitiveCollection());
+        this._changedEvent = new Event();
+        this._undoStack = [];
+        this._redoStack = [];
+        this._drawing = undefined;
+        this._dragging = undefined;
+        this._positionCount = 0;
+
+        /**
+         * Gets the kind of shape being drawn: 'polygon', 'hole', 'rectangle', 'circle' or 'polyline', or undefined
+         * when not drawing.  This property is observable.
+         * @type {String}
+         */
+        this.mode = undefined;
+
+        /**
+         * Gets or sets the shape whose handles are shown, so it can be reshaped by dragging them.  This property is observable.
+         * @type {Entity}
+         */
+        this.selectedEntity = undefined;
+
+        /**
+         * Gets whether there is a change to undo.  This property is observable.
+         * @type {Boolean}
+         */
+        this.canUndo = false;
+
+        /**
+         * Gets whether there is an undone change to redo.  This property is observable.
+         * @type {Boolean}
+         */
+        this.canRedo = false;
+
+        knockout.track(this, ['mode', 'selectedEntity', 'canUndo', 'canRedo', '_positionCount']);
+
+        var that = this;
+
+        /**
+         * Gets whether the shape being drawn has enough positions to be finished.  This property is observable.
+         * @type {Boolean}
+         */
+        this.canFinishDrawing = undefined;
+        knockout.defineProperty(this, 'canFinishDrawing', function() {
+            var mode = that.mode;
+            return defined(mode) && that._positionCount >= minimumPositions[mode];
+        });
+
+        /**
+         * Gets whether the selected shape is a polygon that a hole can be drawn in.  This property is observable.
+         * @type {Boolean}
+         */
+        this.canDrawHole = undefined;
+        knockout.defineProperty(this, 'canDrawHole', function() {
+            return defined(that.selectedEntity) && defined(that.selectedEntity.polygon);
+        });
+
+        function drawCommand(mode) {
+            return createCommand(function() {
+                startDrawing(that, mode);
+                that._positionCount = 0;
+            });
+        }
+
+        this._drawPolygon = drawCommand('polygon');
+        this._drawHole = createCommand(function() {
+            startDrawing(that, 'hole');
+            that._positionCount = 0;
+        }, knockout.getObservable(this, 'canDrawHole'));
+        this._drawRectangle = drawCommand('rectangle');
+        this._drawCircle = drawCommand('circle');
+        this._drawPolyline = drawCommand('polyline');
+
+        this._finishDrawing = createCommand(function() {
+            var mode = that.mode;
+            var positions = that._drawing.positions;
+            var entity = that._drawing.entity;
+            that._drawing = undefined;
+            that.mode = undefined;
+            that._positionCount = 0;
+
+            if (mode === 'hole') {
+                that._entities.remove(entity);
+                entity = that.selectedEntity;
+                var before = getShape(entity);
+                var after = cloneHierarchy(before);
+                after.holes.push(new PolygonHierarchy(clonePositions(positions)));
+                setShape(entity, after);
+                updateHandles(that);
+                pushChange(that, entity, before, after);
+                return;
+            }
+
+            if (mode === 'polygon') {
+                entity.polyline = undefined;
+                entity.polygon = {
+                    hierarchy : new PolygonHierarchy(clonePositions(positions)),
+                    material : that._style.fill,
+                    outline : true,
+                    outlineColor : that._style.outline
+                };
+            }
+            that.selectedEntity = entity;
+            updateHandles(that);
+            pushChange(that, entity, undefined, getShape(entity));
+        }, knockout.getObservable(this, 'canFinishDrawing'));
+
+        this._cancelDrawing = createCommand(function() {
+            stopDrawing(that);
+            that._positionCount = 0;
+        });
+
+        this._deleteSelected = createCommand(function() {
+            var entity = that.selectedEntity;
+            if (!defined(entity)) {
+                return;
+            }
+            var before = getShape(entity);
+            that.selectedEntity = undefined;
+            that._entities.remove(entity);
+            updateHandles(that);
+            pushChange(that, entity, before, undefined);
+        });
+
+        this._undo = createCommand(function() {
+            var change = that._undoStack.pop();
+            that._redoStack.push(change);
+            updateHistory(that);
+            restore(that, change.entity, change.before);
+        }, knockout.getObservable(this, 'canUndo'));
+
+        this._redo = createCommand(function() {
+            var change = that._redoStack.pop();
+            that._undoStack.push(change);
+            updateHistory(that);
+            restore(that, change.entity, change.after);
+        }, knockout.getObservable(this, 'canRedo'));
+
+        this._selectedEntitySubscription = knockout.getObservable(this, 'selectedEntity').subscribe(function() {
+            updateHandles(that);
+        });
+
+        var eventHandler = new ScreenSpaceEventHandler(scene.canvas);
+        addInputActions(this, eventHandler);
+        this._eventHandler = eventHandler;
+    };
+
+    defineProperties(ShapeEditorViewModel.prototype, {
+        /**
+         * Gets the scene to draw in.
+         * @memberof ShapeEditorViewModel.prototype
+         * @type {Scene}
+         */
+        scene : {
+            get : function() {
+                return this._scene;
+            }
+        },
+
+        /**
+         * Gets the collection shapes are drawn into.
+         * @memberof ShapeEditorViewModel.prototype
+         * @type {EntityCollection}
+         */
+        entities : {
+            get : function() {
+                return this._entities;
+            }
+        },
+
+        /**
+         * Gets an event that is raised with the view model and the entity whenever a shape is created, reshaped
+         * or deleted, including by undo and redo.
+         * @memberof ShapeEditorViewModel.prototype
+         * @type {Event}
+         */
+        changedEvent : {
+            get : function() {
+                return this._changedEvent;
+            }
+        },
+
+        /**
+         * Gets the command that starts drawing a polygon, one click per vertex.
+         * @memberof ShapeEditorViewModel.prototype
+         * @type {Command}
+         */
+        drawPolygon : {
+            get : function() {
+                return this._drawPolygon;
+            }
+        },
+
+        /**
+         * Gets the command that starts drawing a hole in the selected polygon, one click per vertex.
+         * @memberof ShapeEditorViewModel.prototype
+         * @type {Command}
+         */
+        drawHole : {
+            get : function() {
+                return this._drawHole;
+            }
+        },
+
+        /**
+         * Gets the command that starts drawing a rectangle, clicking two opposite corners.
+         * @memberof ShapeEditorViewModel.prototype
+         * @type {Command}
+         */
+        drawRectangle : {
+            get : function() {
+                return this._drawRectangle;
+            }
+        },
+
+        /**
+         * Gets the command that starts drawing a circle, clicking its center and then a point on its circumference.
+         * @memberof ShapeEditorViewModel.prototype
+         * @type {Command}
+         */
+        drawCircle : {
+            get : function() {
+                return this._drawCircle;
+            }
+        },
+
+        /**
+         * Gets the command that starts drawing a polyline, one click per vertex.
+         * @memberof ShapeEditorViewModel.prototype
+         * @type {Command}
+         */
+        drawPolyline : {
+            get : function() {
+                return this._drawPolyline;
+            }
+        },
+
+        /**
+         * Gets the command that finishes the shape being drawn and selects it.  A right click does the same.
+         * @memberof ShapeEditorViewModel.prototype
+         * @type {Command}
+         */
+        finishDrawing : {
+            get : function() {
+                return this._finishDrawing;
+            }
+        },
+
+        /**
+         * Gets the command that discards the shape being drawn.
+         * @memberof ShapeEditorViewModel.prototype
+         * @type {Command}
+         */
+        cancelDrawing : {
+            get : function() {
+                return this._cancelDrawing;
+            }
+        },
+
+        /**
+         * Gets the command that deletes the selected shape, if any.
+         * @memberof ShapeEditorViewModel.prototype
+         * @type {Command}
+         */
+        deleteSelected : {
+            get : function() {
+                return this._deleteSelected;
+            }
+        },
+
+        /**
+         * Gets the command that undoes the last change.
+         * @memberof ShapeEditorViewModel.prototype
+         * @type {Command}
+         */
+        undo : {
+            get : function() {
+                return this._undo;
+            }
+        },
+
+        /**
+         * Gets the command that redoes the last undone change.
+         * @memberof ShapeEditorViewModel.prototype
+         * @type {Command}
+         */
+        redo : {
+            get : function() {
+                return this._redo;
+            }
+        }
+    });
+
+    /**
+     * Adds a position to the shape being drawn, as a click does.  Rectangles and circles are finished by their second position.
+     *
+     * @param {Cartesian3} position The position.
+     */
+    ShapeEditorViewModel.prototype.addPosition = function(position) {
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(position)) {
+            throw new DeveloperError('position is required.');
+        }
+        if (!defined(this.mode)) {
+            throw new DeveloperError('a shape must be being drawn.');
+        }
+        //>>includeEnd('debug');
+
+        var drawing = this._drawing;
+        if (!defined(drawing.entity)) {
+            drawing.entity = createEntity(this, this.mode);
+        }
+        drawing.positions.push(Cartesian3.clone(position));
+        this._positionCount = drawing.positions.length;
+        updateDrawing(this, undefined);
+
+        if ((this.mode === 'rectangle' || this.mode === 'circle') && this.canFinishDrawing) {
+            this._finishDrawing();
+        }
+    };
+
+    /**
+     * Gets the positions of the handles of the selected shape: for a polygon, every vertex of its outer ring and then of
+     * each hole, for a polyline, every vertex, for a rectangle, its corners counter-clockwise from the south west, and for
+     * a circle, its center and a point on its circumference.
+     *
+     * @returns {Cartesian3[]} The positions, or undefined if no shape is selected.
+     */
+    ShapeEditorViewModel.prototype.getHandlePositions = function() {
+        var entity = this.selectedEntity;
+        if (!defined(entity)) {
+            return undefined;
+        }
+        return getHandlePositions(this._ellipsoid, entity, getShape(entity));
+    };
+
+    /**
+     * Moves a handle of the selected shape, as dragging it does, and records the change so it can be undone.
+     *
+     * @param {Number} index The index of the handle, see {@link ShapeEditorViewModel#getHandlePositions}.
+     * @param {Cartesian3} position The new position of the handle.
+     */
+    ShapeEditorViewModel.prototype.moveHandle = function(index, position) {
+        //>>includeStart('debug', pragmas.debug);
+        if (!defined(this.selectedEntity)) {
+            throw new DeveloperError('a shape must be selected.');
+        }
+        if (!defined(index)) {
+            throw new DeveloperError('index is required.');
+        }
+        if (!defined(position)) {
+            throw new DeveloperError('position is required.');
+        }
+        //>>includeEnd('debug');
+
+        var entity = this.selectedEntity;
+        var before = getShape(entity);
+        var after = moveHandle(this._ellipsoid, entity, getShape(entity), index, position);
+        setShape(entity, after);
+        updateHandles(this);
+        pushChange(this, entity, before, getShape(entity));
+    };
+
+    /**
+     * @returns {Boolean} true if the object has been destroyed, false otherwise.
+     */
+    ShapeEditorViewModel.prototype.isDestroyed = function() {
+        return false;
+    };
+
+    /**
+     * Destroys the view model.  A shape being drawn is discarded, the shapes already drawn are left in the collection.
+     */
+    ShapeEditorViewModel.prototype.destroy = function() {
+        stopDrawing(this);
+        if (defined(this._dragging)) {
+            this._scene.screenSpaceCameraController.enableInputs = true;
+        }
+        this._eventHandler.destroy();
+        this._selectedEntitySubscription.dispose();
+        this._scene.primitives.remove(this._handles);
+
+        return destroyObject(this);
+    };
+
+    return ShapeEditorViewModel;
+});
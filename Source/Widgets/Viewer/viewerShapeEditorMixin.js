@@ -0,0 +1,71 @@
+/*global define*/
+define([
+        '../../Core/defaultValue',
+        '../../Core/defined',
+        '../../Core/defineProperties',
+        '../../Core/DeveloperError',
+        '../ShapeEditor/ShapeEditor'
+    ], function(
+        defaultValue,
+        defined,
+        defineProperties,
+        DeveloperError,
+        ShapeEditor) {
+    "use strict";
+
+    /**
+     * A mixin which adds the {@link ShapeEditor} widget to the {@link Viewer} widget, below the toolbar.
+     * Rather than being called directly, this function is normally passed as
+     * a parameter to {@link Viewer#extend}, as shown in the example below.
+     * @exports viewerShapeEditorMixin
+     *
+     * @param {Viewer} viewer The viewer instance.
+     * @param {Object} [options] Object with the following properties:
+     * @param {EntityCollection} [options.entities=viewer.entities] The collection shapes are drawn into.
+     * @param {Color} [options.fill=Color.YELLOW.withAlpha(0.3)] The color of the interior of drawn polygons, rectangles and circles.
+     * @param {Color} [options.outline=Color.YELLOW] The color of drawn polylines and outlines.
+     * @param {Number} [options.outlineWidth=2.0] The width of drawn polylines, in pixels.
+     * @param {Color} [options.handleColor=Color.WHITE] The color of the handles of the selected shape.
+     *
+     * @exception {DeveloperError} viewer is required.
+     *
+     * @example
+     * var viewer = new Cesium.Viewer('cesiumContainer');
+     * viewer.extend(Cesium.viewerShapeEditorMixin);
+     * viewer.shapeEditor.viewModel.changedEvent.addEventListener(function(viewModel, entity) {
+     *     console.log(Cesium.exportLuceneCode(entity));
+     * });
+     */
+    var viewerShapeEditorMixin = function(viewer, options) {
+        if (!defined(viewer)) {
+            throw new DeveloperError('viewer is required.');
+        }
+
+        options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+        var container = document.createElement('div');
+        container.className = 'cesium-viewer-shapeEditorContainer';
+        viewer.container.appendChild(container);
+
+        var shapeEditor = new ShapeEditor({
+            container : container,
+            scene : viewer.scene,
+            entities : defaultValue(options.entities, viewer.entities),
+            ellipsoid : viewer.scene.globe.ellipsoid,
+            fill : options.fill,
+            outline : options.outline,
+            outlineWidth : options.outlineWidth,
+            handleColor : options.handleColor
+        });
+
+        defineProperties(viewer, {
+            shapeEditor : {
+                get : function() {
+                    return shapeEditor;
+                }
+            }
+        });
+    };
+
+    return viewerShapeEditorMixin;
+});
@@ -0,0 +1,77 @@
+/*global defineSuite*/
+defineSuite([
+        'Core/LuceneGeoUtils',
+        'Core/Cartographic',
+        'Core/Math'
+    ], function(
+        LuceneGeoUtils,
+        Cartographic,
+        CesiumMath) {
+    "use strict";
+    /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
+
+    it('encodes latitudes', function() {
+        expect(LuceneGeoUtils.encodeLatitude(0.0)).toEqual(0);
+        expect(LuceneGeoUtils.encodeLatitude(-90.0)).toEqual(-2147483648);
+        expect(LuceneGeoUtils.encodeLatitude(90.0)).toEqual(2147483647);
+        expect(LuceneGeoUtils.encodeLatitude(45.0)).toEqual(1073741824);
+        expect(LuceneGeoUtils.encodeLatitude(-1e-10)).toEqual(-1);
+    });
+
+    it('encodes longitudes', function() {
+        expect(LuceneGeoUtils.encodeLongitude(0.0)).toEqual(0);
+        expect(LuceneGeoUtils.encodeLongitude(-180.0)).toEqual(-2147483648);
+        expect(LuceneGeoUtils.encodeLongitude(180.0)).toEqual(2147483647);
+        expect(LuceneGeoUtils.encodeLongitude(90.0)).toEqual(1073741824);
+    });
+
+    it('decodes to the largest value not greater than the original', function() {
+        var latitude = 40.7143528;
+        var longitude = -74.0059731;
+        var decodedLatitude = LuceneGeoUtils.decodeLatitude(LuceneGeoUtils.encodeLatitude(latitude));
+        var decodedLongitude = LuceneGeoUtils.decodeLongitude(LuceneGeoUtils.encodeLongitude(longitude));
+        expect(decodedLatitude).not.toBeGreaterThan(latitude);
+        expect(latitude - decodedLatitude).toBeLessThan(180.0 / 4294967296.0);
+        expect(decodedLongitude).not.toBeGreaterThan(longitude);
+        expect(longitude - decodedLongitude).toBeLessThan(360.0 / 4294967296.0);
+    });
+
+    it('quantize rounds a cartographic to its encoded position', function() {
+        var cartographic = Cartographic.fromDegrees(-74.0059731, 40.7143528, 10.0);
+        var result = new Cartographic();
+        var returned = LuceneGeoUtils.quantize(cartographic, result);
+        expect(returned).toBe(result);
+        expect(CesiumMath.toDegrees(result.latitude)).toEqualEpsilon(LuceneGeoUtils.decodeLatitude(LuceneGeoUtils.encodeLatitude(40.7143528)), CesiumMath.EPSILON12);
+        expect(CesiumMath.toDegrees(result.longitude)).toEqualEpsilon(LuceneGeoUtils.decodeLongitude(LuceneGeoUtils.encodeLongitude(-74.0059731)), CesiumMath.EPSILON12);
+        expect(result.height).toEqual(10.0);
+    });
+
+    it('computes haversine distances on the Lucene sphere', function() {
+        var start = Cartographic.fromDegrees(0.0, 0.0);
+        expect(LuceneGeoUtils.haversineDistance(start, start)).toEqual(0.0);
+        expect(LuceneGeoUtils.haversineDistance(start, Cartographic.fromDegrees(1.0, 0.0))).toEqualEpsilon(LuceneGeoUtils.EARTH_MEAN_RADIUS_METERS * CesiumMath.RADIANS_PER_DEGREE, CesiumMath.EPSILON6);
+        expect(LuceneGeoUtils.haversineDistance(start, Cartographic.fromDegrees(180.0, 0.0))).toEqualEpsilon(LuceneGeoUtils.EARTH_MEAN_RADIUS_METERS * Math.PI, CesiumMath.EPSILON6);
+        expect(LuceneGeoUtils.haversineDistance(Cartographic.fromDegrees(0.0, 90.0), Cartographic.fromDegrees(123.0, -90.0))).toEqualEpsilon(LuceneGeoUtils.EARTH_MEAN_RADIUS_METERS * Math.PI, CesiumMath.EPSILON6);
+    });
+
+    it('throws for out of range coordinates', function() {
+        expect(function() {
+            LuceneGeoUtils.encodeLatitude(90.5);
+        }).toThrowDeveloperError();
+        expect(function() {
+            LuceneGeoUtils.encodeLongitude(-181.0);
+        }).toThrowDeveloperError();
+        expect(function() {
+            LuceneGeoUtils.encodeLatitude(NaN);
+        }).toThrowDeveloperError();
+    });
+
+    it('throws without positions', function() {
+        expect(function() {
+            LuceneGeoUtils.quantize();
+        }).toThrowDeveloperError();
+        expect(function() {
+            LuceneGeoUtils.haversineDistance(new Cartographic());
+        }).toThrowDeveloperError();
+    });
+});
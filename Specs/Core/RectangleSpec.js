@@ -521,6 +521,48 @@ defineSuite([
         expect(Rectangle.contains(rectangle, new Cartographic(east + 0.1, north))).toEqual(false);
     });
 
+    it('normalize wraps longitudes into [-Pi, Pi]', function() {
+        var rectangle = new Rectangle(CesiumMath.toRadians(190.0), south, CesiumMath.toRadians(-200.0), north);
+        var result = new Rectangle();
+        var returnedResult = Rectangle.normalize(rectangle, result);
+        expect(returnedResult).toBe(result);
+        expect(returnedResult).toEqualEpsilon(new Rectangle(CesiumMath.toRadians(-170.0), south, CesiumMath.toRadians(160.0), north), CesiumMath.EPSILON14);
+    });
+
+    it('normalize does not change a rectangle within [-Pi, Pi]', function() {
+        var rectangle = new Rectangle(west, south, east, north);
+        expect(Rectangle.normalize(rectangle)).toEqual(rectangle);
+
+        var acrossIDL = new Rectangle(3.0, south, -3.0, north);
+        expect(Rectangle.normalize(acrossIDL)).toEqual(acrossIDL);
+    });
+
+    it('normalize does not treat a rectangle ending on the antimeridian as crossing it', function() {
+        expect(Rectangle.normalize(new Rectangle(3.0, south, -Math.PI, north))).toEqual(new Rectangle(3.0, south, Math.PI, north));
+        expect(Rectangle.normalize(new Rectangle(Math.PI, south, -3.0, north))).toEqual(new Rectangle(-Math.PI, south, -3.0, north));
+        expect(Rectangle.normalize(new Rectangle(Math.PI, south, -Math.PI, north))).toEqual(new Rectangle(Math.PI, south, Math.PI, north));
+    });
+
+    it('splitAtAntimeridian returns a copy of a rectangle that does not cross it', function() {
+        var rectangle = new Rectangle(west, south, east, north);
+        var parts = Rectangle.splitAtAntimeridian(rectangle);
+        expect(parts.length).toEqual(1);
+        expect(parts[0]).toEqual(rectangle);
+        expect(parts[0]).not.toBe(rectangle);
+    });
+
+    it('splitAtAntimeridian splits a rectangle across the IDL', function() {
+        var rectangle = Rectangle.fromDegrees(170.0, -10.0, -170.0, 10.0);
+        var result = [new Rectangle(), new Rectangle(), new Rectangle()];
+        var first = result[0];
+        var parts = Rectangle.splitAtAntimeridian(rectangle, result);
+        expect(parts).toBe(result);
+        expect(parts.length).toEqual(2);
+        expect(parts[0]).toBe(first);
+        expect(parts[0]).toEqual(new Rectangle(rectangle.west, rectangle.south, Math.PI, rectangle.north));
+        expect(parts[1]).toEqual(new Rectangle(-Math.PI, rectangle.south, rectangle.east, rectangle.north));
+    });
+
     it('subsample works south of the equator', function() {
         var west = 0.1;
         var south = -0.3;
@@ -616,6 +658,18 @@ defineSuite([
         }).toThrowDeveloperError();
     });
 
+    it('normalize throws with no rectangle', function() {
+        expect(function() {
+            Rectangle.normalize();
+        }).toThrowDeveloperError();
+    });
+
+    it('splitAtAntimeridian throws with no rectangle', function() {
+        expect(function() {
+            Rectangle.splitAtAntimeridian();
+        }).toThrowDeveloperError();
+    });
+
     it('equalsEpsilon throws with no epsilon', function() {
         var rectangle = new Rectangle(west, south, east, north);
         var other = new Rectangle();
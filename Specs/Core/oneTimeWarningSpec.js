@@ -0,0 +1,24 @@
+/*global defineSuite*/
+defineSuite([
+        'Core/oneTimeWarning'
+    ], function(
+        oneTimeWarning) {
+    "use strict";
+    /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
+
+    it('logs a warning once for each identifier', function() {
+        spyOn(window.console, 'log');
+        oneTimeWarning('oneTimeWarningSpec-first', 'The first warning.');
+        oneTimeWarning('oneTimeWarningSpec-first', 'The first warning.');
+        oneTimeWarning('oneTimeWarningSpec-second');
+        expect(window.console.log.calls.count()).toEqual(2);
+        expect(window.console.log.calls.argsFor(0)).toEqual(['The first warning.']);
+        expect(window.console.log.calls.argsFor(1)).toEqual(['oneTimeWarningSpec-second']);
+    });
+
+    it('throws without an identifier', function() {
+        expect(function() {
+            oneTimeWarning();
+        }).toThrowDeveloperError();
+    });
+});
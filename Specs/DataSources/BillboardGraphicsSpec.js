@@ -6,6 +6,7 @@ defineSuite([
         'Core/Color',
         'Core/NearFarScalar',
         'DataSources/ConstantProperty',
+        'Scene/HeightReference',
         'Scene/HorizontalOrigin',
         'Scene/VerticalOrigin'
     ], function(
@@ -15,6 +16,7 @@ defineSuite([
         Color,
         NearFarScalar,
         ConstantProperty,
+        HeightReference,
         HorizontalOrigin,
         VerticalOrigin) {
     "use strict";
@@ -32,6 +34,7 @@ defineSuite([
             pixelOffset : new Cartesian2(8, 9),
             scale : 10,
             show : true,
+            heightReference : HeightReference.CLAMP_TO_GROUND,
             width : 11,
             height : 12,
             scaleByDistance : new NearFarScalar(13, 14, 15, 16),
@@ -50,6 +53,7 @@ defineSuite([
         expect(billboard.eyeOffset).toBeInstanceOf(ConstantProperty);
         expect(billboard.scale).toBeInstanceOf(ConstantProperty);
         expect(billboard.show).toBeInstanceOf(ConstantProperty);
+        expect(billboard.heightReference).toBeInstanceOf(ConstantProperty);
         expect(billboard.width).toBeInstanceOf(ConstantProperty);
         expect(billboard.height).toBeInstanceOf(ConstantProperty);
         expect(billboard.scaleByDistance).toBeInstanceOf(ConstantProperty);
@@ -66,6 +70,7 @@ defineSuite([
         expect(billboard.eyeOffset.getValue()).toEqual(options.eyeOffset);
         expect(billboard.scale.getValue()).toEqual(options.scale);
         expect(billboard.show.getValue()).toEqual(options.show);
+        expect(billboard.heightReference.getValue()).toEqual(options.heightReference);
         expect(billboard.width.getValue()).toEqual(options.width);
         expect(billboard.height.getValue()).toEqual(options.height);
         expect(billboard.scaleByDistance.getValue()).toEqual(options.scaleByDistance);
@@ -87,6 +92,7 @@ defineSuite([
         source.pixelOffset = new ConstantProperty(Cartesian2.UNIT_X);
         source.scale = new ConstantProperty(1);
         source.show = new ConstantProperty(false);
+        source.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
         source.width = new ConstantProperty(24);
         source.height = new ConstantProperty(36);
         source.scaleByDistance = new ConstantProperty(new NearFarScalar());
@@ -108,6 +114,7 @@ defineSuite([
         expect(target.pixelOffset).toBe(source.pixelOffset);
         expect(target.scale).toBe(source.scale);
         expect(target.show).toBe(source.show);
+        expect(target.heightReference).toBe(source.heightReference);
         expect(target.width).toBe(source.width);
         expect(target.height).toBe(source.height);
         expect(target.scaleByDistance).toBe(source.scaleByDistance);
@@ -129,6 +136,7 @@ defineSuite([
         source.pixelOffset = new ConstantProperty(Cartesian2.UNIT_X);
         source.scale = new ConstantProperty(1);
         source.show = new ConstantProperty(false);
+        source.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
         source.width = new ConstantProperty(24);
         source.height = new ConstantProperty(36);
         source.scaleByDistance = new ConstantProperty(new NearFarScalar());
@@ -147,6 +155,7 @@ defineSuite([
         var pixelOffset = new ConstantProperty(Cartesian2.UNIT_X);
         var scale = new ConstantProperty(1);
         var show = new ConstantProperty(false);
+        var heightReference = new ConstantProperty(HeightReference.RELATIVE_TO_GROUND);
         var width = new ConstantProperty(2);
         var height = new ConstantProperty(3);
         var scaleByDistance = new ConstantProperty(new NearFarScalar());
@@ -166,6 +175,7 @@ defineSuite([
         target.pixelOffset = pixelOffset;
         target.scale = scale;
         target.show = show;
+        target.heightReference = heightReference;
         target.width = width;
         target.height = height;
         target.scaleByDistance = scaleByDistance;
@@ -186,6 +196,7 @@ defineSuite([
         expect(target.pixelOffset).toBe(pixelOffset);
         expect(target.scale).toBe(scale);
         expect(target.show).toBe(show);
+        expect(target.heightReference).toBe(heightReference);
         expect(target.width).toBe(width);
         expect(target.height).toBe(height);
         expect(target.scaleByDistance).toBe(scaleByDistance);
@@ -207,6 +218,7 @@ defineSuite([
         source.pixelOffset = new ConstantProperty(Cartesian2.UNIT_X);
         source.scale = new ConstantProperty(1);
         source.show = new ConstantProperty(false);
+        source.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
         source.width = new ConstantProperty(24);
         source.height = new ConstantProperty(36);
         source.scaleByDistance = new ConstantProperty(new NearFarScalar());
@@ -226,6 +238,7 @@ defineSuite([
         expect(result.pixelOffset).toBe(source.pixelOffset);
         expect(result.scale).toBe(source.scale);
         expect(result.show).toBe(source.show);
+        expect(result.heightReference).toBe(source.heightReference);
         expect(result.width).toBe(source.width);
         expect(result.height).toBe(source.height);
         expect(result.scaleByDistance).toBe(source.scaleByDistance);
@@ -7,14 +7,17 @@ defineSuite([
         'Core/Cartesian3',
         'Core/Color',
         'Core/JulianDate',
+        'Core/Math',
         'Core/NearFarScalar',
         'DataSources/BillboardGraphics',
         'DataSources/BoundingSphereState',
         'DataSources/ConstantProperty',
         'DataSources/EntityCollection',
         'Scene/BillboardCollection',
+        'Scene/HeightReference',
         'Scene/HorizontalOrigin',
         'Scene/VerticalOrigin',
+        'Specs/createGlobe',
         'Specs/createScene',
         'Specs/pollToPromise'
     ], function(
@@ -25,14 +28,17 @@ defineSuite([
         Cartesian3,
         Color,
         JulianDate,
+        CesiumMath,
         NearFarScalar,
         BillboardGraphics,
         BoundingSphereState,
         ConstantProperty,
         EntityCollection,
         BillboardCollection,
+        HeightReference,
         HorizontalOrigin,
         VerticalOrigin,
+        createGlobe,
         createScene,
         pollToPromise) {
     "use strict";
@@ -217,6 +223,47 @@ defineSuite([
         expect(billboardCollection.length).toEqual(1);
     });
 
+    it('Clamps billboards to the ground in a collection of their own', function() {
+        var time = JulianDate.now();
+        var entityCollection = new EntityCollection();
+        visualizer = new BillboardVisualizer(scene, entityCollection);
+        scene.globe = createGlobe();
+
+        var testObject = entityCollection.getOrCreateEntity('test');
+        testObject.position = new ConstantProperty(Cartesian3.fromDegrees(-75.0, 40.0, 1000.0));
+        testObject.billboard = new BillboardGraphics();
+        testObject.billboard.image = new ConstantProperty('Data/Images/Blue.png');
+        testObject.billboard.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
+
+        visualizer.update(time);
+
+        expect(scene.primitives.length).toEqual(1);
+        var clampedCollection = scene.primitives.get(0);
+        expect(clampedCollection).toBe(visualizer._clampedBillboardCollection);
+        var bb = clampedCollection.get(0);
+        expect(bb.show).toEqual(true);
+        expect(bb.heightReference).toEqual(HeightReference.CLAMP_TO_GROUND);
+        expect(scene.globe.callback).toBeDefined();
+
+        var result = new BoundingSphere();
+        expect(visualizer.getBoundingSphere(testObject, result)).toBe(BoundingSphereState.DONE);
+        expect(result.center).toEqualEpsilon(Cartesian3.fromDegrees(-75.0, 40.0, 0.0), CesiumMath.EPSILON6);
+
+        testObject.billboard.heightReference = new ConstantProperty(HeightReference.NONE);
+        visualizer.update(time);
+
+        expect(bb.show).toEqual(false);
+        expect(bb.heightReference).toEqual(HeightReference.NONE);
+        expect(scene.globe.removedCallback).toEqual(true);
+        expect(scene.primitives.length).toEqual(2);
+        var billboardCollection = visualizer._billboardCollection;
+        expect(billboardCollection.length).toEqual(1);
+        expect(billboardCollection.get(0).show).toEqual(true);
+        expect(billboardCollection.get(0).heightReference).toEqual(HeightReference.NONE);
+
+        scene.globe = undefined;
+    });
+
     it('clear hides billboards.', function() {
         var entityCollection = new EntityCollection();
         visualizer = new BillboardVisualizer(scene, entityCollection);
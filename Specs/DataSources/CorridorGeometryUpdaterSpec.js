@@ -21,6 +21,7 @@ defineSuite([
         'Scene/PrimitiveCollection',
         'Specs/createDynamicGeometryBoundingSphereSpecs',
         'Specs/createDynamicProperty',
+        'Specs/createGeometryUpdaterGroundSpecs',
         'Specs/createScene'
     ], function(
         CorridorGeometryUpdater,
@@ -44,6 +45,7 @@ defineSuite([
         PrimitiveCollection,
         createDynamicGeometryBoundingSphereSpecs,
         createDynamicProperty,
+        createGeometryUpdaterGroundSpecs,
         createScene) {
     "use strict";
     /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
@@ -545,6 +547,10 @@ defineSuite([
         }).toThrowDeveloperError();
     });
 
+    createGeometryUpdaterGroundSpecs(CorridorGeometryUpdater, 'corridor', createBasicCorridor, function() {
+        return scene;
+    });
+
     var entity = createBasicCorridor();
     entity.corridor.positions = createDynamicProperty(Cartesian3.fromRadiansArray([0, 0, 1, 0, 1, 1, 0, 1]));
     createDynamicGeometryBoundingSphereSpecs(CorridorGeometryUpdater, entity, entity.corridor, function() {
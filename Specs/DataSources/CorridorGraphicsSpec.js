@@ -5,6 +5,7 @@ defineSuite([
         'Core/CornerType',
         'DataSources/ColorMaterialProperty',
         'DataSources/ConstantProperty',
+        'Scene/HeightReference',
         'Specs/testDefinitionChanged',
         'Specs/testMaterialDefinitionChanged'
     ], function(
@@ -13,6 +14,7 @@ defineSuite([
         CornerType,
         ColorMaterialProperty,
         ConstantProperty,
+        HeightReference,
         testDefinitionChanged,
         testMaterialDefinitionChanged) {
     "use strict";
@@ -24,6 +26,7 @@ defineSuite([
             positions : [],
             show : true,
             height : 1,
+            heightReference : HeightReference.CLAMP_TO_GROUND,
             extrudedHeight : 2,
             granularity : 3,
             width : 4,
@@ -39,6 +42,7 @@ defineSuite([
         expect(corridor.positions).toBeInstanceOf(ConstantProperty);
         expect(corridor.show).toBeInstanceOf(ConstantProperty);
         expect(corridor.height).toBeInstanceOf(ConstantProperty);
+        expect(corridor.heightReference).toBeInstanceOf(ConstantProperty);
         expect(corridor.extrudedHeight).toBeInstanceOf(ConstantProperty);
         expect(corridor.granularity).toBeInstanceOf(ConstantProperty);
         expect(corridor.width).toBeInstanceOf(ConstantProperty);
@@ -52,6 +56,7 @@ defineSuite([
         expect(corridor.positions.getValue()).toEqual(options.positions);
         expect(corridor.show.getValue()).toEqual(options.show);
         expect(corridor.height.getValue()).toEqual(options.height);
+        expect(corridor.heightReference.getValue()).toEqual(options.heightReference);
         expect(corridor.extrudedHeight.getValue()).toEqual(options.extrudedHeight);
         expect(corridor.granularity.getValue()).toEqual(options.granularity);
         expect(corridor.width.getValue()).toEqual(options.width);
@@ -68,6 +73,7 @@ defineSuite([
         source.positions = new ConstantProperty();
         source.show = new ConstantProperty();
         source.height = new ConstantProperty();
+        source.heightReference = new ConstantProperty();
         source.extrudedHeight = new ConstantProperty();
         source.granularity = new ConstantProperty();
         source.width = new ConstantProperty();
@@ -84,6 +90,7 @@ defineSuite([
         expect(target.positions).toBe(source.positions);
         expect(target.show).toBe(source.show);
         expect(target.height).toBe(source.height);
+        expect(target.heightReference).toBe(source.heightReference);
         expect(target.extrudedHeight).toBe(source.extrudedHeight);
         expect(target.granularity).toBe(source.granularity);
         expect(target.width).toBe(source.width);
@@ -101,6 +108,7 @@ defineSuite([
         var positions = new ConstantProperty();
         var show = new ConstantProperty();
         var height = new ConstantProperty();
+        var heightReference = new ConstantProperty();
         var extrudedHeight = new ConstantProperty();
         var granularity = new ConstantProperty();
         var width = new ConstantProperty();
@@ -115,6 +123,7 @@ defineSuite([
         target.positions = positions;
         target.show = show;
         target.height = height;
+        target.heightReference = heightReference;
         target.extrudedHeight = extrudedHeight;
         target.granularity = granularity;
         target.width = width;
@@ -130,6 +139,7 @@ defineSuite([
         expect(target.positions).toBe(positions);
         expect(target.show).toBe(show);
         expect(target.height).toBe(height);
+        expect(target.heightReference).toBe(heightReference);
         expect(target.extrudedHeight).toBe(extrudedHeight);
         expect(target.granularity).toBe(granularity);
         expect(target.width).toBe(width);
@@ -146,6 +156,7 @@ defineSuite([
         source.positions = new ConstantProperty();
         source.show = new ConstantProperty();
         source.height = new ConstantProperty();
+        source.heightReference = new ConstantProperty();
         source.extrudedHeight = new ConstantProperty();
         source.granularity = new ConstantProperty();
         source.width = new ConstantProperty();
@@ -160,6 +171,7 @@ defineSuite([
         expect(result.positions).toBe(source.positions);
         expect(result.show).toBe(source.show);
         expect(result.height).toBe(source.height);
+        expect(result.heightReference).toBe(source.heightReference);
         expect(result.extrudedHeight).toBe(source.extrudedHeight);
         expect(result.granularity).toBe(source.granularity);
         expect(result.width).toBe(source.width);
@@ -183,6 +195,7 @@ defineSuite([
         testDefinitionChanged(property, 'positions', [], []);
         testDefinitionChanged(property, 'show', true, false);
         testDefinitionChanged(property, 'height', 3, 4);
+        testDefinitionChanged(property, 'heightReference', HeightReference.NONE, HeightReference.CLAMP_TO_GROUND);
         testDefinitionChanged(property, 'extrudedHeight', 4, 3);
         testDefinitionChanged(property, 'granularity', 1, 2);
         testDefinitionChanged(property, 'width', 5, 6);
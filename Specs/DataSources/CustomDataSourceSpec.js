@@ -3,11 +3,13 @@ defineSuite([
         'DataSources/CustomDataSource',
         'Core/Event',
         'DataSources/DataSourceClock',
+        'DataSources/EntityCluster',
         'DataSources/EntityCollection'
     ], function(
         CustomDataSource,
         Event,
         DataSourceClock,
+        EntityCluster,
         EntityCollection) {
     "use strict";
     /*global jasmine,it,expect*/
@@ -17,6 +19,7 @@ defineSuite([
         expect(dataSource.name).toBeUndefined();
         expect(dataSource.clock).toBeUndefined();
         expect(dataSource.entities).toBeInstanceOf(EntityCollection);
+        expect(dataSource.clustering).toBeInstanceOf(EntityCluster);
         expect(dataSource.isLoading).toBe(false);
         expect(dataSource.changedEvent).toBeInstanceOf(Event);
         expect(dataSource.errorEvent).toBeInstanceOf(Event);
@@ -19,8 +19,10 @@ defineSuite([
         'Core/ReferenceFrame',
         'Core/RuntimeError',
         'Core/TimeInterval',
+        'DataSources/EntityCluster',
         'DataSources/EntityCollection',
         'DataSources/ReferenceProperty',
+        'Scene/HeightReference',
         'Scene/HorizontalOrigin',
         'Scene/LabelStyle',
         'Scene/VerticalOrigin',
@@ -46,8 +48,10 @@ defineSuite([
         ReferenceFrame,
         RuntimeError,
         TimeInterval,
+        EntityCluster,
         EntityCollection,
         ReferenceProperty,
+        HeightReference,
         HorizontalOrigin,
         LabelStyle,
         VerticalOrigin,
@@ -155,6 +159,7 @@ defineSuite([
         expect(dataSource.name).toBeUndefined();
         expect(dataSource.clock).toBeUndefined();
         expect(dataSource.entities).toBeInstanceOf(EntityCollection);
+        expect(dataSource.clustering).toBeInstanceOf(EntityCluster);
         expect(dataSource.entities.values.length).toEqual(0);
     });
 
@@ -404,6 +409,7 @@ defineSuite([
                 pixelOffset : {
                     cartesian2 : [1.0, 2.0]
                 },
+                heightReference : 'CLAMP_TO_GROUND',
                 show : true
             }
         };
@@ -423,6 +429,7 @@ defineSuite([
         expect(entity.billboard.color.getValue(Iso8601.MINIMUM_VALUE)).toEqual(new Color(1.0, 1.0, 1.0, 1.0));
         expect(entity.billboard.eyeOffset.getValue(Iso8601.MINIMUM_VALUE)).toEqual(new Cartesian3(3.0, 4.0, 5.0));
         expect(entity.billboard.pixelOffset.getValue(Iso8601.MINIMUM_VALUE)).toEqual(new Cartesian2(1.0, 2.0));
+        expect(entity.billboard.heightReference.getValue(Iso8601.MINIMUM_VALUE)).toEqual(HeightReference.CLAMP_TO_GROUND);
         expect(entity.billboard.show.getValue(Iso8601.MINIMUM_VALUE)).toEqual(true);
     });
 
@@ -737,6 +744,7 @@ defineSuite([
                 semiMajorAxis : 10,
                 semiMinorAxis : 20,
                 rotation : 1.0,
+                heightReference : 'CLAMP_TO_GROUND',
                 outline : true,
                 outlineColor : {
                     rgbaf : [0.2, 0.2, 0.2, 0.2]
@@ -753,6 +761,7 @@ defineSuite([
         expect(entity.ellipse.semiMajorAxis.getValue(Iso8601.MINIMUM_VALUE)).toEqual(ellipsePacket.ellipse.semiMajorAxis);
         expect(entity.ellipse.semiMinorAxis.getValue(Iso8601.MINIMUM_VALUE)).toEqual(ellipsePacket.ellipse.semiMinorAxis);
         expect(entity.ellipse.rotation.getValue(Iso8601.MINIMUM_VALUE)).toEqual(ellipsePacket.ellipse.rotation);
+        expect(entity.ellipse.heightReference.getValue(Iso8601.MINIMUM_VALUE)).toEqual(HeightReference.CLAMP_TO_GROUND);
         expect(entity.ellipse.outline.getValue(Iso8601.MINIMUM_VALUE)).toEqual(true);
         expect(entity.ellipse.outlineColor.getValue(Iso8601.MINIMUM_VALUE)).toEqual(new Color(0.2, 0.2, 0.2, 0.2));
         expect(entity.ellipse.outlineWidth.getValue(Iso8601.MINIMUM_VALUE)).toEqual(6);
@@ -885,6 +894,7 @@ defineSuite([
                     cartesian2 : [4.0, 5.0]
                 },
                 scale : 1.0,
+                heightReference : 'RELATIVE_TO_GROUND',
                 show : true
             }
         };
@@ -897,6 +907,7 @@ defineSuite([
         expect(entity.label.text.getValue(Iso8601.MINIMUM_VALUE)).toEqual(labelPacket.label.text);
         expect(entity.label.font.getValue(Iso8601.MINIMUM_VALUE)).toEqual(labelPacket.label.font);
         expect(entity.label.style.getValue(Iso8601.MINIMUM_VALUE)).toEqual(LabelStyle.FILL);
+        expect(entity.label.heightReference.getValue(Iso8601.MINIMUM_VALUE)).toEqual(HeightReference.RELATIVE_TO_GROUND);
         expect(entity.label.fillColor.getValue(Iso8601.MINIMUM_VALUE)).toEqual(new Color(0.1, 0.1, 0.1, 0.1));
         expect(entity.label.outlineColor.getValue(Iso8601.MINIMUM_VALUE)).toEqual(new Color(0.2, 0.2, 0.2, 0.2));
         expect(entity.label.outlineWidth.getValue(Iso8601.MINIMUM_VALUE)).toEqual(labelPacket.label.outlineWidth);
@@ -1300,6 +1311,7 @@ defineSuite([
                     rgbaf : [0.2, 0.2, 0.2, 0.2]
                 },
                 outlineWidth : 1.0,
+                heightReference : 'CLAMP_TO_GROUND',
                 show : true
             }
         };
@@ -1309,6 +1321,7 @@ defineSuite([
         var entity = dataSource.entities.values[0];
 
         expect(entity.point).toBeDefined();
+        expect(entity.point.heightReference.getValue(Iso8601.MINIMUM_VALUE)).toEqual(HeightReference.CLAMP_TO_GROUND);
         expect(entity.point.color.getValue(Iso8601.MINIMUM_VALUE)).toEqual(new Color(0.1, 0.1, 0.1, 0.1));
         expect(entity.point.pixelSize.getValue(Iso8601.MINIMUM_VALUE)).toEqual(pointPacket.point.pixelSize);
         expect(entity.point.outlineColor.getValue(Iso8601.MINIMUM_VALUE)).toEqual(new Color(0.2, 0.2, 0.2, 0.2));
@@ -1366,6 +1379,7 @@ defineSuite([
                     }
                 },
                 height : 1,
+                heightReference : 'CLAMP_TO_GROUND',
                 extrudedHeight : 2,
                 granularity : 3,
                 stRotation : 4,
@@ -1386,6 +1400,7 @@ defineSuite([
         expect(entity.polygon.material.getValue(Iso8601.MINIMUM_VALUE).color).toEqual(new Color(0.1, 0.1, 0.1, 0.1));
         expect(entity.polygon.show.getValue(Iso8601.MINIMUM_VALUE)).toEqual(true);
         expect(entity.polygon.height.getValue(Iso8601.MINIMUM_VALUE)).toEqual(1);
+        expect(entity.polygon.heightReference.getValue(Iso8601.MINIMUM_VALUE)).toEqual(HeightReference.CLAMP_TO_GROUND);
         expect(entity.polygon.extrudedHeight.getValue(Iso8601.MINIMUM_VALUE)).toEqual(2);
         expect(entity.polygon.granularity.getValue(Iso8601.MINIMUM_VALUE)).toEqual(3);
         expect(entity.polygon.stRotation.getValue(Iso8601.MINIMUM_VALUE)).toEqual(4);
@@ -1441,7 +1456,8 @@ defineSuite([
                     }
                 },
                 width : 1.0,
-                show : true
+                show : true,
+                clampToGround : true
             }
         };
 
@@ -1455,6 +1471,7 @@ defineSuite([
         expect(entity.polyline.material.outlineColor.getValue(Iso8601.MINIMUM_VALUE)).toEqual(new Color(0.2, 0.2, 0.2, 0.2));
         expect(entity.polyline.material.outlineWidth.getValue(Iso8601.MINIMUM_VALUE)).toEqual(1.0);
         expect(entity.polyline.show.getValue(Iso8601.MINIMUM_VALUE)).toEqual(true);
+        expect(entity.polyline.clampToGround.getValue(Iso8601.MINIMUM_VALUE)).toEqual(true);
     });
 
     it('CZML adds data for constrained polyline.', function() {
@@ -1699,6 +1716,7 @@ defineSuite([
                     wsen : [0, 1, 2, 3]
                 },
                 height : 1,
+                heightReference : 'RELATIVE_TO_GROUND',
                 extrudedHeight : 2,
                 granularity : 3,
                 rotation : 4,
@@ -1725,6 +1743,7 @@ defineSuite([
         expect(entity.rectangle.material.getValue(Iso8601.MINIMUM_VALUE).color).toEqual(new Color(0.1, 0.2, 0.3, 0.4));
         expect(entity.rectangle.show.getValue(Iso8601.MINIMUM_VALUE)).toEqual(czmlRectangle.show);
         expect(entity.rectangle.height.getValue(Iso8601.MINIMUM_VALUE)).toEqual(czmlRectangle.height);
+        expect(entity.rectangle.heightReference.getValue(Iso8601.MINIMUM_VALUE)).toEqual(HeightReference.RELATIVE_TO_GROUND);
         expect(entity.rectangle.extrudedHeight.getValue(Iso8601.MINIMUM_VALUE)).toEqual(czmlRectangle.extrudedHeight);
         expect(entity.rectangle.granularity.getValue(Iso8601.MINIMUM_VALUE)).toEqual(czmlRectangle.granularity);
         expect(entity.rectangle.rotation.getValue(Iso8601.MINIMUM_VALUE)).toEqual(czmlRectangle.rotation);
@@ -4,7 +4,9 @@ defineSuite([
         'Core/BoundingSphere',
         'Core/Cartesian3',
         'Core/Iso8601',
+        'DataSources/BillboardVisualizer',
         'DataSources/BoundingSphereState',
+        'DataSources/CustomDataSource',
         'DataSources/DataSourceCollection',
         'DataSources/Entity',
         'Specs/createScene',
@@ -14,7 +16,9 @@ defineSuite([
         BoundingSphere,
         Cartesian3,
         Iso8601,
+        BillboardVisualizer,
         BoundingSphereState,
+        CustomDataSource,
         DataSourceCollection,
         Entity,
         createScene,
@@ -283,6 +287,45 @@ defineSuite([
         expect(source2Visualizer.updatesCalled).toEqual(1);
     });
 
+    it('updates the clustering of data sources after their visualizers', function() {
+        var dataSource = new CustomDataSource();
+        var clustering = dataSource.clustering;
+
+        display = new DataSourceDisplay({
+            scene : scene,
+            dataSourceCollection : dataSourceCollection,
+            visualizersCallback : visualizersCallback
+        });
+        dataSourceCollection.add(dataSource);
+        expect(clustering._scene).toBe(scene);
+
+        var visualizer = dataSource._visualizers[0];
+        var updatesCalledBeforeClustering;
+        spyOn(clustering, 'update').and.callFake(function() {
+            updatesCalledBeforeClustering = visualizer.updatesCalled;
+        });
+
+        display.update(Iso8601.MINIMUM_VALUE);
+        expect(clustering.update).toHaveBeenCalled();
+        expect(updatesCalledBeforeClustering).toEqual(1);
+
+        dataSourceCollection.remove(dataSource);
+        expect(clustering._scene).toBeUndefined();
+    });
+
+    it('default visualizers use the clustering of the data source', function() {
+        var dataSource = new CustomDataSource();
+        var visualizers = DataSourceDisplay.defaultVisualizersCallback(scene, dataSource);
+
+        var billboardVisualizer = visualizers[0];
+        expect(billboardVisualizer).toBeInstanceOf(BillboardVisualizer);
+        expect(billboardVisualizer._cluster).toBe(dataSource.clustering);
+
+        for (var i = 0; i < visualizers.length; i++) {
+            visualizers[i].destroy();
+        }
+    });
+
     it('constructor throws if scene undefined', function() {
         expect(function(){
             return new DataSourceDisplay({
@@ -20,6 +20,7 @@ defineSuite([
         'Scene/PrimitiveCollection',
         'Specs/createDynamicGeometryBoundingSphereSpecs',
         'Specs/createDynamicProperty',
+        'Specs/createGeometryUpdaterGroundSpecs',
         'Specs/createScene'
     ], function(
         EllipseGeometryUpdater,
@@ -42,6 +43,7 @@ defineSuite([
         PrimitiveCollection,
         createDynamicGeometryBoundingSphereSpecs,
         createDynamicProperty,
+        createGeometryUpdaterGroundSpecs,
         createScene) {
     "use strict";
     /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
@@ -588,6 +590,10 @@ defineSuite([
         }).toThrowDeveloperError();
     });
 
+    createGeometryUpdaterGroundSpecs(EllipseGeometryUpdater, 'ellipse', createBasicEllipse, function() {
+        return scene;
+    });
+
     var entity = createBasicEllipse();
     entity.ellipse.semiMajorAxis = createDynamicProperty(4);
     createDynamicGeometryBoundingSphereSpecs(EllipseGeometryUpdater, entity, entity.ellipse, function() {
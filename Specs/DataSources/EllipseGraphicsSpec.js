@@ -4,6 +4,7 @@ defineSuite([
         'Core/Color',
         'DataSources/ColorMaterialProperty',
         'DataSources/ConstantProperty',
+        'Scene/HeightReference',
         'Specs/testDefinitionChanged',
         'Specs/testMaterialDefinitionChanged'
     ], function(
@@ -11,6 +12,7 @@ defineSuite([
         Color,
         ColorMaterialProperty,
         ConstantProperty,
+        HeightReference,
         testDefinitionChanged,
         testMaterialDefinitionChanged) {
     "use strict";
@@ -23,6 +25,7 @@ defineSuite([
             semiMinorAxis : 1,
             semiMajorAxis : 2,
             height : 3,
+            heightReference : HeightReference.CLAMP_TO_GROUND,
             extrudedHeight : 4,
             granularity : 5,
             rotation : 6,
@@ -40,6 +43,7 @@ defineSuite([
         expect(ellipse.semiMinorAxis).toBeInstanceOf(ConstantProperty);
         expect(ellipse.semiMajorAxis).toBeInstanceOf(ConstantProperty);
         expect(ellipse.height).toBeInstanceOf(ConstantProperty);
+        expect(ellipse.heightReference).toBeInstanceOf(ConstantProperty);
         expect(ellipse.extrudedHeight).toBeInstanceOf(ConstantProperty);
         expect(ellipse.granularity).toBeInstanceOf(ConstantProperty);
         expect(ellipse.rotation).toBeInstanceOf(ConstantProperty);
@@ -55,6 +59,7 @@ defineSuite([
         expect(ellipse.semiMinorAxis.getValue()).toEqual(options.semiMinorAxis);
         expect(ellipse.semiMajorAxis.getValue()).toEqual(options.semiMajorAxis);
         expect(ellipse.height.getValue()).toEqual(options.height);
+        expect(ellipse.heightReference.getValue()).toEqual(options.heightReference);
         expect(ellipse.extrudedHeight.getValue()).toEqual(options.extrudedHeight);
         expect(ellipse.granularity.getValue()).toEqual(options.granularity);
         expect(ellipse.rotation.getValue()).toEqual(options.rotation);
@@ -73,6 +78,7 @@ defineSuite([
         source.semiMajorAxis = new ConstantProperty();
         source.show = new ConstantProperty();
         source.height = new ConstantProperty();
+        source.heightReference = new ConstantProperty();
         source.extrudedHeight = new ConstantProperty();
         source.granularity = new ConstantProperty();
         source.rotation = new ConstantProperty();
@@ -91,6 +97,7 @@ defineSuite([
         expect(target.semiMajorAxis).toBe(source.semiMajorAxis);
         expect(target.show).toBe(source.show);
         expect(target.height).toBe(source.height);
+        expect(target.heightReference).toBe(source.heightReference);
         expect(target.extrudedHeight).toBe(source.extrudedHeight);
         expect(target.granularity).toBe(source.granularity);
         expect(target.rotation).toBe(source.rotation);
@@ -110,6 +117,7 @@ defineSuite([
         var semiMinorAxis = new ConstantProperty();
         var show = new ConstantProperty();
         var height = new ConstantProperty();
+        var heightReference = new ConstantProperty();
         var extrudedHeight = new ConstantProperty();
         var granularity = new ConstantProperty();
         var rotation = new ConstantProperty();
@@ -126,6 +134,7 @@ defineSuite([
         target.semiMajorAxis = semiMajorAxis;
         target.show = show;
         target.height = height;
+        target.heightReference = heightReference;
         target.extrudedHeight = extrudedHeight;
         target.granularity = granularity;
         target.rotation = rotation;
@@ -143,6 +152,7 @@ defineSuite([
         expect(target.semiMajorAxis).toBe(semiMajorAxis);
         expect(target.show).toBe(show);
         expect(target.height).toBe(height);
+        expect(target.heightReference).toBe(heightReference);
         expect(target.extrudedHeight).toBe(extrudedHeight);
         expect(target.granularity).toBe(granularity);
         expect(target.rotation).toBe(rotation);
@@ -161,6 +171,7 @@ defineSuite([
         source.semiMajorAxis = new ConstantProperty();
         source.show = new ConstantProperty();
         source.height = new ConstantProperty();
+        source.heightReference = new ConstantProperty();
         source.extrudedHeight = new ConstantProperty();
         source.granularity = new ConstantProperty();
         source.rotation = new ConstantProperty();
@@ -177,6 +188,7 @@ defineSuite([
         expect(result.semiMajorAxis).toBe(source.semiMajorAxis);
         expect(result.show).toBe(source.show);
         expect(result.height).toBe(source.height);
+        expect(result.heightReference).toBe(source.heightReference);
         expect(result.extrudedHeight).toBe(source.extrudedHeight);
         expect(result.granularity).toBe(source.granularity);
         expect(result.rotation).toBe(source.rotation);
@@ -202,6 +214,7 @@ defineSuite([
         testDefinitionChanged(property, 'semiMajorAxis', 3, 4);
         testDefinitionChanged(property, 'show', true, false);
         testDefinitionChanged(property, 'height', 3, 4);
+        testDefinitionChanged(property, 'heightReference', HeightReference.NONE, HeightReference.CLAMP_TO_GROUND);
         testDefinitionChanged(property, 'extrudedHeight', 4, 3);
         testDefinitionChanged(property, 'granularity', 1, 2);
         testDefinitionChanged(property, 'rotation', 5, 6);
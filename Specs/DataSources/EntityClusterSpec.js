@@ -0,0 +1,356 @@
+/*global defineSuite*/
+defineSuite([
+        'DataSources/EntityCluster',
+        'Core/Cartesian3',
+        'Core/Cartographic',
+        'Core/JulianDate',
+        'Core/Math',
+        'DataSources/BillboardVisualizer',
+        'DataSources/EntityCollection',
+        'DataSources/LabelVisualizer',
+        'DataSources/PointVisualizer',
+        'Scene/HeightReference',
+        'Scene/VerticalOrigin',
+        'Specs/createCanvas',
+        'Specs/createGlobe',
+        'Specs/createScene'
+    ], function(
+        EntityCluster,
+        Cartesian3,
+        Cartographic,
+        JulianDate,
+        CesiumMath,
+        BillboardVisualizer,
+        EntityCollection,
+        LabelVisualizer,
+        PointVisualizer,
+        HeightReference,
+        VerticalOrigin,
+        createCanvas,
+        createGlobe,
+        createScene) {
+    "use strict";
+    /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
+
+    var scene;
+    var cluster;
+    var entities;
+    var visualizers;
+    var time = JulianDate.now();
+
+    beforeAll(function() {
+        scene = createScene({
+            canvas : createCanvas(800, 600)
+        });
+    });
+
+    afterAll(function() {
+        scene.destroyForSpecs();
+    });
+
+    beforeEach(function() {
+        lookDownFrom(10000000.0);
+        cluster = new EntityCluster({
+            enabled : true
+        });
+        cluster._setScene(scene);
+        entities = new EntityCollection();
+        visualizers = [new BillboardVisualizer(scene, entities, cluster),
+                       new LabelVisualizer(scene, entities, cluster),
+                       new PointVisualizer(scene, entities, cluster)];
+    });
+
+    afterEach(function() {
+        for (var i = 0; i < visualizers.length; i++) {
+            visualizers[i].destroy();
+        }
+        cluster._setScene(undefined);
+    });
+
+    function lookDownFrom(height) {
+        scene.camera.setView({
+            positionCartographic : Cartographic.fromDegrees(-75.0, 40.0, height),
+            heading : 0.0,
+            pitch : -CesiumMath.PI_OVER_TWO,
+            roll : 0.0
+        });
+    }
+
+    function update() {
+        for (var i = 0; i < visualizers.length; i++) {
+            visualizers[i].update(time);
+        }
+        cluster.update();
+    }
+
+    function addBillboard(longitude, latitude) {
+        return entities.add({
+            position : Cartesian3.fromDegrees(longitude, latitude),
+            billboard : {
+                image : 'Data/Images/Blue.png'
+            }
+        });
+    }
+
+    function getBillboard(entity) {
+        return visualizers[0]._items.get(entity.id).billboard;
+    }
+
+    it('constructor sets default properties', function() {
+        cluster = new EntityCluster();
+        expect(cluster.enabled).toEqual(false);
+        expect(cluster.pixelRange).toEqual(80);
+        expect(cluster.minimumClusterSize).toEqual(2);
+        expect(cluster.clusterBillboards).toEqual(true);
+        expect(cluster.clusterLabels).toEqual(true);
+        expect(cluster.clusterPoints).toEqual(true);
+        expect(cluster.clusterEvent).toBeDefined();
+    });
+
+    it('constructor sets expected properties', function() {
+        cluster = new EntityCluster({
+            enabled : true,
+            pixelRange : 40,
+            minimumClusterSize : 5,
+            clusterBillboards : false,
+            clusterLabels : false,
+            clusterPoints : false
+        });
+        expect(cluster.enabled).toEqual(true);
+        expect(cluster.pixelRange).toEqual(40);
+        expect(cluster.minimumClusterSize).toEqual(5);
+        expect(cluster.clusterBillboards).toEqual(false);
+        expect(cluster.clusterLabels).toEqual(false);
+        expect(cluster.clusterPoints).toEqual(false);
+    });
+
+    it('merges overlapping billboards into a count marker', function() {
+        var first = addBillboard(-75.0, 40.0);
+        var second = addBillboard(-75.01, 40.0);
+
+        var spy = jasmine.createSpy('listener');
+        cluster.clusterEvent.addEventListener(spy);
+        update();
+
+        expect(getBillboard(first).show).toEqual(false);
+        expect(getBillboard(second).show).toEqual(false);
+
+        var markers = cluster._billboardCollection;
+        expect(markers.length).toEqual(1);
+        var marker = markers.get(0);
+        expect(marker.show).toEqual(true);
+        expect(marker.verticalOrigin).toEqual(VerticalOrigin.BOTTOM);
+        expect(marker.heightReference).toEqual(HeightReference.NONE);
+        expect(marker.image).toEqual('EntityCluster:2');
+        expect(marker.id.length).toEqual(2);
+        expect(marker.id).toContain(first);
+        expect(marker.id).toContain(second);
+        expect(cluster._labelCollection.get(0).show).toEqual(false);
+        expect(cluster._labelCollection.get(0).text).toEqual('2');
+
+        expect(spy.calls.count()).toEqual(1);
+        var args = spy.calls.argsFor(0);
+        expect(args[0]).toBe(marker.id);
+        expect(args[1].billboard).toBe(marker);
+        expect(args[1].label).toBe(cluster._labelCollection.get(0));
+    });
+
+    it('keeps the billboards hidden on the following frames', function() {
+        var first = addBillboard(-75.0, 40.0);
+        var second = addBillboard(-75.01, 40.0);
+
+        var spy = jasmine.createSpy('listener');
+        cluster.clusterEvent.addEventListener(spy);
+        update();
+        update();
+
+        expect(getBillboard(first).show).toEqual(false);
+        expect(getBillboard(second).show).toEqual(false);
+        expect(cluster._billboardCollection.length).toEqual(1);
+        expect(spy.calls.count()).toEqual(1);
+    });
+
+    it('clamps the marker of billboards on the ground', function() {
+        scene.globe = createGlobe();
+        cluster._setScene(scene);
+
+        var first = addBillboard(-75.0, 40.0);
+        var second = addBillboard(-75.01, 40.0);
+        first.billboard.heightReference = HeightReference.CLAMP_TO_GROUND;
+        second.billboard.heightReference = HeightReference.CLAMP_TO_GROUND;
+        update();
+
+        var marker = cluster._billboardCollection.get(0);
+        expect(marker.heightReference).toEqual(HeightReference.CLAMP_TO_GROUND);
+        expect(cluster._labelCollection.get(0).heightReference).toEqual(HeightReference.CLAMP_TO_GROUND);
+
+        for (var i = 0; i < visualizers.length; i++) {
+            visualizers[i].destroy();
+        }
+        visualizers = [];
+        cluster._setScene(undefined);
+        scene.globe = undefined;
+    });
+
+    it('does not merge billboards farther apart than pixelRange', function() {
+        var first = addBillboard(-75.0, 40.0);
+        var second = addBillboard(-55.0, 40.0);
+        update();
+
+        expect(getBillboard(first).show).toEqual(true);
+        expect(getBillboard(second).show).toEqual(true);
+        expect(cluster._billboardCollection.length).toEqual(0);
+    });
+
+    it('splits clusters apart as the camera zooms in', function() {
+        var first = addBillboard(-75.005, 40.0);
+        var second = addBillboard(-74.995, 40.0);
+        update();
+        expect(cluster._billboardCollection.length).toEqual(1);
+
+        lookDownFrom(1000.0);
+        update();
+
+        expect(getBillboard(first).show).toEqual(true);
+        expect(getBillboard(second).show).toEqual(true);
+        expect(cluster._billboardCollection.length).toEqual(0);
+    });
+
+    it('keeps the clusters while the camera moves', function() {
+        var first = addBillboard(-75.005, 40.0);
+        var second = addBillboard(-74.995, 40.0);
+        update();
+        expect(cluster._billboardCollection.length).toEqual(1);
+
+        var listener = jasmine.createSpy('listener');
+        cluster.clusterEvent.addEventListener(listener);
+        scene.camera.moveStart.raiseEvent();
+        lookDownFrom(1000.0);
+        update();
+
+        expect(listener).not.toHaveBeenCalled();
+        expect(getBillboard(first).show).toEqual(false);
+        expect(cluster._billboardCollection.length).toEqual(1);
+
+        scene.camera.moveEnd.raiseEvent();
+        update();
+
+        expect(getBillboard(first).show).toEqual(true);
+        expect(getBillboard(second).show).toEqual(true);
+        expect(cluster._billboardCollection.length).toEqual(0);
+    });
+
+    it('reclusters when an entity moves', function() {
+        var first = addBillboard(-75.0, 40.0);
+        var second = addBillboard(-55.0, 40.0);
+        update();
+        expect(cluster._billboardCollection.length).toEqual(0);
+
+        second.position = Cartesian3.fromDegrees(-75.01, 40.0);
+        update();
+
+        expect(getBillboard(first).show).toEqual(false);
+        expect(getBillboard(second).show).toEqual(false);
+        expect(cluster._billboardCollection.length).toEqual(1);
+    });
+
+    it('does not form clusters smaller than minimumClusterSize', function() {
+        cluster.minimumClusterSize = 3;
+        var first = addBillboard(-75.0, 40.0);
+        var second = addBillboard(-75.01, 40.0);
+        update();
+
+        expect(getBillboard(first).show).toEqual(true);
+        expect(getBillboard(second).show).toEqual(true);
+        expect(cluster._billboardCollection.length).toEqual(0);
+
+        var third = addBillboard(-75.02, 40.0);
+        update();
+
+        expect(getBillboard(third).show).toEqual(false);
+        expect(cluster._billboardCollection.get(0).image).toEqual('EntityCluster:3');
+    });
+
+    it('counts an entity with a point and a label once', function() {
+        var first = entities.add({
+            position : Cartesian3.fromDegrees(-75.0, 40.0),
+            point : {
+                pixelSize : 10
+            },
+            label : {
+                text : 'first'
+            }
+        });
+        var second = addBillboard(-75.01, 40.0);
+        update();
+
+        expect(visualizers[1]._items.get(first.id).label.show).toEqual(false);
+        expect(visualizers[2]._items.get(first.id).pointPrimitive.show).toEqual(false);
+        expect(getBillboard(second).show).toEqual(false);
+        expect(cluster._billboardCollection.length).toEqual(1);
+        expect(cluster._billboardCollection.get(0).id.length).toEqual(2);
+    });
+
+    it('leaves labels alone when clusterLabels is false', function() {
+        cluster.clusterLabels = false;
+        var first = entities.add({
+            position : Cartesian3.fromDegrees(-75.0, 40.0),
+            label : {
+                text : 'first'
+            }
+        });
+        var second = entities.add({
+            position : Cartesian3.fromDegrees(-75.01, 40.0),
+            label : {
+                text : 'second'
+            }
+        });
+        update();
+
+        expect(visualizers[1]._items.get(first.id).label.show).toEqual(true);
+        expect(visualizers[1]._items.get(second.id).label.show).toEqual(true);
+        expect(cluster._billboardCollection.length).toEqual(0);
+    });
+
+    it('clusterEvent listeners can restyle the cluster', function() {
+        addBillboard(-75.0, 40.0);
+        addBillboard(-75.01, 40.0);
+        cluster.clusterEvent.addEventListener(function(clusteredEntities, marker) {
+            marker.billboard.show = false;
+            marker.label.show = true;
+            marker.label.text = clusteredEntities.length + ' matches';
+        });
+        update();
+
+        expect(cluster._billboardCollection.get(0).show).toEqual(false);
+        expect(cluster._labelCollection.get(0).show).toEqual(true);
+        expect(cluster._labelCollection.get(0).text).toEqual('2 matches');
+    });
+
+    it('shows the billboards again when disabled', function() {
+        var first = addBillboard(-75.0, 40.0);
+        var second = addBillboard(-75.01, 40.0);
+        update();
+        expect(cluster._billboardCollection.length).toEqual(1);
+
+        cluster.enabled = false;
+        update();
+        expect(cluster._billboardCollection.length).toEqual(0);
+
+        update();
+        expect(getBillboard(first).show).toEqual(true);
+        expect(getBillboard(second).show).toEqual(true);
+    });
+
+    it('removes its primitives from the scene when the scene is unset', function() {
+        addBillboard(-75.0, 40.0);
+        addBillboard(-75.01, 40.0);
+        update();
+
+        var markers = cluster._billboardCollection;
+        expect(scene.primitives.contains(markers)).toEqual(true);
+        cluster._setScene(undefined);
+        expect(scene.primitives.contains(markers)).toEqual(false);
+        expect(cluster._billboardCollection).toBeUndefined();
+    });
+}, 'WebGL');
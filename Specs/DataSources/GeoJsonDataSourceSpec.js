@@ -7,7 +7,9 @@ defineSuite([
         'Core/JulianDate',
         'Core/PolygonHierarchy',
         'Core/RuntimeError',
+        'DataSources/EntityCluster',
         'DataSources/EntityCollection',
+        'Scene/HeightReference',
         'ThirdParty/when'
     ], function(
         GeoJsonDataSource,
@@ -17,7 +19,9 @@ defineSuite([
         JulianDate,
         PolygonHierarchy,
         RuntimeError,
+        EntityCluster,
         EntityCollection,
+        HeightReference,
         when) {
     "use strict";
     /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn,fail*/
@@ -28,6 +32,7 @@ defineSuite([
     var defaultStroke;
     var defaultStrokeWidth;
     var defaultFill;
+    var defaultClampToGround;
 
     beforeAll(function() {
         defaultMarkerSize = GeoJsonDataSource.markerSize;
@@ -36,6 +41,7 @@ defineSuite([
         defaultStroke = GeoJsonDataSource.stroke;
         defaultStrokeWidth = GeoJsonDataSource.strokeWidth;
         defaultFill = GeoJsonDataSource.fill;
+        defaultClampToGround = GeoJsonDataSource.clampToGround;
     });
 
     beforeEach(function() {
@@ -45,6 +51,7 @@ defineSuite([
         GeoJsonDataSource.stroke = defaultStroke;
         GeoJsonDataSource.strokeWidth = defaultStrokeWidth;
         GeoJsonDataSource.fill = defaultFill;
+        GeoJsonDataSource.clampToGround = defaultClampToGround;
     });
 
     var time = new JulianDate();
@@ -246,6 +253,7 @@ defineSuite([
         expect(dataSource.clock).toBeUndefined();
         expect(dataSource.name).toBeUndefined();
         expect(dataSource.entities).toBeInstanceOf(EntityCollection);
+        expect(dataSource.clustering).toBeInstanceOf(EntityCluster);
         expect(dataSource.entities.values.length).toEqual(0);
     });
 
@@ -494,6 +502,8 @@ defineSuite([
             expect(entity.properties).toBe(polygon.properties);
             expect(entity.polygon.hierarchy.getValue(time)).toEqual(new PolygonHierarchy(polygonCoordinatesToCartesian(polygon.coordinates[0])));
             expect(entity.polygon.perPositionHeight).toBeUndefined();
+            expect(entity.polygon.height).toBeUndefined();
+            expect(entity.polygon.heightReference).toBeUndefined();
             expect(entity.polygon.material.color.getValue(time)).toEqual(GeoJsonDataSource.fill);
             expect(entity.polygon.outline.getValue(time)).toEqual(true);
             expect(entity.polygon.outlineWidth.getValue(time)).toEqual(GeoJsonDataSource.strokeWidth);
@@ -526,6 +536,65 @@ defineSuite([
         });
     });
 
+    it('Drapes polygons without heights over the terrain with clampToGround', function() {
+        var geoJson = {
+            type : 'GeometryCollection',
+            geometries : [polygon, polygonWithHeights]
+        };
+        var dataSource = new GeoJsonDataSource();
+        return dataSource.load(geoJson, {
+            clampToGround : true
+        }).then(function() {
+            var entities = dataSource.entities.values;
+            expect(entities[0].polygon.heightReference.getValue(time)).toEqual(HeightReference.CLAMP_TO_GROUND);
+            expect(entities[0].polygon.perPositionHeight).toBeUndefined();
+            expect(entities[1].polygon.heightReference).toBeUndefined();
+            expect(entities[1].polygon.perPositionHeight.getValue(time)).toBe(true);
+        });
+    });
+
+    it('Drapes lines without heights over the terrain with clampToGround', function() {
+        var lineStringWithHeights = {
+            type : 'LineString',
+            coordinates : [[100.0, 0.0, 10.0], [101.0, 1.0, 20.0]]
+        };
+        var geoJson = {
+            type : 'GeometryCollection',
+            geometries : [lineString, lineStringWithHeights]
+        };
+        var dataSource = new GeoJsonDataSource();
+        return dataSource.load(geoJson, {
+            clampToGround : true
+        }).then(function() {
+            var entities = dataSource.entities.values;
+            expect(entities[0].polyline.clampToGround.getValue(time)).toBe(true);
+            expect(entities[1].polyline.clampToGround).toBeUndefined();
+        });
+    });
+
+    it('Clamps points to the ground with clampToGround', function() {
+        var dataSource = new GeoJsonDataSource();
+        return dataSource.load(point).then(function() {
+            var entity = dataSource.entities.values[0];
+            expect(entity.billboard.heightReference).toBeUndefined();
+            return dataSource.load(point, {
+                clampToGround : true
+            });
+        }).then(function() {
+            var entity = dataSource.entities.values[0];
+            expect(entity.billboard.heightReference.getValue(time)).toEqual(HeightReference.CLAMP_TO_GROUND);
+        });
+    });
+
+    it('Uses GeoJsonDataSource.clampToGround by default', function() {
+        GeoJsonDataSource.clampToGround = true;
+        var dataSource = new GeoJsonDataSource();
+        return dataSource.load(point).then(function() {
+            var entity = dataSource.entities.values[0];
+            expect(entity.billboard.heightReference.getValue(time)).toEqual(HeightReference.CLAMP_TO_GROUND);
+        });
+    });
+
     it('Works with multiPolygon geometry', function() {
         var dataSource = new GeoJsonDataSource();
         return dataSource.load(multiPolygon).then(function() {
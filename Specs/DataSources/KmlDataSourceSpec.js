@@ -18,6 +18,7 @@ defineSuite([
         'Core/RequestErrorEvent',
         'Core/RuntimeError',
         'DataSources/ColorMaterialProperty',
+        'DataSources/EntityCluster',
         'DataSources/EntityCollection',
         'DataSources/ImageMaterialProperty',
         'Scene/HorizontalOrigin',
@@ -41,6 +42,7 @@ defineSuite([
         RequestErrorEvent,
         RuntimeError,
         ColorMaterialProperty,
+        EntityCluster,
         EntityCollection,
         ImageMaterialProperty,
         HorizontalOrigin,
@@ -100,6 +102,7 @@ defineSuite([
         expect(dataSource.name).toBeUndefined();
         expect(dataSource.clock).toBeUndefined();
         expect(dataSource.entities).toBeInstanceOf(EntityCollection);
+        expect(dataSource.clustering).toBeInstanceOf(EntityCluster);
         expect(dataSource.isLoading).toBe(false);
         expect(dataSource.changedEvent).toBeInstanceOf(Event);
         expect(dataSource.errorEvent).toBeInstanceOf(Event);
@@ -2306,6 +2309,7 @@ defineSuite([
             expect(entity.wall).toBeUndefined();
             expect(entity.polyline).toBeDefined();
             expect(entity.polyline.followSurface.getValue()).toEqual(false);
+            expect(entity.polyline.clampToGround).toBeUndefined();
         });
     });
 
@@ -2375,6 +2379,7 @@ defineSuite([
 
             var entity = entities[0];
             expect(entity.polyline.followSurface).toBeUndefined();
+            expect(entity.polyline.clampToGround.getValue(Iso8601.MINIMUM_VALUE)).toBe(true);
             var positions = entity.polyline.positions.getValue(Iso8601.MINIMUM_VALUE);
             expect(positions).toEqualEpsilon([Cartesian3.fromDegrees(1, 2), Cartesian3.fromDegrees(4, 5)], CesiumMath.EPSILON10);
         });
@@ -2398,6 +2403,7 @@ defineSuite([
 
             var entity = entities[0];
             expect(entity.polyline.followSurface).toBeUndefined();
+            expect(entity.polyline.clampToGround.getValue(Iso8601.MINIMUM_VALUE)).toBe(true);
             var positions = entity.polyline.positions.getValue(Iso8601.MINIMUM_VALUE);
             expect(positions).toEqualEpsilon([Cartesian3.fromDegrees(1, 2), Cartesian3.fromDegrees(4, 5)], CesiumMath.EPSILON10);
         });
@@ -6,6 +6,7 @@ defineSuite([
         'Core/Color',
         'Core/NearFarScalar',
         'DataSources/ConstantProperty',
+        'Scene/HeightReference',
         'Scene/HorizontalOrigin',
         'Scene/LabelStyle',
         'Scene/VerticalOrigin'
@@ -16,6 +17,7 @@ defineSuite([
         Color,
         NearFarScalar,
         ConstantProperty,
+        HeightReference,
         HorizontalOrigin,
         LabelStyle,
         VerticalOrigin) {
@@ -36,6 +38,7 @@ defineSuite([
             pixelOffset : new Cartesian2(6, 7),
             scale : 8,
             show : true,
+            heightReference : HeightReference.CLAMP_TO_GROUND,
             translucencyByDistance : new NearFarScalar(9, 10, 11, 12),
             pixelOffsetScaleByDistance : new NearFarScalar(13, 14, 15, 16)
         };
@@ -52,6 +55,7 @@ defineSuite([
         expect(label.eyeOffset).toBeInstanceOf(ConstantProperty);
         expect(label.scale).toBeInstanceOf(ConstantProperty);
         expect(label.show).toBeInstanceOf(ConstantProperty);
+        expect(label.heightReference).toBeInstanceOf(ConstantProperty);
         expect(label.translucencyByDistance).toBeInstanceOf(ConstantProperty);
         expect(label.pixelOffsetScaleByDistance).toBeInstanceOf(ConstantProperty);
 
@@ -66,6 +70,7 @@ defineSuite([
         expect(label.eyeOffset.getValue()).toEqual(options.eyeOffset);
         expect(label.scale.getValue()).toEqual(options.scale);
         expect(label.show.getValue()).toEqual(options.show);
+        expect(label.heightReference.getValue()).toEqual(options.heightReference);
         expect(label.translucencyByDistance.getValue()).toEqual(options.translucencyByDistance);
         expect(label.pixelOffsetScaleByDistance.getValue()).toEqual(options.pixelOffsetScaleByDistance);
     });
@@ -84,6 +89,7 @@ defineSuite([
         source.pixelOffset = new ConstantProperty(Cartesian2.UNIT_X);
         source.scale = new ConstantProperty(1);
         source.show = new ConstantProperty(false);
+        source.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
         source.translucencyByDistance = new ConstantProperty(new NearFarScalar());
         source.pixelOffsetScaleByDistance = new ConstantProperty(new NearFarScalar(1.0, 0.0, 3.0e9, 0.0));
 
@@ -102,6 +108,7 @@ defineSuite([
         expect(target.pixelOffset).toBe(source.pixelOffset);
         expect(target.scale).toBe(source.scale);
         expect(target.show).toBe(source.show);
+        expect(target.heightReference).toBe(source.heightReference);
         expect(target.translucencyByDistance).toBe(source.translucencyByDistance);
         expect(target.pixelOffsetScaleByDistance).toBe(source.pixelOffsetScaleByDistance);
     });
@@ -120,6 +127,7 @@ defineSuite([
         source.pixelOffset = new ConstantProperty(Cartesian2.UNIT_X);
         source.scale = new ConstantProperty(1);
         source.show = new ConstantProperty(false);
+        source.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
         source.translucencyByDistance = new ConstantProperty(new NearFarScalar());
         source.pixelOffsetScaleByDistance = new ConstantProperty(new NearFarScalar(1.0, 0.0, 3.0e9, 0.0));
 
@@ -135,6 +143,7 @@ defineSuite([
         var pixelOffset = new ConstantProperty(Cartesian2.UNIT_Y);
         var scale = new ConstantProperty(2);
         var show = new ConstantProperty(true);
+        var heightReference = new ConstantProperty(HeightReference.RELATIVE_TO_GROUND);
         var translucencyByDistance = new ConstantProperty(new NearFarScalar());
         var pixelOffsetScaleByDistance = new ConstantProperty(new NearFarScalar());
 
@@ -151,6 +160,7 @@ defineSuite([
         target.pixelOffset = pixelOffset;
         target.scale = scale;
         target.show = show;
+        target.heightReference = heightReference;
         target.translucencyByDistance = translucencyByDistance;
         target.pixelOffsetScaleByDistance = pixelOffsetScaleByDistance;
 
@@ -168,6 +178,7 @@ defineSuite([
         expect(target.pixelOffset).toBe(pixelOffset);
         expect(target.scale).toBe(scale);
         expect(target.show).toBe(show);
+        expect(target.heightReference).toBe(heightReference);
         expect(target.translucencyByDistance).toBe(translucencyByDistance);
         expect(target.pixelOffsetScaleByDistance).toBe(pixelOffsetScaleByDistance);
     });
@@ -186,6 +197,7 @@ defineSuite([
         source.pixelOffset = new ConstantProperty(Cartesian2.UNIT_X);
         source.scale = new ConstantProperty(1);
         source.show = new ConstantProperty(false);
+        source.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
         source.translucencyByDistance = new ConstantProperty(new NearFarScalar());
         source.pixelOffsetScaleByDistance = new ConstantProperty(new NearFarScalar(1.0, 0.0, 3.0e9, 0.0));
 
@@ -202,6 +214,7 @@ defineSuite([
         expect(result.pixelOffset).toBe(source.pixelOffset);
         expect(result.scale).toBe(source.scale);
         expect(result.show).toBe(source.show);
+        expect(result.heightReference).toBe(source.heightReference);
         expect(result.translucencyByDistance).toBe(source.translucencyByDistance);
         expect(result.pixelOffsetScaleByDistance).toBe(source.pixelOffsetScaleByDistance);
     });
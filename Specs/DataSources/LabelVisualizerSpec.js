@@ -6,15 +6,18 @@ defineSuite([
         'Core/Cartesian3',
         'Core/Color',
         'Core/JulianDate',
+        'Core/Math',
         'Core/NearFarScalar',
         'DataSources/BoundingSphereState',
         'DataSources/ConstantProperty',
         'DataSources/EntityCollection',
         'DataSources/LabelGraphics',
+        'Scene/HeightReference',
         'Scene/HorizontalOrigin',
         'Scene/LabelCollection',
         'Scene/LabelStyle',
         'Scene/VerticalOrigin',
+        'Specs/createGlobe',
         'Specs/createScene'
     ], function(
         LabelVisualizer,
@@ -23,15 +26,18 @@ defineSuite([
         Cartesian3,
         Color,
         JulianDate,
+        CesiumMath,
         NearFarScalar,
         BoundingSphereState,
         ConstantProperty,
         EntityCollection,
         LabelGraphics,
+        HeightReference,
         HorizontalOrigin,
         LabelCollection,
         LabelStyle,
         VerticalOrigin,
+        createGlobe,
         createScene) {
     "use strict";
     /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
@@ -237,6 +243,45 @@ defineSuite([
         expect(labelCollection.length).toEqual(1);
     });
 
+    it('Clamps labels to the ground in a collection of their own', function() {
+        var time = JulianDate.now();
+        var entityCollection = new EntityCollection();
+        visualizer = new LabelVisualizer(scene, entityCollection);
+        scene.globe = createGlobe();
+
+        var testObject = entityCollection.getOrCreateEntity('test');
+        testObject.position = new ConstantProperty(Cartesian3.fromDegrees(-75.0, 40.0, 1000.0));
+        testObject.label = new LabelGraphics();
+        testObject.label.text = new ConstantProperty('a');
+        testObject.label.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
+
+        visualizer.update(time);
+
+        expect(scene.primitives.length).toEqual(1);
+        var clampedCollection = scene.primitives.get(0);
+        expect(clampedCollection).toBe(visualizer._clampedLabelCollection);
+        var l = clampedCollection.get(0);
+        expect(l.show).toEqual(true);
+        expect(l.heightReference).toEqual(HeightReference.CLAMP_TO_GROUND);
+
+        var result = new BoundingSphere();
+        expect(visualizer.getBoundingSphere(testObject, result)).toBe(BoundingSphereState.DONE);
+        expect(result.center).toEqualEpsilon(Cartesian3.fromDegrees(-75.0, 40.0, 0.0), CesiumMath.EPSILON6);
+
+        testObject.label.heightReference = new ConstantProperty(HeightReference.NONE);
+        visualizer.update(time);
+
+        expect(l.show).toEqual(false);
+        expect(l.heightReference).toEqual(HeightReference.NONE);
+        expect(scene.primitives.length).toEqual(2);
+        var labelCollection = visualizer._labelCollection;
+        expect(labelCollection.length).toEqual(1);
+        expect(labelCollection.get(0).show).toEqual(true);
+        expect(labelCollection.get(0).heightReference).toEqual(HeightReference.NONE);
+
+        scene.globe = undefined;
+    });
+
     it('clear hides labels.', function() {
         var entityCollection = new EntityCollection();
         visualizer = new LabelVisualizer(scene, entityCollection);
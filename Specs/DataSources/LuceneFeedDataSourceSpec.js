@@ -0,0 +1,756 @@
+/*global defineSuite*/
+defineSuite([
+        'DataSources/LuceneFeedDataSource',
+        'Core/Cartesian3',
+        'Core/Color',
+        'Core/Event',
+        'Core/JulianDate',
+        'Core/Math',
+        'Core/loadWithXhr',
+        'Core/queryToObject',
+        'Core/Rectangle',
+        'DataSources/EntityCluster',
+        'DataSources/EntityCollection',
+        'Scene/HeightReference',
+        'Specs/pollToPromise'
+    ], function(
+        LuceneFeedDataSource,
+        Cartesian3,
+        Color,
+        Event,
+        JulianDate,
+        CesiumMath,
+        loadWithXhr,
+        queryToObject,
+        Rectangle,
+        EntityCluster,
+        EntityCollection,
+        HeightReference,
+        pollToPromise) {
+    "use strict";
+    /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
+
+    var requests;
+    var dataSource;
+    var time = JulianDate.now();
+
+    beforeEach(function() {
+        requests = [];
+        //Each long poll stays pending until the spec responds to it.
+        loadWithXhr.load = function(url, responseType, method, data, headers, deferred, overrideMimeType) {
+            requests.push({
+                url : url,
+                deferred : deferred
+            });
+        };
+    });
+
+    afterEach(function() {
+        loadWithXhr.load = loadWithXhr.defaultLoad;
+        if (dataSource && !dataSource.isDestroyed()) {
+            dataSource.destroy();
+        }
+        dataSource = undefined;
+    });
+
+    function createDataSource(options) {
+        options = options || {};
+        options.useEventSource = false;
+        dataSource = new LuceneFeedDataSource('/real_time_feed', options);
+        return dataSource;
+    }
+
+    function respond(items) {
+        var request = requests[requests.length - 1];
+        request.deferred.resolve(JSON.stringify(items));
+        return pollToPromise(function() {
+            return !dataSource.isLoading;
+        });
+    }
+
+    function queryOf(request) {
+        return queryToObject(request.url.substring(request.url.indexOf('?') + 1));
+    }
+
+    function point(id, longitude, latitude) {
+        return {
+            type : 'Feature',
+            id : id,
+            properties : {},
+            geometry : {
+                type : 'Point',
+                coordinates : [longitude, latitude]
+            }
+        };
+    }
+
+    function item(sequence, id, data, action) {
+        return {
+            sequence : sequence,
+            action : action || 'add',
+            id : id,
+            format : 'geojson',
+            data : data
+        };
+    }
+
+    it('constructor has expected defaults', function() {
+        createDataSource();
+        expect(dataSource.name).toEqual('/real_time_feed');
+        expect(dataSource.url).toEqual('/real_time_feed');
+        expect(dataSource.channel).toBeUndefined();
+        expect(dataSource.clock).toBeUndefined();
+        expect(dataSource.lastSequence).toEqual(0);
+        expect(dataSource.entities).toBeInstanceOf(EntityCollection);
+        expect(dataSource.clustering).toBeInstanceOf(EntityCluster);
+        expect(dataSource.isLoading).toBe(false);
+        expect(dataSource.changedEvent).toBeInstanceOf(Event);
+        expect(dataSource.errorEvent).toBeInstanceOf(Event);
+        expect(dataSource.loadingEvent).toBeInstanceOf(Event);
+    });
+
+    it('constructor throws without url', function() {
+        expect(function() {
+            return new LuceneFeedDataSource();
+        }).toThrowDeveloperError();
+    });
+
+    it('requests the channel starting after the last sequence', function() {
+        createDataSource({
+            channel : 'geo-poly-tests',
+            since : 5
+        });
+        expect(dataSource.name).toEqual('geo-poly-tests');
+        expect(requests.length).toEqual(1);
+        expect(queryOf(requests[0])).toEqual({
+            channel : 'geo-poly-tests',
+            since : '5'
+        });
+
+        return respond([item(6, 'a', point('p1', 1, 2))]).then(function() {
+            expect(requests.length).toEqual(2);
+            expect(queryOf(requests[1]).since).toEqual('6');
+        });
+    });
+
+    it('sends the access token with every request', function() {
+        createDataSource({
+            channel : 'geo-poly-tests',
+            accessToken : '7d0c9a2e61b4f5d8'
+        });
+        expect(queryOf(requests[0]).access_token).toEqual('7d0c9a2e61b4f5d8');
+
+        return respond([item(1, 'a', point('p1', 1, 2))]).then(function() {
+            expect(queryOf(requests[1]).access_token).toEqual('7d0c9a2e61b4f5d8');
+        });
+    });
+
+    it('requests only the items intersecting the view rectangle', function() {
+        createDataSource({
+            viewRectangle : Rectangle.fromDegrees(-75.0, 40.0, -73.0, 41.0)
+        });
+        expect(queryOf(requests[0]).bbox).toEqual('-75,40,-73,41');
+        expect(dataSource.viewRectangle).toEqual(Rectangle.fromDegrees(-75.0, 40.0, -73.0, 41.0));
+    });
+
+    it('reconnects from the start when the view rectangle changes', function() {
+        createDataSource();
+        expect(dataSource.viewRectangle).toBeUndefined();
+        expect(queryOf(requests[0]).bbox).toBeUndefined();
+
+        return respond([item(1, 'a', point('p1', 1, 2)), item(2, 'b', point('p2', 100, 2))]).then(function() {
+            var staleRequest = requests[1];
+            dataSource.viewRectangle = Rectangle.fromDegrees(170.0, -10.0, -170.0, 10.0);
+            expect(requests.length).toEqual(3);
+            expect(dataSource.lastSequence).toEqual(0);
+            expect(queryOf(requests[2])).toEqual({
+                since : '0',
+                bbox : '170,-10,-170,10'
+            });
+
+            //setting an equal rectangle does not reconnect
+            dataSource.viewRectangle = Rectangle.fromDegrees(170.0, -10.0, -170.0, 10.0);
+            expect(requests.length).toEqual(3);
+
+            //the response to the request made before the change is ignored
+            staleRequest.deferred.resolve(JSON.stringify([item(3, 'c', point('p3', 1, 2))]));
+            expect(requests.length).toEqual(3);
+
+            return respond([item(2, 'b', point('p2', 100, 2))]);
+        }).then(function() {
+            expect(dataSource.lastSequence).toEqual(2);
+            expect(dataSource.entities.getById('p1')).toBeDefined();
+            expect(dataSource.entities.getById('p2')).toBeDefined();
+            expect(dataSource.entities.getById('p3')).toBeUndefined();
+
+            dataSource.viewRectangle = undefined;
+            expect(queryOf(requests[requests.length - 1]).bbox).toBeUndefined();
+        });
+    });
+
+    it('merges items into one collection keyed by feature id', function() {
+        createDataSource();
+        var spy = jasmine.createSpy('changedEvent');
+        dataSource.changedEvent.addEventListener(spy);
+
+        return respond([item(1, 'a', point('p1', 1, 2)), item(2, 'b', point('p2', 3, 4))]).then(function() {
+            expect(dataSource.entities.values.length).toEqual(2);
+            expect(dataSource.entities.getById('p1')).toBeDefined();
+            expect(dataSource.entities.getById('p2')).toBeDefined();
+            expect(dataSource.lastSequence).toEqual(2);
+            expect(spy.calls.count()).toEqual(2);
+        });
+    });
+
+    it('replaces the entities of an updated item', function() {
+        createDataSource();
+        return respond([item(1, 'a', point('p1', 1, 2))]).then(function() {
+            return respond([item(2, 'a', point('p2', 3, 4), 'update')]);
+        }).then(function() {
+            expect(dataSource.entities.values.length).toEqual(1);
+            expect(dataSource.entities.getById('p1')).toBeUndefined();
+            expect(dataSource.entities.getById('p2')).toBeDefined();
+        });
+    });
+
+    it('removes deleted and cleared items', function() {
+        createDataSource();
+        return respond([item(1, 'a', point('p1', 1, 2)), item(2, 'b', point('p2', 3, 4))]).then(function() {
+            return respond([item(3, 'a', undefined, 'delete')]);
+        }).then(function() {
+            expect(dataSource.entities.getById('p1')).toBeUndefined();
+            expect(dataSource.entities.getById('p2')).toBeDefined();
+            return respond([item(4, undefined, undefined, 'clear')]);
+        }).then(function() {
+            expect(dataSource.entities.values.length).toEqual(0);
+        });
+    });
+
+    it('does not remove an entity taken over by a later item', function() {
+        createDataSource();
+        return respond([item(1, 'a', point('p1', 1, 2)), item(2, 'b', point('p1', 3, 4))]).then(function() {
+            return respond([item(3, 'a', undefined, 'delete')]);
+        }).then(function() {
+            expect(dataSource.entities.getById('p1')).toBeDefined();
+        });
+    });
+
+    it('ignores items it already received', function() {
+        createDataSource();
+        return respond([item(1, 'a', point('p1', 1, 2))]).then(function() {
+            return respond([item(1, 'a', point('p2', 3, 4))]);
+        }).then(function() {
+            expect(dataSource.entities.getById('p1')).toBeDefined();
+            expect(dataSource.entities.getById('p2')).toBeUndefined();
+        });
+    });
+
+    it('receives every item again after the server numbers its items in a new epoch', function() {
+        function epochItem(sequence, id, data, epoch) {
+            var result = item(sequence, id, data);
+            result.epoch = epoch;
+            return result;
+        }
+
+        createDataSource();
+        expect(queryOf(requests[0]).epoch).toBeUndefined();
+        return respond([epochItem(1, 'a', point('p1', 1, 2), 'first'), epochItem(2, 'b', point('p2', 3, 4), 'first')]).then(function() {
+            expect(queryOf(requests[1])).toEqual({
+                since : '2',
+                epoch : 'first'
+            });
+            return respond([epochItem(1, 'c', point('p3', 5, 6), 'second')]);
+        }).then(function() {
+            expect(dataSource.lastSequence).toEqual(1);
+            expect(dataSource.entities.values.length).toEqual(1);
+            expect(dataSource.entities.getById('p3')).toBeDefined();
+            expect(queryOf(requests[2])).toEqual({
+                since : '1',
+                epoch : 'second'
+            });
+        });
+    });
+
+    function luceneItem(sequence, id, query) {
+        return {
+            sequence : sequence,
+            action : 'add',
+            id : id,
+            format : 'lucene',
+            data : query
+        };
+    }
+
+    it('shows a Lucene bbox query as a rectangle', function() {
+        createDataSource({
+            queryOutline : Color.BLUE
+        });
+        return respond([luceneItem(1, 'q', {
+            type : 'bbox',
+            minLat : 10,
+            maxLat : 20,
+            minLon : 30,
+            maxLon : 40
+        })]).then(function() {
+            var entity = dataSource.entities.getById('q');
+            expect(entity.name).toEqual('GeoPointInBBoxQuery');
+            expect(entity.rectangle.coordinates.getValue()).toEqual(Rectangle.fromDegrees(30, 10, 40, 20));
+            expect(entity.description.getValue()).toContain('minLat');
+
+            var outline = dataSource.entities.getById('q/1');
+            expect(outline.parent).toBe(entity);
+            expect(outline.name).toEqual(entity.name);
+            expect(outline.polyline.material.color.getValue()).toEqual(Color.BLUE);
+
+            //the parallels are sampled every degree
+            var positions = outline.polyline.positions.getValue();
+            expect(positions.length).toEqual(23);
+            expect(positions[0]).toEqual(Cartesian3.fromDegrees(30, 10));
+            expect(positions[5]).toEqualEpsilon(Cartesian3.fromDegrees(35, 10), CesiumMath.EPSILON7);
+            expect(positions[16]).toEqualEpsilon(Cartesian3.fromDegrees(35, 20), CesiumMath.EPSILON7);
+            expect(positions[22]).toEqual(positions[0]);
+        });
+    });
+
+    it('shows the values of a Lucene query as text', function() {
+        createDataSource();
+        return respond([luceneItem(1, 'q', {
+            type : 'bbox',
+            minLat : 10,
+            maxLat : 20,
+            minLon : 30,
+            maxLon : 40,
+            field : '<img src="x" onerror="alert(1)">',
+            '<b>' : 'a & b'
+        })]).then(function() {
+            var description = dataSource.entities.getById('q').description.getValue();
+            expect(description).toContain('<tr><th>field</th><td>&lt;img src=&quot;x&quot; onerror=&quot;alert(1)&quot;&gt;</td></tr>');
+            expect(description).toContain('<tr><th>&lt;b&gt;</th><td>a &amp; b</td></tr>');
+            expect(description).not.toContain('<img');
+        });
+    });
+
+    it('splits a Lucene bbox across the antimeridian in two', function() {
+        createDataSource();
+        return respond([luceneItem(1, 'q', {
+            type : 'bbox',
+            minLat : -10,
+            maxLat : 10,
+            minLon : 170,
+            maxLon : -170
+        })]).then(function() {
+            var entities = dataSource.entities;
+            expect(entities.getById('q').rectangle.coordinates.getValue()).toEqual(Rectangle.fromDegrees(170, -10, 180, 10));
+            expect(entities.getById('q/1').rectangle.coordinates.getValue()).toEqual(Rectangle.fromDegrees(-180, -10, -170, 10));
+
+            //a single outline around the box, without a seam at the antimeridian
+            expect(entities.values.length).toEqual(3);
+            var positions = entities.getById('q/2').polyline.positions.getValue();
+            expect(positions.length).toEqual(43);
+            expect(positions[10]).toEqualEpsilon(Cartesian3.fromDegrees(180, -10), CesiumMath.EPSILON7);
+            expect(positions[21]).toEqualEpsilon(Cartesian3.fromDegrees(-170, 10), CesiumMath.EPSILON7);
+            for (var i = 0; i < positions.length; i++) {
+                expect(positions[i].x).toBeLessThan(0.0);
+            }
+        });
+    });
+
+    it('outlines a Lucene bbox around the pole only along its parallel', function() {
+        createDataSource();
+        return respond([luceneItem(1, 'q', {
+            type : 'bbox',
+            minLat : 80,
+            maxLat : 90,
+            minLon : -180,
+            maxLon : 180
+        })]).then(function() {
+            var entities = dataSource.entities;
+            expect(entities.getById('q').rectangle.coordinates.getValue()).toEqual(Rectangle.fromDegrees(-180, 80, 180, 90));
+            expect(entities.values.length).toEqual(2);
+
+            var positions = entities.getById('q/1').polyline.positions.getValue();
+            expect(positions.length).toEqual(361);
+            for (var i = 0; i < positions.length; i++) {
+                expect(positions[i].z).toEqualEpsilon(positions[0].z, CesiumMath.EPSILON7);
+            }
+        });
+    });
+
+    it('only outlines a degenerate Lucene bbox', function() {
+        createDataSource();
+        return respond([luceneItem(1, 'q', {
+            type : 'bbox',
+            minLat : 10,
+            maxLat : 10,
+            minLon : 30,
+            maxLon : 40
+        })]).then(function() {
+            var entity = dataSource.entities.getById('q');
+            expect(dataSource.entities.values.length).toEqual(1);
+            expect(entity.rectangle).toBeUndefined();
+            expect(entity.polyline).toBeDefined();
+        });
+    });
+
+    it('shows a Lucene distance query as a circle of the haversine radius', function() {
+        createDataSource();
+        return respond([luceneItem(1, 'q', {
+            type : 'distance',
+            name : 'testSmallDistance',
+            center : {
+                lat : 0,
+                lon : 0
+            },
+            radiusMeters : 1000
+        })]).then(function() {
+            var entity = dataSource.entities.getById('q');
+            var radius = 1000 * 6378137.0 / 6371008.7714;
+            expect(entity.name).toEqual('testSmallDistance');
+            expect(entity.position.getValue(time)).toEqual(Cartesian3.fromDegrees(0, 0));
+            expect(entity.ellipse.semiMajorAxis.getValue()).toEqualEpsilon(radius, 1e-9);
+            expect(entity.ellipse.semiMinorAxis.getValue()).toEqualEpsilon(radius, 1e-9);
+        });
+    });
+
+    it('shows a Lucene polygon query with its holes', function() {
+        createDataSource();
+        return respond([luceneItem(1, 'q', {
+            type : 'polygon',
+            polyLats : [0, 0, 10, 10, 0],
+            polyLons : [0, 10, 10, 0, 0],
+            holes : [{
+                polyLats : [2, 2, 4, 2],
+                polyLons : [2, 4, 4, 2]
+            }]
+        })]).then(function() {
+            var hierarchy = dataSource.entities.getById('q').polygon.hierarchy.getValue();
+            expect(hierarchy.positions.length).toEqual(5);
+            expect(hierarchy.positions[1]).toEqual(Cartesian3.fromDegrees(10, 0));
+            expect(hierarchy.holes.length).toEqual(1);
+            expect(hierarchy.holes[0].positions[2]).toEqual(Cartesian3.fromDegrees(4, 4));
+        });
+    });
+
+    it('shows the hits and misses of a Lucene query as colored points', function() {
+        createDataSource({
+            hitColor : Color.GREEN,
+            missColor : Color.ORANGE
+        });
+        return respond([luceneItem(1, 'q', {
+            type : 'points',
+            hits : [{ lat : 1, lon : 2 }, { lat : 3, lon : 4 }],
+            misses : [{ lat : 5, lon : 6 }]
+        })]).then(function() {
+            var entities = dataSource.entities;
+            expect(entities.getById('q')).toBeUndefined();
+            expect(entities.values.length).toEqual(3);
+
+            var hit = entities.getById('q/hits/1');
+            expect(hit.position.getValue(time)).toEqual(Cartesian3.fromDegrees(4, 3));
+            expect(hit.point.color.getValue()).toEqual(Color.GREEN);
+            expect(entities.getById('q/misses/0').point.color.getValue()).toEqual(Color.ORANGE);
+
+            return respond([luceneItem(2, 'q', {
+                type : 'points',
+                hits : [{ lat : 1, lon : 2 }]
+            })]);
+        }).then(function() {
+            expect(dataSource.entities.values.length).toEqual(1);
+        });
+    });
+
+    it('drapes query shapes and documents over the terrain with clampToGround', function() {
+        createDataSource();
+        return respond([luceneItem(1, 'q', {
+            type : 'polygon',
+            polyLats : [0, 0, 10, 10, 0],
+            polyLons : [0, 10, 10, 0, 0]
+        }), luceneItem(2, 'p', {
+            type : 'points',
+            hits : [{ lat : 1, lon : 2 }]
+        })]).then(function() {
+            expect(dataSource.entities.getById('q').polygon.heightReference.getValue()).toEqual(HeightReference.NONE);
+            expect(dataSource.entities.getById('p/hits/0').point.heightReference.getValue()).toEqual(HeightReference.NONE);
+
+            dataSource.destroy();
+            createDataSource({
+                clampToGround : true
+            });
+            return respond([luceneItem(1, 'q', {
+                type : 'bbox',
+                minLat : 10,
+                maxLat : 20,
+                minLon : 30,
+                maxLon : 40
+            }), luceneItem(2, 'p', {
+                type : 'points',
+                hits : [{ lat : 1, lon : 2 }]
+            })]);
+        }).then(function() {
+            expect(dataSource.entities.getById('q').rectangle.heightReference.getValue()).toEqual(HeightReference.CLAMP_TO_GROUND);
+            expect(dataSource.entities.getById('q/1').polyline.clampToGround.getValue()).toBe(true);
+            expect(dataSource.entities.getById('p/hits/0').point.heightReference.getValue()).toEqual(HeightReference.CLAMP_TO_GROUND);
+        });
+    });
+
+    function cell(minLon, minLat, maxLon, maxLat, relation, depth) {
+        return {
+            minLat : minLat,
+            maxLat : maxLat,
+            minLon : minLon,
+            maxLon : maxLon,
+            relation : relation,
+            depth : depth
+        };
+    }
+
+    it('shows a cell traversal as color-coded rectangles', function() {
+        createDataSource({
+            insideColor : Color.BLUE
+        });
+        return respond([luceneItem(1, 't', {
+            type : 'cells',
+            cells : [cell(0, 0, 10, 10, 'CELL_CROSSES_QUERY', 0),
+                     cell(0, 0, 5, 10, 'CELL_INSIDE_QUERY', 1),
+                     cell(5, 0, 10, 10, 'CELL_OUTSIDE_QUERY', 1),
+                     cell(5, 5, 5, 5, 'CELL_CROSSES_QUERY', 2)]
+        })]).then(function() {
+            var entities = dataSource.entities;
+            //the cell around a single point has no rectangle
+            expect(entities.values.length).toEqual(3);
+
+            var inside = entities.getById('t/cells/1');
+            expect(inside.name).toEqual('CELL_INSIDE_QUERY at depth 1');
+            expect(inside.traversalDepth).toEqual(1);
+            expect(inside.rectangle.coordinates.getValue()).toEqual(Rectangle.fromDegrees(0, 0, 5, 10));
+            expect(inside.rectangle.material.color.getValue()).toEqual(Color.BLUE);
+            expect(entities.getById('t/cells/2').rectangle.material.color.getValue()).toEqual(Color.RED.withAlpha(0.3));
+            expect(dataSource.maximumTraversalDepth).toEqual(1);
+        });
+    });
+
+    it('reveals a cell traversal level by level', function() {
+        createDataSource({
+            traversalDepth : 0
+        });
+        return respond([luceneItem(1, 't', {
+            type : 'cells',
+            cells : [cell(0, 0, 10, 10, 'CELL_CROSSES_QUERY', 0),
+                     cell(0, 0, 5, 10, 'CELL_INSIDE_QUERY', 1)]
+        })]).then(function() {
+            var root = dataSource.entities.getById('t/cells/0');
+            var child = dataSource.entities.getById('t/cells/1');
+            expect(root.show).toBe(true);
+            expect(child.show).toBe(false);
+
+            dataSource.traversalDepth = 1;
+            expect(child.show).toBe(true);
+
+            dataSource.traversalDepth = undefined;
+            expect(root.show).toBe(true);
+            expect(child.show).toBe(true);
+        });
+    });
+
+    it('classifies expected and actual results', function() {
+        createDataSource({
+            falseNegativeColor : Color.BLUE
+        });
+        return respond([luceneItem(1, 'q', {
+            type : 'bbox',
+            minLat : 0,
+            maxLat : 10,
+            minLon : 0,
+            maxLon : 10,
+            expected : [{ id : 1, lat : 1, lon : 1 }, { id : 2, lat : 2, lon : 2 }, { lat : 3, lon : 3 }],
+            actual : [{ id : 1, lat : 1, lon : 1 }, { id : 4, lat : 11, lon : 11 }, { lat : 3, lon : 3 }]
+        })]).then(function() {
+            var entities = dataSource.entities;
+            expect(entities.getById('q/truePositive/0').resultClass).toEqual('truePositive');
+            expect(entities.getById('q/truePositive/1').position.getValue(time)).toEqual(Cartesian3.fromDegrees(3, 3));
+            expect(entities.getById('q/truePositive/2')).toBeUndefined();
+            expect(entities.getById('q/falsePositive/0').position.getValue(time)).toEqual(Cartesian3.fromDegrees(11, 11));
+            expect(entities.getById('q/falsePositive/0').point.color.getValue()).toEqual(Color.ORANGE);
+
+            var falseNegative = entities.getById('q/falseNegative/0');
+            expect(falseNegative.position.getValue(time)).toEqual(Cartesian3.fromDegrees(2, 2));
+            expect(falseNegative.point.color.getValue()).toEqual(Color.BLUE);
+            expect(falseNegative.name).toEqual('GeoPointInBBoxQuery false negative');
+
+            //the query lists the documents of each class as links to their entities
+            var description = entities.getById('q').description.getValue();
+            expect(description).toContain('<tr><th>True positives</th><td>2</td></tr>');
+            expect(description).toContain('<tr><th>False negatives</th><td>1</td></tr>');
+            expect(description).toContain('data-entity-id="q/falseNegative/0">doc 2 (2, 2)</a>');
+            expect(falseNegative.description.getValue()).toContain('data-entity-id="q/falsePositive/0"');
+        });
+    });
+
+    it('lists the posted ids of documents and items as text', function() {
+        createDataSource();
+        return respond([luceneItem(1, 'q"><b>', {
+            type : 'bbox',
+            minLat : 0,
+            maxLat : 10,
+            minLon : 0,
+            maxLon : 10,
+            expected : [{ id : '<i>1</i>', lat : 1, lon : 1 }],
+            actual : []
+        })]).then(function() {
+            var description = dataSource.entities.getById('q"><b>').description.getValue();
+            expect(description).toContain('data-entity-id="q&quot;&gt;&lt;b&gt;/falseNegative/0">doc &lt;i&gt;1&lt;/i&gt; (1, 1)</a>');
+            expect(description).not.toContain('<b>');
+            expect(description).not.toContain('<i>');
+        });
+    });
+
+    it('filters results by class', function() {
+        createDataSource();
+        return respond([luceneItem(1, 'q', {
+            type : 'points',
+            expected : [{ lat : 1, lon : 1 }, { lat : 2, lon : 2 }],
+            actual : [{ lat : 1, lon : 1 }]
+        })]).then(function() {
+            var truePositive = dataSource.entities.getById('q/truePositive/0');
+            var falseNegative = dataSource.entities.getById('q/falseNegative/0');
+            expect(dataSource.showTruePositives).toBe(true);
+
+            dataSource.showTruePositives = false;
+            expect(truePositive.show).toBe(false);
+            expect(falseNegative.show).toBe(true);
+
+            dataSource.showFalseNegatives = false;
+            dataSource.showTruePositives = true;
+            expect(truePositive.show).toBe(true);
+            expect(falseNegative.show).toBe(false);
+            return respond([luceneItem(2, 'r', {
+                type : 'points',
+                expected : [{ lat : 3, lon : 3 }]
+            })]);
+        }).then(function() {
+            expect(dataSource.entities.getById('r/falseNegative/0').show).toBe(false);
+        });
+    });
+
+    function taggedItem(sequence, id, test, seed, action) {
+        var result = item(sequence, id, point(id, sequence, 0), action);
+        result.test = test;
+        result.seed = seed;
+        return result;
+    }
+
+    it('groups tagged items into test runs', function() {
+        createDataSource();
+        return respond([
+            taggedItem(1, 'a', 'TestGeoPointQuery.testRandomBig', 'ABCD'),
+            taggedItem(2, 'b', 'TestGeoPointQuery.testRandomBig', 'ABCD'),
+            taggedItem(3, 'c', 'testBasics(org.apache.lucene.search.TestLatLonPointQueries)', '1234:5678'),
+            item(4, 'd', point('d', 4, 0)),
+            taggedItem(5, 'e', 'TestGeoPointQuery.testRandomBig', 'ABCD')
+        ]).then(function() {
+            var runs = dataSource.runs;
+            expect(runs.length).toEqual(2);
+            expect(runs[0]).toEqual({
+                test : 'TestGeoPointQuery.testRandomBig',
+                seed : 'ABCD',
+                reproduceLine : 'ant test -Dtestcase=TestGeoPointQuery -Dtests.method=testRandomBig -Dtests.seed=ABCD',
+                itemIds : ['a', 'b', 'e']
+            });
+            expect(runs[1].itemIds).toEqual(['c']);
+            expect(runs[1].reproduceLine).toEqual('ant test -Dtestcase=TestLatLonPointQueries -Dtests.method=testBasics -Dtests.seed=1234:5678');
+            return respond([
+                taggedItem(6, 'c', 'TestGeoPointQuery.testRandomBig', 'ABCD', 'update'),
+                item(7, 'a', undefined, 'delete')
+            ]);
+        }).then(function() {
+            var runs = dataSource.runs;
+            expect(runs.length).toEqual(1);
+            expect(runs[0].itemIds).toEqual(['b', 'e', 'c']);
+            return respond([item(8, undefined, undefined, 'clear')]);
+        }).then(function() {
+            expect(dataSource.runs.length).toEqual(0);
+        });
+    });
+
+    it('shows only the items of the selected run and step', function() {
+        createDataSource();
+        return respond([
+            taggedItem(1, 'a', 'TestA.testOne', '1'),
+            taggedItem(2, 'b', 'TestA.testOne', '1'),
+            taggedItem(3, 'c', 'TestA.testOne', '2'),
+            item(4, 'd', point('d', 4, 0))
+        ]).then(function() {
+            var entities = dataSource.entities;
+            function showing() {
+                return ['a', 'b', 'c', 'd'].filter(function(id) {
+                    return entities.getById(id).isShowing;
+                });
+            }
+            expect(showing()).toEqual(['a', 'b', 'c', 'd']);
+
+            dataSource.selectedRun = dataSource.runs[0];
+            expect(showing()).toEqual(['a', 'b']);
+            //the entities' own show flags are left alone
+            expect(entities.getById('c').show).toBe(true);
+
+            dataSource.runStep = 1;
+            expect(showing()).toEqual(['b']);
+
+            dataSource.selectedRun = dataSource.runs[1];
+            expect(dataSource.runStep).toBeUndefined();
+            expect(showing()).toEqual(['c']);
+            return respond([taggedItem(5, 'e', 'TestA.testOne', '2')]);
+        }).then(function() {
+            expect(dataSource.entities.getById('e').isShowing).toBe(true);
+            expect(dataSource.entities.getById('a').isShowing).toBe(false);
+
+            dataSource.selectedRun = undefined;
+            expect(dataSource.entities.getById('a').isShowing).toBe(true);
+        });
+    });
+
+    it('raises errorEvent for an unsupported format', function() {
+        createDataSource();
+        var spy = jasmine.createSpy('errorEvent');
+        dataSource.errorEvent.addEventListener(spy);
+
+        var unknown = item(1, 'a', {});
+        unknown.format = 'shapefile';
+        return respond([unknown]).then(function() {
+            expect(spy).toHaveBeenCalled();
+            expect(dataSource.entities.values.length).toEqual(0);
+        });
+    });
+
+    it('raises errorEvent and reconnects with backoff when the connection fails', function() {
+        createDataSource({
+            initialRetryDelay : 1,
+            maximumRetryDelay : 4
+        });
+        var spy = jasmine.createSpy('errorEvent');
+        dataSource.errorEvent.addEventListener(spy);
+
+        requests[0].deferred.reject(new Error('unreachable'));
+        expect(spy.calls.count()).toEqual(1);
+        expect(dataSource.isConnected).toBe(false);
+        expect(dataSource._retryDelay).toEqual(2);
+
+        return pollToPromise(function() {
+            return requests.length === 2;
+        }).then(function() {
+            return respond([]);
+        }).then(function() {
+            expect(dataSource.isConnected).toBe(true);
+            expect(dataSource._retryDelay).toEqual(1);
+        });
+    });
+
+    it('stops polling when destroyed', function() {
+        createDataSource();
+        var request = requests[0];
+        dataSource.destroy();
+        request.deferred.resolve(JSON.stringify([item(1, 'a', point('p1', 1, 2))]));
+        expect(requests.length).toEqual(1);
+        expect(dataSource.isDestroyed()).toBe(true);
+    });
+});
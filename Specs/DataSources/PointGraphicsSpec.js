@@ -3,12 +3,14 @@ defineSuite([
         'DataSources/PointGraphics',
         'Core/Color',
         'Core/NearFarScalar',
-        'DataSources/ConstantProperty'
+        'DataSources/ConstantProperty',
+        'Scene/HeightReference'
     ], function(
         PointGraphics,
         Color,
         NearFarScalar,
-        ConstantProperty) {
+        ConstantProperty,
+        HeightReference) {
     "use strict";
     /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
 
@@ -19,6 +21,7 @@ defineSuite([
             outlineColor : Color.BLUE,
             outlineWidth : 2,
             show : false,
+            heightReference : HeightReference.CLAMP_TO_GROUND,
             scaleByDistance : new NearFarScalar(3, 4, 5, 6)
         };
 
@@ -28,6 +31,7 @@ defineSuite([
         expect(point.outlineColor).toBeInstanceOf(ConstantProperty);
         expect(point.outlineWidth).toBeInstanceOf(ConstantProperty);
         expect(point.show).toBeInstanceOf(ConstantProperty);
+        expect(point.heightReference).toBeInstanceOf(ConstantProperty);
         expect(point.scaleByDistance).toBeInstanceOf(ConstantProperty);
 
         expect(point.color.getValue()).toEqual(options.color);
@@ -35,6 +39,7 @@ defineSuite([
         expect(point.outlineColor.getValue()).toEqual(options.outlineColor);
         expect(point.outlineWidth.getValue()).toEqual(options.outlineWidth);
         expect(point.show.getValue()).toEqual(options.show);
+        expect(point.heightReference.getValue()).toEqual(options.heightReference);
         expect(point.scaleByDistance.getValue()).toEqual(options.scaleByDistance);
     });
 
@@ -45,6 +50,7 @@ defineSuite([
         source.outlineColor = new ConstantProperty(Color.WHITE);
         source.outlineWidth = new ConstantProperty(1);
         source.show = new ConstantProperty(true);
+        source.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
         source.scaleByDistance = new ConstantProperty(new NearFarScalar());
 
         var target = new PointGraphics();
@@ -54,6 +60,7 @@ defineSuite([
         expect(target.outlineColor).toBe(source.outlineColor);
         expect(target.outlineWidth).toBe(source.outlineWidth);
         expect(target.show).toBe(source.show);
+        expect(target.heightReference).toBe(source.heightReference);
         expect(target.scaleByDistance).toBe(source.scaleByDistance);
     });
 
@@ -64,6 +71,7 @@ defineSuite([
         source.outlineColor = new ConstantProperty(Color.WHITE);
         source.outlineWidth = new ConstantProperty(1);
         source.show = new ConstantProperty(true);
+        source.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
         source.scaleByDistance = new ConstantProperty(new NearFarScalar());
 
         var color = new ConstantProperty(Color.WHITE);
@@ -71,6 +79,7 @@ defineSuite([
         var outlineColor = new ConstantProperty(Color.WHITE);
         var outlineWidth = new ConstantProperty(1);
         var show = new ConstantProperty(true);
+        var heightReference = new ConstantProperty(HeightReference.RELATIVE_TO_GROUND);
 
         var target = new PointGraphics();
         target.color = color;
@@ -78,6 +87,7 @@ defineSuite([
         target.outlineColor = outlineColor;
         target.outlineWidth = outlineWidth;
         target.show = show;
+        target.heightReference = heightReference;
         target.scaleByDistance = show;
 
         target.merge(source);
@@ -86,6 +96,7 @@ defineSuite([
         expect(target.outlineColor).toBe(outlineColor);
         expect(target.outlineWidth).toBe(outlineWidth);
         expect(target.show).toBe(show);
+        expect(target.heightReference).toBe(heightReference);
         expect(target.scaleByDistance).toBe(show);
     });
 
@@ -96,6 +107,7 @@ defineSuite([
         source.outlineColor = new ConstantProperty(Color.WHITE);
         source.outlineWidth = new ConstantProperty(1);
         source.show = new ConstantProperty(true);
+        source.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
         source.scaleByDistance = new ConstantProperty(new NearFarScalar());
 
         var result = source.clone();
@@ -104,6 +116,7 @@ defineSuite([
         expect(result.outlineColor).toBe(source.outlineColor);
         expect(result.outlineWidth).toBe(source.outlineWidth);
         expect(result.show).toBe(source.show);
+        expect(result.heightReference).toBe(source.heightReference);
         expect(result.scaleByDistance).toBe(source.scaleByDistance);
     });
 
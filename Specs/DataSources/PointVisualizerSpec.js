@@ -5,11 +5,14 @@ defineSuite([
         'Core/Cartesian3',
         'Core/Color',
         'Core/JulianDate',
+        'Core/Math',
         'Core/NearFarScalar',
         'DataSources/BoundingSphereState',
         'DataSources/ConstantProperty',
         'DataSources/EntityCollection',
         'DataSources/PointGraphics',
+        'Scene/HeightReference',
+        'Specs/createGlobe',
         'Specs/createScene'
     ], function(
         PointVisualizer,
@@ -17,11 +20,14 @@ defineSuite([
         Cartesian3,
         Color,
         JulianDate,
+        CesiumMath,
         NearFarScalar,
         BoundingSphereState,
         ConstantProperty,
         EntityCollection,
         PointGraphics,
+        HeightReference,
+        createGlobe,
         createScene) {
     "use strict";
     /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
@@ -183,6 +189,51 @@ defineSuite([
         expect(pointPrimitiveCollection.length).toEqual(1);
     });
 
+    it('Draws points clamped to the ground as billboards', function() {
+        var time = JulianDate.now();
+        var entityCollection = new EntityCollection();
+        visualizer = new PointVisualizer(scene, entityCollection);
+        scene.globe = createGlobe();
+
+        var testObject = entityCollection.getOrCreateEntity('test');
+        testObject.position = new ConstantProperty(Cartesian3.fromDegrees(-75.0, 40.0, 1000.0));
+        testObject.point = new PointGraphics();
+        testObject.point.color = new ConstantProperty(Color.RED);
+        testObject.point.pixelSize = new ConstantProperty(12);
+        testObject.point.scaleByDistance = new ConstantProperty(new NearFarScalar(1.0, 2.0, 3.0, 4.0));
+        testObject.point.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
+
+        visualizer.update(time);
+
+        expect(scene.primitives.length).toEqual(1);
+        var billboardCollection = scene.primitives.get(0);
+        expect(billboardCollection).toBe(visualizer._billboardCollection);
+        var bb = billboardCollection.get(0);
+        expect(bb.show).toEqual(true);
+        expect(bb.id).toBe(testObject);
+        expect(bb.heightReference).toEqual(HeightReference.CLAMP_TO_GROUND);
+        expect(bb.scaleByDistance).toEqual(testObject.point.scaleByDistance.getValue());
+        expect(scene.globe.callback).toBeDefined();
+
+        var result = new BoundingSphere();
+        expect(visualizer.getBoundingSphere(testObject, result)).toBe(BoundingSphereState.DONE);
+        expect(result.center).toEqualEpsilon(Cartesian3.fromDegrees(-75.0, 40.0, 0.0), CesiumMath.EPSILON6);
+
+        testObject.point.heightReference = new ConstantProperty(HeightReference.NONE);
+        visualizer.update(time);
+
+        expect(bb.show).toEqual(false);
+        expect(bb.heightReference).toEqual(HeightReference.NONE);
+        expect(scene.globe.removedCallback).toEqual(true);
+        expect(scene.primitives.length).toEqual(2);
+        var pointPrimitiveCollection = scene.primitives.get(1);
+        expect(pointPrimitiveCollection.length).toEqual(1);
+        expect(pointPrimitiveCollection.get(0).show).toEqual(true);
+        expect(pointPrimitiveCollection.get(0).color).toEqual(Color.RED);
+
+        scene.globe = undefined;
+    });
+
     it('clear hides pointPrimitives.', function() {
         var entityCollection = new EntityCollection();
         visualizer = new PointVisualizer(scene, entityCollection);
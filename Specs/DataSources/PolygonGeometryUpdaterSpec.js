@@ -18,9 +18,12 @@ defineSuite([
         'DataSources/SampledPositionProperty',
         'DataSources/SampledProperty',
         'DataSources/TimeIntervalCollectionProperty',
+        'Scene/HeightReference',
         'Scene/PrimitiveCollection',
         'Specs/createDynamicGeometryBoundingSphereSpecs',
         'Specs/createDynamicProperty',
+        'Specs/createGeometryUpdaterGroundSpecs',
+        'Specs/createGlobe',
         'Specs/createScene'
     ], function(
         PolygonGeometryUpdater,
@@ -41,9 +44,12 @@ defineSuite([
         SampledPositionProperty,
         SampledProperty,
         TimeIntervalCollectionProperty,
+        HeightReference,
         PrimitiveCollection,
         createDynamicGeometryBoundingSphereSpecs,
         createDynamicProperty,
+        createGeometryUpdaterGroundSpecs,
+        createGlobe,
         createScene) {
     "use strict";
     /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
@@ -259,6 +265,17 @@ defineSuite([
         }
     }
 
+    it('A polygon with per-position heights is not drawn on terrain', function() {
+        scene.globe = createGlobe();
+        var entity = createBasicPolygon();
+        entity.polygon.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
+        entity.polygon.perPositionHeight = new ConstantProperty(true);
+        var updater = new PolygonGeometryUpdater(entity, scene);
+        expect(updater.onTerrain).toBe(false);
+        updater.destroy();
+        scene.globe = undefined;
+    });
+
     it('Creates expected per-color geometry', function() {
         validateGeometryInstance({
             show : true,
@@ -540,6 +557,10 @@ defineSuite([
         }).toThrowDeveloperError();
     });
 
+    createGeometryUpdaterGroundSpecs(PolygonGeometryUpdater, 'polygon', createBasicPolygon, function() {
+        return scene;
+    });
+
     var entity = createBasicPolygon();
     entity.polygon.extrudedHeight = createDynamicProperty(2);
     createDynamicGeometryBoundingSphereSpecs(PolygonGeometryUpdater, entity, entity.polygon, function() {
@@ -5,6 +5,7 @@ defineSuite([
         'Core/PolygonHierarchy',
         'DataSources/ColorMaterialProperty',
         'DataSources/ConstantProperty',
+        'Scene/HeightReference',
         'Specs/testDefinitionChanged',
         'Specs/testMaterialDefinitionChanged'
     ], function(
@@ -13,6 +14,7 @@ defineSuite([
         PolygonHierarchy,
         ColorMaterialProperty,
         ConstantProperty,
+        HeightReference,
         testDefinitionChanged,
         testMaterialDefinitionChanged) {
     "use strict";
@@ -24,6 +26,7 @@ defineSuite([
             show : true,
             hierarchy : new PolygonHierarchy(),
             height : 2,
+            heightReference : HeightReference.CLAMP_TO_GROUND,
             extrudedHeight : 3,
             granularity : 4,
             stRotation : 5,
@@ -39,6 +42,7 @@ defineSuite([
         expect(polygon.show).toBeInstanceOf(ConstantProperty);
         expect(polygon.hierarchy).toBeInstanceOf(ConstantProperty);
         expect(polygon.height).toBeInstanceOf(ConstantProperty);
+        expect(polygon.heightReference).toBeInstanceOf(ConstantProperty);
         expect(polygon.extrudedHeight).toBeInstanceOf(ConstantProperty);
         expect(polygon.granularity).toBeInstanceOf(ConstantProperty);
         expect(polygon.stRotation).toBeInstanceOf(ConstantProperty);
@@ -52,6 +56,7 @@ defineSuite([
         expect(polygon.show.getValue()).toEqual(options.show);
         expect(polygon.hierarchy.getValue()).toEqual(options.hierarchy);
         expect(polygon.height.getValue()).toEqual(options.height);
+        expect(polygon.heightReference.getValue()).toEqual(options.heightReference);
         expect(polygon.extrudedHeight.getValue()).toEqual(options.extrudedHeight);
         expect(polygon.granularity.getValue()).toEqual(options.granularity);
         expect(polygon.stRotation.getValue()).toEqual(options.stRotation);
@@ -68,6 +73,7 @@ defineSuite([
         source.hierarchy = new ConstantProperty();
         source.show = new ConstantProperty();
         source.height = new ConstantProperty();
+        source.heightReference = new ConstantProperty();
         source.extrudedHeight = new ConstantProperty();
         source.granularity = new ConstantProperty();
         source.stRotation = new ConstantProperty();
@@ -84,6 +90,7 @@ defineSuite([
         expect(target.hierarchy).toBe(source.hierarchy);
         expect(target.show).toBe(source.show);
         expect(target.height).toBe(source.height);
+        expect(target.heightReference).toBe(source.heightReference);
         expect(target.extrudedHeight).toBe(source.extrudedHeight);
         expect(target.granularity).toBe(source.granularity);
         expect(target.stRotation).toBe(source.stRotation);
@@ -101,6 +108,7 @@ defineSuite([
         var positions = new ConstantProperty();
         var show = new ConstantProperty();
         var height = new ConstantProperty();
+        var heightReference = new ConstantProperty();
         var extrudedHeight = new ConstantProperty();
         var granularity = new ConstantProperty();
         var stRotation = new ConstantProperty();
@@ -115,6 +123,7 @@ defineSuite([
         target.hierarchy = positions;
         target.show = show;
         target.height = height;
+        target.heightReference = heightReference;
         target.extrudedHeight = extrudedHeight;
         target.granularity = granularity;
         target.stRotation = stRotation;
@@ -130,6 +139,7 @@ defineSuite([
         expect(target.hierarchy).toBe(positions);
         expect(target.show).toBe(show);
         expect(target.height).toBe(height);
+        expect(target.heightReference).toBe(heightReference);
         expect(target.extrudedHeight).toBe(extrudedHeight);
         expect(target.granularity).toBe(granularity);
         expect(target.stRotation).toBe(stRotation);
@@ -146,6 +156,7 @@ defineSuite([
         source.hierarchy = new ConstantProperty();
         source.show = new ConstantProperty();
         source.height = new ConstantProperty();
+        source.heightReference = new ConstantProperty();
         source.extrudedHeight = new ConstantProperty();
         source.granularity = new ConstantProperty();
         source.stRotation = new ConstantProperty();
@@ -160,6 +171,7 @@ defineSuite([
         expect(result.hierarchy).toBe(source.hierarchy);
         expect(result.show).toBe(source.show);
         expect(result.height).toBe(source.height);
+        expect(result.heightReference).toBe(source.heightReference);
         expect(result.extrudedHeight).toBe(source.extrudedHeight);
         expect(result.granularity).toBe(source.granularity);
         expect(result.stRotation).toBe(source.stRotation);
@@ -183,6 +195,7 @@ defineSuite([
         testDefinitionChanged(property, 'hierarchy', [], []);
         testDefinitionChanged(property, 'show', true, false);
         testDefinitionChanged(property, 'height', 3, 4);
+        testDefinitionChanged(property, 'heightReference', HeightReference.NONE, HeightReference.CLAMP_TO_GROUND);
         testDefinitionChanged(property, 'extrudedHeight', 4, 3);
         testDefinitionChanged(property, 'granularity', 1, 2);
         testDefinitionChanged(property, 'stRotation', 5, 6);
@@ -15,6 +15,7 @@ defineSuite([
         'DataSources/Entity',
         'DataSources/GridMaterialProperty',
         'DataSources/PolylineGraphics',
+        'DataSources/PolylineOutlineMaterialProperty',
         'DataSources/PropertyArray',
         'DataSources/SampledPositionProperty',
         'DataSources/SampledProperty',
@@ -39,6 +40,7 @@ defineSuite([
         Entity,
         GridMaterialProperty,
         PolylineGraphics,
+        PolylineOutlineMaterialProperty,
         PropertyArray,
         SampledPositionProperty,
         SampledProperty,
@@ -334,6 +336,65 @@ defineSuite([
         updater.destroy();
     });
 
+    it('A polyline clamped to the ground is dynamic', function() {
+        var entity = createBasicPolyline();
+        entity.polyline.clampToGround = new ConstantProperty(true);
+        var updater = new PolylineGeometryUpdater(entity, scene);
+        expect(updater.isDynamic).toBe(true);
+
+        entity.polyline.clampToGround = new ConstantProperty(false);
+        expect(updater.isDynamic).toBe(false);
+        updater.destroy();
+    });
+
+    it('dynamic updater drapes polylines clamped to the ground over the terrain', function() {
+        var entity = createBasicPolyline();
+        var polyline = entity.polyline;
+        polyline.clampToGround = new ConstantProperty(true);
+        polyline.material = new PolylineOutlineMaterialProperty();
+
+        var updater = new PolylineGeometryUpdater(entity, scene);
+        var primitives = scene.primitives;
+        var dynamicUpdater = updater.createDynamicUpdater(primitives);
+        expect(primitives.length).toBe(1);
+
+        var polylineCollection = primitives.get(0);
+        expect(polylineCollection._scene).toBe(scene);
+
+        dynamicUpdater.update(time);
+        var line = polylineCollection.get(0);
+        var positions = polyline.positions.getValue(time);
+        expect(line.clampToGround).toBe(true);
+        expect(line.material.type).toEqual('PolylineOutline');
+        expect(line.positions).toEqual(positions);
+        expect(line._actualPositions.length).toBeGreaterThan(positions.length);
+
+        //The terrain under the line is only sampled again when its positions change.
+        spyOn(line, '_updateClamping').and.callThrough();
+        dynamicUpdater.update(time);
+        expect(line._updateClamping).not.toHaveBeenCalled();
+
+        polyline.positions = new ConstantProperty(positions.slice(0, 2));
+        dynamicUpdater.update(time);
+        expect(line._updateClamping).toHaveBeenCalled();
+        expect(line.positions.length).toEqual(2);
+
+        var result = new BoundingSphere();
+        expect(dynamicUpdater.getBoundingSphere(entity, result)).toBe(BoundingSphereState.DONE);
+        expect(result).toEqual(BoundingSphere.fromPoints(line._actualPositions));
+
+        polyline.clampToGround = new ConstantProperty(false);
+        dynamicUpdater.update(time);
+        expect(primitives.length).toBe(1);
+        expect(primitives.get(0)).not.toBe(polylineCollection);
+        expect(primitives.get(0)._scene).toBeUndefined();
+        expect(primitives.get(0).get(0).clampToGround).toBe(false);
+
+        dynamicUpdater.destroy();
+        expect(primitives.length).toBe(0);
+        updater.destroy();
+    });
+
     it('geometryChanged event is raised when expected', function() {
         var entity = createBasicPolyline();
         var updater = new PolylineGeometryUpdater(entity, scene);
@@ -23,7 +23,8 @@ defineSuite([
             show : true,
             width : 1,
             followSurface : false,
-            granularity : 2
+            granularity : 2,
+            clampToGround : true
         };
 
         var polyline = new PolylineGraphics(options);
@@ -33,6 +34,7 @@ defineSuite([
         expect(polyline.width).toBeInstanceOf(ConstantProperty);
         expect(polyline.followSurface).toBeInstanceOf(ConstantProperty);
         expect(polyline.granularity).toBeInstanceOf(ConstantProperty);
+        expect(polyline.clampToGround).toBeInstanceOf(ConstantProperty);
 
         expect(polyline.material.color.getValue()).toEqual(options.material);
         expect(polyline.positions.getValue()).toEqual(options.positions);
@@ -40,6 +42,7 @@ defineSuite([
         expect(polyline.width.getValue()).toEqual(options.width);
         expect(polyline.followSurface.getValue()).toEqual(options.followSurface);
         expect(polyline.granularity.getValue()).toEqual(options.granularity);
+        expect(polyline.clampToGround.getValue()).toEqual(options.clampToGround);
     });
 
     it('merge assigns unassigned properties', function() {
@@ -50,6 +53,7 @@ defineSuite([
         source.show = new ConstantProperty();
         source.followSurface = new ConstantProperty();
         source.granularity = new ConstantProperty();
+        source.clampToGround = new ConstantProperty();
 
         var target = new PolylineGraphics();
         target.merge(source);
@@ -59,6 +63,7 @@ defineSuite([
         expect(target.show).toBe(source.show);
         expect(target.followSurface).toBe(source.followSurface);
         expect(target.granularity).toBe(source.granularity);
+        expect(target.clampToGround).toBe(source.clampToGround);
     });
 
     it('merge does not assign assigned properties', function() {
@@ -69,6 +74,7 @@ defineSuite([
         source.show = new ConstantProperty();
         source.followSurface = new ConstantProperty();
         source.granularity = new ConstantProperty();
+        source.clampToGround = new ConstantProperty();
 
         var color = new ColorMaterialProperty();
         var positions = new ConstantProperty();
@@ -76,6 +82,7 @@ defineSuite([
         var show = new ConstantProperty();
         var followSurface = new ConstantProperty();
         var granularity = new ConstantProperty();
+        var clampToGround = new ConstantProperty();
 
         var target = new PolylineGraphics();
         target.material = color;
@@ -84,6 +91,7 @@ defineSuite([
         target.show = show;
         target.followSurface = followSurface;
         target.granularity = granularity;
+        target.clampToGround = clampToGround;
 
         target.merge(source);
         expect(target.material).toBe(color);
@@ -92,6 +100,7 @@ defineSuite([
         expect(target.show).toBe(show);
         expect(target.followSurface).toBe(followSurface);
         expect(target.granularity).toBe(granularity);
+        expect(target.clampToGround).toBe(clampToGround);
     });
 
     it('clone works', function() {
@@ -102,6 +111,7 @@ defineSuite([
         source.show = new ConstantProperty();
         source.followSurface = new ConstantProperty();
         source.granularity = new ConstantProperty();
+        source.clampToGround = new ConstantProperty();
 
         var result = source.clone();
         expect(result.material).toBe(source.material);
@@ -110,6 +120,7 @@ defineSuite([
         expect(result.show).toBe(source.show);
         expect(result.followSurface).toBe(source.followSurface);
         expect(result.granularity).toBe(source.granularity);
+        expect(result.clampToGround).toBe(source.clampToGround);
     });
 
     it('merge throws if source undefined', function() {
@@ -127,5 +138,6 @@ defineSuite([
         testDefinitionChanged(property, 'width', 3, 4);
         testDefinitionChanged(property, 'followSurface', false, true);
         testDefinitionChanged(property, 'granularity', 2, 1);
+        testDefinitionChanged(property, 'clampToGround', true, false);
     });
 });
\ No newline at end of file
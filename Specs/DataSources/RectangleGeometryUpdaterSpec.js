@@ -19,6 +19,7 @@ defineSuite([
         'Scene/PrimitiveCollection',
         'Specs/createDynamicGeometryBoundingSphereSpecs',
         'Specs/createDynamicProperty',
+        'Specs/createGeometryUpdaterGroundSpecs',
         'Specs/createScene'
     ], function(
         RectangleGeometryUpdater,
@@ -40,6 +41,7 @@ defineSuite([
         PrimitiveCollection,
         createDynamicGeometryBoundingSphereSpecs,
         createDynamicProperty,
+        createGeometryUpdaterGroundSpecs,
         createScene) {
     "use strict";
     /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
@@ -541,6 +543,10 @@ defineSuite([
         }).toThrowDeveloperError();
     });
 
+    createGeometryUpdaterGroundSpecs(RectangleGeometryUpdater, 'rectangle', createBasicRectangle, function() {
+        return scene;
+    });
+
     var entity = createBasicRectangle();
     entity.rectangle.extrudedHeight = createDynamicProperty(2);
     createDynamicGeometryBoundingSphereSpecs(RectangleGeometryUpdater, entity, entity.rectangle, function() {
@@ -5,6 +5,7 @@ defineSuite([
         'Core/Rectangle',
         'DataSources/ColorMaterialProperty',
         'DataSources/ConstantProperty',
+        'Scene/HeightReference',
         'Specs/testDefinitionChanged',
         'Specs/testMaterialDefinitionChanged'
     ], function(
@@ -13,6 +14,7 @@ defineSuite([
         Rectangle,
         ColorMaterialProperty,
         ConstantProperty,
+        HeightReference,
         testDefinitionChanged,
         testMaterialDefinitionChanged) {
     "use strict";
@@ -24,6 +26,7 @@ defineSuite([
             show : true,
             coordinates : new Rectangle(0.1, 0.2, 0.3, 0.4),
             height : 5,
+            heightReference : HeightReference.CLAMP_TO_GROUND,
             extrudedHeight : 6,
             granularity : 7,
             rotation : 8,
@@ -41,6 +44,7 @@ defineSuite([
         expect(ellipse.show).toBeInstanceOf(ConstantProperty);
         expect(ellipse.coordinates).toBeInstanceOf(ConstantProperty);
         expect(ellipse.height).toBeInstanceOf(ConstantProperty);
+        expect(ellipse.heightReference).toBeInstanceOf(ConstantProperty);
         expect(ellipse.extrudedHeight).toBeInstanceOf(ConstantProperty);
         expect(ellipse.granularity).toBeInstanceOf(ConstantProperty);
         expect(ellipse.rotation).toBeInstanceOf(ConstantProperty);
@@ -56,6 +60,7 @@ defineSuite([
         expect(ellipse.show.getValue()).toEqual(options.show);
         expect(ellipse.coordinates.getValue()).toEqual(options.coordinates);
         expect(ellipse.height.getValue()).toEqual(options.height);
+        expect(ellipse.heightReference.getValue()).toEqual(options.heightReference);
         expect(ellipse.extrudedHeight.getValue()).toEqual(options.extrudedHeight);
         expect(ellipse.granularity.getValue()).toEqual(options.granularity);
         expect(ellipse.rotation.getValue()).toEqual(options.rotation);
@@ -74,6 +79,7 @@ defineSuite([
         source.show = new ConstantProperty();
         source.coordinates = new ConstantProperty();
         source.height = new ConstantProperty();
+        source.heightReference = new ConstantProperty();
         source.extrudedHeight = new ConstantProperty();
         source.granularity = new ConstantProperty();
         source.stRotation = new ConstantProperty();
@@ -92,6 +98,7 @@ defineSuite([
         expect(target.show).toBe(source.show);
         expect(target.coordinates).toBe(source.coordinates);
         expect(target.height).toBe(source.height);
+        expect(target.heightReference).toBe(source.heightReference);
         expect(target.extrudedHeight).toBe(source.extrudedHeight);
         expect(target.granularity).toBe(source.granularity);
         expect(target.stRotation).toBe(source.stRotation);
@@ -111,6 +118,7 @@ defineSuite([
         var show = new ConstantProperty();
         var coordinates = new ConstantProperty();
         var height = new ConstantProperty();
+        var heightReference = new ConstantProperty();
         var extrudedHeight = new ConstantProperty();
         var granularity = new ConstantProperty();
         var stRotation = new ConstantProperty();
@@ -127,6 +135,7 @@ defineSuite([
         target.show = show;
         target.coordinates = coordinates;
         target.height = height;
+        target.heightReference = heightReference;
         target.extrudedHeight = extrudedHeight;
         target.granularity = granularity;
         target.stRotation = stRotation;
@@ -144,6 +153,7 @@ defineSuite([
         expect(target.show).toBe(show);
         expect(target.coordinates).toBe(coordinates);
         expect(target.height).toBe(height);
+        expect(target.heightReference).toBe(heightReference);
         expect(target.extrudedHeight).toBe(extrudedHeight);
         expect(target.granularity).toBe(granularity);
         expect(target.stRotation).toBe(stRotation);
@@ -162,6 +172,7 @@ defineSuite([
         source.show = new ConstantProperty();
         source.coordinates = new ConstantProperty();
         source.height = new ConstantProperty();
+        source.heightReference = new ConstantProperty();
         source.extrudedHeight = new ConstantProperty();
         source.granularity = new ConstantProperty();
         source.stRotation = new ConstantProperty();
@@ -178,6 +189,7 @@ defineSuite([
         expect(result.show).toBe(source.show);
         expect(result.coordinates).toBe(source.coordinates);
         expect(result.height).toBe(source.height);
+        expect(result.heightReference).toBe(source.heightReference);
         expect(result.extrudedHeight).toBe(source.extrudedHeight);
         expect(result.granularity).toBe(source.granularity);
         expect(result.stRotation).toBe(source.stRotation);
@@ -203,6 +215,7 @@ defineSuite([
         testDefinitionChanged(property, 'show', true, false);
         testDefinitionChanged(property, 'coordinates', new Rectangle(0, 0, 0.1, 0.1), new Rectangle(0, 0, 1, 1));
         testDefinitionChanged(property, 'height', 2, 5);
+        testDefinitionChanged(property, 'heightReference', HeightReference.NONE, HeightReference.CLAMP_TO_GROUND);
         testDefinitionChanged(property, 'extrudedHeight', 3, 4);
         testDefinitionChanged(property, 'granularity', 3, 4);
         testDefinitionChanged(property, 'stRotation', 3, 4);
@@ -0,0 +1,115 @@
+/*global defineSuite*/
+defineSuite([
+        'DataSources/exportLuceneCode',
+        'Core/Cartesian3',
+        'Core/LuceneGeoUtils',
+        'Core/PolygonHierarchy',
+        'Core/Rectangle',
+        'Core/RuntimeError',
+        'DataSources/Entity'
+    ], function(
+        exportLuceneCode,
+        Cartesian3,
+        LuceneGeoUtils,
+        PolygonHierarchy,
+        Rectangle,
+        RuntimeError,
+        Entity) {
+    "use strict";
+    /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
+
+    it('exports a polygon as a closed counter-clockwise ring', function() {
+        //clockwise and already closed
+        var entity = new Entity({
+            polygon : {
+                hierarchy : Cartesian3.fromDegreesArray([0, 0, 0, 10, 10, 10, 10, 0, 0, 0])
+            }
+        });
+        expect(exportLuceneCode(entity)).toEqual('new Polygon(\n' +
+                                                 '    new double[] {0.0, 0.0, 10.0, 10.0, 0.0},\n' +
+                                                 '    new double[] {0.0, 10.0, 10.0, 0.0, 0.0})');
+    });
+
+    it('exports the holes of a polygon as clockwise rings', function() {
+        var entity = new Entity({
+            polygon : {
+                hierarchy : new PolygonHierarchy(Cartesian3.fromDegreesArray([0, 0, 10, 0, 10, 10, 0, 10]), [
+                    new PolygonHierarchy(Cartesian3.fromDegreesArray([2.5, 2.5, 5, 2.5, 5, 5]))
+                ])
+            }
+        });
+        expect(exportLuceneCode(entity)).toEqual('new Polygon(\n' +
+                                                 '    new double[] {0.0, 0.0, 10.0, 10.0, 0.0},\n' +
+                                                 '    new double[] {0.0, 10.0, 10.0, 0.0, 0.0},\n' +
+                                                 '    new Polygon(\n' +
+                                                 '        new double[] {2.5, 5.0, 2.5, 2.5},\n' +
+                                                 '        new double[] {2.5, 5.0, 5.0, 2.5}))');
+    });
+
+    it('exports a rectangle', function() {
+        var entity = new Entity({
+            rectangle : {
+                coordinates : Rectangle.fromDegrees(170, -10.25, -170, 20)
+            }
+        });
+        expect(exportLuceneCode(entity)).toEqual('new Rectangle(-10.25, 20.0, 170.0, -170.0)');
+    });
+
+    it('exports a circle as a distance query', function() {
+        var center = Cartesian3.fromDegrees(-74.5, 40.25);
+        var radius = 1000.0 * Cartesian3.magnitude(center) / LuceneGeoUtils.EARTH_MEAN_RADIUS_METERS;
+        var entity = new Entity({
+            position : center,
+            ellipse : {
+                semiMajorAxis : radius,
+                semiMinorAxis : radius
+            }
+        });
+        expect(exportLuceneCode(entity)).toEqual('new GeoPointDistanceQuery("location", 40.25, -74.5, 1000.0)');
+        expect(exportLuceneCode(entity, {
+            field : 'point'
+        })).toEqual('new GeoPointDistanceQuery("point", 40.25, -74.5, 1000.0)');
+    });
+
+    it('returns undefined without a shape', function() {
+        expect(exportLuceneCode(new Entity({
+            position : Cartesian3.fromDegrees(1, 2)
+        }))).toBeUndefined();
+    });
+
+    it('throws for shapes Lucene cannot represent', function() {
+        expect(function() {
+            exportLuceneCode(new Entity({
+                position : Cartesian3.fromDegrees(1, 2),
+                ellipse : {
+                    semiMajorAxis : 2.0,
+                    semiMinorAxis : 1.0
+                }
+            }));
+        }).toThrowRuntimeError();
+        expect(function() {
+            exportLuceneCode(new Entity({
+                polygon : {
+                    hierarchy : Cartesian3.fromDegreesArray([0, 0, 1, 1, 1, 1, 0, 0])
+                }
+            }));
+        }).toThrowRuntimeError();
+        expect(function() {
+            exportLuceneCode(new Entity({
+                polygon : {
+                    hierarchy : new PolygonHierarchy(Cartesian3.fromDegreesArray([0, 0, 10, 0, 10, 10]), [
+                        new PolygonHierarchy(Cartesian3.fromDegreesArray([5, 1, 9, 1, 9, 5]), [
+                            new PolygonHierarchy(Cartesian3.fromDegreesArray([8, 2, 8.5, 2, 8.5, 2.5]))
+                        ])
+                    ])
+                }
+            }));
+        }).toThrowRuntimeError();
+    });
+
+    it('throws without an entity', function() {
+        expect(function() {
+            exportLuceneCode();
+        }).toThrowDeveloperError();
+    });
+});
@@ -2244,4 +2244,207 @@ defineSuite([
         expect(distance).toBeLessThan(sphere.radius * 3.0);
     });
 
+    function lookDown(longitude, latitude, height) {
+        camera.position = Cartesian3.fromDegrees(longitude, latitude, height);
+        camera.direction = Cartesian3.negate(Cartesian3.normalize(camera.position, new Cartesian3()), new Cartesian3());
+        var east = Cartesian3.cross(Cartesian3.UNIT_Z, camera.position, new Cartesian3());
+        camera.right = Cartesian3.equalsEpsilon(east, Cartesian3.ZERO, CesiumMath.EPSILON7) ? Cartesian3.clone(Cartesian3.UNIT_X) : Cartesian3.normalize(east, east);
+        camera.up = Cartesian3.cross(camera.right, camera.direction, new Cartesian3());
+
+        var frustum = new PerspectiveFrustum();
+        frustum.fov = CesiumMath.toRadians(60.0);
+        frustum.aspectRatio = scene.canvas.clientWidth / scene.canvas.clientHeight;
+        frustum.near = 1.0;
+        frustum.far = 1.0e8;
+        camera.frustum = frustum;
+    }
+
+    it('computeViewRectangle looking down in 3D', function() {
+        lookDown(10.0, 20.0, 1000000.0);
+        var rectangle = camera.computeViewRectangle();
+        expect(Rectangle.contains(rectangle, Cartographic.fromDegrees(10.0, 20.0))).toBe(true);
+        expect(rectangle.west).toBeLessThan(rectangle.east);
+        expect(rectangle.width).toBeGreaterThan(CesiumMath.toRadians(5.0));
+        expect(rectangle.width).toBeLessThan(CesiumMath.toRadians(30.0));
+        expect(rectangle.height).toBeLessThan(CesiumMath.toRadians(30.0));
+
+        var result = new Rectangle();
+        expect(camera.computeViewRectangle(Ellipsoid.WGS84, result)).toBe(result);
+        expect(result).toEqual(rectangle);
+    });
+
+    it('computeViewRectangle across the antimeridian in 3D', function() {
+        lookDown(180.0, 0.0, 1000000.0);
+        var rectangle = camera.computeViewRectangle();
+        expect(rectangle.west).toBeGreaterThan(rectangle.east);
+        expect(rectangle.west).toBeGreaterThan(CesiumMath.toRadians(160.0));
+        expect(rectangle.east).toBeLessThan(CesiumMath.toRadians(-160.0));
+        expect(Rectangle.contains(rectangle, Cartographic.fromDegrees(180.0, 0.0))).toBe(true);
+    });
+
+    it('computeViewRectangle includes a visible pole in 3D', function() {
+        lookDown(0.0, 90.0, 1000000.0);
+        var rectangle = camera.computeViewRectangle();
+        expect(rectangle.north).toEqual(CesiumMath.PI_OVER_TWO);
+        expect(rectangle.west).toEqual(-Math.PI);
+        expect(rectangle.east).toEqual(Math.PI);
+        expect(rectangle.south).toBeGreaterThan(CesiumMath.toRadians(60.0));
+    });
+
+    it('computeViewRectangle extends to the horizon when tilted in 3D', function() {
+        lookDown(0.0, 0.0, 100000.0);
+        //pitch the camera up to look north, just below the horizon
+        camera.lookUp(CesiumMath.toRadians(80.0));
+        var rectangle = camera.computeViewRectangle();
+        //the horizon is about 1130 km away from a height of 100 km
+        expect(rectangle.north).toBeGreaterThan(CesiumMath.toRadians(8.0));
+        expect(rectangle.north).toBeLessThan(CesiumMath.toRadians(15.0));
+        expect(rectangle.south).toBeGreaterThan(CesiumMath.toRadians(-1.0));
+    });
+
+    it('computeViewRectangle returns undefined when looking away from the ellipsoid in 3D', function() {
+        lookDown(0.0, 0.0, 1000000.0);
+        camera.direction = Cartesian3.negate(camera.direction, camera.direction);
+        camera.up = Cartesian3.negate(camera.up, camera.up);
+        expect(camera.computeViewRectangle()).toBeUndefined();
+    });
+
+    it('computeViewRectangle in 2D', function() {
+        var maxRadii = Ellipsoid.WGS84.maximumRadius;
+        camera.position = new Cartesian3(0.0, 0.0, 2.0 * maxRadii);
+        camera.direction = Cartesian3.negate(Cartesian3.UNIT_Z, new Cartesian3());
+        camera.up = Cartesian3.clone(Cartesian3.UNIT_Y);
+        camera.right = Cartesian3.clone(Cartesian3.UNIT_X);
+
+        var frustum = new OrthographicFrustum();
+        frustum.right = maxRadii * 0.1;
+        frustum.left = -frustum.right;
+        frustum.top = frustum.right * (scene.canvas.clientHeight / scene.canvas.clientWidth);
+        frustum.bottom = -frustum.top;
+        frustum.near = 0.01 * maxRadii;
+        frustum.far = 60.0 * maxRadii;
+        camera.frustum = frustum;
+        camera._mode = SceneMode.SCENE2D;
+        camera._projection = new GeographicProjection(Ellipsoid.WGS84);
+
+        var rectangle = camera.computeViewRectangle();
+        expect(rectangle).toEqualEpsilon(new Rectangle(-0.1, -0.075, 0.1, 0.075), CesiumMath.EPSILON10);
+
+        //zoomed out, the rectangle is clamped to the edges of the map
+        frustum.right = maxRadii * Math.PI * 2.0;
+        frustum.left = -frustum.right;
+        frustum.top = frustum.right * (scene.canvas.clientHeight / scene.canvas.clientWidth);
+        frustum.bottom = -frustum.top;
+        rectangle = camera.computeViewRectangle();
+        expect(rectangle).toEqualEpsilon(Rectangle.MAX_VALUE, CesiumMath.EPSILON10);
+    });
+
+    it('computeViewRectangle in Columbus view', function() {
+        var maxRadii = Ellipsoid.WGS84.maximumRadius;
+        camera.position = new Cartesian3(0.0, 0.0, maxRadii);
+        camera.direction = Cartesian3.negate(Cartesian3.UNIT_Z, new Cartesian3());
+        camera.up = Cartesian3.clone(Cartesian3.UNIT_Y);
+        camera.right = Cartesian3.clone(Cartesian3.UNIT_X);
+
+        var frustum = new PerspectiveFrustum();
+        frustum.fov = CesiumMath.toRadians(60.0);
+        frustum.aspectRatio = scene.canvas.clientWidth / scene.canvas.clientHeight;
+        frustum.near = 0.01 * maxRadii;
+        frustum.far = 60.0 * maxRadii;
+        camera.frustum = frustum;
+        camera.update(SceneMode.COLUMBUS_VIEW);
+
+        var rectangle = camera.computeViewRectangle();
+        expect(Rectangle.contains(rectangle, new Cartographic(0.0, 0.0))).toBe(true);
+        expect(rectangle.east).toEqualEpsilon(-rectangle.west, CesiumMath.EPSILON10);
+        expect(rectangle.north).toEqualEpsilon(-rectangle.south, CesiumMath.EPSILON10);
+        expect(rectangle.north).toBeLessThan(1.0);
+
+        //looking above the horizon, the map is visible up to its edge
+        camera.lookUp(CesiumMath.toRadians(80.0));
+        rectangle = camera.computeViewRectangle();
+        expect(rectangle.north).toEqualEpsilon(CesiumMath.PI_OVER_TWO, CesiumMath.EPSILON10);
+    });
+
+    it('computeViewRectangle returns undefined while morphing', function() {
+        lookDown(0.0, 0.0, 1000000.0);
+        camera._mode = SceneMode.MORPHING;
+        expect(camera.computeViewRectangle()).toBeUndefined();
+    });
+
+    it('raises viewRectangleChanged with the visible rectangle once a listener is added', function() {
+        lookDown(10.0, 20.0, 1000000.0);
+        expect(camera.viewRectangleChangeThreshold).toEqual(0.1);
+
+        var listener = jasmine.createSpy('listener');
+        camera.viewRectangleChanged.addEventListener(listener);
+        camera._updateViewRectangle();
+        expect(listener.calls.count()).toEqual(1);
+        expect(listener.calls.argsFor(0)[0]).toEqual(camera.computeViewRectangle());
+
+        camera._updateViewRectangle();
+        expect(listener.calls.count()).toEqual(1);
+    });
+
+    it('raises viewRectangleChanged when the view changes by more than the threshold', function() {
+        lookDown(10.0, 20.0, 1000000.0);
+        var listener = jasmine.createSpy('listener');
+        camera.viewRectangleChanged.addEventListener(listener);
+        camera._updateViewRectangle();
+
+        lookDown(10.1, 20.0, 1000000.0);
+        camera._updateViewRectangle();
+        expect(listener.calls.count()).toEqual(1);
+
+        lookDown(14.0, 20.0, 1000000.0);
+        camera._updateViewRectangle();
+        expect(listener.calls.count()).toEqual(2);
+        expect(listener.calls.argsFor(1)[0]).toEqual(camera.computeViewRectangle());
+
+        camera.viewRectangleChangeThreshold = 0.5;
+        lookDown(18.0, 20.0, 1000000.0);
+        camera._updateViewRectangle();
+        expect(listener.calls.count()).toEqual(2);
+
+        lookDown(18.0, 20.0, 3000000.0);
+        camera._updateViewRectangle();
+        expect(listener.calls.count()).toEqual(3);
+    });
+
+    it('raises viewRectangleChanged with undefined when the ellipsoid goes out of view', function() {
+        lookDown(0.0, 0.0, 1000000.0);
+        var listener = jasmine.createSpy('listener');
+        camera.viewRectangleChanged.addEventListener(listener);
+        camera._updateViewRectangle();
+
+        camera.direction = Cartesian3.negate(camera.direction, camera.direction);
+        camera.up = Cartesian3.negate(camera.up, camera.up);
+        camera._updateViewRectangle();
+        expect(listener.calls.count()).toEqual(2);
+        expect(listener.calls.argsFor(1)[0]).toBeUndefined();
+
+        camera.lookLeft(0.1);
+        camera._updateViewRectangle();
+        expect(listener.calls.count()).toEqual(2);
+    });
+
+    it('does not compute the view rectangle without viewRectangleChanged listeners', function() {
+        lookDown(0.0, 0.0, 1000000.0);
+        spyOn(camera, 'computeViewRectangle').and.callThrough();
+        camera._updateViewRectangle();
+        expect(camera.computeViewRectangle).not.toHaveBeenCalled();
+
+        var removeListener = camera.viewRectangleChanged.addEventListener(function() {});
+        camera._updateViewRectangle();
+        expect(camera.computeViewRectangle.calls.count()).toEqual(1);
+
+        //nothing moved
+        camera._updateViewRectangle();
+        expect(camera.computeViewRectangle.calls.count()).toEqual(1);
+
+        removeListener();
+        camera._updateViewRectangle();
+        expect(camera.computeViewRectangle.calls.count()).toEqual(1);
+    });
+
 });
@@ -0,0 +1,142 @@
+/*global defineSuite*/
+defineSuite([
+        'Scene/GeoCellImageryProvider',
+        'Core/Ellipsoid',
+        'Core/GeographicTilingScheme',
+        'Core/Math',
+        'Core/Rectangle',
+        'Scene/ImageryProvider',
+        'ThirdParty/when'
+    ], function(
+        GeoCellImageryProvider,
+        Ellipsoid,
+        GeographicTilingScheme,
+        CesiumMath,
+        Rectangle,
+        ImageryProvider,
+        when) {
+    "use strict";
+    /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
+
+    var longitude = CesiumMath.toRadians(10.40744);
+    var latitude = CesiumMath.toRadians(57.64911);
+
+    it('conforms to ImageryProvider interface', function() {
+        expect(GeoCellImageryProvider).toConformToInterface(ImageryProvider);
+    });
+
+    it('has expected defaults', function() {
+        var provider = new GeoCellImageryProvider();
+        expect(provider.ready).toBe(true);
+        expect(provider.cellType).toEqual('geohash');
+        expect(provider.precision).toEqual(4);
+        expect(provider.tileWidth).toEqual(256);
+        expect(provider.tileHeight).toEqual(256);
+        expect(provider.maximumLevel).toBeUndefined();
+        expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+        expect(provider.tileDiscardPolicy).toBeUndefined();
+        expect(provider.rectangle).toEqual(new GeographicTilingScheme().rectangle);
+        expect(typeof provider.hasAlphaChannel).toBe('boolean');
+    });
+
+    it('can use a custom ellipsoid', function() {
+        var ellipsoid = new Ellipsoid(1, 2, 3);
+        var provider = new GeoCellImageryProvider({
+            ellipsoid : ellipsoid
+        });
+        expect(provider.tilingScheme.ellipsoid).toEqual(ellipsoid);
+    });
+
+    it('gets the geohash of a location', function() {
+        var provider = new GeoCellImageryProvider({
+            precision : 5
+        });
+        expect(provider.getCell(longitude, latitude).label).toEqual('u4pru');
+
+        provider = new GeoCellImageryProvider({
+            precision : 11
+        });
+        expect(provider.getCell(longitude, latitude).label).toEqual('u4pruydqqvj');
+    });
+
+    it('gets the rectangle of a geohash cell', function() {
+        var provider = new GeoCellImageryProvider({
+            precision : 1
+        });
+        var cell = provider.getCell(longitude, latitude);
+        expect(cell.label).toEqual('u');
+        expect(cell.rectangle).toEqualEpsilon(Rectangle.fromDegrees(0, 45, 45, 90), CesiumMath.EPSILON14);
+    });
+
+    it('gets the Morton code prefix of a location, starting with latitude', function() {
+        var provider = new GeoCellImageryProvider({
+            cellType : 'morton',
+            precision : 2
+        });
+        var cell = provider.getCell(CesiumMath.toRadians(-100), CesiumMath.toRadians(10));
+        expect(cell.label).toEqual('0x2');
+        expect(cell.rectangle).toEqualEpsilon(Rectangle.fromDegrees(-180, 0, 0, 90), CesiumMath.EPSILON14);
+
+        provider = new GeoCellImageryProvider({
+            cellType : 'morton',
+            precision : 64
+        });
+        expect(provider.getCell(Math.PI, CesiumMath.PI_OVER_TWO).label).toEqual('0xffffffffffffffff');
+        expect(provider.getCell(-Math.PI, -CesiumMath.PI_OVER_TWO).label).toEqual('0x0000000000000000');
+    });
+
+    it('draws a tile', function() {
+        var provider = new GeoCellImageryProvider({
+            precision : 2
+        });
+        return when(provider.requestImage(0, 0, 0), function(image) {
+            expect(image).toBeDefined();
+            expect(image.width).toEqual(256);
+        });
+    });
+
+    it('draws tiles with and without labels', function() {
+        var provider = new GeoCellImageryProvider({
+            cellType : 'morton',
+            precision : 12
+        });
+        //the cells are only outlined at level 0 and are large enough to be labeled at level 5
+        for (var level = 0; level < 6; level++) {
+            expect(provider.requestImage(3, 1, level)).toBeDefined();
+        }
+    });
+
+    it('picks the cell at a location', function() {
+        var provider = new GeoCellImageryProvider({
+            precision : 5
+        });
+        return when(provider.pickFeatures(0, 0, 0, longitude, latitude), function(features) {
+            expect(features.length).toEqual(1);
+            expect(features[0].name).toEqual('u4pru');
+            expect(features[0].description).toContain('u4pru');
+            expect(Rectangle.contains(features[0].data.rectangle, features[0].position)).toBe(true);
+        });
+    });
+
+    it('throws with an unknown cell type', function() {
+        expect(function() {
+            return new GeoCellImageryProvider({
+                cellType : 'quad'
+            });
+        }).toThrowDeveloperError();
+    });
+
+    it('throws with a precision out of range', function() {
+        expect(function() {
+            return new GeoCellImageryProvider({
+                precision : 13
+            });
+        }).toThrowDeveloperError();
+        expect(function() {
+            return new GeoCellImageryProvider({
+                cellType : 'morton',
+                precision : 0
+            });
+        }).toThrowDeveloperError();
+    });
+});
@@ -0,0 +1,282 @@
+/*global defineSuite*/
+defineSuite([
+        'Scene/HeatmapImageryProvider',
+        'Core/Cartesian3',
+        'Core/Clock',
+        'Core/Color',
+        'Core/Ellipsoid',
+        'Core/GeographicTilingScheme',
+        'Core/JulianDate',
+        'Core/Math',
+        'Core/Rectangle',
+        'DataSources/EntityCollection',
+        'DataSources/SampledPositionProperty',
+        'Scene/ImageryProvider'
+    ], function(
+        HeatmapImageryProvider,
+        Cartesian3,
+        Clock,
+        Color,
+        Ellipsoid,
+        GeographicTilingScheme,
+        JulianDate,
+        CesiumMath,
+        Rectangle,
+        EntityCollection,
+        SampledPositionProperty,
+        ImageryProvider) {
+    "use strict";
+    /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
+
+    //Tile 0, 0 at level 0 spans 180 degrees of longitude and latitude over 256 pixels.
+    var pixelSize = Math.PI / 256;
+
+    function pixelCenter(column, row) {
+        return {
+            longitude : -Math.PI + (column + 0.5) * pixelSize,
+            latitude : CesiumMath.PI_OVER_TWO - (row + 0.5) * pixelSize
+        };
+    }
+
+    function getPixel(canvas, column, row) {
+        return canvas.getContext('2d').getImageData(column, row, 1, 1).data;
+    }
+
+    it('conforms to ImageryProvider interface', function() {
+        expect(HeatmapImageryProvider).toConformToInterface(ImageryProvider);
+    });
+
+    it('has expected defaults', function() {
+        var provider = new HeatmapImageryProvider();
+        expect(provider.ready).toBe(true);
+        expect(provider.radius).toEqual(25);
+        expect(provider.maximumIntensity).toEqual(10.0);
+        expect(provider.gradient[1.0]).toEqual(Color.RED);
+        expect(provider.length).toEqual(0);
+        expect(provider.entities).toBeUndefined();
+        expect(provider.tileWidth).toEqual(256);
+        expect(provider.tileHeight).toEqual(256);
+        expect(provider.maximumLevel).toBeUndefined();
+        expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+        expect(provider.tileDiscardPolicy).toBeUndefined();
+        expect(provider.rectangle).toEqual(new GeographicTilingScheme().rectangle);
+        expect(provider.hasAlphaChannel).toBe(true);
+        expect(provider.changedEvent).toBeDefined();
+    });
+
+    it('can use a custom ellipsoid', function() {
+        var ellipsoid = new Ellipsoid(1, 2, 3);
+        var provider = new HeatmapImageryProvider({
+            ellipsoid : ellipsoid
+        });
+        expect(provider.tilingScheme.ellipsoid).toEqual(ellipsoid);
+    });
+
+    it('throws with a radius or maximumIntensity which is not positive', function() {
+        expect(function() {
+            return new HeatmapImageryProvider({
+                radius : 0
+            });
+        }).toThrowDeveloperError();
+        expect(function() {
+            return new HeatmapImageryProvider({
+                maximumIntensity : -1.0
+            });
+        }).toThrowDeveloperError();
+        expect(function() {
+            new HeatmapImageryProvider().radius = 0;
+        }).toThrowDeveloperError();
+    });
+
+    it('draws a transparent tile without points', function() {
+        var provider = new HeatmapImageryProvider();
+        var canvas = provider.requestImage(0, 0, 0);
+        expect(canvas.width).toEqual(256);
+        expect(canvas.height).toEqual(256);
+        expect(getPixel(canvas, 128, 128)[3]).toEqual(0);
+    });
+
+    it('spreads the weight of a point over its radius', function() {
+        var point = pixelCenter(128, 128);
+        point.weight = 10.0;
+        var provider = new HeatmapImageryProvider({
+            points : [point]
+        });
+        var canvas = provider.requestImage(0, 0, 0);
+
+        //At the maximum intensity, the point has the last color of the gradient.
+        expect(getPixel(canvas, 128, 128)).toEqual(new Uint8ClampedArray([255, 0, 0, 255]));
+
+        //Half as intense between blue and cyan.
+        var pixel = getPixel(canvas, 138, 128);
+        expect(pixel[0]).toEqual(0);
+        expect(pixel[2]).toEqual(255);
+        expect(pixel[3]).toEqual(255);
+
+        //Faded out at the radius.
+        expect(getPixel(canvas, 128, 153)[3]).toBeLessThan(10);
+        expect(getPixel(canvas, 158, 128)[3]).toEqual(0);
+
+        //The other tile is empty.
+        expect(getPixel(provider.requestImage(1, 0, 0), 128, 128)[3]).toEqual(0);
+    });
+
+    it('adds up the weights of nearby points', function() {
+        var provider = new HeatmapImageryProvider();
+        provider.addPoints([pixelCenter(128, 128), pixelCenter(128, 128)]);
+        expect(provider.length).toEqual(2);
+        expect(getPixel(provider.requestImage(0, 0, 0), 128, 128)).toEqual(new Uint8ClampedArray([0, 0, 255, 128]));
+
+        provider.maximumIntensity = 2.0;
+        expect(getPixel(provider.requestImage(0, 0, 0), 128, 128)).toEqual(new Uint8ClampedArray([255, 0, 0, 255]));
+
+        provider.removeAddedPoints();
+        expect(provider.length).toEqual(0);
+        expect(getPixel(provider.requestImage(0, 0, 0), 128, 128)[3]).toEqual(0);
+    });
+
+    it('draws points of the neighboring tiles within the radius', function() {
+        var point = pixelCenter(260, 128);
+        point.weight = 10.0;
+        var provider = new HeatmapImageryProvider({
+            points : [point]
+        });
+        var canvas = provider.requestImage(0, 0, 0);
+        expect(getPixel(canvas, 255, 128)[3]).toEqual(255);
+        expect(getPixel(canvas, 200, 128)[3]).toEqual(0);
+    });
+
+    it('uses a custom gradient', function() {
+        var point = pixelCenter(128, 128);
+        point.weight = 10.0;
+        var provider = new HeatmapImageryProvider({
+            points : [point],
+            gradient : {
+                0.0 : Color.BLACK,
+                1.0 : Color.WHITE
+            }
+        });
+        expect(getPixel(provider.requestImage(0, 0, 0), 128, 128)).toEqual(new Uint8ClampedArray([255, 255, 255, 255]));
+    });
+
+    it('follows the positions of entities', function() {
+        var entities = new EntityCollection();
+        var first = entities.add({
+            position : Cartesian3.fromDegrees(-90.0, 0.0)
+        });
+        var provider = new HeatmapImageryProvider({
+            entities : entities
+        });
+        expect(provider.entities).toBe(entities);
+        expect(provider.length).toEqual(1);
+
+        var listener = jasmine.createSpy('listener');
+        provider.changedEvent.addEventListener(listener);
+
+        entities.add({
+            position : Cartesian3.fromDegrees(10.0, 20.0)
+        });
+        expect(provider.length).toEqual(2);
+        expect(listener.calls.count()).toEqual(1);
+        expect(listener.calls.argsFor(0)[0]).toEqualEpsilon(Rectangle.fromDegrees(10.0, 20.0, 10.0, 20.0), CesiumMath.EPSILON10);
+        expect(listener.calls.argsFor(0)[1]).toEqual(25);
+
+        first.position = Cartesian3.fromDegrees(-80.0, 10.0);
+        expect(listener.calls.count()).toEqual(2);
+        expect(listener.calls.argsFor(1)[0]).toEqualEpsilon(Rectangle.fromDegrees(-90.0, 0.0, -80.0, 10.0), CesiumMath.EPSILON10);
+
+        entities.remove(first);
+        expect(provider.length).toEqual(1);
+        expect(listener.calls.count()).toEqual(3);
+        expect(listener.calls.argsFor(2)[0]).toEqualEpsilon(Rectangle.fromDegrees(-80.0, 10.0, -80.0, 10.0), CesiumMath.EPSILON10);
+
+        entities.add({
+            name : 'no position'
+        });
+        expect(provider.length).toEqual(1);
+        expect(listener.calls.count()).toEqual(3);
+
+        provider.destroy();
+        entities.removeAll();
+        expect(provider.length).toEqual(1);
+    });
+
+    it('weighs entities with the weight callback', function() {
+        var entities = new EntityCollection();
+        var entity = entities.add({
+            position : Cartesian3.fromDegrees(-90.0, 0.0)
+        });
+        var weight = jasmine.createSpy('weight').and.returnValue(10.0);
+        var provider = new HeatmapImageryProvider({
+            entities : entities,
+            weight : weight
+        });
+        expect(weight).toHaveBeenCalledWith(entity);
+        expect(getPixel(provider.requestImage(0, 0, 0), 128, 128)).toEqual(new Uint8ClampedArray([255, 0, 0, 255]));
+    });
+
+    it('keeps added points apart from entities with the same ids', function() {
+        var entities = new EntityCollection();
+        var entity = entities.add({
+            id : '0',
+            position : Cartesian3.fromDegrees(-90.0, 0.0)
+        });
+        var provider = new HeatmapImageryProvider({
+            entities : entities,
+            points : [pixelCenter(128, 128)]
+        });
+        provider.addPoints([pixelCenter(64, 64)]);
+        expect(provider.length).toEqual(3);
+
+        entities.remove(entity);
+        expect(provider.length).toEqual(2);
+
+        entities.add(entity);
+        provider.removeAddedPoints();
+        expect(provider.length).toEqual(1);
+        expect(getPixel(provider.requestImage(0, 0, 0), 128, 128)[3]).toBeGreaterThan(0);
+    });
+
+    it('reads the positions of entities at the time of the clock', function() {
+        var start = JulianDate.fromIso8601('2015-01-01T00:00:00Z');
+        var stop = JulianDate.fromIso8601('2015-01-01T01:00:00Z');
+        var position = new SampledPositionProperty();
+        position.addSample(start, Cartesian3.fromDegrees(-90.0, 0.0));
+        position.addSample(stop, Cartesian3.fromDegrees(-80.0, 0.0));
+        var entities = new EntityCollection();
+        entities.add({
+            position : position
+        });
+
+        expect(new HeatmapImageryProvider({
+            entities : entities
+        }).length).toEqual(0);
+
+        var clock = new Clock({
+            currentTime : start
+        });
+        var provider = new HeatmapImageryProvider({
+            entities : entities,
+            clock : clock
+        });
+        expect(provider.length).toEqual(1);
+        expect(getPixel(provider.requestImage(0, 0, 0), 128, 128)[3]).toBeGreaterThan(0);
+    });
+
+    it('raises changedEvent for the whole tiling scheme when its look changes', function() {
+        var provider = new HeatmapImageryProvider();
+        var listener = jasmine.createSpy('listener');
+        provider.changedEvent.addEventListener(listener);
+
+        provider.radius = 10;
+        expect(listener).toHaveBeenCalledWith(provider.rectangle, 10);
+        provider.maximumIntensity = 5.0;
+        provider.gradient = {
+            1.0 : Color.WHITE
+        };
+        expect(listener.calls.count()).toEqual(3);
+
+        provider.radius = 10;
+        expect(listener.calls.count()).toEqual(3);
+    });
+});
@@ -11,6 +11,7 @@ defineSuite([
         'Scene/BingMapsImageryProvider',
         'Scene/Globe',
         'Scene/GlobeSurfaceTile',
+        'Scene/HeatmapImageryProvider',
         'Scene/Imagery',
         'Scene/ImageryLayerCollection',
         'Scene/ImageryState',
@@ -33,6 +34,7 @@ defineSuite([
         BingMapsImageryProvider,
         Globe,
         GlobeSurfaceTile,
+        HeatmapImageryProvider,
         Imagery,
         ImageryLayerCollection,
         ImageryState,
@@ -235,6 +237,73 @@ defineSuite([
         });
     });
 
+    it('marks the cached imagery within reach of a change of the imagery provider', function() {
+        var provider = new HeatmapImageryProvider({
+            radius : 16
+        });
+        var layer = new ImageryLayer(provider);
+
+        // Level 1 has two tiles in each hemisphere, 90 degrees wide.
+        var west = layer.getImageryFromCache(1, 0, 1);
+        var east = layer.getImageryFromCache(2, 0, 1);
+        var farEast = layer.getImageryFromCache(3, 0, 1);
+
+        // 16 of 256 pixels of the western tile reach 5.625 degrees past its eastern edge.
+        provider.changedEvent.raiseEvent(Rectangle.fromDegrees(5.0, 10.0, 5.0, 10.0), provider.radius);
+        expect(layer._changedImagery[JSON.stringify([1, 0, 1])]).toBe(west);
+        expect(layer._changedImagery[JSON.stringify([2, 0, 1])]).toBe(east);
+        expect(layer._changedImagery[JSON.stringify([3, 0, 1])]).toBeUndefined();
+
+        west.releaseReference();
+        east.releaseReference();
+        farEast.releaseReference();
+        layer.destroy();
+        expect(provider.changedEvent.numberOfListeners).toEqual(0);
+    });
+
+    it('replaces the texture of imagery which changed once the new one is ready', function() {
+        var provider = new HeatmapImageryProvider();
+        var layer = new ImageryLayer(provider);
+
+        var imagery = layer.getImageryFromCache(0, 0, 0);
+        imagery.processStateMachine(context, []);
+        expect(imagery.state).toEqual(ImageryState.READY);
+        var texture = imagery.texture;
+
+        provider.addPoints([{
+            longitude : -1.0,
+            latitude : 0.5
+        }]);
+        layer._reloadChangedImagery(context, []);
+        expect(imagery.texture).toBe(texture);
+        expect(layer._reloadingImagery.length).toEqual(1);
+
+        layer._reloadChangedImagery(context, []);
+        expect(imagery.texture).not.toBe(texture);
+        expect(texture.isDestroyed()).toEqual(true);
+        expect(layer._reloadingImagery.length).toEqual(0);
+
+        imagery.releaseReference();
+        layer.destroy();
+    });
+
+    it('does not reload imagery which has not been loaded', function() {
+        var provider = new HeatmapImageryProvider();
+        var layer = new ImageryLayer(provider);
+
+        var imagery = layer.getImageryFromCache(0, 0, 0);
+        provider.addPoints([{
+            longitude : -1.0,
+            latitude : 0.5
+        }]);
+        layer._reloadChangedImagery(context, []);
+        expect(layer._reloadingImagery.length).toEqual(0);
+        expect(layer._changedImagery).toEqual({});
+
+        imagery.releaseReference();
+        layer.destroy();
+    });
+
     describe('createTileImagerySkeletons', function() {
         it('handles a base layer that does not cover the entire globe', function() {
             var provider = new TileMapServiceImageryProvider({
@@ -4,6 +4,7 @@ defineSuite([
         'Core/BoundingSphere',
         'Core/Cartesian3',
         'Core/Color',
+        'Core/Ellipsoid',
         'Core/Math',
         'Renderer/ClearCommand',
         'Scene/Material',
@@ -11,6 +12,7 @@ defineSuite([
         'Specs/createCamera',
         'Specs/createContext',
         'Specs/createFrameState',
+        'Specs/createGlobe',
         'Specs/createScene',
         'Specs/pick',
         'Specs/render'
@@ -19,6 +21,7 @@ defineSuite([
         BoundingSphere,
         Cartesian3,
         Color,
+        Ellipsoid,
         CesiumMath,
         ClearCommand,
         Material,
@@ -26,6 +29,7 @@ defineSuite([
         createCamera,
         createContext,
         createFrameState,
+        createGlobe,
         createScene,
         pick,
         render) {
@@ -133,6 +137,145 @@ defineSuite([
         expect(p.positions.length).toEqual(2);
     });
 
+    function expectHeights(positions, height) {
+        for (var i = 0; i < positions.length; i++) {
+            expect(Ellipsoid.WGS84.cartesianToCartographic(positions[i]).height).toEqualEpsilon(height, CesiumMath.EPSILON6);
+        }
+    }
+
+    it('clamps a polyline to the ground', function() {
+        var scene = {
+            globe : createGlobe({
+                height : 10.0
+            }),
+            frameState : {
+                mode : SceneMode.SCENE3D
+            }
+        };
+        polylines = new PolylineCollection({
+            scene : scene
+        });
+
+        var positions = Cartesian3.fromDegreesArray([0.0, 0.0, 0.05, 0.0]);
+        var p = polylines.add({
+            positions : positions,
+            clampToGround : true
+        });
+
+        expect(p.clampToGround).toEqual(true);
+        expect(p.positions).toBe(positions);
+        expect(p._actualPositions.length).toBeGreaterThan(2);
+        expectHeights(p._actualPositions, 10.0);
+
+        //more detailed terrain is loaded under the last sample
+        var last = p._actualPositions[p._actualPositions.length - 1];
+        scene.globe.callback(Cartesian3.fromDegrees(0.05, 0.0, 20.0));
+        expect(Ellipsoid.WGS84.cartesianToCartographic(last).height).toEqualEpsilon(20.0, CesiumMath.EPSILON6);
+        expect(p._clampedPositionsChanged).toEqual(true);
+
+        scene.frameState.mode = SceneMode.COLUMBUS_VIEW;
+        scene.globe.callback(new Cartesian3(30.0, 0.0, 0.0));
+        expect(Ellipsoid.WGS84.cartesianToCartographic(last).height).toEqualEpsilon(30.0, CesiumMath.EPSILON6);
+
+        p.update();
+        expect(p._clampedPositionsChanged).toEqual(false);
+        expect(p._boundingVolume).toEqual(BoundingSphere.fromPoints(p._actualPositions));
+    });
+
+    it('clamps the positions and loop of a polyline to the ground when they are set', function() {
+        var scene = {
+            globe : createGlobe(),
+            frameState : {
+                mode : SceneMode.SCENE3D
+            }
+        };
+        polylines = new PolylineCollection({
+            scene : scene
+        });
+
+        var p = polylines.add({
+            clampToGround : true
+        });
+        expect(p._actualPositions.length).toEqual(0);
+
+        p.positions = Cartesian3.fromDegreesArray([0.0, 0.0, 0.05, 0.0, 0.05, 0.05]);
+        var length = p._actualPositions.length;
+        expect(length).toBeGreaterThan(3);
+        expectHeights(p._actualPositions, 0.0);
+
+        p.loop = true;
+        expect(p._actualPositions.length).toBeGreaterThan(length);
+        expect(p._actualPositions[p._actualPositions.length - 1]).toEqualEpsilon(p._actualPositions[0], CesiumMath.EPSILON6);
+    });
+
+    it('stops clamping a polyline to the ground', function() {
+        var scene = {
+            globe : createGlobe({
+                height : 10.0
+            }),
+            frameState : {
+                mode : SceneMode.SCENE3D
+            }
+        };
+        polylines = new PolylineCollection({
+            scene : scene
+        });
+
+        var positions = Cartesian3.fromDegreesArray([0.0, 0.0, 0.05, 0.0]);
+        var p = polylines.add({
+            positions : positions,
+            clampToGround : true
+        });
+
+        p.clampToGround = false;
+        expect(scene.globe.removedCallback).toEqual(true);
+        expect(p._actualPositions).toEqual(positions);
+
+        p.clampToGround = true;
+        scene.globe.removedCallback = false;
+        polylines.remove(p);
+        expect(scene.globe.removedCallback).toEqual(true);
+    });
+
+    it('batches polylines clamped to the ground apart from the others', function() {
+        var scene = {
+            globe : createGlobe(),
+            frameState : {
+                mode : SceneMode.SCENE3D
+            }
+        };
+        polylines = new PolylineCollection({
+            scene : scene
+        });
+
+        var positions = Cartesian3.fromDegreesArray([0.0, 0.0, 0.05, 0.0]);
+        var clamped = polylines.add({
+            positions : positions,
+            clampToGround : true
+        });
+        var unclamped = polylines.add({
+            positions : positions
+        });
+        polylines.update(context, frameState, []);
+        expect(clamped._bucket).not.toBe(unclamped._bucket);
+        expect(clamped._bucket.clampedToGround).toEqual(true);
+        expect(unclamped._bucket.clampedToGround).toEqual(false);
+
+        clamped.clampToGround = false;
+        polylines.update(context, frameState, []);
+        expect(clamped._bucket).toBe(unclamped._bucket);
+        expect(clamped._bucket.clampedToGround).toEqual(false);
+    });
+
+    it('throws when clamping a polyline to the ground without a scene', function() {
+        expect(function() {
+            polylines.add({
+                positions : Cartesian3.fromDegreesArray([0.0, 0.0, 0.05, 0.0]),
+                clampToGround : true
+            });
+        }).toThrowDeveloperError();
+    });
+
     it('sets removed polyline properties', function() {
         var p = polylines.add();
         polylines.remove(p);
@@ -0,0 +1,76 @@
+/*global defineSuite*/
+defineSuite([
+        'Widgets/GeodesicRuler/GeodesicRuler',
+        'Core/Cartographic',
+        'Specs/createScene'
+    ], function(
+        GeodesicRuler,
+        Cartographic,
+        createScene) {
+    "use strict";
+    /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
+
+    var scene;
+    beforeAll(function() {
+        scene = createScene();
+    });
+
+    afterAll(function() {
+        scene.destroyForSpecs();
+    });
+
+    it('constructor sets expected values', function() {
+        var ruler = new GeodesicRuler({
+            container : document.body,
+            scene : scene
+        });
+        expect(ruler.container).toBe(document.body);
+        expect(ruler.viewModel.scene).toBe(scene);
+        expect(ruler.isDestroyed()).toEqual(false);
+        ruler.destroy();
+        expect(ruler.isDestroyed()).toEqual(true);
+    });
+
+    it('shows the measured distances', function() {
+        var ruler = new GeodesicRuler({
+            container : document.body,
+            scene : scene
+        });
+        var results = document.body.getElementsByClassName('cesium-geodesicRuler-results')[0];
+        expect(results.style.display).toEqual('none');
+
+        ruler.viewModel.measure(Cartographic.fromDegrees(10.0, 20.0), Cartographic.fromDegrees(11.0, 21.0));
+        expect(results.style.display).toEqual('');
+        expect(results.getElementsByTagName('td')[0].textContent).toEqual(ruler.viewModel.geodesicLabel);
+        ruler.destroy();
+    });
+
+    it('constructor works with string id container', function() {
+        var testElement = document.createElement('span');
+        testElement.id = 'testElement';
+        document.body.appendChild(testElement);
+        var ruler = new GeodesicRuler({
+            container : 'testElement',
+            scene : scene
+        });
+        expect(ruler.container).toBe(testElement);
+        ruler.destroy();
+        document.body.removeChild(testElement);
+    });
+
+    it('throws if container is undefined', function() {
+        expect(function() {
+            return new GeodesicRuler({
+                scene : scene
+            });
+        }).toThrowDeveloperError();
+    });
+
+    it('throws if scene is undefined', function() {
+        expect(function() {
+            return new GeodesicRuler({
+                container : document.body
+            });
+        }).toThrowDeveloperError();
+    });
+}, 'WebGL');
@@ -0,0 +1,170 @@
+/*global defineSuite*/
+defineSuite([
+        'Widgets/GeodesicRuler/GeodesicRulerViewModel',
+        'Core/Cartesian2',
+        'Core/Cartographic',
+        'Core/Ellipsoid',
+        'Core/EllipsoidGeodesic',
+        'Core/LuceneGeoUtils',
+        'Core/Math',
+        'Core/ScreenSpaceEventType',
+        'Specs/createScene'
+    ], function(
+        GeodesicRulerViewModel,
+        Cartesian2,
+        Cartographic,
+        Ellipsoid,
+        EllipsoidGeodesic,
+        LuceneGeoUtils,
+        CesiumMath,
+        ScreenSpaceEventType,
+        createScene) {
+    "use strict";
+    /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
+
+    var scene;
+    beforeAll(function() {
+        scene = createScene();
+    });
+
+    afterAll(function() {
+        scene.destroyForSpecs();
+    });
+
+    var viewModel;
+    afterEach(function() {
+        if (!viewModel.isDestroyed()) {
+            viewModel.destroy();
+        }
+    });
+
+    function click(cartographic) {
+        scene.camera.pickEllipsoid.and.returnValue(Ellipsoid.WGS84.cartographicToCartesian(cartographic));
+        viewModel._eventHandler.getInputAction(ScreenSpaceEventType.LEFT_CLICK)({
+            position : new Cartesian2(1.0, 1.0)
+        });
+    }
+
+    it('constructor sets default values', function() {
+        viewModel = new GeodesicRulerViewModel({
+            scene : scene
+        });
+        expect(viewModel.scene).toBe(scene);
+        expect(viewModel.ellipsoid).toBe(Ellipsoid.WGS84);
+        expect(viewModel.isActive).toBe(false);
+        expect(viewModel.start).toBeUndefined();
+        expect(viewModel.geodesicDistance).toBeUndefined();
+        expect(viewModel.geodesicLabel).toEqual('');
+        expect(scene.primitives.contains(viewModel._points)).toBe(true);
+        expect(scene.primitives.contains(viewModel._polylines)).toBe(true);
+    });
+
+    it('measures geodesic, haversine and encoded distances', function() {
+        viewModel = new GeodesicRulerViewModel({
+            scene : scene
+        });
+        var start = Cartographic.fromDegrees(-74.0059731, 40.7143528);
+        var end = Cartographic.fromDegrees(-0.1277583, 51.5073509);
+        viewModel.measure(start, end);
+
+        expect(viewModel.start).toEqual(start);
+        expect(viewModel.end).toEqual(end);
+        expect(viewModel.geodesicDistance).toEqualEpsilon(new EllipsoidGeodesic(start, end).surfaceDistance, CesiumMath.EPSILON6);
+        expect(viewModel.haversineDistance).toEqual(LuceneGeoUtils.haversineDistance(start, end));
+        expect(viewModel.quantizedHaversineDistance).toEqual(LuceneGeoUtils.haversineDistance(LuceneGeoUtils.quantize(start), LuceneGeoUtils.quantize(end)));
+        expect(viewModel.quantizationDifference).toEqual(viewModel.quantizedHaversineDistance - viewModel.haversineDistance);
+        expect(Math.abs(viewModel.quantizationDifference)).toBeLessThan(0.02);
+        expect(viewModel.geodesicLabel).toEqual(viewModel.geodesicDistance.toFixed(3) + ' m');
+
+        expect(viewModel._points.length).toEqual(2);
+        expect(viewModel._polylines.length).toEqual(1);
+        var positions = viewModel._polylines.get(0).positions;
+        expect(positions[0]).toEqualEpsilon(Ellipsoid.WGS84.cartographicToCartesian(start), CesiumMath.EPSILON6);
+        expect(positions[positions.length - 1]).toEqualEpsilon(Ellipsoid.WGS84.cartographicToCartesian(end), CesiumMath.EPSILON6);
+    });
+
+    it('does not report a geodesic for nearly antipodal points', function() {
+        viewModel = new GeodesicRulerViewModel({
+            scene : scene
+        });
+        viewModel.measure(Cartographic.fromDegrees(0.0, 0.0), Cartographic.fromDegrees(180.0, 0.0));
+        expect(viewModel.geodesicDistance).toBeUndefined();
+        expect(viewModel.geodesicLabel).toEqual('not unique');
+        expect(viewModel.haversineDistance).toEqualEpsilon(LuceneGeoUtils.EARTH_MEAN_RADIUS_METERS * Math.PI, CesiumMath.EPSILON6);
+        expect(viewModel._polylines.length).toEqual(0);
+    });
+
+    it('measures between two clicks while active', function() {
+        viewModel = new GeodesicRulerViewModel({
+            scene : scene
+        });
+        var start = Cartographic.fromDegrees(10.0, 20.0);
+        var end = Cartographic.fromDegrees(11.0, 21.0);
+        spyOn(scene.camera, 'pickEllipsoid');
+
+        click(start);
+        expect(viewModel.start).toBeUndefined();
+
+        viewModel.toggleActive();
+        expect(viewModel.isActive).toBe(true);
+        click(start);
+        expect(viewModel.start).toEqualEpsilon(start, CesiumMath.EPSILON12);
+        expect(viewModel.end).toBeUndefined();
+        expect(viewModel._points.length).toEqual(1);
+
+        click(end);
+        expect(viewModel.end).toEqualEpsilon(end, CesiumMath.EPSILON12);
+        expect(viewModel.geodesicDistance).toBeGreaterThan(0.0);
+
+        //a third click starts a new measurement
+        click(end);
+        expect(viewModel.start).toEqualEpsilon(end, CesiumMath.EPSILON12);
+        expect(viewModel.end).toBeUndefined();
+        expect(viewModel.geodesicDistance).toBeUndefined();
+        expect(viewModel._polylines.length).toEqual(0);
+    });
+
+    it('clear removes the measurement', function() {
+        viewModel = new GeodesicRulerViewModel({
+            scene : scene
+        });
+        viewModel.measure(Cartographic.fromDegrees(10.0, 20.0), Cartographic.fromDegrees(11.0, 21.0));
+        viewModel.clear();
+        expect(viewModel.start).toBeUndefined();
+        expect(viewModel.end).toBeUndefined();
+        expect(viewModel.haversineDistance).toBeUndefined();
+        expect(viewModel.quantizationDifference).toBeUndefined();
+        expect(viewModel._points.length).toEqual(0);
+        expect(viewModel._polylines.length).toEqual(0);
+    });
+
+    it('destroy removes its primitives', function() {
+        viewModel = new GeodesicRulerViewModel({
+            scene : scene
+        });
+        var points = viewModel._points;
+        var polylines = viewModel._polylines;
+        viewModel.destroy();
+        expect(viewModel.isDestroyed()).toBe(true);
+        expect(scene.primitives.contains(points)).toBe(false);
+        expect(scene.primitives.contains(polylines)).toBe(false);
+    });
+
+    it('throws if scene is undefined', function() {
+        viewModel = new GeodesicRulerViewModel({
+            scene : scene
+        });
+        expect(function() {
+            return new GeodesicRulerViewModel({});
+        }).toThrowDeveloperError();
+    });
+
+    it('measure throws without end points', function() {
+        viewModel = new GeodesicRulerViewModel({
+            scene : scene
+        });
+        expect(function() {
+            viewModel.measure(new Cartographic());
+        }).toThrowDeveloperError();
+    });
+}, 'WebGL');
@@ -0,0 +1,84 @@
+/*global defineSuite*/
+defineSuite([
+        'Widgets/ShapeEditor/ShapeEditor',
+        'DataSources/EntityCollection',
+        'Specs/createScene'
+    ], function(
+        ShapeEditor,
+        EntityCollection,
+        createScene) {
+    "use strict";
+    /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
+
+    var scene;
+    beforeAll(function() {
+        scene = createScene();
+    });
+
+    afterAll(function() {
+        scene.destroyForSpecs();
+    });
+
+    it('constructor sets expected values', function() {
+        var entities = new EntityCollection();
+        var shapeEditor = new ShapeEditor({
+            container : document.body,
+            scene : scene,
+            entities : entities
+        });
+        expect(shapeEditor.container).toBe(document.body);
+        expect(shapeEditor.viewModel.scene).toBe(scene);
+        expect(shapeEditor.viewModel.entities).toBe(entities);
+        expect(shapeEditor.isDestroyed()).toEqual(false);
+        shapeEditor.destroy();
+        expect(shapeEditor.isDestroyed()).toEqual(true);
+        expect(document.body.getElementsByClassName('cesium-shapeEditor').length).toEqual(0);
+    });
+
+    it('highlights the kind of shape being drawn', function() {
+        var shapeEditor = new ShapeEditor({
+            container : document.body,
+            scene : scene,
+            entities : new EntityCollection()
+        });
+        var buttons = document.body.getElementsByClassName('cesium-shapeEditor-button');
+        expect(buttons[0].className).not.toContain('cesium-shapeEditor-active');
+
+        buttons[0].click();
+        expect(shapeEditor.viewModel.mode).toEqual('polygon');
+        expect(buttons[0].className).toContain('cesium-shapeEditor-active');
+        shapeEditor.destroy();
+    });
+
+    it('constructor works with string id container', function() {
+        var testElement = document.createElement('span');
+        testElement.id = 'testElement';
+        document.body.appendChild(testElement);
+        var shapeEditor = new ShapeEditor({
+            container : 'testElement',
+            scene : scene,
+            entities : new EntityCollection()
+        });
+        expect(shapeEditor.container).toBe(testElement);
+        shapeEditor.destroy();
+        document.body.removeChild(testElement);
+    });
+
+    it('throws if container is undefined', function() {
+        expect(function() {
+            return new ShapeEditor({
+                scene : scene,
+                entities : new EntityCollection()
+            });
+        }).toThrowDeveloperError();
+    });
+
+    it('throws if scene is undefined', function() {
+        expect(function() {
+            return new ShapeEditor({
+                container : document.body,
+                entities : new EntityCollection()
+            });
+        }).toThrowDeveloperError();
+    });
+}, 'WebGL');
@@ -0,0 +1,401 @@
+/*global defineSuite*/
+defineSuite([
+        'Widgets/ShapeEditor/ShapeEditorViewModel',
+        'Core/Cartesian2',
+        'Core/Cartesian3',
+        'Core/JulianDate',
+        'Core/Math',
+        'Core/Rectangle',
+        'Core/ScreenSpaceEventType',
+        'DataSources/Entity',
+        'DataSources/EntityCollection',
+        'Specs/createScene'
+    ], function(
+        ShapeEditorViewModel,
+        Cartesian2,
+        Cartesian3,
+        JulianDate,
+        CesiumMath,
+        Rectangle,
+        ScreenSpaceEventType,
+        Entity,
+        EntityCollection,
+        createScene) {
+    "use strict";
+    /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
+
+    var time = JulianDate.now();
+    var scene;
+    beforeAll(function() {
+        scene = createScene();
+    });
+
+    afterAll(function() {
+        scene.destroyForSpecs();
+    });
+
+    var entities;
+    var viewModel;
+    beforeEach(function() {
+        entities = new EntityCollection();
+        viewModel = new ShapeEditorViewModel({
+            scene : scene,
+            entities : entities
+        });
+    });
+
+    afterEach(function() {
+        if (!viewModel.isDestroyed()) {
+            viewModel.destroy();
+        }
+    });
+
+    function drawPolygon() {
+        viewModel.drawPolygon();
+        viewModel.addPosition(Cartesian3.fromDegrees(0.0, 0.0));
+        viewModel.addPosition(Cartesian3.fromDegrees(10.0, 0.0));
+        viewModel.addPosition(Cartesian3.fromDegrees(10.0, 10.0));
+        viewModel.addPosition(Cartesian3.fromDegrees(0.0, 10.0));
+        viewModel.finishDrawing();
+        return viewModel.selectedEntity;
+    }
+
+    it('constructor sets default values', function() {
+        expect(viewModel.scene).toBe(scene);
+        expect(viewModel.entities).toBe(entities);
+        expect(viewModel.mode).toBeUndefined();
+        expect(viewModel.selectedEntity).toBeUndefined();
+        expect(viewModel.canUndo).toBe(false);
+        expect(viewModel.canRedo).toBe(false);
+        expect(viewModel.canFinishDrawing).toBe(false);
+        expect(viewModel.canDrawHole).toBe(false);
+        expect(viewModel.drawHole.canExecute).toBe(false);
+        expect(viewModel.undo.canExecute).toBe(false);
+        expect(scene.primitives.contains(viewModel._handles)).toBe(true);
+    });
+
+    it('draws a polygon', function() {
+        var listener = jasmine.createSpy('listener');
+        viewModel.changedEvent.addEventListener(listener);
+
+        viewModel.drawPolygon();
+        expect(viewModel.mode).toEqual('polygon');
+        viewModel.addPosition(Cartesian3.fromDegrees(0.0, 0.0));
+        viewModel.addPosition(Cartesian3.fromDegrees(10.0, 0.0));
+        expect(viewModel.finishDrawing.canExecute).toBe(false);
+        expect(entities.values.length).toEqual(1);
+        expect(entities.values[0].polyline.positions.getValue(time).length).toEqual(2);
+
+        viewModel.addPosition(Cartesian3.fromDegrees(10.0, 10.0));
+        expect(viewModel.finishDrawing.canExecute).toBe(true);
+        expect(entities.values[0].polyline.positions.getValue(time).length).toEqual(4);
+        viewModel.finishDrawing();
+
+        var entity = entities.values[0];
+        expect(viewModel.mode).toBeUndefined();
+        expect(viewModel.selectedEntity).toBe(entity);
+        expect(entity.polyline).toBeUndefined();
+        expect(entity.polygon.hierarchy.getValue(time).positions.length).toEqual(3);
+        expect(viewModel.getHandlePositions().length).toEqual(3);
+        expect(viewModel._handles.length).toEqual(3);
+        expect(viewModel.canUndo).toBe(true);
+        expect(listener).toHaveBeenCalledWith(viewModel, entity);
+    });
+
+    it('draws a hole in the selected polygon', function() {
+        var entity = drawPolygon();
+        expect(viewModel.drawHole.canExecute).toBe(true);
+
+        viewModel.drawHole();
+        viewModel.addPosition(Cartesian3.fromDegrees(2.0, 2.0));
+        viewModel.addPosition(Cartesian3.fromDegrees(4.0, 2.0));
+        viewModel.addPosition(Cartesian3.fromDegrees(4.0, 4.0));
+        viewModel.finishDrawing();
+
+        expect(entities.values.length).toEqual(1);
+        expect(viewModel.selectedEntity).toBe(entity);
+        var hierarchy = entity.polygon.hierarchy.getValue(time);
+        expect(hierarchy.holes.length).toEqual(1);
+        expect(hierarchy.holes[0].positions[0]).toEqual(Cartesian3.fromDegrees(2.0, 2.0));
+        expect(viewModel.getHandlePositions().length).toEqual(7);
+
+        viewModel.undo();
+        expect(entity.polygon.hierarchy.getValue(time).holes.length).toEqual(0);
+    });
+
+    it('draws a rectangle from two corners', function() {
+        viewModel.drawRectangle();
+        viewModel.addPosition(Cartesian3.fromDegrees(20.0, 30.0));
+        viewModel.addPosition(Cartesian3.fromDegrees(10.0, 40.0));
+
+        var entity = entities.values[0];
+        expect(viewModel.mode).toBeUndefined();
+        expect(viewModel.selectedEntity).toBe(entity);
+        expect(entity.rectangle.coordinates.getValue(time)).toEqualEpsilon(Rectangle.fromDegrees(10.0, 30.0, 20.0, 40.0), CesiumMath.EPSILON10);
+
+        var handles = viewModel.getHandlePositions();
+        expect(handles.length).toEqual(4);
+        expect(handles[0]).toEqualEpsilon(Cartesian3.fromDegrees(10.0, 30.0), CesiumMath.EPSILON6);
+        expect(handles[2]).toEqualEpsilon(Cartesian3.fromDegrees(20.0, 40.0), CesiumMath.EPSILON6);
+    });
+
+    it('draws a circle from its center and a point on it', function() {
+        var center = Cartesian3.fromDegrees(0.0, 0.0);
+        viewModel.drawCircle();
+        viewModel.addPosition(center);
+        viewModel.addPosition(Cartesian3.fromDegrees(1.0, 0.0));
+
+        var entity = entities.values[0];
+        var radius = CesiumMath.RADIANS_PER_DEGREE * Cartesian3.magnitude(center);
+        expect(entity.position.getValue(time)).toEqual(center);
+        expect(entity.ellipse.semiMajorAxis.getValue(time)).toEqualEpsilon(radius, CesiumMath.EPSILON6);
+        expect(entity.ellipse.semiMinorAxis.getValue(time)).toEqualEpsilon(radius, CesiumMath.EPSILON6);
+
+        var handles = viewModel.getHandlePositions();
+        expect(handles[0]).toEqual(center);
+        expect(Cartesian3.angleBetween(handles[0], handles[1])).toEqualEpsilon(CesiumMath.RADIANS_PER_DEGREE, CesiumMath.EPSILON6);
+    });
+
+    it('draws a polyline', function() {
+        viewModel.drawPolyline();
+        viewModel.addPosition(Cartesian3.fromDegrees(0.0, 0.0));
+        expect(viewModel.canFinishDrawing).toBe(false);
+        viewModel.addPosition(Cartesian3.fromDegrees(5.0, 5.0));
+        expect(viewModel.canFinishDrawing).toBe(true);
+        viewModel.finishDrawing();
+
+        var entity = viewModel.selectedEntity;
+        expect(entity.polyline.positions.getValue(time)).toEqual([Cartesian3.fromDegrees(0.0, 0.0), Cartesian3.fromDegrees(5.0, 5.0)]);
+    });
+
+    it('cancelDrawing discards the shape being drawn', function() {
+        viewModel.drawPolygon();
+        viewModel.addPosition(Cartesian3.fromDegrees(0.0, 0.0));
+        viewModel.addPosition(Cartesian3.fromDegrees(10.0, 0.0));
+        viewModel.cancelDrawing();
+        expect(viewModel.mode).toBeUndefined();
+        expect(viewModel.canFinishDrawing).toBe(false);
+        expect(entities.values.length).toEqual(0);
+        expect(viewModel.canUndo).toBe(false);
+    });
+
+    it('moves the handles of a polygon', function() {
+        var entity = drawPolygon();
+        var listener = jasmine.createSpy('listener');
+        viewModel.changedEvent.addEventListener(listener);
+
+        var position = Cartesian3.fromDegrees(12.0, 12.0);
+        viewModel.moveHandle(2, position);
+        expect(entity.polygon.hierarchy.getValue(time).positions[2]).toEqual(position);
+        expect(viewModel._handles.get(2).position).toEqual(position);
+        expect(listener).toHaveBeenCalledWith(viewModel, entity);
+    });
+
+    it('moving a rectangle corner keeps the opposite corner', function() {
+        viewModel.drawRectangle();
+        viewModel.addPosition(Cartesian3.fromDegrees(10.0, 30.0));
+        viewModel.addPosition(Cartesian3.fromDegrees(20.0, 40.0));
+        var entity = viewModel.selectedEntity;
+
+        viewModel.moveHandle(2, Cartesian3.fromDegrees(25.0, 45.0));
+        expect(entity.rectangle.coordinates.getValue(time)).toEqualEpsilon(Rectangle.fromDegrees(10.0, 30.0, 25.0, 45.0), CesiumMath.EPSILON10);
+    });
+
+    function dragHandle(index, positions) {
+        var handler = viewModel._eventHandler;
+        var windowPosition = new Cartesian2(1.0, 1.0);
+        spyOn(scene, 'pick').and.returnValue({
+            collection : viewModel._handles,
+            id : {
+                shapeEditorHandle : index
+            }
+        });
+        var pickEllipsoid = spyOn(scene.camera, 'pickEllipsoid');
+        handler.getInputAction(ScreenSpaceEventType.LEFT_DOWN)({
+            position : windowPosition
+        });
+        for (var i = 0; i < positions.length; i++) {
+            pickEllipsoid.and.returnValue(positions[i]);
+            handler.getInputAction(ScreenSpaceEventType.MOUSE_MOVE)({
+                startPosition : windowPosition,
+                endPosition : windowPosition
+            });
+        }
+        handler.getInputAction(ScreenSpaceEventType.LEFT_UP)({
+            position : windowPosition
+        });
+    }
+
+    it('dragging a rectangle corner past the opposite corner keeps the opposite corner', function() {
+        viewModel.drawRectangle();
+        viewModel.addPosition(Cartesian3.fromDegrees(10.0, 30.0));
+        viewModel.addPosition(Cartesian3.fromDegrees(20.0, 40.0));
+        var entity = viewModel.selectedEntity;
+
+        dragHandle(2, [Cartesian3.fromDegrees(5.0, 25.0), Cartesian3.fromDegrees(6.0, 26.0)]);
+        expect(entity.rectangle.coordinates.getValue(time)).toEqualEpsilon(Rectangle.fromDegrees(6.0, 26.0, 10.0, 30.0), CesiumMath.EPSILON10);
+
+        viewModel.undo();
+        expect(entity.rectangle.coordinates.getValue(time)).toEqualEpsilon(Rectangle.fromDegrees(10.0, 30.0, 20.0, 40.0), CesiumMath.EPSILON10);
+    });
+
+    it('clicking a handle without moving it records no change', function() {
+        var entity = drawPolygon();
+        viewModel.moveHandle(0, Cartesian3.fromDegrees(-1.0, -1.0));
+        viewModel.undo();
+        viewModel.selectedEntity = entity;
+        var listener = jasmine.createSpy('listener');
+        viewModel.changedEvent.addEventListener(listener);
+
+        dragHandle(1, []);
+        expect(viewModel.canRedo).toBe(true);
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('moving the circumference handle of a circle changes its radius', function() {
+        var center = Cartesian3.fromDegrees(0.0, 0.0);
+        viewModel.drawCircle();
+        viewModel.addPosition(center);
+        viewModel.addPosition(Cartesian3.fromDegrees(1.0, 0.0));
+        var entity = viewModel.selectedEntity;
+
+        var position = Cartesian3.fromDegrees(0.0, 2.0);
+        viewModel.moveHandle(1, position);
+        expect(entity.ellipse.semiMajorAxis.getValue(time)).toEqualEpsilon(Cartesian3.angleBetween(center, position) * Cartesian3.magnitude(center), CesiumMath.EPSILON6);
+
+        viewModel.moveHandle(0, Cartesian3.fromDegrees(5.0, 5.0));
+        expect(entity.position.getValue(time)).toEqual(Cartesian3.fromDegrees(5.0, 5.0));
+    });
+
+    it('undoes and redoes changes', function() {
+        var entity = drawPolygon();
+        var original = entity.polygon.hierarchy.getValue(time).positions[0];
+        var moved = Cartesian3.fromDegrees(-1.0, -1.0);
+        viewModel.moveHandle(0, moved);
+
+        viewModel.undo();
+        expect(entity.polygon.hierarchy.getValue(time).positions[0]).toEqual(original);
+        expect(viewModel.canRedo).toBe(true);
+
+        viewModel.redo();
+        expect(entity.polygon.hierarchy.getValue(time).positions[0]).toEqual(moved);
+        expect(viewModel.canRedo).toBe(false);
+
+        viewModel.undo();
+        viewModel.undo();
+        expect(entities.contains(entity)).toBe(false);
+        expect(viewModel.selectedEntity).toBeUndefined();
+        expect(viewModel.canUndo).toBe(false);
+
+        viewModel.redo();
+        expect(entities.contains(entity)).toBe(true);
+    });
+
+    it('a new change clears the changes to redo', function() {
+        var entity = drawPolygon();
+        viewModel.moveHandle(0, Cartesian3.fromDegrees(-1.0, -1.0));
+        viewModel.undo();
+        expect(viewModel.canRedo).toBe(true);
+
+        viewModel.selectedEntity = entity;
+        viewModel.moveHandle(1, Cartesian3.fromDegrees(11.0, -1.0));
+        expect(viewModel.canRedo).toBe(false);
+    });
+
+    it('deletes the selected shape', function() {
+        var entity = drawPolygon();
+        var listener = jasmine.createSpy('listener');
+        viewModel.changedEvent.addEventListener(listener);
+
+        viewModel.deleteSelected();
+        expect(entities.contains(entity)).toBe(false);
+        expect(viewModel.selectedEntity).toBeUndefined();
+        expect(viewModel._handles.length).toEqual(0);
+        expect(listener).toHaveBeenCalledWith(viewModel, entity);
+
+        viewModel.undo();
+        expect(entities.contains(entity)).toBe(true);
+        expect(entity.polygon.hierarchy.getValue(time).positions.length).toEqual(4);
+    });
+
+    it('selects editable entities of the collection by clicking', function() {
+        var entity = entities.add(new Entity({
+            polyline : {
+                positions : [Cartesian3.fromDegrees(0.0, 0.0), Cartesian3.fromDegrees(1.0, 1.0)]
+            }
+        }));
+        var other = new Entity({
+            polyline : {
+                positions : [Cartesian3.fromDegrees(0.0, 0.0), Cartesian3.fromDegrees(1.0, 1.0)]
+            }
+        });
+        var click = viewModel._eventHandler.getInputAction(ScreenSpaceEventType.LEFT_CLICK);
+        var pick = spyOn(scene, 'pick');
+
+        pick.and.returnValue({
+            id : entity
+        });
+        click({
+            position : new Cartesian2(1.0, 1.0)
+        });
+        expect(viewModel.selectedEntity).toBe(entity);
+        expect(viewModel._handles.length).toEqual(2);
+
+        pick.and.returnValue({
+            id : other
+        });
+        click({
+            position : new Cartesian2(1.0, 1.0)
+        });
+        expect(viewModel.selectedEntity).toBeUndefined();
+        expect(viewModel._handles.length).toEqual(0);
+    });
+
+    it('adds clicked positions while drawing', function() {
+        var position = Cartesian3.fromDegrees(3.0, 4.0);
+        spyOn(scene.camera, 'pickEllipsoid').and.returnValue(position);
+        viewModel.drawPolyline();
+        viewModel._eventHandler.getInputAction(ScreenSpaceEventType.LEFT_CLICK)({
+            position : new Cartesian2(1.0, 1.0)
+        });
+        expect(viewModel._drawing.positions).toEqual([position]);
+    });
+
+    it('destroy removes the handles and the shape being drawn', function() {
+        viewModel.drawPolygon();
+        viewModel.addPosition(Cartesian3.fromDegrees(0.0, 0.0));
+        var handles = viewModel._handles;
+        viewModel.destroy();
+        expect(viewModel.isDestroyed()).toBe(true);
+        expect(scene.primitives.contains(handles)).toBe(false);
+        expect(entities.values.length).toEqual(0);
+    });
+
+    it('addPosition throws when not drawing', function() {
+        expect(function() {
+            viewModel.addPosition(Cartesian3.fromDegrees(0.0, 0.0));
+        }).toThrowDeveloperError();
+    });
+
+    it('moveHandle throws without a selected shape', function() {
+        expect(function() {
+            viewModel.moveHandle(0, Cartesian3.fromDegrees(0.0, 0.0));
+        }).toThrowDeveloperError();
+    });
+
+    it('constructor throws without scene', function() {
+        expect(function() {
+            return new ShapeEditorViewModel({
+                entities : entities
+            });
+        }).toThrowDeveloperError();
+    });
+
+    it('constructor throws without entities', function() {
+        expect(function() {
+            return new ShapeEditorViewModel({
+                scene : scene
+            });
+        }).toThrowDeveloperError();
+    });
+}, 'WebGL');
@@ -0,0 +1,53 @@
+/*global defineSuite*/
+defineSuite([
+        'Widgets/Viewer/viewerShapeEditorMixin',
+        'DataSources/EntityCollection',
+        'Specs/createViewer',
+        'Widgets/ShapeEditor/ShapeEditor'
+    ], function(
+        viewerShapeEditorMixin,
+        EntityCollection,
+        createViewer,
+        ShapeEditor) {
+    "use strict";
+    /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
+
+    var container;
+    var viewer;
+    beforeEach(function() {
+        container = document.createElement('div');
+        container.id = 'container';
+        container.style.display = 'none';
+        document.body.appendChild(container);
+    });
+
+    afterEach(function() {
+        if (viewer && !viewer.isDestroyed()) {
+            viewer = viewer.destroy();
+        }
+
+        document.body.removeChild(container);
+    });
+
+    it('mixin sets default values', function() {
+        viewer = createViewer(container);
+        viewer.extend(viewerShapeEditorMixin);
+        expect(viewer.shapeEditor).toBeInstanceOf(ShapeEditor);
+        expect(viewer.shapeEditor.viewModel.entities).toBe(viewer.entities);
+    });
+
+    it('mixin sets option values', function() {
+        var entities = new EntityCollection();
+        viewer = createViewer(container);
+        viewer.extend(viewerShapeEditorMixin, {
+            entities : entities
+        });
+        expect(viewer.shapeEditor.viewModel.entities).toBe(entities);
+    });
+
+    it('throws if not given a viewer', function() {
+        expect(function() {
+            viewerShapeEditorMixin();
+        }).toThrowDeveloperError();
+    });
+}, 'WebGL');
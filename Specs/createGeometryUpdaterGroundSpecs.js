@@ -0,0 +1,92 @@
+/*global define*/
+define([
+        'Core/Color',
+        'DataSources/ConstantProperty',
+        'DataSources/GridMaterialProperty',
+        'Scene/GroundPrimitive',
+        'Scene/HeightReference',
+        'Specs/createDynamicProperty',
+        'Specs/createGlobe'
+    ], function(
+        Color,
+        ConstantProperty,
+        GridMaterialProperty,
+        GroundPrimitive,
+        HeightReference,
+        createDynamicProperty,
+        createGlobe) {
+    "use strict";
+    /*global jasmine,describe,xdescribe,it,xit,expect,beforeEach,afterEach,beforeAll,afterAll,spyOn*/
+
+    //Specs of the onTerrain property shared by the updaters of geometry which can be draped over the terrain.
+    //createEntity returns an entity with a filled, static geometry of a single color in its geometryPropertyName.
+    function createGeometryUpdaterGroundSpecs(Updater, geometryPropertyName, createEntity, getScene) {
+        it('Drapes a filled color geometry over terrain only when it is clamped to the ground', function() {
+            var scene = getScene();
+            scene.globe = createGlobe();
+            var entity = createEntity();
+            var graphics = entity[geometryPropertyName];
+            graphics.outline = new ConstantProperty(true);
+            var updater = new Updater(entity, scene);
+            expect(updater.onTerrain).toBe(false);
+            expect(updater.outlineEnabled).toBe(true);
+
+            graphics.heightReference = new ConstantProperty(HeightReference.RELATIVE_TO_GROUND);
+            expect(updater.onTerrain).toBe(false);
+
+            var onTerrain = GroundPrimitive.isSupported(scene);
+            graphics.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
+            expect(updater.onTerrain).toBe(onTerrain);
+            expect(updater.outlineEnabled).toBe(!onTerrain);
+
+            //the height is ignored once the geometry is on the ground
+            graphics.height = new ConstantProperty(1000);
+            expect(updater.onTerrain).toBe(onTerrain);
+
+            updater.destroy();
+            scene.globe = undefined;
+        });
+
+        it('Does not drape an extruded or non-color geometry over terrain', function() {
+            var scene = getScene();
+            scene.globe = createGlobe();
+            var entity = createEntity();
+            var graphics = entity[geometryPropertyName];
+            graphics.heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
+            var updater = new Updater(entity, scene);
+
+            graphics.extrudedHeight = new ConstantProperty(1000);
+            expect(updater.onTerrain).toBe(false);
+            graphics.extrudedHeight = undefined;
+
+            graphics.material = new GridMaterialProperty(Color.BLUE);
+            expect(updater.onTerrain).toBe(false);
+
+            updater.destroy();
+            scene.globe = undefined;
+        });
+
+        it('Does not drape a geometry with a time-varying heightReference over terrain', function() {
+            var scene = getScene();
+            scene.globe = createGlobe();
+            var entity = createEntity();
+            entity[geometryPropertyName].heightReference = createDynamicProperty(HeightReference.CLAMP_TO_GROUND);
+            var updater = new Updater(entity, scene);
+            expect(updater.isDynamic).toBe(true);
+            expect(updater.onTerrain).toBe(false);
+            updater.destroy();
+            scene.globe = undefined;
+        });
+
+        it('Does not drape a geometry over terrain without a globe', function() {
+            var scene = getScene();
+            var entity = createEntity();
+            entity[geometryPropertyName].heightReference = new ConstantProperty(HeightReference.CLAMP_TO_GROUND);
+            var updater = new Updater(entity, scene);
+            expect(updater.onTerrain).toBe(false);
+            updater.destroy();
+        });
+    }
+
+    return createGeometryUpdaterGroundSpecs;
+});
@@ -0,0 +1,40 @@
+/*global define*/
+define([
+        'Core/defaultValue',
+        'Core/Ellipsoid'
+    ], function(
+        defaultValue,
+        Ellipsoid) {
+    "use strict";
+
+    //A globe with a flat surface at the given height, which records the callback of the last
+    //position whose height is tracked, for specs of primitives that are clamped to the ground.
+    function createGlobe(options) {
+        options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+        var height = defaultValue(options.height, 0.0);
+
+        var globe = {
+            callback : undefined,
+            removedCallback : false,
+            ellipsoid : defaultValue(options.ellipsoid, Ellipsoid.WGS84),
+            update : function() {},
+            getHeight : function() {
+                return height;
+            },
+            _surface : {},
+            destroy : function() {}
+        };
+
+        globe._surface.updateHeight = function(position, callback) {
+            globe.callback = callback;
+            return function() {
+                globe.removedCallback = true;
+                globe.callback = undefined;
+            };
+        };
+
+        return globe;
+    }
+
+    return createGlobe;
+});
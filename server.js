@@ -6,10 +6,13 @@
     var express = require('express');
     var compression = require('compression');
     var url = require('url');
+    var fs = require('fs');
+    var path = require('path');
+    var readline = require('readline');
     var request = require('request');
     var qs = require('querystring');
     var bodyParser = require('body-parser');
-    var sys = require('sys');
+    var WebSocketServer = require('ws').Server;
 
     var yargs = require('yargs').options({
         'port' : {
@@ -26,6 +29,16 @@
         'bypass-upstream-proxy-hosts' : {
             'description' : 'A comma separated list of hosts that will bypass the specified upstream_proxy, e.g. "lanhost1,lanhost2"'
         },
+        'backlog' : {
+            'default' : 20,
+            'description' : 'Number of items each feed channel keeps in memory for new clients.'
+        },
+        'feed-dir' : {
+            'description' : 'A directory where every feed channel is also written to an append-only, newline-delimited JSON log, which is reloaded at startup.'
+        },
+        'auth-config' : {
+            'description' : 'A JSON file of the access keys that may read or write each feed channel and the hosts /proxy may fetch from.  Without it anyone may do both.'
+        },
         'help' : {
             'alias' : 'h',
             'type' : 'boolean',
@@ -48,12 +61,285 @@
         'text/plain' : ['glsl']
     });
 
-    var ITEMS_BACKLOG = 20;
+    var ITEMS_BACKLOG = parseInt(argv.backlog, 10);
+    if (!(ITEMS_BACKLOG > 0)) {
+        console.log('Error: --backlog must be a positive integer.');
+        process.exit(1);
+    }
+
+    var feedDir = argv['feed-dir'];
+    var FEED_LOG_EXTENSION = '.ndjson';
+    // creates a directory and any missing parents
+    function makeDirectory(directory) {
+        if (fs.existsSync(directory)) {
+            return;
+        }
+        makeDirectory(path.dirname(directory));
+        fs.mkdirSync(directory);
+    }
+
+    if (feedDir) {
+        feedDir = path.resolve(feedDir);
+        try {
+            makeDirectory(feedDir);
+        } catch (e) {
+            console.log('Error: cannot create --feed-dir %s: %s', feedDir, e.message);
+            process.exit(1);
+        }
+        if (!fs.statSync(feedDir).isDirectory()) {
+            console.log('Error: --feed-dir %s is not a directory.', feedDir);
+            process.exit(1);
+        }
+    }
+
+    var ACCESS_LEVELS = {
+        read : 1,
+        readwrite : 2
+    };
+    var MINIMUM_ACCESS_KEY_LENGTH = 16;
+
+    function hasOwn(object, name) {
+        return Object.prototype.hasOwnProperty.call(object, name);
+    }
+
+    function exitWithAuthConfigError(file, message) {
+        console.log('Error: --auth-config %s: %s', file, message);
+        process.exit(1);
+    }
+
+    // The file grants each access key read or readwrite access to the channels matching a pattern, where a
+    // trailing * matches any rest of a name, lets admin keys read /status, and lists the hosts /proxy may fetch
+    // from, where *.example.com matches every subdomain of example.com, e.g.
+    // {
+    //     "keys" : {
+    //         "7d0c9a2e61b4f5d8" : { "name" : "ci", "channels" : { "geo-*" : "readwrite" } },
+    //         "e3b5f1a8c4d27096" : { "name" : "dashboard", "channels" : { "*" : "read" }, "admin" : true }
+    //     },
+    //     "proxyHosts" : ["dev.virtualearth.net", "*.tile.openstreetmap.org"]
+    // }
+    // A key is granted the highest access of all patterns matching a channel.
+    function loadAuthConfig(file) {
+        var config;
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            exitWithAuthConfigError(file, e.message);
+        }
+        if (!isObject(config) || !isObject(config.keys)) {
+            exitWithAuthConfigError(file, 'keys must be an object.');
+        }
+
+        var keys = {};
+        Object.keys(config.keys).forEach(function(key) {
+            var entry = config.keys[key];
+            if (key.length < MINIMUM_ACCESS_KEY_LENGTH) {
+                exitWithAuthConfigError(file, 'keys must be at least ' + MINIMUM_ACCESS_KEY_LENGTH + ' characters long.');
+            }
+            if (!isObject(entry) || !isObject(entry.channels)) {
+                exitWithAuthConfigError(file, 'the channels of every key must be an object.');
+            }
+            keys[key] = {
+                name : entry.name,
+                admin : entry.admin === true,
+                channels : Object.keys(entry.channels).map(function(pattern) {
+                    var access = entry.channels[pattern];
+                    if (!hasOwn(ACCESS_LEVELS, access)) {
+                        exitWithAuthConfigError(file, 'the access to channel ' + pattern + ' must be "read" or "readwrite".');
+                    }
+                    return {
+                        pattern : pattern,
+                        level : ACCESS_LEVELS[access]
+                    };
+                })
+            };
+        });
+
+        var proxyHosts = defined(config.proxyHosts) ? config.proxyHosts : [];
+        if (!Array.isArray(proxyHosts) || !proxyHosts.every(function(host) { return typeof host === 'string'; })) {
+            exitWithAuthConfigError(file, 'proxyHosts must be an array of host names.');
+        }
+
+        return {
+            file : file,
+            keys : keys,
+            proxyHosts : proxyHosts.map(function(host) {
+                return host.toLowerCase();
+            })
+        };
+    }
+
+    var authConfig;
+    if (argv['auth-config']) {
+        authConfig = loadAuthConfig(path.resolve(argv['auth-config']));
+        console.log('Loaded %d access keys from %s.', Object.keys(authConfig.keys).length, authConfig.file);
+    } else if (argv.public) {
+        console.log('Warning: without --auth-config anyone can read and write every feed channel and use /proxy to fetch any URL.');
+    }
+
+    // Writes an event as a single line of JSON, e.g.
+    // {"time":"2015-10-19T08:00:00.000Z","level":"info","event":"item.published","channel":"default","sequence":1,...}
+    // so that the log can be filtered and aggregated by any of its fields.
+    function logEvent(level, event, fields) {
+        var entry = {
+            time : new Date().toISOString(),
+            level : level,
+            event : event
+        };
+        if (fields) {
+            Object.keys(fields).forEach(function(name) {
+                if (defined(fields[name])) {
+                    entry[name] = fields[name];
+                }
+            });
+        }
+        if (level === 'error') {
+            console.error(JSON.stringify(entry));
+        } else {
+            console.log(JSON.stringify(entry));
+        }
+    }
+
+    var RATE_WINDOW_SECONDS = 60;
+    var MAXIMUM_RECENT_REJECTIONS = 20;
+    var MAXIMUM_PROXY_HOSTS = 100;
+
+    // counts events in one-second buckets to report how many happened per second over the last minute
+    function RateCounter() {
+        var counts = [], seconds = [];
+        for (var i = 0; i < RATE_WINDOW_SECONDS; ++i) {
+            counts.push(0);
+            seconds.push(-1);
+        }
+
+        this.add = function (count) {
+            var second = Math.floor(Date.now() / 1000);
+            var index = second % RATE_WINDOW_SECONDS;
+            if (seconds[index] !== second) {
+                seconds[index] = second;
+                counts[index] = 0;
+            }
+            counts[index] += count;
+        };
+
+        this.rate = function () {
+            var now = Math.floor(Date.now() / 1000);
+            var total = 0;
+            for (var i = 0; i < RATE_WINDOW_SECONDS; ++i) {
+                if (now - seconds[i] < RATE_WINDOW_SECONDS)
+                    total += counts[i];
+            }
+            return total / RATE_WINDOW_SECONDS;
+        };
+    }
+
+    // what /status reports beyond the state of each channel
+    var serverStats = {
+        startedAt : new Date(),
+        streams : 0,
+        accessRefused : 0,
+        recentRejections : [],
+        proxy : {
+            requests : 0,
+            refused : 0,
+            errors : 0,
+            bytes : 0,
+            milliseconds : 0,
+            hosts : {}
+        }
+    };
+
+    function getProxyHostStats(host) {
+        var hosts = serverStats.proxy.hosts;
+        // the allow-list is optional, so don't let arbitrary hosts grow the stats without bound
+        if (!hasOwn(hosts, host) && Object.keys(hosts).length >= MAXIMUM_PROXY_HOSTS) {
+            host = 'other';
+        }
+        if (!hasOwn(hosts, host)) {
+            hosts[host] = {
+                requests : 0,
+                refused : 0,
+                errors : 0,
+                bytes : 0
+            };
+        }
+        return hosts[host];
+    }
+
+    var DEFAULT_CHANNEL = 'default';
+    var channelNameRegex = /^[A-Za-z0-9_.\-]{1,64}$/;
+    var STREAM_HEARTBEAT_INTERVAL = 15000;
+    var MAXIMUM_ITEM_ID_LENGTH = 256;
+    // the ids the server gives items posted without one, which posted ids may not take
+    var GENERATED_ID_PREFIX = 'auto-';
+    var generatedIdRegex = /^auto-[0-9]+$/;
+    // a randomized test's master seed, optionally followed by method seeds, as in -Dtests.seed=DEADBEEF:CAFEBABE
+    var testSeedRegex = /^[0-9A-Fa-f]{1,16}(?::[0-9A-Fa-f]{1,16})*$/;
+    // the radius of the sphere Lucene measures distances on, GeoUtils.EARTH_MEAN_RADIUS_METERS
+    var EARTH_MEAN_RADIUS_METERS = 6371008.7714;
+    var DEGREES_PER_RADIAN = 180.0 / Math.PI;
 
     var app = express();
     app.use(compression());
+    // never serve the access keys or the feed logs when they are under the served directory
+    // both the path as given and the path it links to, since either may be under the served directory
+    var privatePaths = [];
+    function addPrivatePath(file) {
+        privatePaths.push(path.resolve(file));
+        try {
+            privatePaths.push(fs.realpathSync(file));
+        } catch (e) {
+            // not created yet, so there is no link to follow
+        }
+    }
+    if (authConfig) {
+        addPrivatePath(authConfig.file);
+    }
+    if (feedDir) {
+        addPrivatePath(feedDir);
+    }
+    // on file systems which ignore case, /Feeds is the same directory as /feeds
+    var ignoresCase = process.platform === 'win32' || process.platform === 'darwin';
+
+    function isUnder(file, privatePath) {
+        if (ignoresCase) {
+            file = file.toLowerCase();
+            privatePath = privatePath.toLowerCase();
+        }
+        return file === privatePath || file.indexOf(privatePath + path.sep) === 0;
+    }
+
+    // a request is private when either the requested path or the file it links to is
+    function isPrivatePath(file) {
+        var files = [path.resolve(file)];
+        try {
+            files.push(fs.realpathSync(file));
+        } catch (e) {
+            // a missing file is only compared by its requested path
+        }
+        return files.some(function(file) {
+            return privatePaths.some(function(privatePath) {
+                return isUnder(file, privatePath);
+            });
+        });
+    }
+
+    if (privatePaths.length > 0) {
+        app.use(function(req, res, next) {
+            var file;
+            try {
+                file = path.join(__dirname, decodeURIComponent(req.path));
+            } catch (e) {
+                return next();
+            }
+            if (isPrivatePath(file)) {
+                return res.status(404).send('Not Found');
+            }
+            next();
+        });
+    }
     app.use(express.static(__dirname));
-    app.use(bodyParser.json());
+    // only single items are parsed up front, /send_feed_items streams its own body
+    var jsonParser = bodyParser.json();
 //    app.use(express.json());
 
     function getRemoteUrlFromParam(req) {
@@ -91,16 +377,578 @@
         });
     }
 
-    app.get('/real_time_feed', function(req, res) {
+    function isValidItemId(id) {
+        return typeof id === 'string' && id.length > 0 && id.length <= MAXIMUM_ITEM_ID_LENGTH;
+    }
+
+    // reads the test and seed an item was produced by, e.g. ?test=TestGeoPointQuery.testRandomBig&seed=4EF0C4A3E5E14AB1,
+    // both of which are optional; returns undefined if either is invalid
+    function getRunTags(query) {
+        var tags = {};
+        if (defined(query.test)) {
+            if (!isValidItemId(query.test)) {
+                return undefined;
+            }
+            tags.test = query.test;
+        }
+        if (defined(query.seed)) {
+            if (typeof query.seed !== 'string' || !testSeedRegex.test(query.seed)) {
+                return undefined;
+            }
+            tags.seed = query.seed.toUpperCase();
+        }
+        return tags;
+    }
+
+    function getChannelName(query) {
+        var name = query.channel;
+        if (typeof name === 'undefined' || name === '') {
+            return DEFAULT_CHANNEL;
+        }
+        if (typeof name !== 'string' || !channelNameRegex.test(name)) {
+            return undefined;
+        }
+        return name;
+    }
+
+    // reads the key a request is made with from an "Authorization: Bearer <key>" or "X-API-Key: <key>" header or,
+    // for EventSource and WebSocket clients, which cannot set headers, an access_token query parameter
+    function getAccessKey(headers, query) {
+        var authorization = headers.authorization;
+        if (typeof authorization === 'string') {
+            var match = /^Bearer\s+(\S+)\s*$/i.exec(authorization);
+            return match ? match[1] : undefined;
+        }
+        var key = headers['x-api-key'];
+        if (typeof key === 'string') {
+            return key;
+        }
+        return typeof query.access_token === 'string' ? query.access_token : undefined;
+    }
+
+    function matchesChannel(pattern, name) {
+        if (pattern.charAt(pattern.length - 1) === '*') {
+            return name.indexOf(pattern.substring(0, pattern.length - 1)) === 0;
+        }
+        return name === pattern;
+    }
+
+    function canAccessChannel(entry, name, access) {
+        return entry.channels.some(function(grant) {
+            return grant.level >= ACCESS_LEVELS[access] && matchesChannel(grant.pattern, name);
+        });
+    }
+
+    // checks that a request may read or write a channel; returns undefined if it may, or else the status
+    // and message to refuse it with
+    function checkChannelAccess(headers, query, name, access) {
+        if (!authConfig) {
+            return undefined;
+        }
+        var key = getAccessKey(headers, query);
+        if (!defined(key)) {
+            return {
+                status : 401,
+                message : 'An access key is required.'
+            };
+        }
+        if (!hasOwn(authConfig.keys, key)) {
+            return {
+                status : 401,
+                message : 'Invalid access key.'
+            };
+        }
+        if (!canAccessChannel(authConfig.keys[key], name, access === 'write' ? 'readwrite' : 'read')) {
+            return {
+                status : 403,
+                message : 'This access key cannot ' + access + ' channel ' + name + '.'
+            };
+        }
+        return undefined;
+    }
+
+    function refuse(req, res, refusal) {
+        serverStats.accessRefused++;
+        logEvent('warn', 'access.refused', {
+            method : req.method,
+            path : req.path,
+            status : refusal.status,
+            message : refusal.message
+        });
+        if (refusal.status === 401) {
+            res.set('WWW-Authenticate', 'Bearer realm="feed"');
+        }
+        res.status(refusal.status).send(refusal.message);
+    }
+
+    // middleware refusing requests that may not read or write the channel they name, before their body is
+    // parsed; an invalid channel name is left for the route to reject
+    function requireChannelAccess(access) {
+        return function(req, res, next) {
+            var name = getChannelName(req.query);
+            var refusal = name ? checkChannelAccess(req.headers, req.query, name, access) : undefined;
+            if (refusal) {
+                return refuse(req, res, refusal);
+            }
+            next();
+        };
+    }
+
+    function isProxyHostAllowed(hostname) {
+        if (!authConfig) {
+            return true;
+        }
+        hostname = (hostname || '').toLowerCase();
+        return authConfig.proxyHosts.some(function(host) {
+            if (host.indexOf('*.') === 0) {
+                var domain = host.substring(1);
+                return hostname.length > domain.length && hostname.substring(hostname.length - domain.length) === domain;
+            }
+            return hostname === host;
+        });
+    }
+
+    function parseCoordinate(text) {
+        return text.trim() === '' ? NaN : Number(text);
+    }
+
+    // reads the viewport and time window a client wants items for, all of which are optional, e.g.
+    // ?bbox=-74.3,40.5,-73.7,40.9&start=2015-10-19T08:00:00Z&stop=2015-10-19T09:00:00Z, where the bbox is
+    // west,south,east,north in degrees and crosses the antimeridian when west > east, and the time window
+    // applies to the times items were received; returns undefined if any of them is invalid
+    function getItemFilter(query) {
+        var filter = {};
+        if (defined(query.bbox)) {
+            var values = typeof query.bbox === 'string' ? query.bbox.split(',').map(parseCoordinate) : [];
+            if (values.length !== 4 || !values.every(isFinite)) {
+                return undefined;
+            }
+            var bbox = {
+                west : values[0],
+                south : values[1],
+                east : values[2],
+                north : values[3]
+            };
+            if (Math.abs(bbox.west) > 180.0 || Math.abs(bbox.east) > 180.0 || bbox.south < -90.0 || bbox.north > 90.0 || bbox.south > bbox.north) {
+                return undefined;
+            }
+            filter.bbox = bbox;
+        }
+        var times = ['start', 'stop'];
+        for (var i = 0; i < times.length; ++i) {
+            var value = query[times[i]];
+            if (defined(value)) {
+                var time = typeof value === 'string' ? Date.parse(value) : NaN;
+                if (isNaN(time)) {
+                    return undefined;
+                }
+                filter[times[i]] = time;
+            }
+        }
+        return filter;
+    }
+
+    app.get('/real_time_feed', requireChannelAccess('read'), function(req, res) {
+        var name = getChannelName(req.query);
+        if (!name) {
+            return res.status(400).send('Invalid channel name.');
+        }
+        var filter = getItemFilter(req.query);
+        if (!filter) {
+            return res.status(400).send('Invalid bbox or time window.');
+        }
         var since = parseInt(qs.parse(url.parse(req.url).query).since, 10);
-        feed.query(since, function (data) {
+        var channel = getChannel(name);
+        function respond(data) {
             res.send(data);
+        }
+        // a client which leaves before an item arrives stops waiting for one
+        req.on('close', function() {
+            channel.cancelQuery(respond);
+        });
+        channel.query(since, filter, req.query.epoch, respond);
+    });
+
+    // Server-Sent Events version of /real_time_feed.  Every item is pushed as it is appended,
+    // and a reconnecting EventSource resumes from its Last-Event-ID.
+    app.get('/real_time_feed/stream', requireChannelAccess('read'), function(req, res) {
+        var name = getChannelName(req.query);
+        if (!name) {
+            return res.status(400).send('Invalid channel name.');
+        }
+        var filter = getItemFilter(req.query);
+        if (!filter) {
+            return res.status(400).send('Invalid bbox or time window.');
+        }
+        var channel = getChannel(name);
+        var since = parseInt(req.headers['last-event-id'] || req.query.since, 10);
+
+        req.socket.setTimeout(0);
+        res.status(200).set({
+            'Content-Type' : 'text/event-stream',
+            'Cache-Control' : 'no-cache',
+            'Connection' : 'keep-alive'
+        });
+
+        function write(text) {
+            res.write(text);
+            // the compression middleware buffers output unless it is flushed
+            if (typeof res.flush === 'function') {
+                res.flush();
+            }
+        }
+
+        function send(item) {
+            write('id: ' + item.sequence + '\ndata: ' + JSON.stringify(item) + '\n\n');
+        }
+
+        function listener(item) {
+            var filtered = filterItem(item, filter);
+            if (defined(filtered)) {
+                send(filtered);
+            }
+        }
+
+        write('retry: 2000\n\n');
+        channel.itemsSince(since, filter, req.query.epoch).forEach(send);
+        channel.addListener(listener);
+        serverStats.streams++;
+
+        var heartbeat = setInterval(function() {
+            write(': heartbeat\n\n');
+        }, STREAM_HEARTBEAT_INTERVAL);
+
+        req.on('close', function() {
+            clearInterval(heartbeat);
+            channel.removeListener(listener);
+            serverStats.streams--;
+        });
+    });
+
+    app.post('/send_feed_item', requireChannelAccess('write'), jsonParser, function (req, res) {
+        var name = getChannelName(req.query);
+        if (!name) {
+            return res.status(400).send('Invalid channel name.');
+        }
+        var id = req.query.id;
+        if (defined(id) && !isValidItemId(id)) {
+            return res.status(400).send('Invalid item id.');
+        }
+        if (defined(id) && generatedIdRegex.test(id)) {
+            return res.status(400).send('Item ids of the form ' + GENERATED_ID_PREFIX + '<number> are reserved for items posted without an id.');
+        }
+        var tags = getRunTags(req.query);
+        if (!tags) {
+            return res.status(400).send('Invalid test name or seed.');
+        }
+        var result = validateFeedItem(req.body);
+        if (defined(result.error)) {
+            getChannel(name).recordRejection(result.error);
+            return sendValidationError(res, result.error);
+        }
+        var item = getChannel(name).appendMessage(req.body, result.format, id, tags);
+        res.send({
+            sequence : item.sequence,
+            receivedAt : item.receivedAt,
+            action : item.action,
+            id : item.id,
+            format : item.format,
+            test : item.test,
+            seed : item.seed
+        });
+    });
+
+    // removes a single item, e.g. DELETE /feed_item?channel=name&id=query-1; an id which is not in the
+    // channel, or was already removed, is a 404
+    app.delete('/feed_item', requireChannelAccess('write'), function(req, res) {
+        var name = getChannelName(req.query);
+        if (!name) {
+            return res.status(400).send('Invalid channel name.');
+        }
+        var id = req.query.id;
+        if (!isValidItemId(id)) {
+            return res.status(400).send('Invalid item id.');
+        }
+        var item = getChannel(name).removeMessage(id);
+        if (!item) {
+            return res.status(404).send('Unknown item id.');
+        }
+        res.send({
+            sequence : item.sequence,
+            receivedAt : item.receivedAt,
+            action : item.action,
+            id : item.id
+        });
+    });
+
+    // removes every item in a channel, e.g. DELETE /feed_channel?channel=name
+    app.delete('/feed_channel', requireChannelAccess('write'), function(req, res) {
+        var name = getChannelName(req.query);
+        if (!name) {
+            return res.status(400).send('Invalid channel name.');
+        }
+        var item = getChannel(name).clear();
+        res.send({
+            sequence : item.sequence,
+            receivedAt : item.receivedAt,
+            action : item.action
+        });
+    });
+
+    var MAXIMUM_REPORTED_ERRORS = 100;
+
+    // at most this much of a body without a line break is read to tell whether it is newline-delimited JSON
+    var MAXIMUM_SNIFFED_LENGTH = 65536;
+
+    // Tells from the start of a body whether it is newline-delimited JSON: a first line which is a
+    // CZML array, or a complete JSON value other than a FeatureCollection, is the first of its
+    // payloads.  Returns undefined until the first line has been read.
+    function isNdjsonBody(text, ended) {
+        var start = text.search(/\S/);
+        if (start === -1) {
+            return ended ? false : undefined;
+        }
+        if (text.charAt(start) === '[') {
+            return true;
+        }
+        var newline = text.indexOf('\n', start);
+        if (newline === -1 && !ended && text.length - start < MAXIMUM_SNIFFED_LENGTH) {
+            return undefined;
+        }
+        var first;
+        try {
+            first = JSON.parse(text.substring(start, newline === -1 ? text.length : newline));
+        } catch (e) {
+            return false;
+        }
+        return !(isObject(first) && first.type === 'FeatureCollection');
+    }
+
+    // Bulk version of /send_feed_item.  The body is either newline-delimited JSON, one payload
+    // per line, or a GeoJSON FeatureCollection whose features become individual items.  Both are
+    // parsed as they stream in, and the response summarizes what was accepted and rejected.
+    // Newline-delimited JSON is recognized by its Content-Type, e.g. application/x-ndjson, or
+    // else by its first line.  A test and seed in the query tag every item.
+    app.post('/send_feed_items', requireChannelAccess('write'), function(req, res) {
+        var name = getChannelName(req.query);
+        if (!name) {
+            return res.status(400).send('Invalid channel name.');
+        }
+        var tags = getRunTags(req.query);
+        if (!tags) {
+            return res.status(400).send('Invalid test name or seed.');
+        }
+        var channel = getChannel(name);
+        var summary = {
+            accepted : 0,
+            rejected : 0,
+            firstSequence : undefined,
+            lastSequence : undefined,
+            errors : []
+        };
+
+        function reject(index, error) {
+            channel.recordRejection(error, index);
+            summary.rejected++;
+            if (summary.errors.length < MAXIMUM_REPORTED_ERRORS) {
+                summary.errors.push({
+                    index : index,
+                    error : error.path.length > 0 ? error.path + ' ' + error.message : error.message,
+                    path : error.path,
+                    message : error.message
+                });
+            }
+        }
+
+        function ingest(data, index) {
+            var result = validateFeedItem(data);
+            if (defined(result.error)) {
+                return reject(index, result.error);
+            }
+            var item = channel.appendMessage(data, result.format, undefined, tags);
+            summary.accepted++;
+            if (!defined(summary.firstSequence)) {
+                summary.firstSequence = item.sequence;
+            }
+            summary.lastSequence = item.sequence;
+        }
+
+        function createParser(ndjson) {
+            if (ndjson) {
+                return new NdjsonSplitter(ingest, reject);
+            }
+            var crs;
+            return new FeatureCollectionSplitter(function(key, value) {
+                // keep the collection's crs so each feature is validated and displayed in it
+                if (key === 'crs') {
+                    crs = value;
+                }
+            }, function(feature, index) {
+                if (defined(crs) && isObject(feature)) {
+                    feature.crs = crs;
+                }
+                ingest(feature, index);
+            }, reject);
+        }
+
+        var parser;
+        var sniffed = '';
+        if (/ndjson/i.test(req.headers['content-type'])) {
+            parser = createParser(true);
+        }
+
+        function write(chunk, ended) {
+            if (!defined(parser)) {
+                sniffed += chunk;
+                var ndjson = isNdjsonBody(sniffed, ended);
+                if (!defined(ndjson)) {
+                    return;
+                }
+                parser = createParser(ndjson);
+                chunk = sniffed;
+                sniffed = '';
+            }
+            parser.write(chunk);
+        }
+
+        var failed = false;
+        function fail(e) {
+            failed = true;
+            summary.error = e.message;
+            if (defined(e.path)) {
+                summary.path = e.path;
+                summary.message = e.reason;
+            }
+            res.status(400).send(summary);
+        }
+
+        req.setEncoding('utf8');
+        req.on('data', function(chunk) {
+            if (failed) {
+                return;
+            }
+            try {
+                write(chunk, false);
+            } catch (e) {
+                fail(e);
+            }
+        });
+        req.on('end', function() {
+            if (!failed) {
+                try {
+                    write('', true);
+                    parser.end();
+                    res.send(summary);
+                } catch (e) {
+                    fail(e);
+                }
+            }
+            logEvent(failed ? 'warn' : 'info', 'items.ingested', {
+                channel : name,
+                accepted : summary.accepted,
+                rejected : summary.rejected,
+                error : summary.error
+            });
+        });
+    });
+
+    // Returns every item of a channel whose sequence is within [from, to], read from the
+    // on-disk log when --feed-dir is set and from the in-memory backlog otherwise.
+    app.get('/feed_history', requireChannelAccess('read'), function(req, res) {
+        var name = getChannelName(req.query);
+        if (!name) {
+            return res.status(400).send('Invalid channel name.');
+        }
+        var from = parseInt(req.query.from, 10);
+        var to = parseInt(req.query.to, 10);
+        getChannel(name).history(from, to, function(error, items) {
+            if (error) {
+                return res.status(500).send(error.message);
+            }
+            res.send(items);
+        });
+    });
+
+    // lists the channels the request's access key may read
+    app.get('/feed_channels', function(req, res) {
+        var key;
+        if (authConfig) {
+            key = getAccessKey(req.headers, req.query);
+            if (!defined(key) || !hasOwn(authConfig.keys, key)) {
+                return refuse(req, res, {
+                    status : 401,
+                    message : defined(key) ? 'Invalid access key.' : 'An access key is required.'
+                });
+            }
+        }
+        var result = [];
+        Object.keys(channels).sort().forEach(function(name) {
+            if (defined(key) && !canAccessChannel(authConfig.keys[key], name, 'read')) {
+                return;
+            }
+            var channel = channels[name];
+            result.push({
+                name : name,
+                items : channel.itemCount,
+                waiting : channel.waitingCount,
+                streaming : channel.listenerCount
+            });
         });
+        res.send(result);
     });
 
-    app.post('/send_feed_item', function (req, res) {
-        feed.appendMessage(req.body);
-        res.send("SUCCESS");
+    // Reports the state of every channel, the connected clients, recent rejected payloads and /proxy requests,
+    // which admin.html shows.  Only admin keys may read it when --auth-config is set.
+    app.get('/status', function(req, res) {
+        if (authConfig) {
+            var key = getAccessKey(req.headers, req.query);
+            if (!defined(key) || !hasOwn(authConfig.keys, key)) {
+                return refuse(req, res, {
+                    status : 401,
+                    message : defined(key) ? 'Invalid access key.' : 'An access key is required.'
+                });
+            }
+            if (!authConfig.keys[key].admin) {
+                return refuse(req, res, {
+                    status : 403,
+                    message : 'This access key cannot read the server status.'
+                });
+            }
+        }
+
+        var channelStatus = Object.keys(channels).sort().map(function(name) {
+            return channels[name].getStatus();
+        });
+        var proxy = serverStats.proxy;
+        res.set('Cache-Control', 'no-cache').send({
+            startedAt : serverStats.startedAt.toISOString(),
+            uptimeSeconds : (Date.now() - serverStats.startedAt.getTime()) / 1000,
+            memory : process.memoryUsage(),
+            clients : {
+                polling : channelStatus.reduce(function(total, channel) {
+                    return total + channel.waiting;
+                }, 0),
+                streaming : serverStats.streams,
+                sockets : webSocketServer.clients.length
+            },
+            ingestRate : channelStatus.reduce(function(total, channel) {
+                return total + channel.ingestRate;
+            }, 0),
+            rejected : channelStatus.reduce(function(total, channel) {
+                return total + channel.rejected;
+            }, 0),
+            accessRefused : serverStats.accessRefused,
+            channels : channelStatus,
+            recentRejections : serverStats.recentRejections,
+            proxy : {
+                requests : proxy.requests,
+                refused : proxy.refused,
+                errors : proxy.errors,
+                bytes : proxy.bytes,
+                averageMilliseconds : proxy.requests > 0 ? proxy.milliseconds / proxy.requests : 0,
+                hosts : proxy.hosts
+            }
+        });
     });
 
     app.get('/proxy/*', function(req, res, next) {
@@ -122,18 +970,49 @@
             remoteUrl.protocol = 'http:';
         }
 
+        var host = (remoteUrl.hostname || '').toLowerCase();
+        var hostStats = getProxyHostStats(host);
+        if (!isProxyHostAllowed(host)) {
+            serverStats.proxy.refused++;
+            hostStats.refused++;
+            logEvent('warn', 'proxy.refused', {
+                host : host
+            });
+            return res.status(403).send('Proxying to this host is not allowed.');
+        }
+
         var proxy;
         if (upstreamProxy && !(remoteUrl.host in bypassUpstreamProxyHosts)) {
             proxy = upstreamProxy;
         }
 
+        var startTime = Date.now();
         // encoding : null means "body" passed to the callback will be raw bytes
 
         request.get({
             url : url.format(remoteUrl),
             headers : filterHeaders(req, req.headers),
             encoding : null,
-            proxy : proxy
+            proxy : proxy,
+            // a redirect is only followed to a host which could have been proxied directly,
+            // otherwise it is passed on to the client
+            followRedirect : function(response) {
+                var location = response.headers.location;
+                if (!defined(location)) {
+                    return true;
+                }
+                var redirectHost = (url.parse(url.resolve(this.uri.href, location)).hostname || '').toLowerCase();
+                if (isProxyHostAllowed(redirectHost)) {
+                    return true;
+                }
+                serverStats.proxy.refused++;
+                hostStats.refused++;
+                logEvent('warn', 'proxy.redirectRefused', {
+                    host : host,
+                    location : redirectHost
+                });
+                return false;
+            }
         }, function(error, response, body) {
             var code = 500;
 
@@ -142,44 +1021,1258 @@
                 res.header(filterHeaders(req, response.headers));
             }
 
+            var milliseconds = Date.now() - startTime;
+            var bytes = body ? body.length : 0;
+            var failed = defined(error) || code >= 400;
+            serverStats.proxy.requests++;
+            serverStats.proxy.bytes += bytes;
+            serverStats.proxy.milliseconds += milliseconds;
+            hostStats.requests++;
+            hostStats.bytes += bytes;
+            if (failed) {
+                serverStats.proxy.errors++;
+                hostStats.errors++;
+            }
+            logEvent(failed ? 'warn' : 'info', 'proxy.request', {
+                host : host,
+                status : code,
+                bytes : bytes,
+                milliseconds : milliseconds,
+                error : error ? error.message : undefined
+            });
+
             res.status(code).send(body);
         });
     });
 
-    var feed = new function() {
-        var real_time_items = [], callbacks = [];
+    // reports malformed JSON bodies the same way as payloads that fail validation
+    app.use(function(error, req, res, next) {
+        if (error instanceof SyntaxError && error.status === 400) {
+            var validationError = invalid('', 'body is not valid JSON: ' + error.message);
+            var name = getChannelName(req.query);
+            if (name) {
+                getChannel(name).recordRejection(validationError);
+            }
+            return sendValidationError(res, validationError);
+        }
+        next(error);
+    });
 
-        this.appendMessage = function (json) {
-            real_time_items.push( json );
-            sys.puts(new Date() + ": " + JSON.stringify(json) + " pushed");
-            while (callbacks.length > 0)
-                callbacks.shift().callback([json]);
-            while (real_time_items.length > ITEMS_BACKLOG)
-                real_time_items.shift();
-        };
+    function defined(value) {
+        return value !== undefined && value !== null;
+    }
 
-        this.query = function (since, callback) {
-            var matching = [];
-            for (var i = 0; i<real_time_items.length; ++i) {
-                var real_time_item = real_time_items[i];
-                if (real_time_item.timestamp > since)
-                    matching.push(real_time_item);
-            }
+    function isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
 
-            if (matching.length != 0) {
-                callback(matching);
-            } else {
-                callbacks.push({ timestamp: new Date(), callback: callback });
-            }
+    function invalid(path, message) {
+        return {
+            path : path,
+            message : message
         };
-    };
+    }
 
-    var NOT_FOUND = "Not Found\n";
+    function joinPath(path, key) {
+        if (typeof key === 'number') {
+            return path + '[' + key + ']';
+        }
+        return path.length > 0 ? path + '.' + key : key;
+    }
 
-    function notFound(req, res) {
-        res.sendwriteHeadHeader(404, [ ["Content-Type", "text/plain"], ["Content-Length", NOT_FOUND.length]]);
-        res.write(NOT_FOUND);
-        res.end();
+    function sendValidationError(res, error) {
+        res.status(400).send({
+            error : error.path.length > 0 ? error.path + ' ' + error.message : error.message,
+            path : error.path,
+            message : error.message
+        });
+    }
+
+    function validatePosition(position, path, checkRange) {
+        if (!Array.isArray(position) || position.length < 2) {
+            return invalid(path, 'position must be an array of at least two numbers');
+        }
+        for (var i = 0; i < position.length; ++i) {
+            if (typeof position[i] !== 'number' || !isFinite(position[i])) {
+                return invalid(joinPath(path, i), 'is not a finite number');
+            }
+        }
+        if (checkRange) {
+            if (Math.abs(position[0]) > 180.0) {
+                return invalid(joinPath(path, 0), 'longitude out of range [-180, 180]');
+            }
+            if (Math.abs(position[1]) > 90.0) {
+                return invalid(joinPath(path, 1), 'latitude out of range [-90, 90]');
+            }
+        }
+        return undefined;
+    }
+
+    function validatePositions(positions, path, minimumLength, checkRange) {
+        if (!Array.isArray(positions)) {
+            return invalid(path, 'must be an array of positions');
+        }
+        if (positions.length < minimumLength) {
+            return invalid(path, 'must have at least ' + minimumLength + ' positions');
+        }
+        for (var i = 0; i < positions.length; ++i) {
+            var error = validatePosition(positions[i], joinPath(path, i), checkRange);
+            if (defined(error)) {
+                return error;
+            }
+        }
+        return undefined;
+    }
+
+    function validateLinearRing(ring, path, checkRange) {
+        var error = validatePositions(ring, path, 4, checkRange);
+        if (defined(error)) {
+            return error;
+        }
+        var first = ring[0];
+        var last = ring[ring.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) {
+            return invalid(path, 'ring not closed');
+        }
+        return undefined;
+    }
+
+    function validateArray(array, path, validateElement, checkRange) {
+        if (!Array.isArray(array)) {
+            return invalid(path, 'must be an array');
+        }
+        for (var i = 0; i < array.length; ++i) {
+            var error = validateElement(array[i], joinPath(path, i), checkRange);
+            if (defined(error)) {
+                return error;
+            }
+        }
+        return undefined;
+    }
+
+    function validateLineString(positions, path, checkRange) {
+        return validatePositions(positions, path, 2, checkRange);
+    }
+
+    function validatePolygon(rings, path, checkRange) {
+        if (Array.isArray(rings) && rings.length === 0) {
+            return invalid(path, 'polygon must have an exterior ring');
+        }
+        return validateArray(rings, path, validateLinearRing, checkRange);
+    }
+
+    var geometryCoordinateValidators = {
+        Point : validatePosition,
+        MultiPoint : function(coordinates, path, checkRange) {
+            return validatePositions(coordinates, path, 0, checkRange);
+        },
+        LineString : validateLineString,
+        MultiLineString : function(coordinates, path, checkRange) {
+            return validateArray(coordinates, path, validateLineString, checkRange);
+        },
+        Polygon : validatePolygon,
+        MultiPolygon : function(coordinates, path, checkRange) {
+            return validateArray(coordinates, path, validatePolygon, checkRange);
+        }
+    };
+
+    function validateGeometry(geometry, path, checkRange) {
+        if (!isObject(geometry)) {
+            return invalid(path, 'geometry must be an object');
+        }
+        if (geometry.type === 'GeometryCollection') {
+            return validateArray(geometry.geometries, joinPath(path, 'geometries'), validateGeometry, checkRange);
+        }
+        var validateCoordinates = geometryCoordinateValidators[geometry.type];
+        if (!defined(validateCoordinates)) {
+            return invalid(joinPath(path, 'type'), 'unknown geometry type "' + geometry.type + '"');
+        }
+        return validateCoordinates(geometry.coordinates, joinPath(path, 'coordinates'), checkRange);
+    }
+
+    function validateFeature(feature, path, checkRange) {
+        if (!isObject(feature)) {
+            return invalid(path, 'feature must be an object');
+        }
+        if (feature.type !== 'Feature') {
+            return invalid(joinPath(path, 'type'), 'expected "Feature" but found "' + feature.type + '"');
+        }
+        if (defined(feature.properties) && !isObject(feature.properties)) {
+            return invalid(joinPath(path, 'properties'), 'properties must be an object or null');
+        }
+        // a feature without a location is allowed to have a null geometry
+        if (feature.geometry === null) {
+            return undefined;
+        }
+        return validateGeometry(feature.geometry, joinPath(path, 'geometry'), checkRange);
+    }
+
+    function validateGeoJson(geoJson) {
+        // coordinates in a named or linked crs may be projected, so only default WGS84 coordinates are range checked
+        var checkRange = !defined(geoJson.crs);
+        switch (geoJson.type) {
+        case 'FeatureCollection':
+            return validateArray(geoJson.features, 'features', validateFeature, checkRange);
+        case 'Feature':
+            return validateFeature(geoJson, '', checkRange);
+        case 'Topology':
+            if (!isObject(geoJson.objects)) {
+                return invalid('objects', 'topology objects must be an object');
+            }
+            return validateArray(geoJson.arcs, 'arcs', function(arc, path) {
+                return validatePositions(arc, path, 2, false);
+            }, false);
+        default:
+            return validateGeometry(geoJson, '', checkRange);
+        }
+    }
+
+    function validateCzmlPacket(packet, path) {
+        if (!isObject(packet)) {
+            return invalid(path, 'packet must be an object');
+        }
+        if (defined(packet.id) && typeof packet.id !== 'string') {
+            return invalid(joinPath(path, 'id'), 'id must be a string');
+        }
+        if (defined(packet['delete']) && typeof packet['delete'] !== 'boolean') {
+            return invalid(joinPath(path, 'delete'), 'delete must be a boolean');
+        }
+        return undefined;
+    }
+
+    function validateCzml(packets) {
+        if (packets.length === 0) {
+            return invalid('', 'CZML document must contain at least the document packet');
+        }
+        var documentPacket = packets[0];
+        if (!isObject(documentPacket) || documentPacket.id !== 'document') {
+            return invalid('[0].id', 'the first CZML packet is required to be the document object');
+        }
+        if (typeof documentPacket.version !== 'string' || !/^1\.\d+$/.test(documentPacket.version)) {
+            return invalid('[0].version', 'expected a CZML version in the 1.<Minor> format');
+        }
+        return validateArray(packets, '', validateCzmlPacket);
+    }
+
+    function validateNumber(value, path, minimum, maximum) {
+        if (typeof value !== 'number' || !isFinite(value)) {
+            return invalid(path, 'is not a finite number');
+        }
+        if (value < minimum || value > maximum) {
+            return invalid(path, 'out of range [' + minimum + ', ' + maximum + ']');
+        }
+        return undefined;
+    }
+
+    function validateLatLon(point, path) {
+        if (!isObject(point)) {
+            return invalid(path, 'point must be an object with lat and lon');
+        }
+        return validateNumber(point.lat, joinPath(path, 'lat'), -90.0, 90.0) ||
+               validateNumber(point.lon, joinPath(path, 'lon'), -180.0, 180.0);
+    }
+
+    // mirrors the checks of org.apache.lucene.geo.Polygon: parallel lat/lon arrays that close themselves
+    function validateLucenePolygon(polygon, path) {
+        if (!isObject(polygon)) {
+            return invalid(path, 'polygon must be an object with polyLats and polyLons');
+        }
+        var latsPath = joinPath(path, 'polyLats');
+        var lonsPath = joinPath(path, 'polyLons');
+        var lats = polygon.polyLats;
+        var lons = polygon.polyLons;
+        if (!Array.isArray(lats)) {
+            return invalid(latsPath, 'must be an array of latitudes');
+        }
+        if (!Array.isArray(lons)) {
+            return invalid(lonsPath, 'must be an array of longitudes');
+        }
+        if (lats.length !== lons.length) {
+            return invalid(path, 'polyLats and polyLons must be equal length');
+        }
+        if (lats.length < 4) {
+            return invalid(path, 'at least 4 polygon points required');
+        }
+        for (var i = 0; i < lats.length; ++i) {
+            var error = validateNumber(lats[i], joinPath(latsPath, i), -90.0, 90.0) ||
+                        validateNumber(lons[i], joinPath(lonsPath, i), -180.0, 180.0);
+            if (defined(error)) {
+                return error;
+            }
+        }
+        if (lats[0] !== lats[lats.length - 1] || lons[0] !== lons[lons.length - 1]) {
+            return invalid(path, 'first and last points of the polygon must be the same (it must close itself)');
+        }
+        if (defined(polygon.holes)) {
+            return validateArray(polygon.holes, joinPath(path, 'holes'), validateLucenePolygon);
+        }
+        return undefined;
+    }
+
+    // minLon > maxLon is allowed, the box then crosses the dateline
+    function validateBox(box, path) {
+        if (!isObject(box)) {
+            return invalid(path, 'box must be an object with minLat, maxLat, minLon and maxLon');
+        }
+        var error = validateNumber(box.minLat, joinPath(path, 'minLat'), -90.0, 90.0) ||
+                    validateNumber(box.maxLat, joinPath(path, 'maxLat'), -90.0, 90.0) ||
+                    validateNumber(box.minLon, joinPath(path, 'minLon'), -180.0, 180.0) ||
+                    validateNumber(box.maxLon, joinPath(path, 'maxLon'), -180.0, 180.0);
+        if (!defined(error) && box.minLat > box.maxLat) {
+            error = invalid(joinPath(path, 'minLat'), 'cannot be greater than maxLat');
+        }
+        return error;
+    }
+
+    // the values of org.apache.lucene.index.PointValues.Relation
+    var cellRelations = ['CELL_INSIDE_QUERY', 'CELL_OUTSIDE_QUERY', 'CELL_CROSSES_QUERY'];
+
+    function validateTraversalCell(cell, path) {
+        var error = validateBox(cell, path);
+        if (defined(error)) {
+            return error;
+        }
+        if (cellRelations.indexOf(cell.relation) === -1) {
+            return invalid(joinPath(path, 'relation'), 'must be one of ' + cellRelations.join(', '));
+        }
+        if (typeof cell.depth !== 'number' || cell.depth < 0 || Math.floor(cell.depth) !== cell.depth) {
+            return invalid(joinPath(path, 'depth'), 'must be a non-negative integer');
+        }
+        return undefined;
+    }
+
+    var luceneQueryValidators = {
+        bbox : function(query) {
+            return validateBox(query, '');
+        },
+        distance : function(query) {
+            if (typeof query.radiusMeters !== 'number' || !(query.radiusMeters > 0.0) || !isFinite(query.radiusMeters)) {
+                return invalid('radiusMeters', 'must be a finite number greater than 0');
+            }
+            return validateLatLon(query.center, 'center');
+        },
+        polygon : function(query) {
+            return validateLucenePolygon(query, '');
+        },
+        points : function(query) {
+            if (!defined(query.hits) && !defined(query.misses) && !defined(query.expected) && !defined(query.actual)) {
+                return invalid('', 'points must have hits, misses or expected and actual results');
+            }
+            return undefined;
+        },
+        cells : function(query) {
+            return validateArray(query.cells, 'cells', validateTraversalCell);
+        }
+    };
+
+    function validateLuceneQuery(query) {
+        if (defined(query.name) && typeof query.name !== 'string') {
+            return invalid('name', 'name must be a string');
+        }
+        var error = luceneQueryValidators[query.type](query);
+        if (!defined(error) && defined(query.hits)) {
+            error = validateArray(query.hits, 'hits', validateLatLon);
+        }
+        if (!defined(error) && defined(query.misses)) {
+            error = validateArray(query.misses, 'misses', validateLatLon);
+        }
+        // the results a query was expected to match and actually matched, compared by the viewer
+        if (!defined(error) && defined(query.expected)) {
+            error = validateArray(query.expected, 'expected', validateLatLon);
+        }
+        if (!defined(error) && defined(query.actual)) {
+            error = validateArray(query.actual, 'actual', validateLatLon);
+        }
+        return error;
+    }
+
+    var geoJsonObjectTypes = ['Feature', 'FeatureCollection', 'GeometryCollection', 'Point', 'MultiPoint', 'LineString',
+                              'MultiLineString', 'Polygon', 'MultiPolygon', 'Topology'];
+
+    /**
+     * The payload formats accepted by /send_feed_item, in detection order.  The first format
+     * whose detect function returns true validates the payload and its name is stored on the item,
+     * along with the extent its computeExtent function returns.
+     */
+    var feedFormats = [{
+        name : 'czml',
+        detect : function(data) {
+            return Array.isArray(data);
+        },
+        validate : validateCzml,
+        computeExtent : computeCzmlExtent
+    }, {
+        name : 'geojson',
+        detect : function(data) {
+            return isObject(data) && geoJsonObjectTypes.indexOf(data.type) !== -1;
+        },
+        validate : validateGeoJson,
+        computeExtent : computeGeoJsonExtent
+    }, {
+        name : 'lucene',
+        detect : function(data) {
+            return isObject(data) && luceneQueryValidators.hasOwnProperty(data.type);
+        },
+        validate : validateLuceneQuery,
+        computeExtent : computeLuceneExtent
+    }];
+
+    // returns { format : name } for a valid payload and { error : { path, message } } otherwise
+    function validateFeedItem(data) {
+        for (var i = 0; i < feedFormats.length; ++i) {
+            var format = feedFormats[i];
+            if (format.detect(data)) {
+                var error = format.validate(data);
+                return defined(error) ? { error : error } : { format : format.name };
+            }
+        }
+        return {
+            error : invalid('', 'unrecognized payload, expected a GeoJSON object, a CZML document or a Lucene query shape')
+        };
+    }
+
+    // Extents are [west, south, east, north] in degrees, like a GeoJSON bbox.  They never cross the
+    // antimeridian, a shape that does spans every longitude instead, so that filtering by extent
+    // can only send a client more items than it needs, never fewer.
+    function createExtent() {
+        return [Infinity, Infinity, -Infinity, -Infinity];
+    }
+
+    function extendExtent(extent, lon, lat) {
+        if (typeof lon !== 'number' || typeof lat !== 'number') {
+            return;
+        }
+        extent[0] = Math.min(extent[0], lon);
+        extent[1] = Math.min(extent[1], lat);
+        extent[2] = Math.max(extent[2], lon);
+        extent[3] = Math.max(extent[3], lat);
+    }
+
+    function extendExtentByBox(extent, west, south, east, north) {
+        if (west > east) {
+            west = -180.0;
+            east = 180.0;
+        }
+        extendExtent(extent, west, south);
+        extendExtent(extent, east, north);
+    }
+
+    function extendExtentByLatLons(extent, points) {
+        if (Array.isArray(points)) {
+            points.forEach(function(point) {
+                extendExtent(extent, point.lon, point.lat);
+            });
+        }
+    }
+
+    function isEmptyExtent(extent) {
+        return extent[0] > extent[2];
+    }
+
+    // the extent of a haversine distance query's circle on Lucene's sphere
+    function extendExtentByCircle(extent, center, radiusMeters) {
+        var angle = radiusMeters / EARTH_MEAN_RADIUS_METERS;
+        var south = center.lat - angle * DEGREES_PER_RADIAN;
+        var north = center.lat + angle * DEGREES_PER_RADIAN;
+        var sinLonDelta = Math.sin(angle) / Math.cos(center.lat / DEGREES_PER_RADIAN);
+        if (south <= -90.0 || north >= 90.0 || angle >= Math.PI * 0.5 || sinLonDelta >= 1.0) {
+            return extendExtentByBox(extent, -180.0, Math.max(south, -90.0), 180.0, Math.min(north, 90.0));
+        }
+        var lonDelta = Math.asin(sinLonDelta) * DEGREES_PER_RADIAN;
+        var west = center.lon - lonDelta;
+        var east = center.lon + lonDelta;
+        if (west < -180.0 || east > 180.0) {
+            west = -180.0;
+            east = 180.0;
+        }
+        extendExtentByBox(extent, west, south, east, north);
+    }
+
+    var luceneExtents = {
+        bbox : function(query, extent) {
+            extendExtentByBox(extent, query.minLon, query.minLat, query.maxLon, query.maxLat);
+        },
+        distance : function(query, extent) {
+            extendExtentByCircle(extent, query.center, query.radiusMeters);
+        },
+        polygon : function(query, extent) {
+            // holes are inside the polygon
+            for (var i = 0; i < query.polyLats.length; ++i) {
+                extendExtent(extent, query.polyLons[i], query.polyLats[i]);
+            }
+        },
+        // only has documents, which are added to the extent of every query
+        points : function() {
+        },
+        cells : function(query, extent) {
+            query.cells.forEach(function(cell) {
+                extendExtentByBox(extent, cell.minLon, cell.minLat, cell.maxLon, cell.maxLat);
+            });
+        }
+    };
+
+    function computeLuceneExtent(query) {
+        var extent = createExtent();
+        luceneExtents[query.type](query, extent);
+        extendExtentByLatLons(extent, query.hits);
+        extendExtentByLatLons(extent, query.misses);
+        extendExtentByLatLons(extent, query.expected);
+        extendExtentByLatLons(extent, query.actual);
+        return extent;
+    }
+
+    function extendExtentByCoordinates(extent, coordinates) {
+        if (typeof coordinates[0] === 'number') {
+            return extendExtent(extent, coordinates[0], coordinates[1]);
+        }
+        coordinates.forEach(function(child) {
+            if (Array.isArray(child)) {
+                extendExtentByCoordinates(extent, child);
+            }
+        });
+    }
+
+    function extendExtentByGeoJson(extent, object) {
+        if (!isObject(object)) {
+            return;
+        }
+        if (Array.isArray(object.coordinates)) {
+            extendExtentByCoordinates(extent, object.coordinates);
+        }
+        extendExtentByGeoJson(extent, object.geometry);
+        [object.geometries, object.features].forEach(function(children) {
+            if (Array.isArray(children)) {
+                children.forEach(function(child) {
+                    extendExtentByGeoJson(extent, child);
+                });
+            }
+        });
+    }
+
+    // the extent of a TopoJSON topology, whose arcs may be quantized, is unknown
+    function computeGeoJsonExtent(geoJson) {
+        if (geoJson.type === 'Topology') {
+            return undefined;
+        }
+        var extent = createExtent();
+        extendExtentByGeoJson(extent, geoJson);
+        return extent;
+    }
+
+    // the CZML properties holding the positions of a packet's graphics
+    var czmlPositionProperties = ['position', 'positions', 'coordinates'];
+
+    // extends the extent by cartographic positions and rectangles, returning false for a position that is
+    // not cartographic, such as a Cartesian position or a reference to another packet's position
+    function extendExtentByCzmlPositions(extent, value) {
+        if (Array.isArray(value)) {
+            return value.every(function(interval) {
+                return extendExtentByCzmlPositions(extent, interval);
+            });
+        }
+        if (!isObject(value)) {
+            return true;
+        }
+        if (defined(value.cartesian) || defined(value.references)) {
+            return false;
+        }
+        var scale = 1.0;
+        var values = value.cartographicDegrees;
+        if (!defined(values) && defined(value.cartographicRadians)) {
+            scale = DEGREES_PER_RADIAN;
+            values = value.cartographicRadians;
+        }
+        if (Array.isArray(values)) {
+            // samples are [time, lon, lat, height, ...], where times are ISO 8601 dates or seconds since an epoch
+            var timeTagged = defined(value.epoch) || typeof values[0] === 'string';
+            var stride = timeTagged ? 4 : 3;
+            for (var i = timeTagged ? 1 : 0; i + 1 < values.length; i += stride) {
+                extendExtent(extent, values[i] * scale, values[i + 1] * scale);
+            }
+        }
+        scale = 1.0;
+        var wsen = value.wsenDegrees;
+        if (!defined(wsen) && defined(value.wsen)) {
+            scale = DEGREES_PER_RADIAN;
+            wsen = value.wsen;
+        }
+        if (Array.isArray(wsen) && wsen.length === 4) {
+            extendExtentByBox(extent, wsen[0] * scale, wsen[1] * scale, wsen[2] * scale, wsen[3] * scale);
+        }
+        return true;
+    }
+
+    function extendExtentByCzml(extent, value) {
+        if (Array.isArray(value)) {
+            return value.every(function(child) {
+                return extendExtentByCzml(extent, child);
+            });
+        }
+        if (!isObject(value)) {
+            return true;
+        }
+        return Object.keys(value).every(function(key) {
+            if (czmlPositionProperties.indexOf(key) !== -1) {
+                return extendExtentByCzmlPositions(extent, value[key]);
+            }
+            return extendExtentByCzml(extent, value[key]);
+        });
+    }
+
+    function computeCzmlExtent(packets) {
+        var extent = createExtent();
+        return extendExtentByCzml(extent, packets) ? extent : undefined;
+    }
+
+    // the extent of an item's payload, or undefined if it is unknown or the payload has no positions
+    function computeItemExtent(format, data) {
+        for (var i = 0; i < feedFormats.length; ++i) {
+            if (feedFormats[i].name === format) {
+                var extent = feedFormats[i].computeExtent(data);
+                return defined(extent) && !isEmptyExtent(extent) ? extent : undefined;
+            }
+        }
+        return undefined;
+    }
+
+    function intersectsBbox(extent, bbox) {
+        if (extent[1] > bbox.north || extent[3] < bbox.south) {
+            return false;
+        }
+        if (bbox.west <= bbox.east) {
+            return extent[0] <= bbox.east && extent[2] >= bbox.west;
+        }
+        return extent[2] >= bbox.west || extent[0] <= bbox.east;
+    }
+
+    // Returns the item as a client filtering by a viewport and time window receives it, or undefined if it
+    // does not receive it.  Items outside of the filter are left out, except that an update is sent as a
+    // delete, since the client may have received the item it replaces.  Deletes and clears are always sent,
+    // and so are items whose extent is unknown.
+    function filterItem(item, filter) {
+        if (!defined(item.data)) {
+            return item;
+        }
+        var receivedAt = Date.parse(item.receivedAt);
+        var outside = (defined(filter.start) && receivedAt < filter.start) ||
+                      (defined(filter.stop) && receivedAt > filter.stop) ||
+                      (defined(filter.bbox) && defined(item.extent) && !intersectsBbox(item.extent, filter.bbox));
+        if (!outside) {
+            return item;
+        }
+        if (item.action !== 'update') {
+            return undefined;
+        }
+        return {
+            sequence : item.sequence,
+            epoch : item.epoch,
+            receivedAt : item.receivedAt,
+            action : 'delete',
+            id : item.id
+        };
+    }
+
+    /**
+     * Splits streamed newline-delimited JSON into payloads.  Lines that are not valid JSON
+     * are reported through onError with their zero-based line index.
+     */
+    function NdjsonSplitter(onItem, onError) {
+        var remainder = '';
+        var index = 0;
+
+        function parseLine(line) {
+            var lineIndex = index++;
+            if (line.trim().length === 0) {
+                return;
+            }
+            var data;
+            try {
+                data = JSON.parse(line);
+            } catch (e) {
+                return onError(lineIndex, invalid('', 'line is not valid JSON: ' + e.message));
+            }
+            onItem(data, lineIndex);
+        }
+
+        this.write = function(chunk) {
+            var lines = (remainder + chunk).split('\n');
+            remainder = lines.pop();
+            lines.forEach(parseLine);
+        };
+
+        this.end = function() {
+            parseLine(remainder);
+            remainder = '';
+        };
+    }
+
+    /**
+     * Incrementally splits a streamed GeoJSON FeatureCollection into its features, so a large
+     * collection is never held in memory all at once.  Root members other than features are
+     * passed to onMember as soon as they are read, which is before the features for members
+     * that precede them in the document.  A feature that is not valid JSON is reported through
+     * onError; a document that is not a JSON object with a "type" of "FeatureCollection" and a
+     * "features" array throws an error with the path of the offending member.  Features read
+     * before the type are held until it is known.
+     */
+    function FeatureCollectionSplitter(onMember, onFeature, onError) {
+        var type;
+        var hasFeatures = false;
+        var pendingFeatures = [];
+        var depth = 0;
+        var inString = false;
+        var escaped = false;
+        var finished = false;
+        // at depth 1, whether the next string is a member name
+        var expectingKey = false;
+        // the name of the root member being read
+        var key;
+        // whether the next value starts a capture, and whether we are inside the features array
+        var expectingValue = false;
+        var inFeatures = false;
+        var featureIndex = 0;
+        // the text of the key or value being captured, which may span chunks
+        var capture;
+        var captureStart;
+        var captureDepth;
+
+        function beginCapture(kind, start, endDepth) {
+            capture = {
+                kind : kind,
+                text : ''
+            };
+            captureStart = start;
+            captureDepth = endDepth;
+        }
+
+        function structureError(path, message) {
+            var error = new Error(path.length > 0 ? path + ' ' + message : message);
+            error.path = path;
+            error.reason = message;
+            return error;
+        }
+
+        function readFeature(feature, index) {
+            if (defined(type)) {
+                onFeature(feature, index);
+            } else {
+                pendingFeatures.push({
+                    feature : feature,
+                    index : index
+                });
+            }
+        }
+
+        function readType(value) {
+            if (value !== 'FeatureCollection') {
+                throw structureError('type', 'is required to be "FeatureCollection", not ' + JSON.stringify(value));
+            }
+            type = value;
+            pendingFeatures.forEach(function(pending) {
+                onFeature(pending.feature, pending.index);
+            });
+            pendingFeatures.length = 0;
+        }
+
+        function endCapture(chunk, end) {
+            var kind = capture.kind;
+            var text = capture.text + chunk.slice(captureStart, end);
+            capture = undefined;
+
+            if (kind === 'key') {
+                key = JSON.parse(text);
+                return;
+            }
+
+            var value;
+            try {
+                value = JSON.parse(text);
+            } catch (e) {
+                if (kind === 'feature') {
+                    return onError(featureIndex++, invalid('', 'feature is not valid JSON: ' + e.message));
+                }
+                throw structureError(key, 'is not valid JSON: ' + e.message);
+            }
+            if (kind === 'feature') {
+                readFeature(value, featureIndex++);
+            } else if (key === 'type') {
+                readType(value);
+            } else {
+                onMember(key, value);
+            }
+        }
+
+        this.write = function(chunk) {
+            for (var i = 0; i < chunk.length; ++i) {
+                var c = chunk[i];
+
+                if (inString) {
+                    if (escaped) {
+                        escaped = false;
+                    } else if (c === '\\') {
+                        escaped = true;
+                    } else if (c === '"') {
+                        inString = false;
+                        if (defined(capture) && capture.kind === 'key') {
+                            endCapture(chunk, i + 1);
+                        }
+                    }
+                    continue;
+                }
+
+                if (c === ' ' || c === '\t' || c === '\n' || c === '\r') {
+                    continue;
+                }
+
+                if (finished) {
+                    throw structureError('', 'Unexpected content after the FeatureCollection.');
+                }
+
+                if (depth === 0) {
+                    if (c !== '{') {
+                        throw structureError('', 'Body is neither newline-delimited JSON nor a GeoJSON FeatureCollection.');
+                    }
+                    depth = 1;
+                    expectingKey = true;
+                    continue;
+                }
+
+                if (expectingValue && !defined(capture)) {
+                    expectingValue = false;
+                    if (depth === 1 && key === 'features') {
+                        if (c !== '[') {
+                            throw structureError('features', 'is required to be an array');
+                        }
+                        hasFeatures = true;
+                        depth = 2;
+                        inFeatures = true;
+                        expectingValue = true;
+                        continue;
+                    }
+                    if (!(inFeatures && c === ']')) {
+                        beginCapture(inFeatures ? 'feature' : 'member', i, depth);
+                    }
+                }
+
+                switch (c) {
+                case '"':
+                    inString = true;
+                    if (depth === 1 && expectingKey) {
+                        beginCapture('key', i, depth);
+                    }
+                    break;
+                case '{':
+                case '[':
+                    depth++;
+                    break;
+                case '}':
+                case ']':
+                    if (defined(capture) && depth === captureDepth) {
+                        endCapture(chunk, i);
+                    }
+                    depth--;
+                    if (inFeatures && depth === 1) {
+                        inFeatures = false;
+                    }
+                    if (depth === 0) {
+                        finished = true;
+                    }
+                    break;
+                case ',':
+                    if (defined(capture) && depth === captureDepth) {
+                        endCapture(chunk, i);
+                    }
+                    if (depth === 1) {
+                        expectingKey = true;
+                    } else if (inFeatures && depth === 2) {
+                        expectingValue = true;
+                    }
+                    break;
+                case ':':
+                    if (depth === 1) {
+                        expectingKey = false;
+                        expectingValue = true;
+                    }
+                    break;
+                }
+            }
+
+            if (defined(capture)) {
+                capture.text += chunk.slice(captureStart);
+                captureStart = 0;
+            }
+        };
+
+        this.end = function() {
+            if (!finished) {
+                throw structureError('', 'Unexpected end of the FeatureCollection.');
+            }
+            if (!defined(type)) {
+                throw structureError('type', 'is required to be "FeatureCollection"');
+            }
+            if (!hasFeatures) {
+                throw structureError('features', 'is required to be an array');
+            }
+        };
+    }
+
+    function isInRange(value, from, to) {
+        return (isNaN(from) || value >= from) && (isNaN(to) || value <= to);
+    }
+
+    /**
+     * A named stream of feed items with its own backlog and its own set of
+     * long-poll callbacks waiting for the next item.  When a feed directory is
+     * configured every item is also appended to the channel's log file.
+     *
+     * Posted payloads are wrapped in an item that the server stamps with a
+     * sequence number, which increases monotonically within the channel, the
+     * epoch of the channel, and the time it was received:
+     *
+     *     { sequence : 42, epoch : '2015-10-19T07:00:00.000Z', receivedAt : '2015-10-19T08:00:00.000Z', action : 'add', id : 'auto-42', format : 'geojson', data : payload }
+     *
+     * The epoch is the time the channel started numbering its items.  It is restored
+     * with the log, but changes when the server restarts without one, since the
+     * sequence numbers start again from 1.
+     *
+     * The action is 'add' or 'update' for items carrying a payload, which clients
+     * show in place of any earlier item with the same id, 'delete' for an item
+     * that removes the item with its id, and 'clear' for one that removes them all.
+     * Payloads produced by a randomized test are also tagged with the test's name
+     * and seed, as in { ..., test : 'TestGeoPointQuery.testRandomBig', seed : '4EF0C4A3E5E14AB1' },
+     * so clients can group them into test runs.
+     *
+     * Items with a payload are also stamped with the extent of its positions, if it is known, as
+     * { ..., extent : [west, south, east, north] } in degrees, which clients can filter the channel by.
+     *
+     * Clients page through a channel by passing the last sequence they saw as "since",
+     * and the epoch of that item as "epoch".  A client whose epoch is not the channel's
+     * receives every item again, from the start.
+     */
+    function Feed(name) {
+        var real_time_items = [], callbacks = [], listeners = [];
+        var lastSequence = 0;
+        var epoch = new Date().toISOString();
+        var logPath = feedDir ? path.join(feedDir, name + FEED_LOG_EXTENSION) : undefined;
+        var log;
+        var published = {
+            add : 0,
+            update : 0,
+            'delete' : 0,
+            clear : 0
+        };
+        var ingestRate = new RateCounter();
+        var rejected = 0;
+        var lastReceivedAt;
+
+        this.name = name;
+
+        function findItem(id) {
+            for (var i = 0; i < real_time_items.length; ++i) {
+                if (real_time_items[i].id === id)
+                    return i;
+            }
+            return -1;
+        }
+
+        // an item replaces any earlier item with the same id, and a clear replaces everything,
+        // so the backlog only holds what a client starting from scratch still needs
+        function addToBacklog(item) {
+            if (item.action === 'clear') {
+                real_time_items.length = 0;
+            } else {
+                var index = findItem(item.id);
+                if (index !== -1)
+                    real_time_items.splice(index, 1);
+            }
+            real_time_items.push(item);
+            while (real_time_items.length > ITEMS_BACKLOG)
+                real_time_items.shift();
+        }
+
+        function createItem(action, id) {
+            return {
+                sequence : ++lastSequence,
+                epoch : epoch,
+                receivedAt : new Date().toISOString(),
+                action : action,
+                id : id
+            };
+        }
+
+        // adds a previously logged item to the backlog without logging or notifying anyone
+        this.restoreMessage = function (item) {
+            lastSequence = Math.max(lastSequence, item.sequence);
+            // logs written before items had epochs keep the new one
+            if (defined(item.epoch)) {
+                epoch = item.epoch;
+            }
+            // logs written before items had extents
+            if (defined(item.data) && !defined(item.extent)) {
+                item.extent = computeItemExtent(item.format, item.data);
+            }
+            addToBacklog(item);
+        };
+
+        // adds a payload, replacing the item with the same id if there is one; without an id
+        // the item is identified by its sequence number, prefixed so that it cannot be taken for a posted id
+        this.appendMessage = function (data, format, id, tags) {
+            var action = defined(id) && findItem(id) !== -1 ? 'update' : 'add';
+            var item = createItem(action, undefined);
+            item.id = defined(id) ? id : GENERATED_ID_PREFIX + item.sequence;
+            item.format = format;
+            if (defined(tags)) {
+                if (defined(tags.test)) {
+                    item.test = tags.test;
+                }
+                if (defined(tags.seed)) {
+                    item.seed = tags.seed;
+                }
+            }
+            item.extent = computeItemExtent(format, data);
+            item.data = data;
+            return publish(item);
+        };
+
+        // tells clients to remove the item with the given id, or returns undefined without publishing
+        // anything when the channel has no item with that id or it was already removed
+        this.removeMessage = function (id) {
+            var index = findItem(id);
+            if (index === -1 || !defined(real_time_items[index].data)) {
+                return undefined;
+            }
+            return publish(createItem('delete', id));
+        };
+
+        // tells clients to remove every item in the channel
+        this.clear = function () {
+            return publish(createItem('clear', undefined));
+        };
+
+        function publish(item) {
+            addToBacklog(item);
+            if (logPath) {
+                if (!log) {
+                    log = fs.createWriteStream(logPath, { flags : 'a' });
+                    log.on('error', function(e) {
+                        logEvent('error', 'feedLog.error', {
+                            channel : name,
+                            path : logPath,
+                            message : e.message
+                        });
+                    });
+                }
+                log.write(JSON.stringify(item) + '\n');
+            }
+            published[item.action]++;
+            lastReceivedAt = item.receivedAt;
+            if (defined(item.data)) {
+                ingestRate.add(1);
+            }
+            logEvent('info', 'item.published', {
+                channel : name,
+                sequence : item.sequence,
+                action : item.action,
+                id : item.id,
+                format : item.format,
+                test : item.test,
+                seed : item.seed,
+                extent : item.extent
+            });
+            // long polls whose filter leaves the item out keep waiting
+            callbacks = callbacks.filter(function(waiting) {
+                var filtered = filterItem(item, waiting.filter);
+                if (!defined(filtered))
+                    return true;
+                waiting.callback([filtered]);
+                return false;
+            });
+            var current = listeners.slice();
+            for (var i = 0; i < current.length; ++i)
+                current[i](item);
+            return item;
+        }
+
+        // the items after since, as a client with the given filter receives them; since is
+        // meaningless to a client which numbered its items in another epoch
+        this.itemsSince = function (since, filter, clientEpoch) {
+            if (defined(clientEpoch) && clientEpoch !== epoch) {
+                since = 0;
+            }
+            var matching = [];
+            for (var i = 0; i<real_time_items.length; ++i) {
+                var real_time_item = real_time_items[i];
+                if (real_time_item.sequence > since) {
+                    var filtered = defined(filter) ? filterItem(real_time_item, filter) : real_time_item;
+                    if (defined(filtered))
+                        matching.push(filtered);
+                }
+            }
+            return matching;
+        };
+
+        this.query = function (since, filter, clientEpoch, callback) {
+            var matching = this.itemsSince(since, filter, clientEpoch);
+
+            if (matching.length != 0) {
+                callback(matching);
+            } else {
+                callbacks.push({ timestamp: new Date(), filter: filter, callback: callback });
+            }
+        };
+
+        // stops a long poll from waiting for the next item
+        this.cancelQuery = function (callback) {
+            callbacks = callbacks.filter(function(waiting) {
+                return waiting.callback !== callback;
+            });
+        };
+
+        this.history = function (from, to, callback) {
+            var matching = [];
+            if (!logPath || !fs.existsSync(logPath)) {
+                real_time_items.forEach(function(item) {
+                    if (isInRange(item.sequence, from, to))
+                        matching.push(item);
+                });
+                return callback(undefined, matching);
+            }
+
+            var input = fs.createReadStream(logPath);
+            input.on('error', callback);
+            readline.createInterface({ input : input }).on('line', function(line) {
+                var item = parseLogLine(line);
+                if (item && isInRange(item.sequence, from, to))
+                    matching.push(item);
+            }).on('close', function() {
+                callback(undefined, matching);
+            });
+        };
+
+        // counts a payload that failed validation and keeps it among the recent rejections /status reports
+        this.recordRejection = function (error, index) {
+            rejected++;
+            var rejection = {
+                time : new Date().toISOString(),
+                channel : name,
+                index : index,
+                error : error.path.length > 0 ? error.path + ' ' + error.message : error.message
+            };
+            var recent = serverStats.recentRejections;
+            recent.push(rejection);
+            if (recent.length > MAXIMUM_RECENT_REJECTIONS)
+                recent.shift();
+            logEvent('warn', 'item.rejected', rejection);
+        };
+
+        this.getStatus = function () {
+            var now = Date.now();
+            return {
+                name : name,
+                lastSequence : lastSequence,
+                items : real_time_items.length,
+                backlog : ITEMS_BACKLOG,
+                backlogOccupancy : real_time_items.length / ITEMS_BACKLOG,
+                waiting : callbacks.length,
+                longestWaitSeconds : callbacks.length > 0 ? (now - callbacks[0].timestamp.getTime()) / 1000 : 0,
+                streaming : listeners.length,
+                published : published,
+                ingestRate : ingestRate.rate(),
+                rejected : rejected,
+                lastReceivedAt : lastReceivedAt
+            };
+        };
+
+        // listeners are called with every appended item, in order, until removed
+        this.addListener = function (listener) {
+            listeners.push(listener);
+        };
+
+        this.removeListener = function (listener) {
+            var index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        };
+
+        Object.defineProperties(this, {
+            itemCount : {
+                get : function() {
+                    return real_time_items.length;
+                }
+            },
+            waitingCount : {
+                get : function() {
+                    return callbacks.length;
+                }
+            },
+            listenerCount : {
+                get : function() {
+                    return listeners.length;
+                }
+            }
+        });
+    }
+
+    // without a prototype, so that channels named like Object.prototype members, e.g. constructor or __proto__,
+    // are channels like any other
+    var channels = Object.create(null);
+
+    function getChannel(name) {
+        var channel = hasOwn(channels, name) ? channels[name] : undefined;
+        if (!channel) {
+            channel = channels[name] = new Feed(name);
+        }
+        return channel;
+    }
+
+    function parseLogLine(line) {
+        if (line.length === 0) {
+            return undefined;
+        }
+        try {
+            return JSON.parse(line);
+        } catch (e) {
+            // a partially written last line after a crash
+            return undefined;
+        }
+    }
+
+    function loadFeedLogs() {
+        fs.readdirSync(feedDir).forEach(function(file) {
+            if (path.extname(file) !== FEED_LOG_EXTENSION) {
+                return;
+            }
+            var name = path.basename(file, FEED_LOG_EXTENSION);
+            if (!channelNameRegex.test(name)) {
+                return;
+            }
+            var channel = getChannel(name);
+            var lines = fs.readFileSync(path.join(feedDir, file), 'utf8').split('\n');
+            lines.forEach(function(line) {
+                var item = parseLogLine(line);
+                if (item && typeof item.sequence === 'number') {
+                    channel.restoreMessage(item);
+                }
+            });
+            logEvent('info', 'feedLog.restored', {
+                channel : name,
+                items : channel.itemCount,
+                lastSequence : channel.getStatus().lastSequence
+            });
+        });
+    }
+
+    if (feedDir) {
+        loadFeedLogs();
+    }
+
+    var NOT_FOUND = "Not Found\n";
+
+    function notFound(req, res) {
+        res.sendwriteHeadHeader(404, [ ["Content-Type", "text/plain"], ["Content-Length", NOT_FOUND.length]]);
+        res.write(NOT_FOUND);
+        res.end();
     }
 
     var server = app.listen(argv.port, argv.public ? undefined : process.env.OPENSHIFT_NODEJS_IP, function() {
@@ -190,6 +2283,77 @@
         }
     });
 
+    // WebSocket version of /real_time_feed, e.g. ws://localhost:8080/real_time_feed/socket?channel=name&since=0&bbox=-10,35,30,60
+    var webSocketServer = new WebSocketServer({
+        server : server,
+        path : '/real_time_feed/socket'
+    });
+
+    function subscribeSocket(socket) {
+        var query = url.parse(socket.upgradeReq.url, true).query;
+        var name = getChannelName(query);
+        if (!name) {
+            return socket.close(1008, 'Invalid channel name.');
+        }
+        var refusal = checkChannelAccess(socket.upgradeReq.headers, query, name, 'read');
+        if (refusal) {
+            return socket.close(1008, refusal.message);
+        }
+        var filter = getItemFilter(query);
+        if (!filter) {
+            return socket.close(1008, 'Invalid bbox or time window.');
+        }
+        var channel = getChannel(name);
+        var since = parseInt(query.since, 10);
+
+        function send(item) {
+            // ws throws when sending on a closing socket, which stays subscribed until its 'close' event
+            if (socket.readyState !== socket.OPEN) {
+                return;
+            }
+            socket.send(JSON.stringify(item), function(error) {
+                if (error) {
+                    channel.removeListener(listener);
+                    logEvent('warn', 'socket.sendFailed', {
+                        channel : name,
+                        message : error.message
+                    });
+                }
+            });
+        }
+
+        function listener(item) {
+            var filtered = filterItem(item, filter);
+            if (defined(filtered)) {
+                send(filtered);
+            }
+        }
+
+        channel.itemsSince(since, filter, query.epoch).forEach(send);
+        channel.addListener(listener);
+
+        socket.on('close', function() {
+            channel.removeListener(listener);
+        });
+        socket.on('error', function() {
+            channel.removeListener(listener);
+        });
+    }
+
+    // an exception thrown by a ws event handler would stop the server, so a connection that cannot be
+    // subscribed is closed instead
+    webSocketServer.on('connection', function(socket) {
+        try {
+            subscribeSocket(socket);
+        } catch (e) {
+            logEvent('error', 'socket.subscribeFailed', {
+                url : socket.upgradeReq.url,
+                message : e.message
+            });
+            socket.close(1011, 'Internal error.');
+        }
+    });
+
     server.on('error', function (e) {
         if (e.code === 'EADDRINUSE') {
             console.log('Error: Port %d is already in use, select a different port.', argv.port);